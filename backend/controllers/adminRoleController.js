@@ -0,0 +1,155 @@
+/*
+ * Admin Role Controller
+ *
+ * Manages admin sub-roles ("Fee Clerk", "Dispatcher"…): named sets of permissions from
+ * utils/permissions. Admins without a sub-role keep full access.
+ */
+
+const AdminRole = require('../models/AdminRole');
+const User = require('../models/User');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { PERMISSIONS, ALL_PERMISSIONS } = require('../utils/permissions');
+const { recordAudit, snapshot } = require('../services/auditService');
+
+const AUDITED_FIELDS = ['name', 'description', 'permissions'];
+
+const invalidPermissions = (permissions) =>
+  (permissions || []).filter(permission => !ALL_PERMISSIONS.includes(permission));
+
+// @desc    Get admin roles and the permission catalog
+// @route   GET /api/admin-roles
+// @access  Private/Admin (roles:manage)
+const getAdminRoles = asyncHandler(async (req, res) => {
+  const roles = await AdminRole.find().sort({ name: 1 }).lean();
+
+  const counts = await User.aggregate([
+    { $match: { role: 'admin', adminRole: { $ne: null } } },
+    { $group: { _id: '$adminRole', count: { $sum: 1 } } }
+  ]);
+  const countByRole = new Map(counts.map(c => [c._id.toString(), c.count]));
+
+  res.json({
+    success: true,
+    data: {
+      roles: roles.map(role => ({ ...role, adminCount: countByRole.get(role._id.toString()) || 0 })),
+      permissions: ALL_PERMISSIONS.map(key => ({ key, description: PERMISSIONS[key] }))
+    }
+  });
+});
+
+// @desc    Create admin role
+// @route   POST /api/admin-roles
+// @access  Private/Admin (roles:manage)
+const createAdminRole = asyncHandler(async (req, res) => {
+  const { name, description, permissions = [] } = req.body;
+
+  const invalid = invalidPermissions(permissions);
+  if (invalid.length > 0) {
+    return res.status(400).json({
+      success: false,
+      message: `Unknown permission: ${invalid.join(', ')}`
+    });
+  }
+
+  const role = await AdminRole.create({ name, description, permissions });
+
+  await recordAudit(req, {
+    action: 'adminRole.create',
+    entityType: 'adminRole',
+    entity: role,
+    after: snapshot(role, AUDITED_FIELDS)
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Admin role created successfully',
+    data: role
+  });
+});
+
+// @desc    Update admin role
+// @route   PUT /api/admin-roles/:id
+// @access  Private/Admin (roles:manage)
+const updateAdminRole = asyncHandler(async (req, res) => {
+  const { name, description, permissions } = req.body;
+
+  const role = await AdminRole.findById(req.params.id);
+  if (!role) {
+    return res.status(404).json({
+      success: false,
+      message: 'Admin role not found'
+    });
+  }
+
+  const invalid = invalidPermissions(permissions);
+  if (invalid.length > 0) {
+    return res.status(400).json({
+      success: false,
+      message: `Unknown permission: ${invalid.join(', ')}`
+    });
+  }
+
+  const auditBefore = snapshot(role, AUDITED_FIELDS);
+
+  // Changes apply on the next request of every admin with this role
+  if (name !== undefined) role.name = name;
+  if (description !== undefined) role.description = description;
+  if (permissions !== undefined) role.permissions = permissions;
+  await role.save();
+
+  await recordAudit(req, {
+    action: 'adminRole.update',
+    entityType: 'adminRole',
+    entity: role,
+    before: auditBefore,
+    after: snapshot(role, AUDITED_FIELDS)
+  });
+
+  res.json({
+    success: true,
+    message: 'Admin role updated successfully',
+    data: role
+  });
+});
+
+// @desc    Delete admin role
+// @route   DELETE /api/admin-roles/:id
+// @access  Private/Admin (roles:manage)
+const deleteAdminRole = asyncHandler(async (req, res) => {
+  const role = await AdminRole.findById(req.params.id);
+  if (!role) {
+    return res.status(404).json({
+      success: false,
+      message: 'Admin role not found'
+    });
+  }
+
+  const adminCount = await User.countDocuments({ role: 'admin', adminRole: role._id });
+  if (adminCount > 0) {
+    return res.status(400).json({
+      success: false,
+      message: `Cannot delete role. ${adminCount} admin${adminCount === 1 ? ' has' : 's have'} it. Give them another role first.`
+    });
+  }
+
+  await role.deleteOne();
+
+  await recordAudit(req, {
+    action: 'adminRole.delete',
+    entityType: 'adminRole',
+    entity: role,
+    before: snapshot(role, AUDITED_FIELDS)
+  });
+
+  res.json({
+    success: true,
+    message: 'Admin role deleted successfully'
+  });
+});
+
+module.exports = {
+  getAdminRoles,
+  createAdminRole,
+  updateAdminRole,
+  deleteAdminRole
+};
@@ -0,0 +1,142 @@
+/*
+ * Audit Log Controller
+ *
+ * Read side of the central audit log written by services/auditService:
+ * - List entries with filters (actor, action, entity, date range, free text) and pagination
+ * - Export the same filtered list as CSV
+ */
+
+const mongoose = require('mongoose');
+const AuditLog = require('../models/AuditLog');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { toCsv } = require('../utils/csv');
+
+// Keeps a single export from loading the whole collection
+const EXPORT_LIMIT = 10000;
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Mongo filter from the query string, or { error } for an invalid ID
+ */
+const buildAuditFilter = ({ actor, action, entityType, entityId, from, to, search }) => {
+  const filter = {};
+
+  for (const [key, value] of Object.entries({ actor, entityId })) {
+    if (!value) continue;
+    if (!mongoose.isValidObjectId(value)) return { error: `Invalid ${key}` };
+    filter[key] = value;
+  }
+  if (action) filter.action = action;
+  if (entityType) filter.entityType = entityType;
+
+  if (from || to) {
+    filter.createdAt = {};
+    if (from) filter.createdAt.$gte = new Date(from);
+    if (to) filter.createdAt.$lte = new Date(to);
+  }
+
+  // Matches who did it or what it was done to, e.g. a bus number or a student's name
+  if (search && search.trim()) {
+    const pattern = new RegExp(escapeRegex(search.trim()), 'i');
+    filter.$or = [{ actorName: pattern }, { actorEmail: pattern }, { entityLabel: pattern }];
+  }
+
+  return { filter };
+};
+
+const formatValue = (value) =>
+  value === null || value === undefined ? '—' : typeof value === 'object' ? JSON.stringify(value) : String(value);
+
+// "feeStatus: pending → paid; assignedBus: — → KA-01"
+const formatChanges = (changes) =>
+  changes.map(change => `${change.field}: ${formatValue(change.before)} → ${formatValue(change.after)}`).join('; ');
+
+// @desc    Get audit log entries
+// @route   GET /api/audit-logs
+// @access  Private/Admin (audit:read)
+const getAuditLogs = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 25 } = req.query;
+
+  const { filter, error } = buildAuditFilter(req.query);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: error
+    });
+  }
+
+  const pageSize = Math.min(parseInt(limit) || 25, 100);
+  const skip = (page - 1) * pageSize;
+
+  const logs = await AuditLog.find(filter)
+    .sort({ createdAt: -1 })
+    .skip(skip)
+    .limit(pageSize)
+    .lean();
+
+  const total = await AuditLog.countDocuments(filter);
+
+  // Every action recorded so far, for the filter dropdown
+  const actions = await AuditLog.distinct('action');
+
+  res.json({
+    success: true,
+    data: logs,
+    actions: actions.sort(),
+    pagination: {
+      current: parseInt(page),
+      pages: Math.ceil(total / pageSize),
+      total
+    }
+  });
+});
+
+// @desc    Export audit log entries as CSV
+// @route   GET /api/audit-logs/export
+// @access  Private/Admin (audit:read)
+const exportAuditLogs = asyncHandler(async (req, res) => {
+  const { filter, error } = buildAuditFilter(req.query);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: error
+    });
+  }
+
+  const logs = await AuditLog.find(filter)
+    .sort({ createdAt: -1 })
+    .limit(EXPORT_LIMIT)
+    .lean();
+
+  const csv = toCsv(
+    ['Time', 'Actor', 'Actor Email', 'Actor Role', 'Action', 'Entity Type', 'Entity ID', 'Entity', 'Changes', 'Details', 'IP Address', 'User Agent'],
+    logs.map(log => [
+      log.createdAt,
+      log.actorName,
+      log.actorEmail,
+      log.actorRole,
+      log.action,
+      log.entityType,
+      log.entityId,
+      log.entityLabel,
+      formatChanges(log.changes || []),
+      log.details ? JSON.stringify(log.details) : '',
+      log.ipAddress,
+      log.userAgent
+    ])
+  );
+
+  const date = new Date().toISOString().slice(0, 10);
+  res.set({
+    'Content-Type': 'text/csv; charset=utf-8',
+    'Content-Disposition': `attachment; filename="activity-log-${date}.csv"`
+  });
+  // The byte order mark makes Excel read the file as UTF-8
+  res.send(`\ufeff${csv}`);
+});
+
+module.exports = {
+  getAuditLogs,
+  exportAuditLogs
+};
@@ -3,9 +3,9 @@
  *
  * This file handles all authentication-related operations:
  * - User registration (with role-specific validation)
- * - User login (with password verification)
+ * - User login (with password verification, plus a TOTP step when 2FA is on)
  * - Admin secret code validation (for admin registration security)
- * - User logout
+ * - User logout (revokes the session behind the refresh token)
  *
  * SECURITY NOTE: Passwords are hashed before storage using bcrypt (in User model)
  */
@@ -13,7 +13,11 @@
 const User = require('../models/User');
 const { asyncHandler } = require('../middleware/errorHandler');
 const sendEmail = require('../utils/email');
+const Session = require('../models/Session');
 const { sendTokenResponse, clearTokenCookie } = require('../utils/jwtHelper');
+const { revokeSession } = require('../services/sessionService');
+const { createLoginChallenge } = require('../services/twoFactorService');
+const { getLoginThrottle, recordFailedLogin, clearFailedLogins } = require('../services/loginProtectionService');
 
 // @desc    Register user
 // @route   POST /api/auth/register
@@ -182,9 +186,29 @@ const login = asyncHandler(async (req, res) => {
     });
   }
 
+  // Locked or still waiting out the delay from earlier failures
+  const throttle = getLoginThrottle(user);
+  if (throttle) {
+    res.set('Retry-After', String(throttle.retryAfter));
+    return res.status(throttle.statusCode).json({
+      success: false,
+      message: throttle.message,
+      retryAfter: throttle.retryAfter
+    });
+  }
+
   // Check password
   const isPasswordValid = await user.comparePassword(password);
   if (!isPasswordValid) {
+    const lockout = await recordFailedLogin(user, req);
+    if (lockout) {
+      res.set('Retry-After', String(lockout.retryAfter));
+      return res.status(lockout.statusCode).json({
+        success: false,
+        message: lockout.message,
+        retryAfter: lockout.retryAfter
+      });
+    }
     return res.status(401).json({
       success: false,
       message: 'Invalid email or password'
@@ -207,6 +231,21 @@ const login = asyncHandler(async (req, res) => {
     });
   }
 
+  // With 2FA on, the password only unlocks the code step (POST /api/auth/login/2fa).
+  // Failed attempts are only cleared there, so wrong codes keep counting towards the lockout.
+  if (user.twoFactorEnabled) {
+    return res.json({
+      success: true,
+      message: 'Enter the code from your authenticator app',
+      data: {
+        twoFactorRequired: true,
+        challengeToken: createLoginChallenge(user)
+      }
+    });
+  }
+
+  await clearFailedLogins(user);
+
   // Send token response
   return sendTokenResponse(user, 200, res, 'Login successful');
 });
@@ -215,6 +254,12 @@ const login = asyncHandler(async (req, res) => {
 // @route   POST /api/auth/logout
 // @access  Public
 const logout = asyncHandler(async (req, res) => {
+  const { refreshToken } = req.cookies;
+  if (refreshToken) {
+    const session = await Session.findOne({ refreshTokenHash: Session.hashToken(refreshToken) });
+    if (session) await revokeSession(session, 'logout');
+  }
+
   clearTokenCookie(res);
 
   res.json({
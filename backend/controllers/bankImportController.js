@@ -0,0 +1,75 @@
+/*
+ * Bank Import Controller
+ *
+ * Bulk fee reconciliation from bank statement CSVs (see services/bankImportService):
+ * - Preview how the rows of a statement match students
+ * - Import the matched rows as payments
+ */
+
+const { asyncHandler } = require('../middleware/errorHandler');
+const { parseBankStatement, planBankImport, applyBankImport } = require('../services/bankImportService');
+
+// Parsed rows of the uploaded file, or sends the error response and returns null
+const readStatement = (req, res) => {
+  if (!req.file) {
+    res.status(400).json({
+      success: false,
+      message: 'Please upload a CSV file'
+    });
+    return null;
+  }
+
+  const statement = parseBankStatement(req.file.buffer);
+  if (!statement.success) {
+    res.status(statement.statusCode).json({
+      success: false,
+      message: statement.message
+    });
+    return null;
+  }
+  return statement;
+};
+
+// @desc    Preview the payments of a bank statement
+// @route   POST /api/fees/imports/preview
+// @access  Private/Admin (fees:write)
+const previewBankImport = asyncHandler(async (req, res) => {
+  const statement = readStatement(req, res);
+  if (!statement) return;
+
+  const plan = await planBankImport(statement.rows);
+
+  res.json({
+    success: true,
+    data: { fileName: req.file.originalname, columns: statement.columns, ...plan }
+  });
+});
+
+// @desc    Record the matched payments of a bank statement
+// @route   POST /api/fees/imports
+// @access  Private/Admin (fees:write)
+const importBankStatement = asyncHandler(async (req, res) => {
+  const statement = readStatement(req, res);
+  if (!statement) return;
+
+  const result = await applyBankImport(statement.rows, req.file.originalname, req);
+  if (!result.success) {
+    return res.status(result.statusCode).json({
+      success: false,
+      message: result.message
+    });
+  }
+
+  const { summary, payments } = result;
+  const skipped = summary.rows - payments.length;
+  res.status(201).json({
+    success: true,
+    message: `${payments.length} payments imported${skipped ? `, ${skipped} rows skipped` : ''}`,
+    data: { summary, payments }
+  });
+});
+
+module.exports = {
+  previewBankImport,
+  importBankStatement
+};
@@ -0,0 +1,201 @@
+/*
+ * Billing Term Controller
+ *
+ * Billing terms (semesters or months) and their invoicing (see services/termBillingService):
+ * - List, create, edit and delete terms
+ * - Preview the invoices of a term, then generate them
+ */
+
+const BillingTerm = require('../models/BillingTerm');
+const FeeInvoice = require('../models/FeeInvoice');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { planTermInvoices, generateTermInvoices: runTermInvoicing } = require('../services/termBillingService');
+const { recordAudit, snapshot } = require('../services/auditService');
+
+const AUDITED_FIELDS = ['name', 'type', 'startDate', 'endDate', 'dueDate', 'autoInvoice'];
+// Invoices copy these, so they are fixed once a term has invoices
+const LOCKED_FIELDS = ['name', 'type', 'startDate', 'endDate', 'dueDate'];
+
+const sameValue = (current, value) =>
+  current instanceof Date ? current.getTime() === new Date(value).getTime() : String(current) === String(value);
+
+const termNotFound = (res) => res.status(404).json({
+  success: false,
+  message: 'Billing term not found'
+});
+
+// @desc    Get billing terms with their invoice totals
+// @route   GET /api/fees/terms
+// @access  Private/Admin (users:read or fees:write)
+const getBillingTerms = asyncHandler(async (req, res) => {
+  const terms = await BillingTerm.find().sort({ startDate: -1 }).lean();
+
+  const totals = await FeeInvoice.aggregate([
+    { $match: { billingTerm: { $ne: null }, status: 'open' } },
+    {
+      $group: {
+        _id: '$billingTerm',
+        invoices: { $sum: 1 },
+        students: { $addToSet: '$student' },
+        amount: { $sum: { $cond: [{ $eq: ['$type', 'credit'] }, { $multiply: ['$amount', -1] }, '$amount'] } }
+      }
+    }
+  ]);
+  const totalsByTerm = new Map(totals.map(t => [t._id.toString(), t]));
+
+  res.json({
+    success: true,
+    data: terms.map(term => {
+      const total = totalsByTerm.get(term._id.toString());
+      return {
+        ...term,
+        invoiceCount: total?.invoices || 0,
+        studentCount: total?.students.length || 0,
+        invoicedAmount: total?.amount || 0
+      };
+    })
+  });
+});
+
+// @desc    Create billing term
+// @route   POST /api/fees/terms
+// @access  Private/Admin (fees:write)
+const createBillingTerm = asyncHandler(async (req, res) => {
+  const { name, type, startDate, endDate, dueDate, autoInvoice } = req.body;
+
+  const term = await BillingTerm.create({
+    name,
+    type,
+    startDate,
+    endDate,
+    dueDate,
+    autoInvoice: Boolean(autoInvoice),
+    createdBy: req.user._id
+  });
+
+  await recordAudit(req, {
+    action: 'fees.term_create',
+    entityType: 'billingTerm',
+    entity: term,
+    after: snapshot(term, AUDITED_FIELDS)
+  });
+
+  res.status(201).json({
+    success: true,
+    message: `Billing term ${term.name} created`,
+    data: term
+  });
+});
+
+// @desc    Update billing term
+// @route   PUT /api/fees/terms/:id
+// @access  Private/Admin (fees:write)
+const updateBillingTerm = asyncHandler(async (req, res) => {
+  const term = await BillingTerm.findById(req.params.id);
+  if (!term) return termNotFound(res);
+
+  const hasInvoices = await FeeInvoice.exists({ billingTerm: term._id });
+  const lockedChange = hasInvoices && LOCKED_FIELDS.find(field =>
+    req.body[field] !== undefined && !sameValue(term[field], req.body[field])
+  );
+  if (lockedChange) {
+    return res.status(400).json({
+      success: false,
+      message: `${lockedChange} can't be changed once the term has invoices`
+    });
+  }
+
+  const auditBefore = snapshot(term, AUDITED_FIELDS);
+
+  for (const field of AUDITED_FIELDS) {
+    if (req.body[field] !== undefined) term[field] = req.body[field];
+  }
+  await term.save();
+
+  await recordAudit(req, {
+    action: 'fees.term_update',
+    entityType: 'billingTerm',
+    entity: term,
+    before: auditBefore,
+    after: snapshot(term, AUDITED_FIELDS)
+  });
+
+  res.json({
+    success: true,
+    message: `Billing term ${term.name} updated`,
+    data: term
+  });
+});
+
+// @desc    Delete billing term
+// @route   DELETE /api/fees/terms/:id
+// @access  Private/Admin (fees:write)
+const deleteBillingTerm = asyncHandler(async (req, res) => {
+  const term = await BillingTerm.findById(req.params.id);
+  if (!term) return termNotFound(res);
+
+  if (await FeeInvoice.exists({ billingTerm: term._id })) {
+    return res.status(400).json({
+      success: false,
+      message: 'A term with invoices cannot be deleted. Void its invoices instead.'
+    });
+  }
+
+  await term.deleteOne();
+
+  await recordAudit(req, {
+    action: 'fees.term_delete',
+    entityType: 'billingTerm',
+    entity: term,
+    before: snapshot(term, AUDITED_FIELDS)
+  });
+
+  res.json({
+    success: true,
+    message: `Billing term ${term.name} deleted`
+  });
+});
+
+// @desc    Preview the invoices a term would generate
+// @route   GET /api/fees/terms/:id/preview
+// @access  Private/Admin (fees:write)
+const previewTermInvoices = asyncHandler(async (req, res) => {
+  const term = await BillingTerm.findById(req.params.id);
+  if (!term) return termNotFound(res);
+
+  const plan = await planTermInvoices(term);
+
+  res.json({
+    success: true,
+    data: { term, ...plan }
+  });
+});
+
+// @desc    Generate the invoices of a term
+// @route   POST /api/fees/terms/:id/invoices
+// @access  Private/Admin (fees:write)
+const generateTermInvoices = asyncHandler(async (req, res) => {
+  const result = await runTermInvoicing(req.params.id, req);
+  if (!result.success) {
+    return res.status(result.statusCode).json({
+      success: false,
+      message: result.message
+    });
+  }
+
+  const { summary, invoicesCreated, failed } = result;
+  res.json({
+    success: true,
+    message: `${invoicesCreated} invoices generated${failed.length ? `, ${failed.length} students failed` : ''}`,
+    data: { summary, invoicesCreated, failed }
+  });
+});
+
+module.exports = {
+  getBillingTerms,
+  createBillingTerm,
+  updateBillingTerm,
+  deleteBillingTerm,
+  previewTermInvoices,
+  generateTermInvoices
+};
@@ -17,6 +17,11 @@ const Bus = require('../models/Bus');
 const User = require('../models/User');
 const Route = require('../models/Route');
 const { asyncHandler } = require('../middleware/errorHandler');
+const { recordAudit, snapshot } = require('../services/auditService');
+
+// Bus fields compared in audit log entries; driver and route are logged by name
+const AUDITED_FIELDS = ['busNumber', 'driverId', 'routeId', 'capacity', 'model', 'year', 'status'];
+const AUDIT_POPULATE = [{ path: 'driverId', select: 'name' }, { path: 'routeId', select: 'routeName' }];
 
 // @desc    Get all buses
 // @route   GET /api/buses
@@ -135,6 +140,13 @@ const createBus = asyncHandler(async (req, res) => {
     .populate('driverId', 'name email phone')
     .populate('routeId', 'routeName stops departureTime estimatedDuration distance');
 
+  await recordAudit(req, {
+    action: 'bus.create',
+    entityType: 'bus',
+    entity: populatedBus,
+    after: snapshot(populatedBus, AUDITED_FIELDS)
+  });
+
   res.status(201).json({
     success: true,
     message: 'Bus created successfully',
@@ -204,6 +216,8 @@ const updateBus = asyncHandler(async (req, res) => {
     }
   }
 
+  const auditBefore = snapshot(await bus.populate(AUDIT_POPULATE), AUDITED_FIELDS);
+
   // Handle student displacement if status changes
   if (status) {
     const isNonActive = ['maintenance', 'out_of_service', 'inactive'].includes(status);
@@ -230,6 +244,14 @@ const updateBus = asyncHandler(async (req, res) => {
   ).populate('driverId', 'name email phone')
     .populate('routeId', 'routeName stops departureTime estimatedDuration distance');
 
+  await recordAudit(req, {
+    action: 'bus.update',
+    entityType: 'bus',
+    entity: updatedBus,
+    before: auditBefore,
+    after: snapshot(updatedBus, AUDITED_FIELDS)
+  });
+
   res.json({
     success: true,
     message: 'Bus updated successfully',
@@ -271,6 +293,13 @@ const deleteBus = asyncHandler(async (req, res) => {
 
   await Bus.findByIdAndDelete(req.params.id);
 
+  await recordAudit(req, {
+    action: 'bus.delete',
+    entityType: 'bus',
+    entity: bus,
+    before: snapshot(await bus.populate(AUDIT_POPULATE), AUDITED_FIELDS)
+  });
+
   res.json({
     success: true,
     message: 'Bus deleted successfully'
@@ -0,0 +1,396 @@
+/*
+ * Concession Controller
+ *
+ * Fee concessions of students (scholarships, sibling discounts…), taken off their term
+ * invoices by services/termBillingService:
+ * - List concessions (all, or one student's) and the logged-in student's current ones
+ * - Grant a concession; one above the fee policy's approval threshold waits for an
+ *   admin with fees:approve unless the admin granting it has that permission
+ * - Approve or reject pending concessions, revoke ones that no longer apply
+ *
+ * An approved concession covering a term the student was already billed for is credited
+ * on that term straight away.
+ */
+
+const mongoose = require('mongoose');
+const FeeConcession = require('../models/FeeConcession');
+const FeePolicy = require('../models/FeePolicy');
+const User = require('../models/User');
+const FeeNote = require('../models/FeeNote');
+const Notification = require('../models/Notification');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { recordAudit, snapshot } = require('../services/auditService');
+const { emitNotification } = require('../services/socketService');
+const { creditStudentConcessions } = require('../services/termBillingService');
+
+const AUDITED_FIELDS = ['category', 'type', 'amount', 'reason', 'validFrom', 'validUntil', 'status', 'decisionNote', 'revokeReason'];
+const PEOPLE = [
+  { path: 'student', select: 'name studentId' },
+  { path: 'requestedBy', select: 'name' },
+  { path: 'decidedBy', select: 'name' },
+  { path: 'revokedBy', select: 'name' }
+];
+
+const CATEGORY_LABELS = {
+  scholarship: 'Scholarship',
+  sibling: 'Sibling discount',
+  staff: 'Staff concession',
+  financial_aid: 'Financial aid',
+  other: 'Concession'
+};
+
+// e.g. "Scholarship (50%)" or "Sibling discount (Rs. 500/month)"
+const describeConcession = (concession) =>
+  `${CATEGORY_LABELS[concession.category]} (${concession.type === 'percentage'
+    ? `${concession.amount}%`
+    : `Rs. ${concession.amount.toLocaleString('en-US')}/month`})`;
+
+const needsApproval = (concession, policy) =>
+  concession.type === 'percentage'
+    ? concession.amount > policy.concessionApproval.percentage
+    : concession.amount > policy.concessionApproval.amount;
+
+const concessionNotFound = (res) => res.status(404).json({
+  success: false,
+  message: 'Concession not found'
+});
+
+const findConcession = (id) =>
+  mongoose.isValidObjectId(id) ? FeeConcession.findById(id).populate('student', 'name studentId') : null;
+
+// Tell the student, and note it in their fee history
+const announceToStudent = async (concession, req, text) => {
+  await FeeNote.create({
+    student: concession.student._id,
+    text,
+    recordedBy: req.user._id,
+    source: 'system'
+  });
+
+  try {
+    const notification = await Notification.createSystemNotification(
+      concession.status === 'approved' ? 'Fee Concession Granted' : 'Fee Concession Ended',
+      concession.status === 'approved' ? `${text} It is taken off your transport fee invoices while it is valid.` : text,
+      'student',
+      { type: 'info', receiverId: concession.student._id, metadata: { concessionId: concession._id } }
+    );
+    emitNotification(notification);
+  } catch (error) {
+    console.error('Concession notification error:', error.message);
+  }
+};
+
+const validityText = (concession) => {
+  const format = (date) => new Date(date).toLocaleDateString('en-US', { year: 'numeric', month: 'short', day: 'numeric' });
+  return concession.validUntil
+    ? `from ${format(concession.validFrom)} to ${format(concession.validUntil)}`
+    : `from ${format(concession.validFrom)}`;
+};
+
+const formatMoney = (amount) => `Rs. ${amount.toLocaleString('en-US')}`;
+
+// Credit the terms already billed, then tell the student. Returns what the admin is told.
+const applyApprovedConcession = async (concession, req) => {
+  const { credits, failedTerms } = await creditStudentConcessions(concession.student._id, req);
+  const credited = credits.map(credit => `${formatMoney(credit.amount)} credited for ${credit.term} (${credit.invoiceNumber})`);
+
+  await announceToStudent(
+    concession,
+    req,
+    `${describeConcession(concession)} granted ${validityText(concession)}: ${concession.reason}.` +
+      (credits.length ? ` ${credits.map(credit => `${formatMoney(credit.amount)} credited for ${credit.term}`).join(', ')}.` : '')
+  );
+
+  const parts = [];
+  if (credited.length) parts.push(`${credited.join(', ')}.`);
+  if (failedTerms.length) parts.push(`It could not be credited for ${failedTerms.join(', ')} yet; that happens the next time its invoices are generated.`);
+  if (!parts.length) parts.push('It applies to invoices generated from now on; no invoices already issued are affected.');
+  return parts.join(' ');
+};
+
+// @desc    Get concessions, e.g. the ones waiting for approval
+// @route   GET /api/fees/concessions
+// @access  Private/Admin (users:read or fees:write)
+const getConcessions = asyncHandler(async (req, res) => {
+  const { status } = req.query;
+  const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+  const limit = Math.min(100, Math.max(1, parseInt(req.query.limit, 10) || 20));
+  const filter = status ? { status } : {};
+
+  const [concessions, total, policy] = await Promise.all([
+    FeeConcession.find(filter)
+      .populate(PEOPLE)
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean(),
+    FeeConcession.countDocuments(filter),
+    FeePolicy.getPolicy()
+  ]);
+
+  res.json({
+    success: true,
+    data: concessions,
+    approvalThreshold: policy.concessionApproval,
+    pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+  });
+});
+
+// @desc    Get a student's concessions
+// @route   GET /api/fees/students/:id/concessions
+// @access  Private/Admin (users:read or fees:write)
+const getStudentConcessions = asyncHandler(async (req, res) => {
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    return res.status(404).json({ success: false, message: 'Student not found' });
+  }
+
+  const [concessions, policy] = await Promise.all([
+    FeeConcession.find({ student: req.params.id }).populate(PEOPLE).sort({ createdAt: -1 }).lean(),
+    FeePolicy.getPolicy()
+  ]);
+
+  res.json({
+    success: true,
+    data: concessions,
+    approvalThreshold: policy.concessionApproval
+  });
+});
+
+// @desc    Get the logged-in student's current and upcoming concessions
+// @route   GET /api/fees/me/concessions
+// @access  Private/Student
+const getMyConcessions = asyncHandler(async (req, res) => {
+  const today = new Date();
+  today.setHours(0, 0, 0, 0);
+
+  const concessions = await FeeConcession.find({
+    student: req.user._id,
+    status: 'approved',
+    $or: [{ validUntil: null }, { validUntil: { $gte: today } }]
+  })
+    .select('category type amount reason validFrom validUntil')
+    .sort({ validFrom: 1 })
+    .lean();
+
+  res.json({
+    success: true,
+    data: concessions
+  });
+});
+
+// @desc    Grant a student a concession
+// @route   POST /api/fees/students/:id/concessions
+// @access  Private/Admin (fees:write)
+const createConcession = asyncHandler(async (req, res) => {
+  const { category, type, amount, reason, validFrom, validUntil } = req.body;
+
+  const student = mongoose.isValidObjectId(req.params.id)
+    ? await User.findOne({ _id: req.params.id, role: 'student' }).select('name studentId')
+    : null;
+  if (!student) {
+    return res.status(404).json({ success: false, message: 'Student not found' });
+  }
+
+  const concession = new FeeConcession({
+    student: student._id,
+    category,
+    type,
+    amount,
+    reason,
+    validFrom,
+    validUntil: validUntil || null,
+    requestedBy: req.user._id
+  });
+
+  const pending = needsApproval(concession, await FeePolicy.getPolicy()) && !req.permissions.includes('fees:approve');
+  if (!pending) {
+    concession.status = 'approved';
+    concession.decidedBy = req.user._id;
+    concession.decidedAt = new Date();
+  }
+  await concession.save();
+  concession.student = student;
+
+  await recordAudit(req, {
+    action: 'fees.concession_create',
+    entityType: 'feeConcession',
+    entity: concession,
+    entityLabel: `${describeConcession(concession)} (${student.name})`,
+    after: snapshot(concession, AUDITED_FIELDS)
+  });
+
+  if (pending) {
+    try {
+      const notification = await Notification.createSystemNotification(
+        'Fee Concession Awaiting Approval',
+        `${req.user.name} requested ${describeConcession(concession)} for ${student.name} (${student.studentId}): ${concession.reason}`,
+        'admin',
+        { type: 'warning', priority: 'high', metadata: { concessionId: concession._id } }
+      );
+      emitNotification(notification);
+    } catch (error) {
+      console.error('Concession notification error:', error.message);
+    }
+  }
+
+  const creditText = pending ? '' : await applyApprovedConcession(concession, req);
+
+  res.status(201).json({
+    success: true,
+    message: pending
+      ? 'Concession requested. It applies once an admin approves it.'
+      : `Concession granted. ${creditText}`,
+    data: concession
+  });
+});
+
+/**
+ * Approve or reject a pending concession
+ * @param {string} decision - 'approved' or 'rejected'
+ */
+const decideConcession = (decision) => asyncHandler(async (req, res) => {
+  const { note = '' } = req.body;
+
+  if (typeof note !== 'string') {
+    return res.status(400).json({
+      success: false,
+      message: 'Note must be text'
+    });
+  }
+  if (decision === 'rejected' && !note.trim()) {
+    return res.status(400).json({
+      success: false,
+      message: 'A reason is required to reject a concession'
+    });
+  }
+
+  const concession = await findConcession(req.params.id);
+  if (!concession) return concessionNotFound(res);
+
+  if (concession.status !== 'pending') {
+    return res.status(400).json({
+      success: false,
+      message: `Concession is already ${concession.status}`
+    });
+  }
+
+  if (concession.requestedBy?.equals(req.user._id)) {
+    return res.status(403).json({
+      success: false,
+      message: 'Concessions must be approved by another admin'
+    });
+  }
+
+  const auditBefore = snapshot(concession, AUDITED_FIELDS);
+
+  concession.status = decision;
+  concession.decidedBy = req.user._id;
+  concession.decidedAt = new Date();
+  concession.decisionNote = note.trim();
+  await concession.save();
+
+  await recordAudit(req, {
+    action: decision === 'approved' ? 'fees.concession_approve' : 'fees.concession_reject',
+    entityType: 'feeConcession',
+    entity: concession,
+    entityLabel: `${describeConcession(concession)} (${concession.student.name})`,
+    before: auditBefore,
+    after: snapshot(concession, AUDITED_FIELDS)
+  });
+
+  const creditText = decision === 'approved' ? await applyApprovedConcession(concession, req) : '';
+
+  if (concession.requestedBy) {
+    try {
+      const notification = await Notification.createSystemNotification(
+        decision === 'approved' ? 'Fee Concession Approved' : 'Fee Concession Rejected',
+        `${describeConcession(concession)} you requested for ${concession.student.name} was ${decision} by ${req.user.name}${concession.decisionNote ? `: ${concession.decisionNote}` : '.'}`,
+        'admin',
+        { type: decision === 'approved' ? 'success' : 'warning', receiverId: concession.requestedBy, metadata: { concessionId: concession._id } }
+      );
+      emitNotification(notification);
+    } catch (error) {
+      console.error('Concession notification error:', error.message);
+    }
+  }
+
+  res.json({
+    success: true,
+    message: decision === 'approved' ? `Concession approved. ${creditText}` : 'Concession rejected',
+    data: concession
+  });
+});
+
+// @desc    Approve a pending concession
+// @route   PUT /api/fees/concessions/:id/approve
+// @access  Private/Admin (fees:approve)
+const approveConcession = decideConcession('approved');
+
+// @desc    Reject a pending concession
+// @route   PUT /api/fees/concessions/:id/reject
+// @access  Private/Admin (fees:approve)
+const rejectConcession = decideConcession('rejected');
+
+// @desc    Revoke a concession (or withdraw a pending request)
+// @route   PUT /api/fees/concessions/:id/revoke
+// @access  Private/Admin (fees:write)
+const revokeConcession = asyncHandler(async (req, res) => {
+  const { reason } = req.body;
+
+  if (typeof reason !== 'string' || !reason.trim()) {
+    return res.status(400).json({
+      success: false,
+      message: 'A reason is required to revoke a concession'
+    });
+  }
+
+  const concession = await findConcession(req.params.id);
+  if (!concession) return concessionNotFound(res);
+
+  if (!['pending', 'approved'].includes(concession.status)) {
+    return res.status(400).json({
+      success: false,
+      message: `Concession is already ${concession.status}`
+    });
+  }
+
+  const wasApproved = concession.status === 'approved';
+  const auditBefore = snapshot(concession, AUDITED_FIELDS);
+
+  concession.status = 'revoked';
+  concession.revokedBy = req.user._id;
+  concession.revokedAt = new Date();
+  concession.revokeReason = reason.trim();
+  await concession.save();
+
+  await recordAudit(req, {
+    action: 'fees.concession_revoke',
+    entityType: 'feeConcession',
+    entity: concession,
+    entityLabel: `${describeConcession(concession)} (${concession.student.name})`,
+    before: auditBefore,
+    after: snapshot(concession, AUDITED_FIELDS)
+  });
+
+  if (wasApproved) {
+    await announceToStudent(concession, req, `${describeConcession(concession)} revoked: ${concession.revokeReason}.`);
+  }
+
+  res.json({
+    success: true,
+    message: wasApproved
+      ? 'Concession revoked. Invoices already issued are not changed.'
+      : 'Concession request withdrawn',
+    data: concession
+  });
+});
+
+module.exports = {
+  getConcessions,
+  getStudentConcessions,
+  getMyConcessions,
+  createConcession,
+  approveConcession,
+  rejectConcession,
+  revokeConcession
+};
@@ -0,0 +1,388 @@
+/*
+ * Fee Controller
+ *
+ * Student fee ledger (see services/feeLedgerService):
+ * - Fee history of a student (admins) or of the logged-in student
+ * - Add invoices (charges), payments and notes
+ * - Void invoices and payments; entries are never deleted
+ * - Set a student's payment plan, used by term invoicing (see billingTermController)
+ * - PDF invoices and receipts (see services/feeDocumentService); receipts are emailed
+ *   to the student when a payment is recorded
+ *
+ * Every change recalculates the student's feeStatus and feeBalance and is recorded in
+ * the central audit log.
+ */
+
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const FeeInvoice = require('../models/FeeInvoice');
+const FeePayment = require('../models/FeePayment');
+const FeeNote = require('../models/FeeNote');
+const FeePolicy = require('../models/FeePolicy');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { getStudentLedger: buildStudentLedger, recalculateStudentFees } = require('../services/feeLedgerService');
+const { recordAudit, snapshot } = require('../services/auditService');
+const { findFeeDocument, buildFeeDocumentPdf, emailPaymentReceipt } = require('../services/feeDocumentService');
+const { defaultDueDate } = require('../services/feePolicyService');
+
+const INVOICE_AUDITED_FIELDS = ['invoiceNumber', 'term', 'description', 'amount', 'dueDate', 'status', 'voidReason'];
+const PAYMENT_AUDITED_FIELDS = ['receiptNumber', 'amount', 'method', 'reference', 'term', 'paidAt', 'invoice', 'status', 'voidReason'];
+
+const findStudent = (id) =>
+  mongoose.isValidObjectId(id)
+    ? User.findOne({ _id: id, role: 'student' }).select('name email studentId feeStatus feePaymentType customInstallment')
+    : null;
+
+const studentNotFound = (res) => res.status(404).json({
+  success: false,
+  message: 'Student not found'
+});
+
+// Balance and status after a change, for the audit log details
+const feeDetails = (student, fees) => ({
+  student: student.name,
+  balance: fees.balance,
+  feeStatus: fees.feeStatus,
+  ...(fees.previousFeeStatus !== fees.feeStatus && { previousFeeStatus: fees.previousFeeStatus })
+});
+
+// @desc    Get a student's fee history
+// @route   GET /api/fees/students/:id
+// @access  Private/Admin (users:read or fees:write)
+const getStudentLedger = asyncHandler(async (req, res) => {
+  const student = await findStudent(req.params.id);
+  if (!student) return studentNotFound(res);
+
+  const ledger = await buildStudentLedger(student._id);
+
+  res.json({
+    success: true,
+    data: { student, ...ledger }
+  });
+});
+
+// @desc    Get the logged-in student's fee history
+// @route   GET /api/fees/me
+// @access  Private/Student
+const getMyLedger = asyncHandler(async (req, res) => {
+  const ledger = await buildStudentLedger(req.user._id);
+
+  res.json({
+    success: true,
+    data: {
+      feeStatus: req.user.feeStatus,
+      feePaymentType: req.user.feePaymentType,
+      customInstallment: req.user.customInstallment ?? null,
+      ...ledger
+    }
+  });
+});
+
+// @desc    Add an invoice (charge) to a student's account
+// @route   POST /api/fees/students/:id/invoices
+// @access  Private/Admin (fees:write)
+const createInvoice = asyncHandler(async (req, res) => {
+  const { amount, term, description, dueDate } = req.body;
+
+  const student = await findStudent(req.params.id);
+  if (!student) return studentNotFound(res);
+
+  // Without a due date the invoice is due after the fee policy's default number of days
+  const invoice = await FeeInvoice.create({
+    student: student._id,
+    amount,
+    term,
+    description,
+    dueDate: dueDate || defaultDueDate(new Date(), await FeePolicy.getPolicy()),
+    issuedBy: req.user._id
+  });
+
+  const fees = await recalculateStudentFees(student._id, req.user);
+
+  await recordAudit(req, {
+    action: 'fees.invoice_create',
+    entityType: 'feeInvoice',
+    entity: invoice,
+    entityLabel: `${invoice.invoiceNumber} (${student.name})`,
+    after: snapshot(invoice, INVOICE_AUDITED_FIELDS),
+    details: feeDetails(student, fees)
+  });
+
+  res.status(201).json({
+    success: true,
+    message: `Invoice ${invoice.invoiceNumber} added`,
+    data: { invoice, fees }
+  });
+});
+
+// @desc    Record a payment from a student
+// @route   POST /api/fees/students/:id/payments
+// @access  Private/Admin (fees:write)
+const recordPayment = asyncHandler(async (req, res) => {
+  const { amount, method, reference, term, paidAt, invoice: invoiceId, notes } = req.body;
+
+  const student = await findStudent(req.params.id);
+  if (!student) return studentNotFound(res);
+
+  if (invoiceId) {
+    const invoice = mongoose.isValidObjectId(invoiceId) &&
+      await FeeInvoice.findOne({ _id: invoiceId, student: student._id, status: 'open', type: { $ne: 'credit' } });
+    if (!invoice) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invoice not found among the open invoices of this student'
+      });
+    }
+  }
+
+  if (paidAt && new Date(paidAt) > new Date()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Payment date cannot be in the future'
+    });
+  }
+
+  const payment = await FeePayment.create({
+    student: student._id,
+    amount,
+    method,
+    reference,
+    term,
+    paidAt: paidAt || Date.now(),
+    invoice: invoiceId || null,
+    notes,
+    recordedBy: req.user._id
+  });
+
+  const fees = await recalculateStudentFees(student._id, req.user);
+
+  await recordAudit(req, {
+    action: 'fees.payment_record',
+    entityType: 'feePayment',
+    entity: payment,
+    entityLabel: `${payment.receiptNumber} (${student.name})`,
+    after: snapshot(payment, PAYMENT_AUDITED_FIELDS),
+    details: feeDetails(student, fees)
+  });
+
+  // Not awaited: the payment is recorded whether or not the email goes out
+  emailPaymentReceipt(payment._id);
+
+  res.status(201).json({
+    success: true,
+    message: `Payment ${payment.receiptNumber} recorded. The receipt is being emailed to ${student.email}.`,
+    data: { payment, fees }
+  });
+});
+
+// @desc    Add a note to a student's fee history
+// @route   POST /api/fees/students/:id/notes
+// @access  Private/Admin (fees:write)
+const addFeeNote = asyncHandler(async (req, res) => {
+  const { text } = req.body;
+
+  const student = await findStudent(req.params.id);
+  if (!student) return studentNotFound(res);
+
+  const note = await FeeNote.create({
+    student: student._id,
+    text,
+    recordedBy: req.user._id
+  });
+
+  await recordAudit(req, {
+    action: 'fees.note_add',
+    entityType: 'user',
+    entity: student,
+    details: { note: note.text }
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Note added',
+    data: { note }
+  });
+});
+
+// @desc    Set a student's payment plan for term invoices
+// @route   PUT /api/fees/students/:id/plan
+// @access  Private/Admin (fees:write)
+const updatePaymentPlan = asyncHandler(async (req, res) => {
+  const { feePaymentType, customInstallment } = req.body;
+
+  const student = await findStudent(req.params.id);
+  if (!student) return studentNotFound(res);
+
+  if (feePaymentType === 'custom' && !(Number(customInstallment) > 0)) {
+    return res.status(400).json({
+      success: false,
+      message: 'An installment amount is required for a custom plan'
+    });
+  }
+
+  const auditBefore = snapshot(student, ['feePaymentType', 'customInstallment']);
+
+  student.feePaymentType = feePaymentType;
+  student.customInstallment = feePaymentType === 'custom' ? Number(customInstallment) : undefined;
+  await student.save();
+
+  await recordAudit(req, {
+    action: 'fees.plan_update',
+    entityType: 'user',
+    entity: student,
+    before: auditBefore,
+    after: snapshot(student, ['feePaymentType', 'customInstallment'])
+  });
+
+  res.json({
+    success: true,
+    message: 'Payment plan updated. It applies to invoices generated from now on.',
+    data: { feePaymentType: student.feePaymentType, customInstallment: student.customInstallment ?? null }
+  });
+});
+
+// @desc    Void an invoice
+// @route   PUT /api/fees/invoices/:id/void
+// @access  Private/Admin (fees:write)
+const voidInvoice = asyncHandler(async (req, res) => {
+  const { reason } = req.body;
+
+  if (typeof reason !== 'string' || !reason.trim()) {
+    return res.status(400).json({
+      success: false,
+      message: 'A reason is required to void an invoice'
+    });
+  }
+
+  const invoice = await FeeInvoice.findById(req.params.id).populate('student', 'name');
+  if (!invoice) {
+    return res.status(404).json({
+      success: false,
+      message: 'Invoice not found'
+    });
+  }
+
+  if (invoice.status === 'void') {
+    return res.status(400).json({
+      success: false,
+      message: 'Invoice is already void'
+    });
+  }
+
+  const auditBefore = snapshot(invoice, ['status', 'voidReason']);
+
+  invoice.status = 'void';
+  invoice.voidedAt = new Date();
+  invoice.voidedBy = req.user._id;
+  invoice.voidReason = reason.trim();
+  await invoice.save();
+
+  const fees = await recalculateStudentFees(invoice.student._id, req.user);
+
+  await recordAudit(req, {
+    action: 'fees.invoice_void',
+    entityType: 'feeInvoice',
+    entity: invoice,
+    entityLabel: `${invoice.invoiceNumber} (${invoice.student.name})`,
+    before: auditBefore,
+    after: snapshot(invoice, ['status', 'voidReason']),
+    details: feeDetails(invoice.student, fees)
+  });
+
+  res.json({
+    success: true,
+    message: `Invoice ${invoice.invoiceNumber} voided`,
+    data: { invoice, fees }
+  });
+});
+
+// @desc    Void a payment
+// @route   PUT /api/fees/payments/:id/void
+// @access  Private/Admin (fees:write)
+const voidPayment = asyncHandler(async (req, res) => {
+  const { reason } = req.body;
+
+  if (typeof reason !== 'string' || !reason.trim()) {
+    return res.status(400).json({
+      success: false,
+      message: 'A reason is required to void a payment'
+    });
+  }
+
+  const payment = await FeePayment.findById(req.params.id).populate('student', 'name');
+  if (!payment) {
+    return res.status(404).json({
+      success: false,
+      message: 'Payment not found'
+    });
+  }
+
+  if (payment.status === 'void') {
+    return res.status(400).json({
+      success: false,
+      message: 'Payment is already void'
+    });
+  }
+
+  const auditBefore = snapshot(payment, ['status', 'voidReason']);
+
+  payment.status = 'void';
+  payment.voidedAt = new Date();
+  payment.voidedBy = req.user._id;
+  payment.voidReason = reason.trim();
+  await payment.save();
+
+  const fees = await recalculateStudentFees(payment.student._id, req.user);
+
+  await recordAudit(req, {
+    action: 'fees.payment_void',
+    entityType: 'feePayment',
+    entity: payment,
+    entityLabel: `${payment.receiptNumber} (${payment.student.name})`,
+    before: auditBefore,
+    after: snapshot(payment, ['status', 'voidReason']),
+    details: feeDetails(payment.student, fees)
+  });
+
+  res.json({
+    success: true,
+    message: `Payment ${payment.receiptNumber} voided`,
+    data: { payment, fees }
+  });
+});
+
+// @desc    Download an invoice or payment receipt as PDF
+// @route   GET /api/fees/receipts/:id.pdf (id or INV-/RCT- number)
+// @access  Private (own documents for students; users:read or fees:write for admins)
+const downloadFeeDocument = asyncHandler(async (req, res) => {
+  const feeDocument = await findFeeDocument(req.params.id);
+
+  // Students only see their own documents; anything else is reported as missing
+  const student = feeDocument?.record.student;
+  if (!student || (req.user.role === 'student' && !student._id.equals(req.user._id))) {
+    return res.status(404).json({
+      success: false,
+      message: 'Invoice or receipt not found'
+    });
+  }
+
+  const pdf = await buildFeeDocumentPdf(feeDocument);
+
+  res.set({
+    'Content-Type': 'application/pdf',
+    'Content-Disposition': `${req.query.download === 'true' ? 'attachment' : 'inline'}; filename="${pdf.filename}"`
+  });
+  res.send(pdf.buffer);
+});
+
+module.exports = {
+  getStudentLedger,
+  getMyLedger,
+  createInvoice,
+  recordPayment,
+  addFeeNote,
+  updatePaymentPlan,
+  voidInvoice,
+  voidPayment,
+  downloadFeeDocument
+};
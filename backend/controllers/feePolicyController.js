@@ -0,0 +1,110 @@
+/*
+ * Fee Policy Controller
+ *
+ * Fee collection rules (see services/feePolicyService):
+ * - View and change the policy: due dates, grace period, late fees, reminders and
+ *   defaulter marking, and the approval threshold of fee concessions
+ * - Dry-run report of what applying it today would do, and applying it now
+ */
+
+const FeePolicy = require('../models/FeePolicy');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { planFeePolicy, runFeePolicy: applyFeePolicy } = require('../services/feePolicyService');
+const { recordAudit, snapshot } = require('../services/auditService');
+
+const AUDITED_FIELDS = ['enabled', 'defaultDueDays', 'graceDays', 'lateFee', 'reminders', 'defaulter', 'concessionApproval'];
+// Settings that are groups of fields, changed one field at a time
+const NESTED_FIELDS = {
+  lateFee: ['enabled', 'type', 'amount'],
+  reminders: ['email', 'inApp', 'beforeDueDays', 'afterDueDays'],
+  defaulter: ['enabled', 'afterDueDays', 'minBalance', 'suspendTransport'],
+  concessionApproval: ['percentage', 'amount']
+};
+
+// @desc    Get the fee policy
+// @route   GET /api/fees/policy
+// @access  Private/Admin (users:read or fees:write)
+const getFeePolicy = asyncHandler(async (req, res) => {
+  const policy = await FeePolicy.getPolicy();
+  await policy.populate('updatedBy', 'name');
+
+  res.json({
+    success: true,
+    data: policy
+  });
+});
+
+// @desc    Change the fee policy
+// @route   PUT /api/fees/policy
+// @access  Private/Admin (fees:write)
+const updateFeePolicy = asyncHandler(async (req, res) => {
+  const policy = await FeePolicy.getPolicy();
+  const auditBefore = snapshot(policy, AUDITED_FIELDS);
+
+  for (const field of ['enabled', 'defaultDueDays', 'graceDays']) {
+    if (req.body[field] !== undefined) policy[field] = req.body[field];
+  }
+  for (const [group, fields] of Object.entries(NESTED_FIELDS)) {
+    for (const field of fields) {
+      if (req.body[group]?.[field] !== undefined) policy[group][field] = req.body[group][field];
+    }
+  }
+  policy.updatedBy = req.user._id;
+  await policy.save();
+
+  await recordAudit(req, {
+    action: 'fees.policy_update',
+    entityType: 'feePolicy',
+    entity: policy,
+    entityLabel: 'Fee policy',
+    before: auditBefore,
+    after: snapshot(policy, AUDITED_FIELDS)
+  });
+
+  res.json({
+    success: true,
+    message: 'Fee policy updated',
+    data: policy
+  });
+});
+
+// @desc    Dry run: what applying the fee policy today would do
+// @route   GET /api/fees/policy/preview
+// @access  Private/Admin (fees:write)
+const previewFeePolicy = asyncHandler(async (req, res) => {
+  const policy = await FeePolicy.getPolicy();
+  const plan = await planFeePolicy(policy);
+
+  res.json({
+    success: true,
+    data: plan
+  });
+});
+
+// @desc    Apply the fee policy now
+// @route   POST /api/fees/policy/run
+// @access  Private/Admin (fees:write)
+const runFeePolicy = asyncHandler(async (req, res) => {
+  const result = await applyFeePolicy(req);
+  if (!result.success) {
+    return res.status(result.statusCode).json({
+      success: false,
+      message: result.message
+    });
+  }
+
+  const { summary, failed } = result;
+  res.json({
+    success: true,
+    message: `${summary.reminders} reminders sent, ${summary.lateFees} late fees charged, ${summary.defaulters} students marked as defaulters` +
+      (failed.length ? ` (${failed.length} failed, see the server log)` : ''),
+    data: { summary, failed }
+  });
+});
+
+module.exports = {
+  getFeePolicy,
+  updateFeePolicy,
+  previewFeePolicy,
+  runFeePolicy
+};
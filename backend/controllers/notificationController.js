@@ -15,6 +15,7 @@ const User = require('../models/User');
 const Bus = require('../models/Bus');
 const { asyncHandler } = require('../middleware/errorHandler');
 const { emitNotification } = require('../services/socketService');
+const { recordAudit } = require('../services/auditService');
 
 
 const getNotifications = asyncHandler(async (req, res) => {
@@ -236,6 +237,7 @@ const sendNotification = asyncHandler(async (req, res) => {
   const senderRole = req.user.role;
 
   const notifications = [];
+  let target = null; // Who it went to, for the audit log
 
   try {
     if (targetType === 'individual') {
@@ -254,6 +256,7 @@ const sendNotification = asyncHandler(async (req, res) => {
         });
       }
 
+      target = receiver.email;
       const notification = await Notification.create({
         title,
         message,
@@ -284,6 +287,7 @@ const sendNotification = asyncHandler(async (req, res) => {
         });
       }
 
+      target = targetRole;
       const notification = await Notification.create({
         title,
         message,
@@ -335,6 +339,7 @@ const sendNotification = asyncHandler(async (req, res) => {
         });
       }
 
+      target = `Bus ${bus.busNumber}`;
       // Create individual notifications for each student
       for (const student of students) {
         const notification = await Notification.create({
@@ -357,6 +362,7 @@ const sendNotification = asyncHandler(async (req, res) => {
       }
     }
     else if (targetType === 'all') {
+      target = 'all';
       const notification = await Notification.create({
         title,
         message,
@@ -379,6 +385,13 @@ const sendNotification = asyncHandler(async (req, res) => {
       });
     }
 
+    await recordAudit(req, {
+      action: 'notification.send',
+      entityType: 'notification',
+      entity: notifications[0],
+      details: { targetType, target, recipients: notifications.length, type: notifications[0].type, priority: notifications[0].priority, message }
+    });
+
     res.status(201).json({
       success: true,
       message: 'Notification sent successfully',
@@ -434,6 +447,16 @@ const deleteNotification = asyncHandler(async (req, res) => {
 
   await Notification.findByIdAndDelete(req.params.id);
 
+  // Users clearing their own inbox isn't an administrative action
+  if (userRole === 'admin') {
+    await recordAudit(req, {
+      action: 'notification.delete',
+      entityType: 'notification',
+      entity: notification,
+      details: { receiverRole: notification.receiverRole, message: notification.message }
+    });
+  }
+
   res.json({
     success: true,
     message: 'Notification deleted successfully'
@@ -0,0 +1,138 @@
+const crypto = require('crypto');
+const User = require('../models/User');
+const { asyncHandler } = require('../middleware/errorHandler');
+const sendEmail = require('../utils/email');
+const { clearTokenCookie } = require('../utils/jwtHelper');
+const { revokeUserSessions } = require('../services/sessionService');
+
+// Same answer whether or not the account exists, so the endpoint can't be used to look up emails
+const FORGOT_PASSWORD_MESSAGE = 'If an account exists for this email, a password reset link has been sent.';
+
+// @desc    Send a password reset link
+// @route   POST /api/auth/forgot-password
+// @access  Public
+const forgotPassword = asyncHandler(async (req, res) => {
+  const { email } = req.body;
+
+  if (typeof email !== 'string' || !email.trim()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Email address is required'
+    });
+  }
+
+  const user = await User.findOne({ email: email.toLowerCase().trim() });
+
+  if (!user) {
+    return res.status(200).json({
+      success: true,
+      message: FORGOT_PASSWORD_MESSAGE
+    });
+  }
+
+  // Generate a reset token (only its hash is stored)
+  const resetToken = user.createPasswordResetToken();
+  await user.save({ validateBeforeSave: false });
+
+  const resetURL = `${process.env.FRONTEND_URL || 'http://localhost:5173'}/reset-password?token=${resetToken}`;
+  const message = `We received a request to reset the password for your MyCampusRide account.\n\nReset your password by clicking the following link (valid for 1 hour):\n\n${resetURL}\n\nIf you did not request this, please ignore this email. Your password will not change.`;
+
+  try {
+    await sendEmail({
+      email: user.email,
+      subject: 'MyCampusRide - Reset your password',
+      message
+    });
+  } catch (err) {
+    user.passwordResetToken = undefined;
+    user.passwordResetExpires = undefined;
+    await user.save({ validateBeforeSave: false });
+    console.error('Password reset email error:', err);
+    return res.status(500).json({
+      success: false,
+      message: 'There was an error sending the password reset email. Please try again later.'
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    message: FORGOT_PASSWORD_MESSAGE
+  });
+});
+
+// @desc    Set a new password using a reset token
+// @route   POST /api/auth/reset-password/:token
+// @access  Public
+const resetPassword = asyncHandler(async (req, res) => {
+  const { token } = req.params;
+  const { password } = req.body;
+
+  // Same rules as registration and change password
+  if (typeof password !== 'string' || password.length < 6) {
+    return res.status(400).json({
+      success: false,
+      message: 'Password must be at least 6 characters long'
+    });
+  }
+  if (!/[A-Z]/.test(password)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Password must contain at least one uppercase letter'
+    });
+  }
+  if (!/[0-9]/.test(password)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Password must contain at least one number'
+    });
+  }
+
+  // Hash token to compare with DB
+  const hashedToken = crypto.createHash('sha256').update(token).digest('hex');
+
+  const user = await User.findOne({
+    passwordResetToken: hashedToken,
+    passwordResetExpires: { $gt: Date.now() }
+  });
+
+  if (!user) {
+    return res.status(400).json({
+      success: false,
+      message: 'Password reset link is invalid or has expired'
+    });
+  }
+
+  user.password = password;
+  user.passwordResetToken = undefined;
+  user.passwordResetExpires = undefined;
+  // Signs out every device that was logged in with the old password
+  user.passwordChangedAt = new Date();
+  // A reset proves ownership of the inbox, so it also lifts a sign-in lockout
+  user.failedLoginAttempts = 0;
+  user.lastFailedLoginAt = undefined;
+  user.lockUntil = undefined;
+  await user.save();
+
+  await revokeUserSessions(user._id, 'password_reset');
+  clearTokenCookie(res);
+
+  try {
+    await sendEmail({
+      email: user.email,
+      subject: 'MyCampusRide - Your password was changed',
+      message: `The password for your MyCampusRide account was just reset and all devices were signed out.\n\nIf you did not do this, please contact the transport office immediately.`
+    });
+  } catch (err) {
+    console.error('Password changed email error:', err);
+  }
+
+  res.status(200).json({
+    success: true,
+    message: 'Password reset successfully. You can now log in with your new password.'
+  });
+});
+
+module.exports = {
+  forgotPassword,
+  resetPassword
+};
@@ -0,0 +1,230 @@
+/*
+ * Payment Controller
+ *
+ * Online fee payments (see services/onlinePaymentService):
+ * - Students start a checkout for an open invoice and follow its status
+ * - Payment provider webhooks
+ * - Admins list online payments and run the reconciliation on demand
+ * - The checkout page of the local mock provider
+ */
+
+const mongoose = require('mongoose');
+const PaymentIntent = require('../models/PaymentIntent');
+const { asyncHandler } = require('../middleware/errorHandler');
+const {
+  startCheckout,
+  handleWebhook: applyWebhook,
+  refreshIntent,
+  reconcilePayments: runReconciliation
+} = require('../services/onlinePaymentService');
+const mockProvider = require('../services/paymentProviders/mockProvider');
+const { getActivePaymentProvider } = require('../services/paymentProviders');
+const { recordAudit } = require('../services/auditService');
+
+const INTENT_FIELDS = 'invoice amount currency provider providerReference checkoutUrl status expiresAt paidAmount paidAt failureReason confirmedBy payment createdAt';
+
+const paymentNotFound = (res) => res.status(404).json({
+  success: false,
+  message: 'Payment not found'
+});
+
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// @desc    Start paying an invoice online
+// @route   POST /api/payments/checkout
+// @access  Private/Student
+const createCheckout = asyncHandler(async (req, res) => {
+  const result = await startCheckout(req.user, req.body.invoiceId);
+  if (!result.success) {
+    return res.status(result.statusCode).json({
+      success: false,
+      message: result.message
+    });
+  }
+
+  res.status(201).json({
+    success: true,
+    data: {
+      paymentId: result.intent._id,
+      checkoutUrl: result.intent.checkoutUrl,
+      amount: result.intent.amount,
+      expiresAt: result.intent.expiresAt
+    }
+  });
+});
+
+// @desc    Get the logged-in student's recent online payments
+// @route   GET /api/payments/me
+// @access  Private/Student
+const getMyPayments = asyncHandler(async (req, res) => {
+  const payments = await PaymentIntent.find({ student: req.user._id })
+    .select(INTENT_FIELDS)
+    .populate('invoice', 'invoiceNumber description')
+    .sort({ createdAt: -1 })
+    .limit(20)
+    .lean();
+
+  res.json({
+    success: true,
+    data: payments
+  });
+});
+
+// @desc    Get an online payment, checking its status with the provider while pending
+// @route   GET /api/payments/:id
+// @access  Private (own payments for students; users:read or fees:write for admins)
+const getPayment = asyncHandler(async (req, res) => {
+  if (!mongoose.isValidObjectId(req.params.id)) return paymentNotFound(res);
+
+  let intent = await PaymentIntent.findById(req.params.id);
+  if (!intent || (req.user.role === 'student' && !intent.student.equals(req.user._id))) {
+    return paymentNotFound(res);
+  }
+
+  intent = await refreshIntent(intent);
+  await intent.populate([
+    { path: 'invoice', select: 'invoiceNumber description' },
+    { path: 'payment', select: 'receiptNumber' }
+  ]);
+
+  res.json({
+    success: true,
+    data: intent
+  });
+});
+
+// @desc    Payment provider webhook
+// @route   POST /api/payments/webhooks/:provider
+// @access  Public (verified by the provider's signature)
+const handleWebhook = asyncHandler(async (req, res) => {
+  const result = await applyWebhook(req.params.provider, req.rawBody, req.headers);
+  if (!result.success) {
+    return res.status(result.statusCode).json({
+      success: false,
+      message: result.message
+    });
+  }
+
+  res.json({
+    success: true,
+    message: result.message
+  });
+});
+
+// @desc    Get online payments
+// @route   GET /api/payments
+// @access  Private/Admin (users:read or fees:write)
+const getPayments = asyncHandler(async (req, res) => {
+  const { status } = req.query;
+  const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+  const limit = Math.min(100, Math.max(1, parseInt(req.query.limit, 10) || 25));
+
+  const filter = status ? { status } : {};
+  const [payments, total] = await Promise.all([
+    PaymentIntent.find(filter)
+      .select(`student ${INTENT_FIELDS} lastCheckedAt`)
+      .populate('student', 'name studentId')
+      .populate('invoice', 'invoiceNumber')
+      .populate('payment', 'receiptNumber')
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean(),
+    PaymentIntent.countDocuments(filter)
+  ]);
+
+  res.json({
+    success: true,
+    data: payments,
+    pagination: { page, limit, total, pages: Math.ceil(total / limit) },
+    provider: getActivePaymentProvider()?.name || null
+  });
+});
+
+// @desc    Reconcile pending online payments now
+// @route   POST /api/payments/reconcile
+// @access  Private/Admin (fees:write)
+const reconcilePayments = asyncHandler(async (req, res) => {
+  const counts = await runReconciliation();
+
+  await recordAudit(req, {
+    action: 'fees.payment_reconcile',
+    entityType: 'feePayment',
+    entityLabel: 'Online payments',
+    details: counts
+  });
+
+  res.json({
+    success: true,
+    message: `Checked ${counts.checked} pending payments: ${counts.succeeded} succeeded, ${counts.failed} failed, ${counts.expired} expired`,
+    data: counts
+  });
+});
+
+// @desc    Checkout page of the mock payment provider
+// @route   GET /api/payments/mock/checkout/:reference
+// @access  Public (only while the mock provider is enabled and active)
+const mockCheckoutPage = (req, res) => {
+  const checkout = getActivePaymentProvider()?.name === mockProvider.name && mockProvider.getCheckout(req.params.reference);
+  if (!checkout) return res.status(404).send('Checkout not found');
+
+  const amount = `${checkout.currency} ${Number(checkout.amount).toLocaleString('en-US')}`;
+  const body = checkout.status === 'pending'
+    ? `<form method="post">
+        <p>Pay <strong>${escapeHtml(amount)}</strong> for ${escapeHtml(checkout.description)}</p>
+        <p class="muted">${escapeHtml(checkout.customer?.name)} &middot; ${escapeHtml(checkout.customer?.email)}</p>
+        <button name="outcome" value="pay">Pay ${escapeHtml(amount)}</button>
+        <button name="outcome" value="decline" class="secondary">Decline</button>
+      </form>`
+    : `<p>This checkout is ${escapeHtml(checkout.status)}.</p><a href="${escapeHtml(checkout.returnUrl)}">Back to MyCampusRide</a>`;
+
+  res.send(`<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <title>Mock Payment</title>
+  <style>
+    body { font-family: system-ui, sans-serif; background: #F1F5F9; display: flex; justify-content: center; padding: 48px 16px; }
+    main { background: #fff; border-radius: 12px; padding: 32px; max-width: 420px; box-shadow: 0 4px 16px rgba(15, 23, 42, 0.08); }
+    .muted { color: #64748B; font-size: 14px; }
+    button { border: 0; border-radius: 8px; padding: 10px 18px; font-size: 15px; cursor: pointer; background: #0EA5E9; color: #fff; margin-right: 8px; }
+    button.secondary { background: #E2E8F0; color: #0F172A; }
+  </style>
+</head>
+<body>
+  <main>
+    <h2>Mock Payment Provider</h2>
+    <p class="muted">Test checkout - no money is charged.</p>
+    ${body}
+  </main>
+</body>
+</html>`);
+};
+
+// @desc    Pay or decline a mock checkout, then return to the app
+// @route   POST /api/payments/mock/checkout/:reference
+// @access  Public (only while the mock provider is enabled and active)
+const mockCheckoutSubmit = asyncHandler(async (req, res) => {
+  if (getActivePaymentProvider()?.name !== mockProvider.name) return res.status(404).send('Checkout not found');
+
+  const checkout = await mockProvider.completeCheckout(req.params.reference, req.body.outcome === 'pay');
+  if (!checkout) return res.status(404).send('Checkout not found');
+
+  res.redirect(303, checkout.returnUrl);
+});
+
+module.exports = {
+  createCheckout,
+  getMyPayments,
+  getPayment,
+  handleWebhook,
+  getPayments,
+  reconcilePayments,
+  mockCheckoutPage,
+  mockCheckoutSubmit
+};
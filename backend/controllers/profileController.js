@@ -2,6 +2,7 @@ const User = require('../models/User');
 const Route = require('../models/Route');
 const Bus = require('../models/Bus');
 const { asyncHandler } = require('../middleware/errorHandler');
+const { withPermissions } = require('../services/permissionService');
 
 // @desc    Get current user
 // @route   GET /api/auth/me
@@ -15,11 +16,12 @@ const getMe = asyncHandler(async (req, res) => {
         { path: 'routeId', select: 'routeName routeNo stops departureTime estimatedDuration distance' }
       ]
     })
-    .populate('assignedRoute', 'routeName routeNo stops departureTime estimatedDuration distance');
+    .populate('assignedRoute', 'routeName routeNo stops departureTime estimatedDuration distance')
+    .populate('adminRole', 'name permissions');
 
   res.json({
     success: true,
-    data: user
+    data: await withPermissions(user)
   });
 });
 
@@ -224,9 +226,15 @@ const selectRoute = asyncHandler(async (req, res) => {
   }
 
   // Update the student's assignedRoute, stopName, and clear bus
+  const routeChanged = String(req.user.assignedRoute || '') !== String(routeId) || (req.user.stopName || null) !== (stopName || null);
   const updatedUser = await User.findByIdAndUpdate(
     userId,
-    { assignedRoute: routeId, assignedBus: null, stopName: stopName || null },
+    {
+      assignedRoute: routeId,
+      assignedBus: null,
+      stopName: stopName || null,
+      ...(routeChanged && { routeAssignedAt: new Date() })
+    },
     { new: true, runValidators: true }
   ).populate('assignedRoute', 'routeName routeNo description departureTime distance estimatedDuration stops');
 
@@ -13,6 +13,13 @@ const Route = require('../models/Route');
 const Bus = require('../models/Bus');
 const User = require('../models/User');
 const { asyncHandler } = require('../middleware/errorHandler');
+const { recordAudit, snapshot } = require('../services/auditService');
+
+// Route fields compared in audit log entries (the road geometry is left out, it's just points)
+const AUDITED_FIELDS = [
+  'routeNo', 'routeName', 'description', 'stops', 'departureTime', 'distance',
+  'estimatedDuration', 'color', 'isActive', 'offRouteDistance', 'speedLimitKmh'
+];
 
 // @desc    Get all routes
 // @route   GET /api/routes
@@ -80,7 +87,10 @@ const createRoute = asyncHandler(async (req, res) => {
     departureTime, 
     distance, 
     estimatedDuration, 
-    color 
+    color,
+    path,
+    offRouteDistance,
+    speedLimitKmh
   } = req.body;
 
   // Check if route number already exists
@@ -127,7 +137,17 @@ const createRoute = asyncHandler(async (req, res) => {
     departureTime,
     distance,
     estimatedDuration,
-    color
+    color,
+    path,
+    offRouteDistance,
+    speedLimitKmh
+  });
+
+  await recordAudit(req, {
+    action: 'route.create',
+    entityType: 'route',
+    entity: route,
+    after: snapshot(route, AUDITED_FIELDS)
   });
 
   res.status(201).json({
@@ -150,7 +170,10 @@ const updateRoute = asyncHandler(async (req, res) => {
     distance, 
     estimatedDuration, 
     color,
-    isActive 
+    isActive,
+    path,
+    offRouteDistance,
+    speedLimitKmh
   } = req.body;
   
   const route = await Route.findById(req.params.id);
@@ -207,11 +230,22 @@ const updateRoute = asyncHandler(async (req, res) => {
       distance, 
       estimatedDuration, 
       color,
-      isActive 
+      isActive,
+      path,
+      offRouteDistance,
+      speedLimitKmh
     },
     { new: true, runValidators: true }
   );
 
+  await recordAudit(req, {
+    action: 'route.update',
+    entityType: 'route',
+    entity: updatedRoute,
+    before: snapshot(route, AUDITED_FIELDS),
+    after: snapshot(updatedRoute, AUDITED_FIELDS)
+  });
+
   res.json({
     success: true,
     message: 'Route updated successfully',
@@ -254,6 +288,13 @@ const deleteRoute = asyncHandler(async (req, res) => {
 
   await Route.findByIdAndDelete(req.params.id);
 
+  await recordAudit(req, {
+    action: 'route.delete',
+    entityType: 'route',
+    entity: route,
+    before: snapshot(route, AUDITED_FIELDS)
+  });
+
   res.json({
     success: true,
     message: 'Route deleted successfully'
@@ -342,6 +383,8 @@ const assignBusToRoute = asyncHandler(async (req, res) => {
     });
   }
 
+  const auditBefore = snapshot(await bus.populate({ path: 'routeId', select: 'routeName' }), ['routeId']);
+
   // Update bus route assignment
   bus.routeId = req.params.id;
   await bus.save();
@@ -352,6 +395,14 @@ const assignBusToRoute = asyncHandler(async (req, res) => {
     await route.save();
   }
 
+  await recordAudit(req, {
+    action: 'route.assign_bus',
+    entityType: 'bus',
+    entity: bus,
+    before: auditBefore,
+    after: { routeId: route.routeName }
+  });
+
   res.json({
     success: true,
     message: 'Bus assigned to route successfully',
@@ -0,0 +1,148 @@
+const Session = require('../models/Session');
+const User = require('../models/User');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { setAuthCookies, clearTokenCookie } = require('../utils/jwtHelper');
+const { rotateSession, revokeSession, revokeUserSessions, describeDevice } = require('../services/sessionService');
+const { recordAudit } = require('../services/auditService');
+
+const formatSession = (session, currentSessionId) => ({
+  _id: session._id,
+  device: describeDevice(session.userAgent),
+  userAgent: session.userAgent,
+  ipAddress: session.ipAddress,
+  createdAt: session.createdAt,
+  lastUsedAt: session.lastUsedAt,
+  expiresAt: session.expiresAt,
+  current: currentSessionId ? session._id.equals(currentSessionId) : false
+});
+
+// @desc    Get a new access token with the refresh token cookie
+// @route   POST /api/auth/refresh
+// @access  Public (refresh token cookie)
+const refreshSession = asyncHandler(async (req, res) => {
+  const result = await rotateSession(req.cookies.refreshToken);
+
+  if (!result.success) {
+    clearTokenCookie(res);
+    return res.status(result.statusCode).json({
+      success: false,
+      message: result.message
+    });
+  }
+
+  const user = await User.findById(result.session.user).select('status');
+  if (!user || user.status === 'suspended') {
+    await revokeSession(result.session, 'suspended');
+    clearTokenCookie(res);
+    return res.status(401).json({
+      success: false,
+      message: 'Account is suspended. Please contact administrator.'
+    });
+  }
+
+  setAuthCookies(res, result.session, result.refreshToken);
+
+  res.json({
+    success: true,
+    message: 'Session refreshed'
+  });
+});
+
+// @desc    Get my signed-in devices
+// @route   GET /api/auth/sessions
+// @access  Private
+const getMySessions = asyncHandler(async (req, res) => {
+  const sessions = await Session.findActiveForUser(req.user._id);
+
+  res.json({
+    success: true,
+    data: sessions.map(session => formatSession(session, req.sessionId))
+  });
+});
+
+// @desc    Sign out one of my devices
+// @route   DELETE /api/auth/sessions/:id
+// @access  Private
+const revokeMySession = asyncHandler(async (req, res) => {
+  const session = await Session.findOne({ _id: req.params.id, user: req.user._id });
+
+  if (!session || !session.isActive()) {
+    return res.status(404).json({
+      success: false,
+      message: 'Session not found'
+    });
+  }
+
+  await revokeSession(session, 'user');
+
+  const isCurrent = session._id.equals(req.sessionId);
+  if (isCurrent) clearTokenCookie(res);
+
+  res.json({
+    success: true,
+    message: isCurrent ? 'Signed out of this device' : 'Device signed out successfully',
+    data: { current: isCurrent }
+  });
+});
+
+// @desc    Sign out all my other devices
+// @route   DELETE /api/auth/sessions
+// @access  Private
+const revokeOtherSessions = asyncHandler(async (req, res) => {
+  const count = await revokeUserSessions(req.user._id, 'user', { exceptSessionId: req.sessionId });
+
+  res.json({
+    success: true,
+    message: count > 0
+      ? `Signed out of ${count} other device${count === 1 ? '' : 's'}`
+      : 'No other devices were signed in',
+    data: { count }
+  });
+});
+
+// @desc    Force sign-out a user on all devices
+// @route   POST /api/users/:id/force-logout
+// @access  Private/Admin
+const forceSignOutUser = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.params.id).select('name email');
+
+  if (!user) {
+    return res.status(404).json({
+      success: false,
+      message: 'User not found'
+    });
+  }
+
+  if (user._id.equals(req.user._id)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Use "Sign out other devices" in your profile to sign yourself out'
+    });
+  }
+
+  const count = await revokeUserSessions(user._id, 'admin');
+  console.log(`🔒 Admin ${req.user.email} signed out ${user.email} (${count} sessions)`);
+
+  await recordAudit(req, {
+    action: 'user.force_logout',
+    entityType: 'user',
+    entity: user,
+    details: { sessionsRevoked: count }
+  });
+
+  res.json({
+    success: true,
+    message: count > 0
+      ? `${user.name} was signed out of ${count} device${count === 1 ? '' : 's'}`
+      : `${user.name} had no active sessions`,
+    data: { count }
+  });
+});
+
+module.exports = {
+  refreshSession,
+  getMySessions,
+  revokeMySession,
+  revokeOtherSessions,
+  forceSignOutUser
+};
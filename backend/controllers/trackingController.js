@@ -7,13 +7,36 @@
  * - Update bus location (real-time location updates during trip)
  * - Get bus location (for students tracking their bus)
  * - Get all bus locations (for admin dashboard map view)
+ * - Trip history (every trip is stored as a Trip document with its GPS breadcrumbs)
  */
 
 const Bus = require('../models/Bus');
 const Route = require('../models/Route');
+const Trip = require('../models/Trip');
+const TripPoint = require('../models/TripPoint');
 const Notification = require('../models/Notification');
+const User = require('../models/User');
 const { asyncHandler } = require('../middleware/errorHandler');
-const { broadcastLocationUpdate, broadcastTripStatus } = require('../services/socketService');
+const { computeEta, getLatestEta } = require('../services/etaService');
+const { ingestLocation, ingestLocationBatch } = require('../services/locationService');
+const { beginTrip, endTrip } = require('../services/tripService');
+const { startSimulation, stopSimulation, listSimulations } = require('../services/simulatorService');
+const { summarizeTrips, listTripEvents } = require('../services/drivingSafetyService');
+const { recordAudit } = require('../services/auditService');
+
+// Safety reports cover the last 30 days unless a range is given
+const DEFAULT_SAFETY_REPORT_DAYS = 30;
+
+/**
+ * Trip filter for a safety report: real trips (not simulated) started in the requested range
+ */
+const buildSafetyFilter = ({ from, to }) => ({
+  simulated: { $ne: true },
+  startTime: {
+    $gte: from ? new Date(from) : new Date(Date.now() - DEFAULT_SAFETY_REPORT_DAYS * 24 * 60 * 60 * 1000),
+    ...(to && { $lte: new Date(to) })
+  }
+});
 
 // @desc    Start trip
 // @route   POST /api/tracking/start-trip
@@ -47,18 +70,14 @@ const startTrip = asyncHandler(async (req, res) => {
   }
 
   // Start trip
-  bus.isOnTrip = true;
-  bus.status = 'on_trip';
-  bus.tripStartTime = new Date();
-  await bus.save();
-
-  // Broadcast trip started to relevant users
-  broadcastTripStatus({
-    busId: bus._id,
-    routeId: bus.routeId._id,
-    driverId: driverId,
-    busNumber: bus.busNumber,
-    status: 'started'
+  const trip = await beginTrip(bus, { driverId });
+
+  await recordAudit(req, {
+    action: 'trip.start',
+    entityType: 'trip',
+    entity: trip,
+    entityLabel: `Bus ${bus.busNumber}`,
+    details: { route: bus.routeId?.routeName || null }
   });
 
   // Create notification for students on this route
@@ -81,6 +100,7 @@ const startTrip = asyncHandler(async (req, res) => {
     message: 'Trip started successfully',
     data: {
       bus: bus,
+      trip: trip,
       tripStartTime: bus.tripStartTime
     }
   });
@@ -110,23 +130,15 @@ const stopTrip = asyncHandler(async (req, res) => {
     });
   }
 
-  // Calculate trip duration
-  const tripDuration = new Date() - bus.tripStartTime;
-  const tripDurationMinutes = Math.round(tripDuration / (1000 * 60));
+  // Stop trip and close the trip record
+  const { trip, durationMinutes: tripDurationMinutes } = await endTrip(bus, { driverId });
 
-  // Stop trip
-  bus.isOnTrip = false;
-  bus.status = 'available';
-  bus.tripStartTime = null;
-  await bus.save();
-
-  // Broadcast trip ended to relevant users
-  broadcastTripStatus({
-    busId: bus._id,
-    routeId: bus.routeId._id,
-    driverId: driverId,
-    busNumber: bus.busNumber,
-    status: 'ended'
+  await recordAudit(req, {
+    action: 'trip.stop',
+    entityType: 'trip',
+    entity: trip,
+    entityLabel: `Bus ${bus.busNumber}`,
+    details: { route: bus.routeId?.routeName || null, durationMinutes: tripDurationMinutes }
   });
 
   // Create notification for students on this route
@@ -149,6 +161,7 @@ const stopTrip = asyncHandler(async (req, res) => {
     message: 'Trip stopped successfully',
     data: {
       bus: bus,
+      trip: trip,
       tripDuration: tripDurationMinutes
     }
   });
@@ -158,7 +171,7 @@ const stopTrip = asyncHandler(async (req, res) => {
 // @route   PUT /api/tracking/update-location
 // @access  Private/Driver
 const updateLocation = asyncHandler(async (req, res) => {
-  const { latitude, longitude, address } = req.body;
+  const { latitude, longitude, address, accuracy, speed, heading, timestamp } = req.body;
   const driverId = req.user._id;
 
   // Find driver's assigned bus
@@ -171,40 +184,64 @@ const updateLocation = asyncHandler(async (req, res) => {
     });
   }
 
-  if (!bus.isOnTrip) {
-    return res.status(400).json({
-      success: false,
-      message: 'Cannot update location when not on a trip'
-    });
-  }
-
-  // Update location
-  bus.currentLocation = {
+  // Validate, persist and broadcast through the shared ingestion pipeline
+  const result = await ingestLocation(bus._id, {
     latitude,
     longitude,
-    address: address || 'Location not available'
-  };
-  bus.lastLocationUpdate = new Date();
-  await bus.save();
-
-  // Broadcast location update to relevant users
-  broadcastLocationUpdate({
-    busId: bus._id,
-    routeId: bus.routeId?._id,
-    location: bus.currentLocation
+    address,
+    accuracy,
+    speed,
+    heading,
+    recordedAt: timestamp
   });
 
+  if (!result.success) {
+    return res.status(result.statusCode).json({
+      success: false,
+      message: result.message
+    });
+  }
+
   res.json({
     success: true,
     message: 'Location updated successfully',
     data: {
-      bus: bus,
-      location: bus.currentLocation,
-      lastUpdate: bus.lastLocationUpdate
+      bus: result.bus,
+      location: result.location,
+      lastUpdate: result.recordedAt
     }
   });
 });
 
+// @desc    Upload locations recorded while the driver was offline
+// @route   POST /api/tracking/locations/batch
+// @access  Private/Driver
+const uploadLocationBatch = asyncHandler(async (req, res) => {
+  const bus = await Bus.findOne({ driverId: req.user._id });
+
+  if (!bus) {
+    return res.status(404).json({
+      success: false,
+      message: 'No bus assigned to you'
+    });
+  }
+
+  const result = await ingestLocationBatch(bus._id, req.body.points);
+
+  if (!result.success) {
+    return res.status(result.statusCode).json({
+      success: false,
+      message: result.message
+    });
+  }
+
+  res.json({
+    success: true,
+    message: `${result.summary.inserted} of ${result.summary.received} locations recorded`,
+    data: result.summary
+  });
+});
+
 // @desc    Get bus location
 // @route   GET /api/tracking/bus/:busId
 // @access  Private
@@ -232,6 +269,43 @@ const getBusLocation = asyncHandler(async (req, res) => {
   });
 });
 
+// @desc    Get arrival estimates for the remaining stops of a bus
+// @route   GET /api/tracking/bus/:busId/eta
+// @access  Private
+const getBusEta = asyncHandler(async (req, res) => {
+  const bus = await Bus.findById(req.params.busId)
+    .populate('routeId', 'routeName stops distance estimatedDuration');
+
+  if (!bus) {
+    return res.status(404).json({
+      success: false,
+      message: 'Bus not found'
+    });
+  }
+
+  if (!bus.isOnTrip) {
+    return res.status(400).json({
+      success: false,
+      message: 'Bus is not on a trip'
+    });
+  }
+
+  // Prefer the estimate computed on the last location update, otherwise work it out now
+  const eta = getLatestEta(bus._id) || await computeEta(bus, bus.currentLocation);
+
+  if (!eta) {
+    return res.status(404).json({
+      success: false,
+      message: 'No ETA available. The route has no stops with coordinates or the bus has not reported a location yet.'
+    });
+  }
+
+  res.json({
+    success: true,
+    data: eta
+  });
+});
+
 // @desc    Get all active bus locations
 // @route   GET /api/tracking/active-buses
 // @access  Private
@@ -243,6 +317,17 @@ const getActiveBusLocations = asyncHandler(async (req, res) => {
     .populate('driverId', 'name phone')
     .populate('routeId', 'routeName stops departureTime estimatedDuration distance');
 
+  // Detours still in progress, so the map can highlight them after a reload
+  const offRouteTrips = await Trip.find({
+    bus: { $in: activeBuses.map(bus => bus._id) },
+    status: 'in_progress',
+    routeDeviations: { $elemMatch: { endedAt: null } }
+  }).select('bus routeDeviations');
+  const openDeviations = new Map(offRouteTrips.map(trip => [
+    trip.bus.toString(),
+    trip.routeDeviations.find(deviation => !deviation.endedAt)
+  ]));
+
   const busLocations = activeBuses.map(bus => ({
     busId: bus._id,
     busNumber: bus.busNumber,
@@ -251,7 +336,8 @@ const getActiveBusLocations = asyncHandler(async (req, res) => {
     location: bus.currentLocation,
     isOnTrip: bus.isOnTrip,
     lastUpdate: bus.lastLocationUpdate,
-    tripStartTime: bus.tripStartTime
+    tripStartTime: bus.tripStartTime,
+    offRoute: openDeviations.get(bus._id.toString()) || null
   }));
 
   res.json({
@@ -260,76 +346,100 @@ const getActiveBusLocations = asyncHandler(async (req, res) => {
   });
 });
 
-// @desc    Get simulated bus locations (for when Google Maps API is not available)
+// @desc    Get positions of buses driven by the route simulator
 // @route   GET /api/tracking/simulate
 // @access  Private
 const getSimulatedLocations = asyncHandler(async (req, res) => {
-  const { routeId } = req.query;
-
-  let buses;
-  if (routeId) {
-    buses = await Bus.find({ routeId, isOnTrip: true })
-      .populate('driverId', 'name phone')
-      .populate('routeId', 'routeName stops departureTime estimatedDuration distance');
-  } else {
-    buses = await Bus.find({ isOnTrip: true })
-      .populate('driverId', 'name phone')
-      .populate('routeId', 'routeName stops departureTime estimatedDuration distance');
+  const simulatedLocations = listSimulations(req.query.routeId).map(simulation => ({
+    busId: simulation.busId,
+    busNumber: simulation.busNumber,
+    route: simulation.route,
+    location: simulation.location,
+    isOnTrip: true,
+    lastUpdate: simulation.lastUpdate,
+    tripStartTime: simulation.startedAt,
+    isSimulated: true,
+    currentStop: simulation.currentStop
+  }));
+
+  res.json({
+    success: true,
+    data: simulatedLocations,
+    message: 'Simulated locations retrieved'
+  });
+});
+
+// @desc    Get running simulations
+// @route   GET /api/tracking/simulations
+// @access  Private/Admin
+const getSimulations = asyncHandler(async (req, res) => {
+  res.json({
+    success: true,
+    data: listSimulations(req.query.routeId)
+  });
+});
+
+// @desc    Start a simulated trip along a bus's route
+// @route   POST /api/tracking/simulations
+// @access  Private/Admin
+const startSimulatedTrip = asyncHandler(async (req, res) => {
+  const { busId, speedKmh, dwellSeconds, intervalSeconds } = req.body;
+
+  if (!busId) {
+    return res.status(400).json({
+      success: false,
+      message: 'busId is required'
+    });
   }
 
-  // Generate simulated locations along the route
-  const simulatedLocations = buses.map(bus => {
-    const route = bus.routeId;
-    const stops = route.stops || [];
-    
-    if (stops.length === 0) {
-      return {
-        busId: bus._id,
-        busNumber: bus.busNumber,
-        driver: bus.driverId,
-        route: bus.routeId,
-        location: {
-          latitude: 40.7128 + (Math.random() - 0.5) * 0.01,
-          longitude: -74.0060 + (Math.random() - 0.5) * 0.01,
-          address: 'Simulated Location'
-        },
-        isOnTrip: bus.isOnTrip,
-        lastUpdate: new Date(),
-        tripStartTime: bus.tripStartTime,
-        isSimulated: true
-      };
-    }
+  const result = await startSimulation(busId, { speedKmh, dwellSeconds, intervalSeconds }, req.user);
 
-    // Pick a random stop or interpolate between stops
-    const randomStopIndex = Math.floor(Math.random() * stops.length);
-    const currentStop = stops[randomStopIndex];
-    
-    // Add some random offset to simulate movement
-    const latOffset = (Math.random() - 0.5) * 0.001;
-    const lngOffset = (Math.random() - 0.5) * 0.001;
-
-    return {
-      busId: bus._id,
-      busNumber: bus.busNumber,
-      driver: bus.driverId,
-      route: bus.routeId,
-      location: {
-        latitude: currentStop.latitude + latOffset,
-        longitude: currentStop.longitude + lngOffset,
-        address: currentStop.address
-      },
-      isOnTrip: bus.isOnTrip,
-      lastUpdate: new Date(),
-      tripStartTime: bus.tripStartTime,
-      isSimulated: true,
-      currentStop: currentStop
-    };
+  if (!result.success) {
+    return res.status(result.statusCode).json({
+      success: false,
+      message: result.message
+    });
+  }
+
+  await recordAudit(req, {
+    action: 'simulation.start',
+    entityType: 'simulation',
+    entity: { _id: result.simulation.tripId },
+    entityLabel: `Bus ${result.simulation.busNumber}`,
+    details: { speedKmh: result.simulation.speedKmh, dwellSeconds: result.simulation.dwellSeconds, intervalSeconds: result.simulation.intervalSeconds }
+  });
+
+  res.status(201).json({
+    success: true,
+    message: `Simulation started for bus ${result.simulation.busNumber}`,
+    data: result.simulation
+  });
+});
+
+// @desc    Stop a simulated trip
+// @route   DELETE /api/tracking/simulations/:busId
+// @access  Private/Admin
+const stopSimulatedTrip = asyncHandler(async (req, res) => {
+  const result = await stopSimulation(req.params.busId);
+
+  if (!result.success) {
+    return res.status(result.statusCode).json({
+      success: false,
+      message: result.message
+    });
+  }
+
+  await recordAudit(req, {
+    action: 'simulation.stop',
+    entityType: 'simulation',
+    entity: { _id: result.simulation.tripId },
+    entityLabel: `Bus ${result.simulation.busNumber}`
   });
 
   res.json({
     success: true,
-    data: simulatedLocations,
-    message: 'Simulated locations generated'
+    message: `Simulation stopped for bus ${result.simulation.busNumber}`,
+    data: result.simulation
   });
 });
 
@@ -366,14 +476,177 @@ const getMyTripStatus = asyncHandler(async (req, res) => {
   });
 });
 
+// @desc    Get trip history
+// @route   GET /api/tracking/trips
+// @access  Private/Admin or Driver (drivers only see their own trips)
+const getTrips = asyncHandler(async (req, res) => {
+  const { busId, driverId, routeId, status, from, to, page = 1, limit = 20 } = req.query;
+
+  // Build filter object
+  const filter = {};
+  if (busId) filter.bus = busId;
+  if (routeId) filter.route = routeId;
+  if (status) filter.status = status;
+  if (req.user.role === 'driver') {
+    filter.driver = req.user._id;
+  } else if (driverId) {
+    filter.driver = driverId;
+  }
+
+  // Date range filter on trip start (e.g. "when did bus X run yesterday")
+  if (from || to) {
+    filter.startTime = {};
+    if (from) filter.startTime.$gte = new Date(from);
+    if (to) filter.startTime.$lte = new Date(to);
+  }
+
+  // Calculate pagination
+  const skip = (page - 1) * limit;
+
+  // Breadcrumbs are left out of the list, they are only returned by GET /trips/:id
+  const trips = await Trip.find(filter)
+    .populate('bus', 'busNumber')
+    .populate('driver', 'name phone')
+    .populate('route', 'routeName routeNo')
+    .sort({ startTime: -1 })
+    .skip(skip)
+    .limit(parseInt(limit));
+
+  // Get total count
+  const total = await Trip.countDocuments(filter);
+
+  res.json({
+    success: true,
+    data: trips,
+    pagination: {
+      current: parseInt(page),
+      pages: Math.ceil(total / limit),
+      total
+    }
+  });
+});
+
+// @desc    Get a single trip with its GPS breadcrumbs
+// @route   GET /api/tracking/trips/:id
+// @access  Private/Admin or Driver (drivers only see their own trips)
+const getTrip = asyncHandler(async (req, res) => {
+  const trip = await Trip.findById(req.params.id)
+    .populate('bus', 'busNumber model')
+    .populate('driver', 'name phone')
+    .populate('route', 'routeName routeNo stops color');
+
+  if (!trip) {
+    return res.status(404).json({
+      success: false,
+      message: 'Trip not found'
+    });
+  }
+
+  if (req.user.role === 'driver' && trip.driver?._id.toString() !== req.user._id.toString()) {
+    return res.status(403).json({
+      success: false,
+      message: 'You can only view your own trips'
+    });
+  }
+
+  const [path, rejectedPoints] = await Promise.all([
+    TripPoint.find({ trip: trip._id, kind: 'path' })
+      .sort({ recordedAt: 1 })
+      .select('-_id latitude longitude accuracy speed heading recordedAt raw snapped')
+      .lean(),
+    TripPoint.find({ trip: trip._id, kind: 'rejected' })
+      .sort({ recordedAt: 1 })
+      .select('-_id latitude longitude accuracy recordedAt reason')
+      .lean()
+  ]);
+
+  res.json({
+    success: true,
+    data: { ...trip.toObject(), path, rejectedPoints }
+  });
+});
+
+// @desc    Get safety summary for every driver
+// @route   GET /api/tracking/safety
+// @access  Private/Admin
+const getSafetyOverview = asyncHandler(async (req, res) => {
+  const trips = await Trip.find(buildSafetyFilter(req.query))
+    .select('driver distance duration endTime safetyEvents')
+    .populate('driver', 'name email phone');
+
+  // Group trips by driver
+  const byDriver = new Map();
+  trips.forEach(trip => {
+    if (!trip.driver) return;
+    const key = trip.driver._id.toString();
+    if (!byDriver.has(key)) byDriver.set(key, { driver: trip.driver, trips: [] });
+    byDriver.get(key).trips.push(trip);
+  });
+
+  const drivers = Array.from(byDriver.values())
+    .map(({ driver, trips: driverTrips }) => ({ driver, ...summarizeTrips(driverTrips) }))
+    .sort((a, b) => b.totalEvents - a.totalEvents);
+
+  res.json({
+    success: true,
+    data: drivers
+  });
+});
+
+// @desc    Get safety report for one driver
+// @route   GET /api/tracking/safety/:driverId
+// @access  Private/Admin or Driver (drivers only see their own report)
+const getDriverSafetyReport = asyncHandler(async (req, res) => {
+  const { driverId } = req.params;
+
+  if (req.user.role === 'driver' && driverId !== req.user._id.toString()) {
+    return res.status(403).json({
+      success: false,
+      message: 'You can only view your own safety report'
+    });
+  }
+
+  const driver = await User.findOne({ _id: driverId, role: 'driver' }).select('name email phone');
+  if (!driver) {
+    return res.status(404).json({
+      success: false,
+      message: 'Driver not found'
+    });
+  }
+
+  const trips = await Trip.find({ ...buildSafetyFilter(req.query), driver: driver._id })
+    .select('bus route startTime endTime distance duration safetyEvents')
+    .populate('bus', 'busNumber')
+    .populate('route', 'routeName routeNo')
+    .sort({ startTime: -1 });
+
+  res.json({
+    success: true,
+    data: {
+      driver,
+      summary: summarizeTrips(trips),
+      events: listTripEvents(trips).slice(0, 200)
+    }
+  });
+});
+
 module.exports = {
   startTrip,
   stopTrip,
   updateLocation,
+  uploadLocationBatch,
   getBusLocation,
+  getBusEta,
   getActiveBusLocations,
   getSimulatedLocations,
-  getMyTripStatus
+  getSimulations,
+  startSimulatedTrip,
+  stopSimulatedTrip,
+  getMyTripStatus,
+  getTrips,
+  getTrip,
+  getSafetyOverview,
+  getDriverSafetyReport
 };
 
 
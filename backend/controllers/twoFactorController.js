@@ -0,0 +1,250 @@
+const User = require('../models/User');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { sendTokenResponse } = require('../utils/jwtHelper');
+const {
+  readLoginChallenge,
+  generateRecoveryCodes,
+  startEnrollment,
+  checkCode,
+  verifySecondFactor
+} = require('../services/twoFactorService');
+const { getLoginThrottle, recordFailedLogin, clearFailedLogins } = require('../services/loginProtectionService');
+
+// @desc    Finish login with a 2FA code or recovery code
+// @route   POST /api/auth/login/2fa
+// @access  Public (challenge token from POST /api/auth/login)
+const verifyTwoFactorLogin = asyncHandler(async (req, res) => {
+  const { challengeToken, code, recoveryCode } = req.body;
+
+  const userId = challengeToken ? readLoginChallenge(challengeToken) : null;
+  if (!userId) {
+    return res.status(401).json({
+      success: false,
+      message: 'Login step expired. Please sign in again.'
+    });
+  }
+
+  if (!code && !recoveryCode) {
+    return res.status(400).json({
+      success: false,
+      message: 'Authentication code is required'
+    });
+  }
+
+  const user = await User.findById(userId);
+  if (!user || !user.twoFactorEnabled || user.status === 'suspended') {
+    return res.status(401).json({
+      success: false,
+      message: 'Login step expired. Please sign in again.'
+    });
+  }
+
+  const throttle = getLoginThrottle(user);
+  if (throttle) {
+    res.set('Retry-After', String(throttle.retryAfter));
+    return res.status(throttle.statusCode).json({
+      success: false,
+      message: throttle.message,
+      retryAfter: throttle.retryAfter
+    });
+  }
+
+  const { valid, usedRecoveryCode } = verifySecondFactor(user, { code, recoveryCode });
+  if (!valid) {
+    const lockout = await recordFailedLogin(user, req);
+    if (lockout) {
+      res.set('Retry-After', String(lockout.retryAfter));
+      return res.status(lockout.statusCode).json({
+        success: false,
+        message: lockout.message,
+        retryAfter: lockout.retryAfter
+      });
+    }
+    return res.status(401).json({
+      success: false,
+      message: recoveryCode ? 'Invalid recovery code' : 'Invalid authentication code'
+    });
+  }
+
+  await user.save({ validateBeforeSave: false });
+  await clearFailedLogins(user);
+
+  const remaining = user.twoFactorRecoveryCodes?.length || 0;
+  const message = usedRecoveryCode
+    ? `Login successful. You have ${remaining} recovery code${remaining === 1 ? '' : 's'} left.`
+    : 'Login successful';
+
+  return sendTokenResponse(user, 200, res, message);
+});
+
+// @desc    Get my 2FA status
+// @route   GET /api/auth/2fa
+// @access  Private
+const getTwoFactorStatus = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user._id);
+
+  res.json({
+    success: true,
+    data: {
+      enabled: user.twoFactorEnabled,
+      enabledAt: user.twoFactorEnabledAt || null,
+      recoveryCodesRemaining: user.twoFactorRecoveryCodes?.length || 0,
+      requiredByPolicy: process.env.REQUIRE_ADMIN_2FA === 'true' && user.role === 'admin'
+    }
+  });
+});
+
+// @desc    Start 2FA enrollment (QR code + secret)
+// @route   POST /api/auth/2fa/setup
+// @access  Private
+const setupTwoFactor = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user._id);
+
+  if (user.twoFactorEnabled) {
+    return res.status(400).json({
+      success: false,
+      message: 'Two-factor authentication is already enabled'
+    });
+  }
+
+  const enrollment = await startEnrollment(user);
+  await user.save({ validateBeforeSave: false });
+
+  res.json({
+    success: true,
+    message: 'Scan the QR code with your authenticator app, then enter the 6-digit code',
+    data: enrollment
+  });
+});
+
+// @desc    Confirm enrollment with a code and turn 2FA on
+// @route   POST /api/auth/2fa/enable
+// @access  Private
+const enableTwoFactor = asyncHandler(async (req, res) => {
+  const { code } = req.body;
+  const user = await User.findById(req.user._id);
+
+  if (user.twoFactorEnabled) {
+    return res.status(400).json({
+      success: false,
+      message: 'Two-factor authentication is already enabled'
+    });
+  }
+
+  if (!user.twoFactorPendingSecret) {
+    return res.status(400).json({
+      success: false,
+      message: 'Start the setup first to get a QR code'
+    });
+  }
+
+  if (!checkCode(user, user.twoFactorPendingSecret, code)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid authentication code. Check the time on your phone and try again.'
+    });
+  }
+
+  const { codes, hashes } = generateRecoveryCodes();
+  user.twoFactorSecret = user.twoFactorPendingSecret;
+  user.twoFactorPendingSecret = undefined;
+  user.twoFactorRecoveryCodes = hashes;
+  user.twoFactorEnabled = true;
+  user.twoFactorEnabledAt = new Date();
+  await user.save({ validateBeforeSave: false });
+
+  res.json({
+    success: true,
+    message: 'Two-factor authentication enabled. Save your recovery codes somewhere safe.',
+    data: { recoveryCodes: codes }
+  });
+});
+
+// @desc    Turn 2FA off (password and a current code required)
+// @route   POST /api/auth/2fa/disable
+// @access  Private
+const disableTwoFactor = asyncHandler(async (req, res) => {
+  const { password, code, recoveryCode } = req.body;
+  const user = await User.findById(req.user._id).select('+password');
+
+  if (!user.twoFactorEnabled) {
+    return res.status(400).json({
+      success: false,
+      message: 'Two-factor authentication is not enabled'
+    });
+  }
+
+  if (process.env.REQUIRE_ADMIN_2FA === 'true' && user.role === 'admin') {
+    return res.status(403).json({
+      success: false,
+      message: 'Two-factor authentication is required for admin accounts and cannot be turned off'
+    });
+  }
+
+  if (!password || !(await user.comparePassword(password))) {
+    return res.status(400).json({
+      success: false,
+      message: 'Password is incorrect'
+    });
+  }
+
+  if (!verifySecondFactor(user, { code, recoveryCode }).valid) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid authentication code'
+    });
+  }
+
+  user.twoFactorEnabled = false;
+  user.twoFactorSecret = undefined;
+  user.twoFactorRecoveryCodes = undefined;
+  user.twoFactorLastStep = undefined;
+  user.twoFactorEnabledAt = undefined;
+  await user.save({ validateBeforeSave: false });
+
+  res.json({
+    success: true,
+    message: 'Two-factor authentication disabled'
+  });
+});
+
+// @desc    Replace my recovery codes
+// @route   POST /api/auth/2fa/recovery-codes
+// @access  Private
+const regenerateRecoveryCodes = asyncHandler(async (req, res) => {
+  const { code } = req.body;
+  const user = await User.findById(req.user._id);
+
+  if (!user.twoFactorEnabled) {
+    return res.status(400).json({
+      success: false,
+      message: 'Two-factor authentication is not enabled'
+    });
+  }
+
+  if (!checkCode(user, user.twoFactorSecret, code)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid authentication code'
+    });
+  }
+
+  const { codes, hashes } = generateRecoveryCodes();
+  user.twoFactorRecoveryCodes = hashes;
+  await user.save({ validateBeforeSave: false });
+
+  res.json({
+    success: true,
+    message: 'New recovery codes generated. The old ones no longer work.',
+    data: { recoveryCodes: codes }
+  });
+});
+
+module.exports = {
+  verifyTwoFactorLogin,
+  getTwoFactorStatus,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes
+};
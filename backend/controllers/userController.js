@@ -4,25 +4,46 @@
  * This file handles all user-related operations (admin only):
  * - Get all users (with filtering and pagination)
  * - Get single user details
- * - Update user (with AUTOMATIC FEE NOTES generation)
+ * - Update user (with automatic fee history notes)
  * - Delete user
  * - Approve/reject driver applications
  *
- * IMPORTANT: The updateUser function automatically tracks all fee-related changes:
- * - When feeStatus changes: Records "Fee marked as [status] by [admin] on [date]"
+ * IMPORTANT: The updateUser function adds notes to the student's fee history (FeeNote):
  * - When assignedRoute changes: Records "Assigned to route [name] by [admin] on [date]"
  * - When assignedBus changes: Records "Assigned to bus [number] by [admin] on [date]"
- * This creates an audit trail that helps admins track fee management history.
+ * feeStatus itself is not editable here: it is derived from the fee ledger
+ * (see services/feeLedgerService and controllers/feeController).
+ *
+ * Every change made here is also recorded in the central audit log (services/auditService).
  */
 
 const User = require('../models/User');
 const Bus = require('../models/Bus');
 const Route = require('../models/Route');
 const Notification = require('../models/Notification');
+const FeeNote = require('../models/FeeNote');
 const { asyncHandler } = require('../middleware/errorHandler');
+const { revokeUserSessions } = require('../services/sessionService');
+const { clearFailedLogins } = require('../services/loginProtectionService');
+const AdminRole = require('../models/AdminRole');
+const { recordAudit, snapshot, REDACTED } = require('../services/auditService');
 const path = require('path');
 const fs = require('fs');
 
+// Fields PUT /api/users/:id can change; everything not listed in FIELD_PERMISSIONS needs users:write
+const UPDATABLE_FIELDS = ['name', 'email', 'phone', 'status', 'assignedRoute', 'assignedBus', 'isDisplaced', 'password', 'adminRole'];
+const FIELD_PERMISSIONS = {
+  assignedBus: 'buses:edit',
+  assignedRoute: 'buses:edit',
+  isDisplaced: 'buses:edit',
+  adminRole: 'roles:manage'
+};
+
+// User fields compared in audit log entries
+const AUDITED_FIELDS = ['name', 'email', 'phone', 'role', 'status', 'studentId', 'licenseNumber', 'feeStatus', 'assignedRoute', 'assignedBus', 'isDisplaced', 'adminRole'];
+
+const idOf = (value) => (value && value._id ? value._id : value);
+
 // @desc    Get all users (Admin only)
 // @route   GET /api/users
 // @access  Private/Admin
@@ -50,6 +71,7 @@ const getUsers = asyncHandler(async (req, res) => {
       ]
     })
     .populate('assignedRoute', 'routeName routeNo')
+    .populate('adminRole', 'name')
     .sort({ createdAt: -1 })
     .skip(skip)
     .limit(parseInt(limit));
@@ -99,9 +121,24 @@ const getUser = asyncHandler(async (req, res) => {
 // @route   POST /api/users
 // @access  Private/Admin
 const createUser = asyncHandler(async (req, res) => {
-  const { name, email, password, role, phone, studentId, licenseNumber, assignedBus, assignedRoute } = req.body;
+  const { name, email, password, role, phone, studentId, licenseNumber, assignedBus, assignedRoute, adminRole } = req.body;
   const files = req.files || {};
 
+  // New admins can grant themselves anything, so only role managers may create them
+  if (role === 'admin' && !req.permissions.includes('roles:manage')) {
+    return res.status(403).json({
+      success: false,
+      message: 'Access denied. Required permission: roles:manage'
+    });
+  }
+
+  if (role === 'admin' && adminRole && !(await AdminRole.exists({ _id: adminRole }))) {
+    return res.status(400).json({
+      success: false,
+      message: 'Admin role not found'
+    });
+  }
+
   // Validation
   if (role === 'driver' && (!files.drivingLicense || files.drivingLicense.length === 0)) {
     return res.status(400).json({
@@ -159,15 +196,27 @@ const createUser = asyncHandler(async (req, res) => {
     userData.studentId = studentId;
     userData.feeStatus = 'pending';
     if (assignedBus) userData.assignedBus = assignedBus;
-    if (assignedRoute) userData.assignedRoute = assignedRoute;
+    if (assignedRoute) {
+      userData.assignedRoute = assignedRoute;
+      userData.routeAssignedAt = new Date();
+    }
   } else if (role === 'driver') {
     userData.licenseNumber = licenseNumber;
     userData.drivingLicenseFile = 'uploads/licenses/' + files.drivingLicense[0].filename;
+  } else if (role === 'admin' && adminRole) {
+    userData.adminRole = adminRole;
   }
 
   // Create user
   const user = await User.create(userData);
 
+  await recordAudit(req, {
+    action: 'user.create',
+    entityType: 'user',
+    entity: user,
+    after: snapshot(user, AUDITED_FIELDS)
+  });
+
   res.status(201).json({
     success: true,
     message: 'User created successfully',
@@ -179,7 +228,7 @@ const createUser = asyncHandler(async (req, res) => {
 // @route   PUT /api/users/:id
 // @access  Private/Admin
 const updateUser = asyncHandler(async (req, res) => {
-  const { name, email, phone, status, feeStatus, assignedRoute, assignedBus, isDisplaced, password } = req.body;
+  const { name, email, phone, status, assignedRoute, assignedBus, isDisplaced, password, adminRole } = req.body;
 
   // Find the existing user to compare changes
   const user = await User.findById(req.params.id)
@@ -193,6 +242,65 @@ const updateUser = asyncHandler(async (req, res) => {
     });
   }
 
+  // PERMISSION CHECKS
+  // Only fields that actually change count, since the edit forms send every field back
+  const changedFields = UPDATABLE_FIELDS.filter(field => {
+    if (req.body[field] === undefined) return false;
+    if (field === 'password') return Boolean(req.body.password);
+    return String(idOf(req.body[field]) ?? '') !== String(idOf(user[field]) ?? '');
+  });
+  const deniedField = changedFields.find(field =>
+    !req.permissions.includes(FIELD_PERMISSIONS[field] || 'users:write')
+  );
+  if (deniedField) {
+    return res.status(403).json({
+      success: false,
+      message: `Access denied. Required permission to change ${deniedField}: ${FIELD_PERMISSIONS[deniedField] || 'users:write'}`
+    });
+  }
+
+  // Editing another admin (password, status…) is as good as taking over their access
+  if (user.role === 'admin' && changedFields.length > 0 && !req.permissions.includes('roles:manage')) {
+    return res.status(403).json({
+      success: false,
+      message: 'Access denied. Required permission to edit admins: roles:manage'
+    });
+  }
+
+  if (changedFields.includes('adminRole')) {
+    if (user.role !== 'admin') {
+      return res.status(400).json({
+        success: false,
+        message: 'Only admins can have an admin role'
+      });
+    }
+    if (user._id.equals(req.user._id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot change your own admin role'
+      });
+    }
+    if (adminRole && !(await AdminRole.exists({ _id: adminRole }))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Admin role not found'
+      });
+    }
+    // Someone must keep full access to manage roles
+    if (adminRole && !user.adminRole) {
+      const otherFullAdmins = await User.countDocuments({ role: 'admin', adminRole: null, _id: { $ne: user._id } });
+      if (otherFullAdmins === 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'At least one admin must keep full access'
+        });
+      }
+    }
+  }
+
+  const wasSuspended = user.status === 'suspended';
+  const auditBefore = snapshot(user, AUDITED_FIELDS);
+
   // Get the admin who is making this update
   const adminName = req.user.name; // The logged-in admin's name
   const adminId = req.user._id;
@@ -209,20 +317,9 @@ const updateUser = asyncHandler(async (req, res) => {
 
   // Initialize variables for tracking changes
   let feeNoteEntries = [];
+  let routeChanged = false;
 
   // AUTOMATIC FEE NOTES GENERATION
-  // Check if feeStatus changed
-  if (feeStatus && feeStatus !== user.feeStatus) {
-    const statusMap = {
-      'paid': 'Paid',
-      'partially_paid': 'Partially Paid',
-      'pending': 'Pending'
-    };
-    feeNoteEntries.push(
-      `Fee marked as ${statusMap[feeStatus]} by ${adminName} on ${timestamp}`
-    );
-  }
-
   // Check if assignedRoute changed
   if (assignedRoute !== undefined) {
     // Convert to string for comparison
@@ -230,6 +327,7 @@ const updateUser = asyncHandler(async (req, res) => {
     const newRouteId = assignedRoute?.toString();
 
     if (oldRouteId !== newRouteId) {
+      routeChanged = true;
       if (!newRouteId) {
         // Route was removed
         feeNoteEntries.push(
@@ -296,16 +394,25 @@ const updateUser = asyncHandler(async (req, res) => {
   }
 
   // Build the update object
-  const updateData = { name, email, phone, status, feeStatus, assignedRoute, assignedBus, isDisplaced };
+  const updateData = { name, email, phone, status, assignedRoute, assignedBus, isDisplaced };
 
   if (password) {
     updateData.password = password;
   }
 
+  if (changedFields.includes('adminRole')) {
+    updateData.adminRole = adminRole || null;
+  }
+
   if (shouldClearDisplaced) {
     updateData.isDisplaced = false;
   }
 
+  // Term billing prorates from the date of a route change
+  if (routeChanged) {
+    updateData.routeAssignedAt = new Date();
+  }
+
   // Handle activatedAt when status changes to 'active'
   // This is needed because findByIdAndUpdate bypasses the pre-save hook
   if (status === 'active' && user.status !== 'active' && !user.activatedAt) {
@@ -313,21 +420,6 @@ const updateUser = asyncHandler(async (req, res) => {
     console.log(`[updateUser] Setting activatedAt for user ${user.email} to ${updateData.activatedAt}`);
   }
 
-  // If there were any fee-related changes, append to feeNotes
-  if (feeNoteEntries.length > 0) {
-    const newNote = feeNoteEntries.join('\n');
-    const existingNotes = user.feeNotes || '';
-
-    // Append new notes to existing notes (with separator if notes already exist)
-    updateData.feeNotes = existingNotes
-      ? `${existingNotes}\n${newNote}`
-      : newNote;
-
-    // Update fee tracking fields
-    updateData.feeUpdatedAt = new Date();
-    updateData.feeUpdatedBy = adminId;
-  }
-
   // If password is being updated, we MUST use .save() to trigger the pre-save hashing hook
   // findByIdAndUpdate bypasses middleware
   let updatedUser;
@@ -354,7 +446,7 @@ const updateUser = asyncHandler(async (req, res) => {
       .populate('assignedRoute', 'routeName routeNo')
       .populate('feeUpdatedBy', 'name email');
   } else {
-    // Update user with all changes including automatic fee notes
+    // Update user with all changes
     updatedUser = await User.findByIdAndUpdate(
       req.params.id,
       updateData,
@@ -371,6 +463,32 @@ const updateUser = asyncHandler(async (req, res) => {
       .populate('feeUpdatedBy', 'name email');
   }
 
+  // Add the route/bus changes to the student's fee history
+  if (user.role === 'student' && feeNoteEntries.length > 0) {
+    await FeeNote.insertMany(feeNoteEntries.map(text => ({
+      student: user._id,
+      text,
+      recordedBy: adminId,
+      source: 'system'
+    })));
+  }
+
+  // Suspending a user or setting their password signs them out everywhere
+  if (status === 'suspended' && !wasSuspended) {
+    await revokeUserSessions(user._id, 'suspended');
+  } else if (password) {
+    await revokeUserSessions(user._id, 'password_reset');
+  }
+
+  await recordAudit(req, {
+    action: 'user.update',
+    entityType: 'user',
+    entity: updatedUser,
+    before: auditBefore,
+    // The password itself is never logged, only that it was set
+    after: { ...snapshot(updatedUser, AUDITED_FIELDS), ...(password && { password: REDACTED }) }
+  });
+
   res.json({
     success: true,
     message: 'User updated successfully',
@@ -404,6 +522,14 @@ const deleteUser = asyncHandler(async (req, res) => {
   }
 
   await User.findByIdAndDelete(req.params.id);
+  await revokeUserSessions(user._id, 'deleted');
+
+  await recordAudit(req, {
+    action: 'user.delete',
+    entityType: 'user',
+    entity: user,
+    before: snapshot(user, AUDITED_FIELDS)
+  });
 
   res.json({
     success: true,
@@ -444,6 +570,13 @@ const approveDriver = asyncHandler(async (req, res) => {
 
   console.log(`[approveDriver] Driver ${driver.email} approved. activatedAt: ${driver.activatedAt}`);
 
+  await recordAudit(req, {
+    action: 'driver.approve',
+    entityType: 'user',
+    entity: driver,
+    changes: [{ field: 'status', before: 'pending', after: 'active' }]
+  });
+
   await Notification.createSystemNotification(
     'Account Approved',
     'Your driver account has been approved. You can now access all driver features.',
@@ -495,6 +628,15 @@ const rejectDriver = asyncHandler(async (req, res) => {
   // Update driver status
   driver.status = 'suspended';
   await driver.save();
+  await revokeUserSessions(driver._id, 'suspended');
+
+  await recordAudit(req, {
+    action: 'driver.reject',
+    entityType: 'user',
+    entity: driver,
+    changes: [{ field: 'status', before: 'pending', after: 'suspended' }],
+    details: { reason: reason || null }
+  });
 
   await Notification.createSystemNotification(
     'Account Rejected',
@@ -530,6 +672,70 @@ const getPendingDrivers = asyncHandler(async (req, res) => {
   });
 });
 
+// @desc    Get accounts locked after repeated failed sign-ins
+// @route   GET /api/users/locked
+// @access  Private/Admin
+const getLockedUsers = asyncHandler(async (req, res) => {
+  const lockedUsers = await User.find({
+    lockUntil: { $gt: new Date() }
+  })
+    .select('name email role status failedLoginAttempts lastFailedLoginAt lockUntil')
+    .sort({ lockUntil: -1 });
+
+  res.json({
+    success: true,
+    data: lockedUsers
+  });
+});
+
+// @desc    Lift a sign-in lockout
+// @route   PUT /api/users/:id/unlock
+// @access  Private/Admin
+const unlockUser = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.params.id);
+
+  if (!user) {
+    return res.status(404).json({
+      success: false,
+      message: 'User not found'
+    });
+  }
+
+  if (!user.isLocked()) {
+    return res.status(400).json({
+      success: false,
+      message: 'User is not locked'
+    });
+  }
+
+  const lockUntil = user.lockUntil;
+  await clearFailedLogins(user);
+
+  await recordAudit(req, {
+    action: 'user.unlock',
+    entityType: 'user',
+    entity: user,
+    changes: [{ field: 'lockUntil', before: lockUntil.toISOString(), after: null }]
+  });
+
+  await Notification.createSystemNotification(
+    'Account Unlocked',
+    'An administrator unlocked your account. You can sign in again.',
+    user.role,
+    {
+      receiverId: user._id,
+      type: 'info',
+      relatedEntity: { type: 'user', id: user._id }
+    }
+  );
+
+  res.json({
+    success: true,
+    message: `${user.name} can sign in again`,
+    data: user
+  });
+});
+
 // @desc    Get user statistics
 // @route   GET /api/users/stats
 // @access  Private/Admin
@@ -610,65 +816,6 @@ const getDriverLicense = asyncHandler(async (req, res) => {
   res.sendFile(filePath);
 });
 
-// @desc    Mark partially paid students as defaulters and unassign from buses
-// @route   PUT /api/users/mark-defaulters
-// @access  Private/Admin
-const markFeeDefaulters = asyncHandler(async (req, res) => {
-  const adminName = req.user.name;
-  const adminId = req.user._id;
-
-  const timestamp = new Date().toLocaleString('en-US', {
-    year: 'numeric',
-    month: 'short',
-    day: 'numeric',
-    hour: '2-digit',
-    minute: '2-digit',
-    hour12: true
-  });
-
-  // Find partially paid students
-  const students = await User.find({
-    role: 'student',
-    feeStatus: 'partially_paid'
-  });
-
-  if (students.length === 0) {
-    return res.json({
-      success: true,
-      message: 'No partially paid students found to mark as defaulters',
-      count: 0
-    });
-  }
-
-  let count = 0;
-  for (const student of students) {
-    const oldBusId = student.assignedBus;
-
-    // Update student status and unassign bus
-    student.feeStatus = 'defaulter';
-    student.assignedBus = null;
-
-    const note = `Marked as Defaulter and unassigned from bus by ${adminName} on ${timestamp} due to unpaid remaining fee.`;
-    student.feeNotes = student.feeNotes ? `${student.feeNotes}\n${note}` : note;
-    student.feeUpdatedAt = new Date();
-    student.feeUpdatedBy = adminId;
-
-    await student.save();
-
-    // If there was a bus assigned, increment its capacity
-    if (oldBusId) {
-      await Bus.findByIdAndUpdate(oldBusId, { $inc: { capacity: 1 } });
-    }
-    count++;
-  }
-
-  res.json({
-    success: true,
-    message: `Successfully marked ${count} students as defaulters and unassigned them from buses`,
-    count
-  });
-});
-
 module.exports = {
   getUsers,
   getUser,
@@ -678,7 +825,8 @@ module.exports = {
   approveDriver,
   rejectDriver,
   getPendingDrivers,
+  getLockedUsers,
+  unlockUser,
   getUserStats,
-  getDriverLicense,
-  markFeeDefaulters
+  getDriverLicense
 };
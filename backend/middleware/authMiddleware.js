@@ -1,5 +1,6 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Session = require('../models/Session');
 
 const authMiddleware = async (req, res, next) => {
   try {
@@ -22,6 +23,15 @@ const authMiddleware = async (req, res, next) => {
       });
     }
     const decoded = jwt.verify(token, secret);
+
+    // The session behind the token must still be signed in (logout, force sign-out, password reset)
+    const session = decoded.sessionId ? await Session.findById(decoded.sessionId).select('revokedAt expiresAt') : null;
+    if (!session || !session.isActive()) {
+      return res.status(401).json({
+        success: false,
+        message: 'Session has been signed out. Please login again.'
+      });
+    }
     
     // Get user from database
     const user = await User.findById(decoded.userId).select('-password');
@@ -33,6 +43,14 @@ const authMiddleware = async (req, res, next) => {
       });
     }
 
+    // Reject sessions started before a password reset
+    if (user.changedPasswordAfter(decoded.iat)) {
+      return res.status(401).json({
+        success: false,
+        message: 'Password was reset. Please login again.'
+      });
+    }
+
     // Check if user is active
     if (user.status === 'suspended') {
       return res.status(401).json({
@@ -41,8 +59,9 @@ const authMiddleware = async (req, res, next) => {
       });
     }
 
-    // Add user to request object
+    // Add user and session to request object
     req.user = user;
+    req.sessionId = session._id;
     next();
   } catch (error) {
     if (error.name === 'JsonWebTokenError') {
@@ -0,0 +1,21 @@
+const multer = require('multer');
+const path = require('path');
+
+// CSV uploads (bank statement imports) are read straight from memory, never stored
+const csvUpload = multer({
+  storage: multer.memoryStorage(),
+  fileFilter: (req, file, cb) => {
+    if (path.extname(file.originalname).toLowerCase() === '.csv') {
+      cb(null, true);
+    } else {
+      const error = new Error('Only CSV files can be imported');
+      error.statusCode = 400;
+      cb(error, false);
+    }
+  },
+  limits: {
+    fileSize: 2 * 1024 * 1024 // 2MB limit
+  }
+});
+
+module.exports = csvUpload;
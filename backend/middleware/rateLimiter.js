@@ -0,0 +1,117 @@
+/**
+ * Rate Limiter
+ *
+ * Small in-memory limiter for the public auth endpoints. Requests are counted per key
+ * (the client IP unless a key function is given) in a fixed window:
+ * - after `delayAfter` hits each further request is held back a little longer
+ *   (progressive delay, capped at `maxDelayMs`);
+ * - after `max` hits the request is refused with 429 and a Retry-After header.
+ *
+ * With `skipSuccessfulRequests` only responses with a 4xx/5xx status count, so a whole
+ * campus signing in from the same Wi-Fi isn't throttled, only repeated failures are.
+ *
+ * Counters live in process memory: they reset on restart and aren't shared between
+ * server instances. Per-account lockout is handled separately in loginProtectionService.
+ */
+
+/**
+ * Human-readable wait time for error messages
+ * @param {number} seconds
+ * @returns {string} e.g. "30 seconds", "15 minutes"
+ */
+const formatRetryAfter = (seconds) => {
+  if (seconds < 60) return `${seconds} second${seconds === 1 ? '' : 's'}`;
+  const minutes = Math.ceil(seconds / 60);
+  return `${minutes} minute${minutes === 1 ? '' : 's'}`;
+};
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Create a rate limiting middleware
+ * @param {Object} options
+ * @param {number} options.windowMs - Length of the counting window
+ * @param {number} options.max - Requests allowed per key per window
+ * @param {number} [options.delayAfter] - Requests served at full speed before delays start
+ * @param {number} [options.delayMs] - Extra delay added per request over delayAfter
+ * @param {number} [options.maxDelayMs] - Longest delay applied
+ * @param {boolean} [options.skipSuccessfulRequests] - Only count failed responses
+ * @param {Function} [options.key] - (req) => key; requests without a key are not limited
+ * @param {string} options.message - Start of the 429 message
+ * @returns {Function} Express middleware
+ */
+const rateLimit = ({
+  windowMs,
+  max,
+  delayAfter = Infinity,
+  delayMs = 500,
+  maxDelayMs = 5000,
+  skipSuccessfulRequests = false,
+  key = (req) => req.ip,
+  message
+}) => {
+  const hits = new Map(); // key -> { count, resetAt }
+
+  // Drop finished windows so the map doesn't grow forever
+  const cleanup = setInterval(() => {
+    const now = Date.now();
+    for (const [id, entry] of hits) {
+      if (entry.resetAt <= now) hits.delete(id);
+    }
+  }, windowMs);
+  cleanup.unref();
+
+  const getEntry = (id, now) => {
+    let entry = hits.get(id);
+    if (!entry || entry.resetAt <= now) {
+      entry = { count: 0, resetAt: now + windowMs };
+      hits.set(id, entry);
+    }
+    return entry;
+  };
+
+  return async (req, res, next) => {
+    const id = key(req);
+    if (!id) return next();
+
+    const now = Date.now();
+    const entry = getEntry(id, now);
+
+    if (entry.count >= max) {
+      const retryAfter = Math.max(1, Math.ceil((entry.resetAt - now) / 1000));
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json({
+        success: false,
+        message: `${message} Please try again in ${formatRetryAfter(retryAfter)}.`,
+        retryAfter
+      });
+    }
+
+    if (skipSuccessfulRequests) {
+      res.on('finish', () => {
+        if (res.statusCode >= 400) getEntry(id, Date.now()).count += 1;
+      });
+    } else {
+      entry.count += 1;
+    }
+
+    if (entry.count > delayAfter) {
+      await wait(Math.min((entry.count - delayAfter) * delayMs, maxDelayMs));
+    }
+
+    next();
+  };
+};
+
+/**
+ * Key on the email address in the request body, for per-address limits
+ * @param {Object} req
+ * @returns {string|null}
+ */
+const emailKey = (req) =>
+  typeof req.body?.email === 'string' ? req.body.email.toLowerCase().trim() || null : null;
+
+module.exports = {
+  rateLimit,
+  emailKey
+};
@@ -1,3 +1,5 @@
+const { getUserPermissions } = require('../services/permissionService');
+
 const roleMiddleware = (...allowedRoles) => {
   return (req, res, next) => {
     try {
@@ -17,6 +19,15 @@ const roleMiddleware = (...allowedRoles) => {
         });
       }
 
+      // Admins must finish 2FA enrollment first when the policy is on
+      if (req.user.needsTwoFactorSetup?.()) {
+        return res.status(403).json({
+          success: false,
+          message: 'Two-factor authentication is required for admin accounts. Set it up in your profile first.',
+          twoFactorSetupRequired: true
+        });
+      }
+
       // Check if user status allows access
       if (req.user.status === 'pending' && req.user.role === 'driver') {
         return res.status(403).json({
@@ -36,14 +47,58 @@ const roleMiddleware = (...allowedRoles) => {
   };
 };
 
+/**
+ * Admin permission check (see utils/permissions)
+ * Runs the admin role checks above, then lets the request through when the admin has
+ * any of the given permissions. With no permissions every admin is allowed.
+ * Sets req.permissions for controllers that check individual fields.
+ * @param {string|string[]} [permissions] - Required permission(s), any of them is enough
+ * @param {Object} [options]
+ * @param {string[]} [options.alsoAllow] - Other roles allowed without a permission check (e.g. ['driver'])
+ * @returns {Function} Express middleware
+ */
+const requirePermission = (permissions = [], { alsoAllow = [] } = {}) => {
+  const required = [].concat(permissions);
+  const checkRole = roleMiddleware('admin', ...alsoAllow);
+
+  return (req, res, next) => {
+    checkRole(req, res, async () => {
+      if (req.user.role !== 'admin') return next();
+
+      try {
+        req.permissions = req.permissions || await getUserPermissions(req.user);
+
+        if (required.length > 0 && !required.some(permission => req.permissions.includes(permission))) {
+          return res.status(403).json({
+            success: false,
+            message: `Access denied. Required permission: ${required.join(' or ')}`,
+            requiredPermission: required
+          });
+        }
+
+        next();
+      } catch (error) {
+        console.error('Permission middleware error:', error);
+        res.status(500).json({
+          success: false,
+          message: 'Server error during authorization.'
+        });
+      }
+    });
+  };
+};
+
 // Specific role middlewares for convenience
 const adminOnly = roleMiddleware('admin');
 const driverOnly = roleMiddleware('driver');
+const studentOnly = roleMiddleware('student');
 const adminOrDriver = roleMiddleware('admin', 'driver');
 
 module.exports = {
+  requirePermission,
   adminOnly,
   driverOnly,
+  studentOnly,
   adminOrDriver
 };
 
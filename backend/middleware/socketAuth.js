@@ -0,0 +1,135 @@
+const jwt = require('jsonwebtoken');
+const cookieParser = require('cookie-parser');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const Bus = require('../models/Bus');
+
+const parseCookies = cookieParser();
+
+/**
+ * Socket.IO handshake middleware
+ * Verifies the same JWT cookie authMiddleware uses and stores the user on socket.data.user,
+ * so identity is always derived server-side instead of trusted from the client.
+ */
+const socketAuthMiddleware = (socket, next) => {
+  parseCookies(socket.request, {}, async () => {
+    try {
+      const token = socket.request.cookies?.token;
+      if (!token) {
+        return next(new Error('Access denied. No token provided.'));
+      }
+
+      const secret = process.env.JWT_SECRET;
+      if (!secret) {
+        return next(new Error('Server configuration error. JWT_SECRET is not set.'));
+      }
+      const decoded = jwt.verify(token, secret);
+
+      const session = decoded.sessionId ? await Session.findById(decoded.sessionId).select('revokedAt expiresAt') : null;
+      if (!session || !session.isActive()) {
+        return next(new Error('Session has been signed out. Please login again.'));
+      }
+
+      const user = await User.findById(decoded.userId).select('-password');
+      if (!user) {
+        return next(new Error('Token is not valid. User not found.'));
+      }
+
+      if (user.changedPasswordAfter(decoded.iat)) {
+        return next(new Error('Password was reset. Please login again.'));
+      }
+
+      if (user.status === 'suspended') {
+        return next(new Error('Account is suspended. Please contact administrator.'));
+      }
+
+      socket.data.user = user;
+      socket.data.sessionId = session._id;
+      next();
+    } catch (error) {
+      if (error.name === 'JsonWebTokenError') {
+        return next(new Error('Invalid token.'));
+      }
+      if (error.name === 'TokenExpiredError') {
+        return next(new Error('Token expired. Please login again.'));
+      }
+
+      console.error('Socket auth error:', error);
+      next(new Error('Server error during authentication.'));
+    }
+  });
+};
+
+/**
+ * Rooms every authenticated socket is joined to on connection
+ * @param {Object} user - Authenticated user
+ * @returns {Array<string>}
+ */
+const getDefaultRooms = (user) => [`user-${user._id}`, `${user.role}-room`];
+
+/**
+ * Check whether a user may join a room
+ * - Admins may join any room
+ * - Students only their own route-<assignedRoute> and bus-<assignedBus> rooms
+ * - Drivers only the bus and route rooms of the bus assigned to them
+ * @param {Object} user - Authenticated user
+ * @param {string} roomId - Requested room
+ * @returns {Promise<boolean>}
+ */
+const canJoinRoom = async (user, roomId) => {
+  if (!roomId || typeof roomId !== 'string') return false;
+  if (user.role === 'admin') return true;
+
+  // A user's own default rooms are always allowed
+  if (getDefaultRooms(user).includes(roomId)) return true;
+
+  const allowedRooms = new Set();
+
+  if (user.role === 'student') {
+    // Re-read assignments so changes made by an admin apply without reconnecting
+    const student = await User.findById(user._id).select('assignedRoute assignedBus');
+    if (student?.assignedRoute) allowedRooms.add(`route-${student.assignedRoute}`);
+    if (student?.assignedBus) {
+      allowedRooms.add(`bus-${student.assignedBus}`);
+      const bus = await Bus.findById(student.assignedBus).select('routeId');
+      if (bus?.routeId) allowedRooms.add(`route-${bus.routeId}`);
+    }
+  }
+
+  if (user.role === 'driver') {
+    const bus = await Bus.findOne({ driverId: user._id }).select('_id routeId');
+    if (bus) {
+      allowedRooms.add(`bus-${bus._id}`);
+      if (bus.routeId) allowedRooms.add(`route-${bus.routeId}`);
+    }
+  }
+
+  return allowedRooms.has(roomId);
+};
+
+/**
+ * Find a bus only if the user is its assigned driver
+ * @param {Object} user - Authenticated user
+ * @param {string} busId - Bus ID sent by the client
+ * @returns {Promise<Object|null>} Bus document, or null when the user may not publish for it
+ */
+const findDriverBus = async (user, busId) => {
+  if (!user || user.role !== 'driver' || !busId) return null;
+  if (user.status === 'pending') return null;
+
+  try {
+    const bus = await Bus.findById(busId);
+    if (!bus || !bus.driverId || !bus.driverId.equals(user._id)) return null;
+    return bus;
+  } catch (error) {
+    // Malformed ObjectId
+    return null;
+  }
+};
+
+module.exports = {
+  socketAuthMiddleware,
+  getDefaultRooms,
+  canJoinRoom,
+  findDriverBus
+};
@@ -0,0 +1,34 @@
+const mongoose = require('mongoose');
+const { ALL_PERMISSIONS } = require('../utils/permissions');
+
+// Admin sub-role such as "Fee Clerk" or "Dispatcher": a named set of permissions.
+// Admins point to one through User.adminRole; admins without one have full access.
+const adminRoleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Role name is required'],
+    unique: true,
+    trim: true,
+    maxlength: [50, 'Role name cannot exceed 50 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Description cannot exceed 200 characters'],
+    default: ''
+  },
+  permissions: {
+    type: [{
+      type: String,
+      enum: {
+        values: ALL_PERMISSIONS,
+        message: '{VALUE} is not a valid permission'
+      }
+    }],
+    default: []
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('AdminRole', adminRoleSchema);
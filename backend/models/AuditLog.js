@@ -0,0 +1,76 @@
+const mongoose = require('mongoose');
+
+// One administrative action: who did what to which record, and what changed.
+// Entries are written by services/auditService and are never edited afterwards.
+const auditLogSchema = new mongoose.Schema({
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  // Copied so the entry still reads correctly after the actor is renamed or deleted
+  actorName: {
+    type: String,
+    default: 'System'
+  },
+  actorEmail: {
+    type: String,
+    default: ''
+  },
+  actorRole: {
+    type: String,
+    enum: ['admin', 'driver', 'student', 'system'],
+    default: 'system'
+  },
+  action: {
+    type: String,
+    required: [true, 'Audit action is required'],
+    trim: true
+  },
+  entityType: {
+    type: String,
+    enum: ['user', 'bus', 'route', 'notification', 'trip', 'simulation', 'adminRole', 'feeInvoice', 'feePayment', 'billingTerm', 'feePolicy', 'feeConcession'],
+    required: [true, 'Audit entity type is required']
+  },
+  entityId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  entityLabel: {
+    type: String,
+    default: ''
+  },
+  changes: [{
+    _id: false,
+    field: { type: String, required: true },
+    before: { type: mongoose.Schema.Types.Mixed, default: null },
+    after: { type: mongoose.Schema.Types.Mixed, default: null }
+  }],
+  // Extra context that isn't a field change (reason, recipient count…)
+  details: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  ipAddress: {
+    type: String,
+    default: ''
+  },
+  userAgent: {
+    type: String,
+    default: ''
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+auditLogSchema.index({ createdAt: -1 });
+auditLogSchema.index({ actor: 1, createdAt: -1 });
+auditLogSchema.index({ entityType: 1, entityId: 1, createdAt: -1 });
+auditLogSchema.index({ action: 1, createdAt: -1 });
+
+// An audit trail that can be rewritten isn't one
+auditLogSchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne'], function (next) {
+  next(new Error('Audit log entries cannot be modified'));
+});
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
@@ -0,0 +1,79 @@
+const mongoose = require('mongoose');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const AVERAGE_MONTH_DAYS = 30.44;
+
+// A period students are billed for (a semester or a single month). Stop fees are
+// monthly, so a term's transport fee is the stop fee times the term's months.
+const billingTermSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Term name is required'],
+    unique: true,
+    trim: true,
+    maxlength: [50, 'Term name cannot exceed 50 characters']
+  },
+  type: {
+    type: String,
+    enum: {
+      values: ['semester', 'month'],
+      message: '{VALUE} is not a valid term type'
+    },
+    default: 'semester'
+  },
+  startDate: {
+    type: Date,
+    required: [true, 'Start date is required']
+  },
+  endDate: {
+    type: Date,
+    required: [true, 'End date is required']
+  },
+  // Due date of the first installment; later installments are spread until the end date
+  dueDate: {
+    type: Date,
+    required: [true, 'Due date is required']
+  },
+  // Number of monthly fees in the term, worked out from the dates
+  months: {
+    type: Number,
+    min: 1
+  },
+  // Let the billing job invoice this term by itself once it starts (see services/termBillingService)
+  autoInvoice: {
+    type: Boolean,
+    default: false
+  },
+  lastInvoicedAt: {
+    type: Date,
+    default: null
+  },
+  // Set while invoices are being generated so two runs never overlap
+  invoicingStartedAt: {
+    type: Date,
+    default: null
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+billingTermSchema.pre('validate', function (next) {
+  if (this.startDate && this.endDate) {
+    if (this.endDate <= this.startDate) {
+      this.invalidate('endDate', 'End date must be after the start date');
+    } else if (this.dueDate && (this.dueDate < this.startDate || this.dueDate > this.endDate)) {
+      this.invalidate('dueDate', 'Due date must be within the term');
+    }
+
+    const days = (this.endDate - this.startDate) / DAY_MS;
+    this.months = this.type === 'month' ? 1 : Math.max(1, Math.round(days / AVERAGE_MONTH_DAYS));
+  }
+  next();
+});
+
+module.exports = mongoose.model('BillingTerm', billingTermSchema);
@@ -0,0 +1,26 @@
+const mongoose = require('mongoose');
+
+// Named sequence for human-readable document numbers (invoice and receipt numbers)
+const counterSchema = new mongoose.Schema({
+  _id: {
+    type: String,
+    required: true
+  },
+  seq: {
+    type: Number,
+    default: 0
+  }
+});
+
+/**
+ * Next value of a sequence, created on first use. Atomic, so concurrent requests never share a number.
+ * @param {string} name - Sequence name, e.g. 'feeInvoice'
+ * @param {Object} [session] - Transaction the number belongs to (it is given back if the transaction aborts)
+ * @returns {Promise<number>}
+ */
+counterSchema.statics.next = async function (name, session = null) {
+  const counter = await this.findByIdAndUpdate(name, { $inc: { seq: 1 } }, { new: true, upsert: true, session });
+  return counter.seq;
+};
+
+module.exports = mongoose.model('Counter', counterSchema);
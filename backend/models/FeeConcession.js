@@ -0,0 +1,107 @@
+const mongoose = require('mongoose');
+
+// A reduction of a student's transport fee (scholarship, sibling discount…), taken off
+// the term invoices generated while it is valid (see services/termBillingService).
+// Concessions above the fee policy's approval threshold wait for an admin with
+// fees:approve. They are never deleted: one that no longer applies is revoked.
+const feeConcessionSchema = new mongoose.Schema({
+  student: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Student is required'],
+    index: true
+  },
+  category: {
+    type: String,
+    enum: {
+      values: ['scholarship', 'sibling', 'staff', 'financial_aid', 'other'],
+      message: '{VALUE} is not a valid concession category'
+    },
+    default: 'other'
+  },
+  type: {
+    type: String,
+    enum: {
+      values: ['percentage', 'fixed'],
+      message: '{VALUE} is not a valid concession type'
+    },
+    required: [true, 'Concession type is required']
+  },
+  // Percent of the stop fee, or rupees off the monthly stop fee
+  amount: {
+    type: Number,
+    required: [true, 'Amount is required'],
+    min: [0.01, 'Amount must be greater than 0']
+  },
+  reason: {
+    type: String,
+    required: [true, 'A reason is required'],
+    trim: true,
+    maxlength: [300, 'Reason cannot exceed 300 characters']
+  },
+  validFrom: {
+    type: Date,
+    required: [true, 'Start date is required']
+  },
+  // null: until revoked
+  validUntil: {
+    type: Date,
+    default: null
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'rejected', 'revoked'],
+    default: 'pending'
+  },
+  requestedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  // Who approved or rejected it (the requester when no approval was needed)
+  decidedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  decidedAt: {
+    type: Date,
+    default: null
+  },
+  decisionNote: {
+    type: String,
+    trim: true,
+    maxlength: [300, 'Note cannot exceed 300 characters'],
+    default: ''
+  },
+  revokedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokeReason: {
+    type: String,
+    trim: true,
+    default: ''
+  }
+}, {
+  timestamps: true
+});
+
+feeConcessionSchema.index({ status: 1, createdAt: -1 });
+
+feeConcessionSchema.pre('validate', function (next) {
+  if (this.type === 'percentage' && this.amount > 100) {
+    this.invalidate('amount', 'A percentage concession cannot exceed 100%');
+  }
+  if (this.validFrom && this.validUntil && this.validUntil <= this.validFrom) {
+    this.invalidate('validUntil', 'End date must be after the start date');
+  }
+  next();
+});
+
+module.exports = mongoose.model('FeeConcession', feeConcessionSchema);
@@ -0,0 +1,142 @@
+const mongoose = require('mongoose');
+const Counter = require('./Counter');
+
+// Snapshot of the route, stop, payment plan and concessions a term invoice was calculated from
+const billingSchema = new mongoose.Schema({
+  route: { type: mongoose.Schema.Types.ObjectId, ref: 'Route', default: null },
+  routeName: String,
+  stopName: String,
+  monthlyFee: Number,
+  paymentPlan: String,
+  installment: Number,
+  installments: Number,
+  periodStart: Date,
+  periodEnd: Date,
+  // Taken off this invoice by the student's concessions
+  concessionAmount: { type: Number, default: 0 },
+  concessions: [{ type: mongoose.Schema.Types.ObjectId, ref: 'FeeConcession' }]
+}, { _id: false });
+
+// A charge on a student's fee account (e.g. the transport fee for a term), or a credit
+// that lowers the balance (e.g. moving to a cheaper stop mid-term, or a concession).
+// Invoices are never deleted: a wrong one is voided and stays in the history.
+const feeInvoiceSchema = new mongoose.Schema({
+  invoiceNumber: {
+    type: String,
+    unique: true
+  },
+  student: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Student is required'],
+    index: true
+  },
+  type: {
+    type: String,
+    enum: ['charge', 'credit'],
+    default: 'charge'
+  },
+  term: {
+    type: String,
+    trim: true,
+    maxlength: [50, 'Term cannot exceed 50 characters'],
+    default: ''
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Description cannot exceed 200 characters'],
+    default: 'Transport fee'
+  },
+  amount: {
+    type: Number,
+    required: [true, 'Amount is required'],
+    min: [0.01, 'Amount must be greater than 0']
+  },
+  // Set on invoices generated for a billing term (services/termBillingService)
+  billingTerm: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'BillingTerm',
+    default: null
+  },
+  // What the amount was worked out from, so later runs can prorate route changes
+  billing: {
+    type: billingSchema,
+    default: null
+  },
+  // Set on late fees (services/feePolicyService): the overdue invoice it was charged for.
+  // Unique, so an invoice is only ever charged one late fee.
+  lateFeeFor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'FeeInvoice',
+    default: null,
+    index: {
+      unique: true,
+      partialFilterExpression: { lateFeeFor: { $type: 'objectId' } }
+    }
+  },
+  // Set on concession credits (services/termBillingService): the concession approved after
+  // the term was billed. Unique per term, so a concession is only credited once.
+  concessionFor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'FeeConcession',
+    default: null
+  },
+  // Payment reminders sent for it, by days from the due date (negative: before it)
+  remindersSent: [{
+    _id: false,
+    days: Number,
+    sentAt: Date
+  }],
+  issuedAt: {
+    type: Date,
+    default: Date.now
+  },
+  dueDate: {
+    type: Date,
+    default: null
+  },
+  issuedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  status: {
+    type: String,
+    enum: ['open', 'void'],
+    default: 'open'
+  },
+  voidedAt: {
+    type: Date,
+    default: null
+  },
+  voidedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  voidReason: {
+    type: String,
+    trim: true,
+    default: ''
+  }
+}, {
+  timestamps: true
+});
+
+feeInvoiceSchema.index({ billingTerm: 1, student: 1 });
+feeInvoiceSchema.index(
+  { concessionFor: 1, billingTerm: 1 },
+  { unique: true, partialFilterExpression: { concessionFor: { $type: 'objectId' } } }
+);
+
+// INV-000001, INV-000002…
+feeInvoiceSchema.pre('save', async function (next) {
+  if (!this.invoiceNumber) {
+    const seq = await Counter.next('feeInvoice', this.$session());
+    this.invoiceNumber = `INV-${String(seq).padStart(6, '0')}`;
+  }
+  next();
+});
+
+module.exports = mongoose.model('FeeInvoice', feeInvoiceSchema);
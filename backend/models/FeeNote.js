@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+
+// Free-text entry in a student's fee history ("promised to pay the rest on Friday").
+// 'system' notes are written automatically (route/bus assignment, defaulter marking);
+// lines of the old User.feeNotes text field were migrated into these with source 'legacy'.
+const feeNoteSchema = new mongoose.Schema({
+  student: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Student is required'],
+    index: true
+  },
+  text: {
+    type: String,
+    required: [true, 'Note text is required'],
+    trim: true,
+    maxlength: [1000, 'Note cannot exceed 1000 characters']
+  },
+  recordedAt: {
+    type: Date,
+    default: Date.now
+  },
+  recordedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  // Name as written in the note, for legacy entries whose admin can't be matched
+  recordedByName: {
+    type: String,
+    default: ''
+  },
+  source: {
+    type: String,
+    enum: ['admin', 'system', 'legacy'],
+    default: 'admin'
+  },
+  // Position of a legacy entry's line in the old text, so an interrupted migration can run again
+  legacyLine: {
+    type: Number
+  }
+}, {
+  timestamps: true
+});
+
+feeNoteSchema.index(
+  { student: 1, legacyLine: 1 },
+  { unique: true, partialFilterExpression: { legacyLine: { $exists: true } } }
+);
+
+module.exports = mongoose.model('FeeNote', feeNoteSchema);
@@ -0,0 +1,111 @@
+const mongoose = require('mongoose');
+const Counter = require('./Counter');
+
+const PAYMENT_METHODS = ['cash', 'bank_transfer', 'card', 'online', 'cheque', 'other'];
+
+// Money received against a student's fee account. Like invoices, payments are
+// voided rather than deleted so the history stays complete.
+const feePaymentSchema = new mongoose.Schema({
+  receiptNumber: {
+    type: String,
+    unique: true
+  },
+  student: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Student is required'],
+    index: true
+  },
+  // Optional: the invoice this payment settles
+  invoice: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'FeeInvoice',
+    default: null
+  },
+  amount: {
+    type: Number,
+    required: [true, 'Amount is required'],
+    min: [0.01, 'Amount must be greater than 0']
+  },
+  method: {
+    type: String,
+    enum: {
+      values: PAYMENT_METHODS,
+      message: '{VALUE} is not a valid payment method'
+    },
+    default: 'cash'
+  },
+  // Bank transaction ID, cheque number…
+  reference: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Reference cannot exceed 100 characters'],
+    default: ''
+  },
+  term: {
+    type: String,
+    trim: true,
+    maxlength: [50, 'Term cannot exceed 50 characters'],
+    default: ''
+  },
+  paidAt: {
+    type: Date,
+    default: Date.now
+  },
+  recordedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  // Set for online payments: the checkout it was recorded from. Unique, so a payment
+  // confirmed twice (webhook retry, reconciliation) is only recorded once.
+  paymentIntent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PaymentIntent',
+    default: null,
+    index: {
+      unique: true,
+      partialFilterExpression: { paymentIntent: { $type: 'objectId' } }
+    }
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Notes cannot exceed 500 characters'],
+    default: ''
+  },
+  status: {
+    type: String,
+    enum: ['completed', 'void'],
+    default: 'completed'
+  },
+  voidedAt: {
+    type: Date,
+    default: null
+  },
+  voidedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  voidReason: {
+    type: String,
+    trim: true,
+    default: ''
+  }
+}, {
+  timestamps: true
+});
+
+// RCT-000001, RCT-000002…
+feePaymentSchema.pre('save', async function (next) {
+  if (!this.receiptNumber) {
+    const seq = await Counter.next('feePayment', this.$session());
+    this.receiptNumber = `RCT-${String(seq).padStart(6, '0')}`;
+  }
+  next();
+});
+
+feePaymentSchema.statics.METHODS = PAYMENT_METHODS;
+
+module.exports = mongoose.model('FeePayment', feePaymentSchema);
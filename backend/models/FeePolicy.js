@@ -0,0 +1,128 @@
+const mongoose = require('mongoose');
+
+const MAX_DAYS = 365;
+
+const daysField = (label, defaultValue) => ({
+  type: Number,
+  min: [0, `${label} cannot be negative`],
+  max: [MAX_DAYS, `${label} cannot exceed ${MAX_DAYS} days`],
+  default: defaultValue
+});
+
+const reminderDaysField = (defaultValue) => ({
+  type: [Number],
+  default: defaultValue,
+  validate: {
+    validator: (days) => days.every(day => Number.isInteger(day) && day >= 0 && day <= MAX_DAYS),
+    message: `Reminder days must be whole numbers from 0 to ${MAX_DAYS}`
+  }
+});
+
+// The fee collection rules applied by services/feePolicyService: when invoices fall
+// due, reminders, late fees and when students become defaulters; also which fee
+// concessions need approval. There is a single policy document, read with
+// FeePolicy.getPolicy().
+const feePolicySchema = new mongoose.Schema({
+  // Run by the daily job; admins can always preview or run it by hand
+  enabled: {
+    type: Boolean,
+    default: false
+  },
+  // Due date of invoices issued without one, in days after they are issued
+  defaultDueDays: daysField('Default due days', 14),
+  // Days after the due date before an unpaid invoice is late
+  graceDays: daysField('Grace period', 7),
+  lateFee: {
+    enabled: { type: Boolean, default: false },
+    type: {
+      type: String,
+      enum: {
+        values: ['fixed', 'percentage'],
+        message: '{VALUE} is not a valid late fee type'
+      },
+      default: 'fixed'
+    },
+    // Rupees, or percent of what is still to be paid on the invoice
+    amount: {
+      type: Number,
+      min: [0, 'Late fee cannot be negative'],
+      default: 0
+    }
+  },
+  reminders: {
+    email: { type: Boolean, default: true },
+    inApp: { type: Boolean, default: true },
+    // Days before the due date, e.g. [3]
+    beforeDueDays: reminderDaysField([3]),
+    // Days after the due date, e.g. [1, 7]
+    afterDueDays: reminderDaysField([1, 7])
+  },
+  defaulter: {
+    enabled: { type: Boolean, default: false },
+    // Days after the due date an invoice may stay unpaid
+    afterDueDays: daysField('Defaulter days', 30),
+    // Smaller balances never make a student a defaulter
+    minBalance: {
+      type: Number,
+      min: [0, 'Minimum balance cannot be negative'],
+      default: 0
+    },
+    // Also take the defaulter off their bus
+    suspendTransport: { type: Boolean, default: false }
+  },
+  // Concessions larger than these wait for an admin with fees:approve (see models/FeeConcession)
+  concessionApproval: {
+    percentage: {
+      type: Number,
+      min: [0, 'Approval percentage cannot be negative'],
+      max: [100, 'Approval percentage cannot exceed 100%'],
+      default: 25
+    },
+    // Rupees off the monthly stop fee
+    amount: {
+      type: Number,
+      min: [0, 'Approval amount cannot be negative'],
+      default: 1000
+    }
+  },
+  lastRunAt: {
+    type: Date,
+    default: null
+  },
+  lastRunSummary: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  // Lock held while the policy is being applied, so two runs never overlap
+  runStartedAt: {
+    type: Date,
+    default: null
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+feePolicySchema.pre('validate', function (next) {
+  if (this.lateFee.type === 'percentage' && this.lateFee.amount > 100) {
+    this.invalidate('lateFee.amount', 'A percentage late fee cannot exceed 100%');
+  }
+  if (this.defaulter.enabled && this.defaulter.afterDueDays < this.graceDays) {
+    this.invalidate('defaulter.afterDueDays', 'Students cannot become defaulters before the grace period ends');
+  }
+  next();
+});
+
+/**
+ * The fee policy, created with the defaults on first use
+ * @returns {Promise<Object>} FeePolicy document
+ */
+feePolicySchema.statics.getPolicy = async function () {
+  return this.findOneAndUpdate({}, { $setOnInsert: { enabled: false } }, { new: true, upsert: true, setDefaultsOnInsert: true });
+};
+
+module.exports = mongoose.model('FeePolicy', feePolicySchema);
@@ -0,0 +1,85 @@
+const mongoose = require('mongoose');
+
+// A student's attempt to pay an invoice online through the payment provider
+// (services/onlinePaymentService). The FeePayment is only recorded once the provider
+// confirms the payment, by webhook or by the reconciliation job.
+const paymentIntentSchema = new mongoose.Schema({
+  student: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Student is required'],
+    index: true
+  },
+  invoice: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'FeeInvoice',
+    required: [true, 'Invoice is required']
+  },
+  amount: {
+    type: Number,
+    required: [true, 'Amount is required'],
+    min: [0.01, 'Amount must be greater than 0']
+  },
+  currency: {
+    type: String,
+    default: 'PKR'
+  },
+  // Provider name (services/paymentProviders) and its id of the checkout
+  provider: {
+    type: String,
+    required: true
+  },
+  providerReference: {
+    type: String,
+    default: null
+  },
+  checkoutUrl: {
+    type: String,
+    default: null
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'succeeded', 'failed', 'expired'],
+    default: 'pending'
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  // Amount the provider reports as paid (normally the same as amount)
+  paidAmount: {
+    type: Number,
+    default: null
+  },
+  paidAt: {
+    type: Date,
+    default: null
+  },
+  failureReason: {
+    type: String,
+    default: ''
+  },
+  // How the final status was learned: 'webhook' or 'reconciliation'
+  confirmedBy: {
+    type: String,
+    default: null
+  },
+  lastCheckedAt: {
+    type: Date,
+    default: null
+  },
+  // The recorded payment, once succeeded
+  payment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'FeePayment',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+paymentIntentSchema.index({ provider: 1, providerReference: 1 });
+paymentIntentSchema.index({ status: 1, createdAt: 1 });
+paymentIntentSchema.index({ invoice: 1, status: 1 });
+
+module.exports = mongoose.model('PaymentIntent', paymentIntentSchema);
@@ -32,6 +32,13 @@ const stopSchema = new mongoose.Schema({
     type: Number,
     required: [true, 'Fee is required'],
     min: [0, 'Fee cannot be negative']
+  },
+  // Radius in metres around the stop that counts as the bus being at the stop
+  geofenceRadius: {
+    type: Number,
+    default: 100,
+    min: [20, 'Geofence radius must be at least 20 metres'],
+    max: [1000, 'Geofence radius cannot exceed 1000 metres']
   }
 });
 
@@ -54,6 +61,27 @@ const routeSchema = new mongoose.Schema({
     maxlength: [500, 'Description cannot exceed 500 characters']
   },
   stops: [stopSchema],
+  // Optional road geometry between the stops; off-route detection follows it instead of
+  // straight lines between stops when it has at least two points
+  path: [{
+    _id: false,
+    latitude: { type: Number, required: true, min: -90, max: 90 },
+    longitude: { type: Number, required: true, min: -180, max: 180 }
+  }],
+  // How far in metres a bus may stray from the route line before it counts as off route
+  offRouteDistance: {
+    type: Number,
+    default: 200,
+    min: [50, 'Off-route distance must be at least 50 metres'],
+    max: [2000, 'Off-route distance cannot exceed 2000 metres']
+  },
+  // Speed limit for buses on this route, used for overspeed detection
+  speedLimitKmh: {
+    type: Number,
+    default: 50,
+    min: [10, 'Speed limit must be at least 10 km/h'],
+    max: [120, 'Speed limit cannot exceed 120 km/h']
+  },
   departureTime: {
     type: String,
     required: [true, 'Departure time is required'],
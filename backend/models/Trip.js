@@ -0,0 +1,288 @@
+const mongoose = require('mongoose');
+const TripPoint = require('./TripPoint');
+const { haversineDistance } = require('../utils/geo');
+
+// Actual arrival/departure at a route stop, detected from the stop geofence
+const stopEventSchema = new mongoose.Schema({
+  stop: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: [true, 'Stop is required']
+  },
+  name: {
+    type: String,
+    required: [true, 'Stop name is required']
+  },
+  sequence: {
+    type: Number,
+    required: [true, 'Stop sequence is required']
+  },
+  // Route pickupTime (HH:MM) the arrival is compared against
+  scheduledTime: {
+    type: String,
+    default: null
+  },
+  arrivedAt: {
+    type: Date,
+    required: [true, 'Arrival time is required']
+  },
+  departedAt: {
+    type: Date,
+    default: null
+  },
+  // Minutes late (positive) or early (negative) against scheduledTime
+  delayMinutes: {
+    type: Number,
+    default: null
+  }
+}, { _id: false });
+
+// Period the bus spent outside its route corridor
+const routeDeviationSchema = new mongoose.Schema({
+  // First position outside the corridor
+  startedAt: {
+    type: Date,
+    required: [true, 'Deviation start is required']
+  },
+  // When it had been off route long enough to raise an alert
+  detectedAt: {
+    type: Date,
+    required: [true, 'Detection time is required']
+  },
+  // Back inside the corridor (null while still off route)
+  endedAt: {
+    type: Date,
+    default: null
+  },
+  latitude: {
+    type: Number,
+    required: [true, 'Latitude is required']
+  },
+  longitude: {
+    type: Number,
+    required: [true, 'Longitude is required']
+  },
+  // Furthest distance from the route line in metres
+  maxDistanceM: {
+    type: Number,
+    default: 0
+  }
+}, { _id: false });
+
+// Unsafe driving detected from the bus's speed
+const safetyEventSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['overspeed', 'harsh_braking', 'idle'],
+    required: [true, 'Event type is required']
+  },
+  startedAt: {
+    type: Date,
+    required: [true, 'Event start is required']
+  },
+  // Null while an overspeed or idle period is still going on
+  endedAt: {
+    type: Date,
+    default: null
+  },
+  latitude: {
+    type: Number,
+    required: [true, 'Latitude is required']
+  },
+  longitude: {
+    type: Number,
+    required: [true, 'Longitude is required']
+  },
+  // Overspeed: top speed; harsh braking: speed before braking
+  speedKmh: {
+    type: Number,
+    default: null
+  },
+  speedLimitKmh: {
+    type: Number,
+    default: null
+  },
+  // Harsh braking only
+  decelerationMps2: {
+    type: Number,
+    default: null
+  }
+}, { _id: false });
+
+const tripSchema = new mongoose.Schema({
+  bus: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Bus',
+    required: [true, 'Bus is required']
+  },
+  driver: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Driver is required']
+  },
+  route: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Route',
+    default: null
+  },
+  startTime: {
+    type: Date,
+    required: [true, 'Start time is required']
+  },
+  endTime: {
+    type: Date,
+    default: null
+  },
+  // Duration in minutes, set when the trip is closed
+  duration: {
+    type: Number,
+    default: 0
+  },
+  // Distance travelled in kilometres, accumulated from the breadcrumbs
+  distance: {
+    type: Number,
+    default: 0
+  },
+  status: {
+    type: String,
+    // abandoned: closed by the stale-trip watchdog after the driver stopped sending locations
+    enum: ['in_progress', 'completed', 'abandoned'],
+    default: 'in_progress'
+  },
+  // Driven by the route simulator rather than a real driver
+  simulated: {
+    type: Boolean,
+    default: false
+  },
+  // GPS breadcrumbs and rejected fixes are TripPoint documents
+  stopEvents: [stopEventSchema],
+  routeDeviations: [routeDeviationSchema],
+  safetyEvents: [safetyEventSchema],
+  pointCount: {
+    type: Number,
+    default: 0
+  },
+  lastLocationAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Index for efficient queries
+tripSchema.index({ bus: 1, status: 1 });
+tripSchema.index({ bus: 1, startTime: -1 });
+tripSchema.index({ driver: 1, startTime: -1 });
+tripSchema.index({ startTime: -1 });
+
+// Close the trip and work out its duration
+tripSchema.methods.complete = function (endTime = new Date(), status = 'completed') {
+  this.endTime = endTime;
+  this.duration = Math.round((endTime - this.startTime) / (1000 * 60));
+  this.status = status;
+  return this.save();
+};
+
+// Find the trip currently running for a bus, if any
+tripSchema.statics.findActiveForBus = function (busId) {
+  return this.findOne({ bus: busId, status: 'in_progress' });
+};
+
+/**
+ * Append a breadcrumb to the running trip of a bus.
+ * The point is stored as a TripPoint and distance/pointCount are bumped with $inc, so
+ * concurrent updates from REST and sockets don't overwrite each other.
+ * Returns null when the bus has no trip in progress.
+ */
+tripSchema.statics.appendLocation = async function (busId, point) {
+  const trip = await this.findActiveForBus(busId).select('_id');
+  if (!trip) return null;
+
+  const recordedAt = point.recordedAt ? new Date(point.recordedAt) : new Date();
+  const lastPoint = await TripPoint.findOne({ trip: trip._id, kind: 'path' })
+    .sort({ recordedAt: -1 })
+    .select('latitude longitude')
+    .lean();
+  const segmentKm = lastPoint
+    ? haversineDistance(lastPoint.latitude, lastPoint.longitude, point.latitude, point.longitude)
+    : 0;
+
+  const inserted = await TripPoint.insertNew([{
+    trip: trip._id,
+    latitude: point.latitude,
+    longitude: point.longitude,
+    accuracy: point.accuracy ?? null,
+    speed: point.speed ?? null,
+    heading: point.heading ?? null,
+    recordedAt,
+    raw: point.raw,
+    snapped: point.snapped || false
+  }]);
+  if (inserted.length === 0) return trip;
+
+  await this.updateOne(
+    { _id: trip._id },
+    {
+      $inc: { distance: segmentKm, pointCount: 1 },
+      $set: { lastLocationAt: recordedAt }
+    }
+  );
+
+  return trip;
+};
+
+/**
+ * Merge breadcrumbs uploaded late (e.g. after the driver was offline) into a trip.
+ * distance/pointCount are recomputed by walking the trip's points in time order, since the
+ * $inc done by appendLocation assumes points arrive in order.
+ */
+tripSchema.statics.backfillLocations = async function (tripId, points) {
+  await TripPoint.insertNew(points.map(point => ({ ...point, trip: tripId })));
+
+  let distance = 0;
+  let pointCount = 0;
+  let previous = null;
+  const cursor = TripPoint.find({ trip: tripId, kind: 'path' })
+    .sort({ recordedAt: 1 })
+    .select('latitude longitude recordedAt')
+    .lean()
+    .cursor();
+  for await (const point of cursor) {
+    if (previous) {
+      distance += haversineDistance(previous.latitude, previous.longitude, point.latitude, point.longitude);
+    }
+    pointCount += 1;
+    previous = point;
+  }
+
+  await this.updateOne(
+    { _id: tripId },
+    { $set: { distance, pointCount, lastLocationAt: previous?.recordedAt || null } }
+  );
+};
+
+/**
+ * Keep fixes the GPS filter discarded on a trip, for debugging
+ * @param {string} tripId - Trip ID
+ * @param {Array} points - [{ latitude, longitude, accuracy, recordedAt, reason }]
+ */
+tripSchema.statics.recordRejectedPoints = function (tripId, points) {
+  return TripPoint.insertNew(points.map(point => ({
+    trip: tripId,
+    kind: 'rejected',
+    latitude: point.latitude,
+    longitude: point.longitude,
+    accuracy: point.accuracy ?? null,
+    recordedAt: point.recordedAt,
+    reason: point.reason
+  })));
+};
+
+// Keep a single discarded live fix on the running trip of a bus
+tripSchema.statics.recordRejectedPoint = async function (busId, point, reason) {
+  const trip = await this.findActiveForBus(busId).select('_id');
+  if (!trip) return [];
+  return this.recordRejectedPoints(trip._id, [{ ...point, reason }]);
+};
+
+module.exports = mongoose.model('Trip', tripSchema);
@@ -0,0 +1,89 @@
+const mongoose = require('mongoose');
+
+// One GPS fix of a trip. Fixes live in their own collection rather than an array on the
+// trip, so a long trip never grows the Trip document towards the 16 MB limit.
+// 'path' points are the breadcrumbs the trip followed (after the GPS filter); 'rejected'
+// points were discarded by the filter and are only kept for debugging.
+const tripPointSchema = new mongoose.Schema({
+  trip: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Trip',
+    required: [true, 'Trip is required']
+  },
+  kind: {
+    type: String,
+    enum: ['path', 'rejected'],
+    default: 'path'
+  },
+  latitude: {
+    type: Number,
+    required: [true, 'Latitude is required'],
+    min: [-90, 'Latitude must be between -90 and 90'],
+    max: [90, 'Latitude must be between -90 and 90']
+  },
+  longitude: {
+    type: Number,
+    required: [true, 'Longitude is required'],
+    min: [-180, 'Longitude must be between -180 and 180'],
+    max: [180, 'Longitude must be between -180 and 180']
+  },
+  accuracy: {
+    type: Number,
+    default: null
+  },
+  speed: {
+    type: Number,
+    default: null
+  },
+  heading: {
+    type: Number,
+    default: null
+  },
+  recordedAt: {
+    type: Date,
+    required: [true, 'Point timestamp is required']
+  },
+  // Fix as reported by the device, before smoothing/snapping (kept for debugging)
+  raw: {
+    latitude: Number,
+    longitude: Number,
+    accuracy: Number
+  },
+  // True when the stored position was snapped onto the route line
+  snapped: {
+    type: Boolean,
+    default: false
+  },
+  // Why the GPS filter discarded a rejected point
+  reason: {
+    type: String,
+    enum: ['low_accuracy', 'impossible_speed']
+  }
+}, {
+  versionKey: false
+});
+
+// One fix per trip, kind and timestamp, so a re-sent offline batch is never stored twice
+tripPointSchema.index({ trip: 1, kind: 1, recordedAt: 1 }, { unique: true });
+
+/**
+ * Insert fixes, skipping those already stored for the same trip, kind and timestamp
+ * @param {Array} points - TripPoint fields, including trip
+ * @returns {Promise<Array>} The points that were inserted
+ */
+tripPointSchema.statics.insertNew = async function (points) {
+  if (points.length === 0) return [];
+
+  try {
+    return await this.insertMany(points, { ordered: false });
+  } catch (error) {
+    // Mongoose copies the driver's write errors, so the code may only be on the original
+    const duplicatesOnly = error.writeErrors?.every(writeError =>
+      (writeError.code ?? writeError.err?.code) === 11000
+    );
+    if (!duplicatesOnly) throw error;
+    return error.insertedDocs || [];
+  }
+};
+
+module.exports = mongoose.model('TripPoint', tripPointSchema);
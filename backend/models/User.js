@@ -33,6 +33,12 @@ const userSchema = new mongoose.Schema({
     required: [true, 'Role is required'],
     default: 'student'
   },
+  // Admin sub-role limiting what this admin can do (null = full access)
+  adminRole: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AdminRole',
+    default: null
+  },
   phone: {
     type: String,
     required: [true, 'Phone number is required'],
@@ -63,6 +69,60 @@ const userSchema = new mongoose.Schema({
     type: Date,
     required: false
   },
+  passwordResetToken: {
+    type: String,
+    required: false
+  },
+  passwordResetExpires: {
+    type: Date,
+    required: false
+  },
+  // Tokens issued before this time are rejected (set when the password is reset)
+  passwordChangedAt: {
+    type: Date,
+    required: false
+  },
+  // TOTP two-factor authentication
+  twoFactorEnabled: {
+    type: Boolean,
+    default: false
+  },
+  twoFactorSecret: {
+    type: String,
+    required: false
+  },
+  // Secret shown during enrollment, promoted to twoFactorSecret once a code is confirmed
+  twoFactorPendingSecret: {
+    type: String,
+    required: false
+  },
+  // SHA-256 hashes of the unused recovery codes
+  twoFactorRecoveryCodes: {
+    type: [String],
+    default: undefined
+  },
+  // Last accepted time step, so a code can't be used twice
+  twoFactorLastStep: {
+    type: Number,
+    required: false
+  },
+  twoFactorEnabledAt: {
+    type: Date,
+    required: false
+  },
+  // Brute-force protection: consecutive failed sign-ins and the temporary lockout they trigger
+  failedLoginAttempts: {
+    type: Number,
+    default: 0
+  },
+  lastFailedLoginAt: {
+    type: Date,
+    required: false
+  },
+  lockUntil: {
+    type: Date,
+    required: false
+  },
   studentId: {
     type: String,
     required: function () {
@@ -73,6 +133,8 @@ const userSchema = new mongoose.Schema({
     },
     sparse: true
   },
+  // Kept in step with the fee ledger; 'defaulter' is set by the fee policy (services/feePolicyService) and
+  // cleared once the balance is settled
   feeStatus: {
     type: String,
     enum: ['paid', 'partially_paid', 'pending', 'defaulter'],
@@ -86,22 +148,18 @@ const userSchema = new mongoose.Schema({
     default: false,
     required: false
   },
-  // Fee Notes - Automatic log of all fee-related actions
-  // Stores a timestamped history of fee status changes, route assignments, and bus assignments
-  // Format: "Action by Admin Name on Date Time\n"
-  // Example: "Fee marked as paid by Admin John on Feb 5, 2024 10:30 AM\nAssigned to Route 1 by Admin John on Feb 5, 2024 10:35 AM"
-  feeNotes: {
-    type: String,
-    default: '',
-    required: false
+  // Derived from the fee ledger (FeeInvoice / FeePayment) by services/feeLedgerService:
+  // outstanding amount = open invoices - completed payments (negative means credit)
+  feeBalance: {
+    type: Number,
+    default: 0
   },
-  // Fee Updated At - Timestamp of last fee-related update
-  // Automatically set whenever feeStatus, assignedRoute, or assignedBus changes
+  // Fee Updated At - Timestamp of the last fee ledger change
   feeUpdatedAt: {
     type: Date,
     required: false
   },
-  // Fee Updated By - Reference to the admin who made the last fee-related update
+  // Fee Updated By - Reference to the admin who made the last fee ledger change
   // Used to track which admin made changes for accountability
   feeUpdatedBy: {
     type: mongoose.Schema.Types.ObjectId,
@@ -140,6 +198,11 @@ const userSchema = new mongoose.Schema({
     type: String,
     required: false
   },
+  // When assignedRoute or stopName last changed; term billing prorates from it
+  routeAssignedAt: {
+    type: Date,
+    default: null
+  },
   emergencyContact: {
     type: String,
     required: false,
@@ -162,9 +225,11 @@ const userSchema = new mongoose.Schema({
     default: 'full',
     required: false
   },
+  // Amount of each installment for the 'custom' payment plan
   customInstallment: {
     type: Number,
-    required: false
+    required: false,
+    min: [1, 'Installment must be at least 1']
   },
   createdAt: {
     type: Date,
@@ -214,6 +279,13 @@ userSchema.methods.toJSON = function () {
   delete user.password;
   delete user.verificationToken;
   delete user.verificationTokenExpires;
+  delete user.passwordResetToken;
+  delete user.passwordResetExpires;
+  delete user.twoFactorSecret;
+  delete user.twoFactorPendingSecret;
+  delete user.twoFactorRecoveryCodes;
+  delete user.twoFactorLastStep;
+  user.twoFactorSetupRequired = this.needsTwoFactorSetup();
   return user;
 };
 
@@ -231,5 +303,36 @@ userSchema.methods.createEmailVerificationToken = function() {
   return verificationToken;
 };
 
+// Generate password reset token
+userSchema.methods.createPasswordResetToken = function() {
+  const resetToken = crypto.randomBytes(32).toString('hex');
+
+  this.passwordResetToken = crypto
+    .createHash('sha256')
+    .update(resetToken)
+    .digest('hex');
+
+  this.passwordResetExpires = Date.now() + 60 * 60 * 1000; // 1 hour
+
+  return resetToken;
+};
+
+// Admins must enroll in 2FA before using admin endpoints when REQUIRE_ADMIN_2FA=true
+userSchema.methods.needsTwoFactorSetup = function() {
+  return process.env.REQUIRE_ADMIN_2FA === 'true' && this.role === 'admin' && !this.twoFactorEnabled;
+};
+
+// Check whether a JWT was issued before the password was last reset. iat has whole
+// seconds, so a token issued in the same second as the change still counts as newer.
+userSchema.methods.changedPasswordAfter = function(tokenIssuedAt) {
+  if (!this.passwordChangedAt || !tokenIssuedAt) return false;
+  return tokenIssuedAt < Math.floor(this.passwordChangedAt.getTime() / 1000);
+};
+
+// Check whether sign-in is temporarily locked after repeated failures
+userSchema.methods.isLocked = function() {
+  return Boolean(this.lockUntil && this.lockUntil.getTime() > Date.now());
+};
+
 module.exports = mongoose.model('User', userSchema);
 
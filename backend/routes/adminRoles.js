@@ -0,0 +1,20 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getAdminRoles,
+  createAdminRole,
+  updateAdminRole,
+  deleteAdminRole
+} = require('../controllers/adminRoleController');
+const authMiddleware = require('../middleware/authMiddleware');
+const { requirePermission } = require('../middleware/roleMiddleware');
+
+// All routes require authentication and the roles:manage permission
+router.use(authMiddleware, requirePermission('roles:manage'));
+
+router.get('/', getAdminRoles);
+router.post('/', createAdminRole);
+router.put('/:id', updateAdminRole);
+router.delete('/:id', deleteAdminRole);
+
+module.exports = router;
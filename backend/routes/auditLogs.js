@@ -0,0 +1,16 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getAuditLogs,
+  exportAuditLogs
+} = require('../controllers/auditLogController');
+const authMiddleware = require('../middleware/authMiddleware');
+const { requirePermission } = require('../middleware/roleMiddleware');
+
+// All routes require authentication and the audit:read permission
+router.use(authMiddleware, requirePermission('audit:read'));
+
+router.get('/', getAuditLogs);
+router.get('/export', exportAuditLogs);
+
+module.exports = router;
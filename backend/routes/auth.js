@@ -9,6 +9,24 @@ const {
   verifyEmail,
   resendVerificationEmail
 } = require('../controllers/emailVerificationController');
+const {
+  forgotPassword,
+  resetPassword
+} = require('../controllers/passwordResetController');
+const {
+  refreshSession,
+  getMySessions,
+  revokeMySession,
+  revokeOtherSessions
+} = require('../controllers/sessionController');
+const {
+  verifyTwoFactorLogin,
+  getTwoFactorStatus,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes
+} = require('../controllers/twoFactorController');
 const {
   getMe,
   updateProfile,
@@ -17,22 +35,70 @@ const {
 } = require('../controllers/profileController');
 const authMiddleware = require('../middleware/authMiddleware');
 const upload = require('../middleware/fileUpload');
+const { rateLimit, emailKey } = require('../middleware/rateLimiter');
+
+// Per-IP and per-address limits on the public endpoints
+// (per-account lockout after failed passwords is in services/loginProtectionService)
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+// Shared by both login steps; only failed attempts count so a busy campus network isn't blocked
+const loginLimiter = rateLimit({
+  windowMs: 15 * MINUTE,
+  max: 30,
+  delayAfter: 5,
+  skipSuccessfulRequests: true,
+  message: 'Too many failed sign-in attempts from this network.'
+});
+const registerLimiter = rateLimit({
+  windowMs: HOUR,
+  max: 20,
+  delayAfter: 5,
+  message: 'Too many sign-up attempts from this network.'
+});
+
+// Endpoints that send email: limit the sender IP and the target inbox
+const emailLimiters = (action) => [
+  rateLimit({
+    windowMs: HOUR,
+    max: 10,
+    message: `Too many ${action} requests from this network.`
+  }),
+  rateLimit({
+    windowMs: HOUR,
+    max: 3,
+    key: emailKey,
+    message: `Too many ${action} emails have been sent to this address.`
+  })
+];
 
 // Public routes
 // multer middleware handles optional file upload for driver registration and mandatory profile picture
-router.post('/register', upload.fields([
+router.post('/register', registerLimiter, upload.fields([
   { name: 'profilePicture', maxCount: 1 },
   { name: 'drivingLicense', maxCount: 1 }
 ]), register);
-router.post('/login', login);
+router.post('/login', loginLimiter, login);
+router.post('/login/2fa', loginLimiter, verifyTwoFactorLogin);
 router.post('/logout', logout);
+router.post('/refresh', refreshSession);
 router.get('/verify-email/:token', verifyEmail);
-router.post('/resend-verification', resendVerificationEmail);
+router.post('/resend-verification', emailLimiters('verification'), resendVerificationEmail);
+router.post('/forgot-password', emailLimiters('password reset'), forgotPassword);
+router.post('/reset-password/:token', resetPassword);
 
 // Protected routes
 router.get('/me', authMiddleware, getMe);
 router.put('/profile', authMiddleware, upload.single('profilePicture'), updateProfile);
 router.put('/change-password', authMiddleware, changePassword);
 router.put('/select-route', authMiddleware, selectRoute);
+router.get('/sessions', authMiddleware, getMySessions);
+router.delete('/sessions', authMiddleware, revokeOtherSessions);
+router.delete('/sessions/:id', authMiddleware, revokeMySession);
+router.get('/2fa', authMiddleware, getTwoFactorStatus);
+router.post('/2fa/setup', authMiddleware, setupTwoFactor);
+router.post('/2fa/enable', authMiddleware, enableTwoFactor);
+router.post('/2fa/disable', authMiddleware, disableTwoFactor);
+router.post('/2fa/recovery-codes', authMiddleware, regenerateRecoveryCodes);
 
 module.exports = router;
\ No newline at end of file
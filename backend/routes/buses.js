@@ -12,7 +12,7 @@ const {
   getBusStats
 } = require('../controllers/busController');
 const authMiddleware = require('../middleware/authMiddleware');
-const { adminOnly, adminOrDriver } = require('../middleware/roleMiddleware');
+const { requirePermission } = require('../middleware/roleMiddleware');
 
 // Public routes (accessible without authentication for registration)
 router.get('/route/:routeId', getBusesByRoute);
@@ -26,11 +26,11 @@ router.get('/active', getActiveBuses);
 router.get('/driver/:driverId', getBusesByDriver);
 router.get('/:id', getBus);
 
-// Admin only routes
-router.post('/', adminOnly, createBus);
-router.put('/:id', adminOnly, updateBus);
-router.delete('/:id', adminOnly, deleteBus);
-router.get('/stats/overview', adminOnly, getBusStats);
+// Admin routes
+router.post('/', requirePermission('buses:edit'), createBus);
+router.put('/:id', requirePermission('buses:edit'), updateBus);
+router.delete('/:id', requirePermission('buses:edit'), deleteBus);
+router.get('/stats/overview', requirePermission(), getBusStats);
 
 module.exports = router;
 
@@ -0,0 +1,86 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getStudentLedger,
+  getMyLedger,
+  createInvoice,
+  recordPayment,
+  addFeeNote,
+  updatePaymentPlan,
+  voidInvoice,
+  voidPayment,
+  downloadFeeDocument
+} = require('../controllers/feeController');
+const {
+  getBillingTerms,
+  createBillingTerm,
+  updateBillingTerm,
+  deleteBillingTerm,
+  previewTermInvoices,
+  generateTermInvoices
+} = require('../controllers/billingTermController');
+const { previewBankImport, importBankStatement } = require('../controllers/bankImportController');
+const {
+  getConcessions,
+  getStudentConcessions,
+  getMyConcessions,
+  createConcession,
+  approveConcession,
+  rejectConcession,
+  revokeConcession
+} = require('../controllers/concessionController');
+const {
+  getFeePolicy,
+  updateFeePolicy,
+  previewFeePolicy,
+  runFeePolicy
+} = require('../controllers/feePolicyController');
+const authMiddleware = require('../middleware/authMiddleware');
+const { requirePermission, studentOnly } = require('../middleware/roleMiddleware');
+const csvUpload = require('../middleware/csvUpload');
+
+// All routes require authentication
+router.use(authMiddleware);
+
+router.get('/me', studentOnly, getMyLedger);
+router.get('/me/concessions', studentOnly, getMyConcessions);
+router.get('/students/:id', requirePermission(['users:read', 'fees:write']), getStudentLedger);
+router.post('/students/:id/invoices', requirePermission('fees:write'), createInvoice);
+router.post('/students/:id/payments', requirePermission('fees:write'), recordPayment);
+router.post('/students/:id/notes', requirePermission('fees:write'), addFeeNote);
+router.put('/students/:id/plan', requirePermission('fees:write'), updatePaymentPlan);
+router.put('/invoices/:id/void', requirePermission('fees:write'), voidInvoice);
+router.put('/payments/:id/void', requirePermission('fees:write'), voidPayment);
+router.get(
+  '/receipts/:id.pdf',
+  requirePermission(['users:read', 'fees:write'], { alsoAllow: ['student'] }),
+  downloadFeeDocument
+);
+
+// Billing terms and term invoicing
+router.get('/terms', requirePermission(['users:read', 'fees:write']), getBillingTerms);
+router.post('/terms', requirePermission('fees:write'), createBillingTerm);
+router.put('/terms/:id', requirePermission('fees:write'), updateBillingTerm);
+router.delete('/terms/:id', requirePermission('fees:write'), deleteBillingTerm);
+router.get('/terms/:id/preview', requirePermission('fees:write'), previewTermInvoices);
+router.post('/terms/:id/invoices', requirePermission('fees:write'), generateTermInvoices);
+
+// Concessions: granted by fees:write, large ones approved by fees:approve
+router.get('/concessions', requirePermission(['users:read', 'fees:write']), getConcessions);
+router.get('/students/:id/concessions', requirePermission(['users:read', 'fees:write']), getStudentConcessions);
+router.post('/students/:id/concessions', requirePermission('fees:write'), createConcession);
+router.put('/concessions/:id/approve', requirePermission('fees:approve'), approveConcession);
+router.put('/concessions/:id/reject', requirePermission('fees:approve'), rejectConcession);
+router.put('/concessions/:id/revoke', requirePermission('fees:write'), revokeConcession);
+
+// Fee policy: reminders, late fees and defaulters
+router.get('/policy', requirePermission(['users:read', 'fees:write']), getFeePolicy);
+router.put('/policy', requirePermission('fees:write'), updateFeePolicy);
+router.get('/policy/preview', requirePermission('fees:write'), previewFeePolicy);
+router.post('/policy/run', requirePermission('fees:write'), runFeePolicy);
+
+// Bank statement imports
+router.post('/imports/preview', requirePermission('fees:write'), csvUpload.single('file'), previewBankImport);
+router.post('/imports', requirePermission('fees:write'), csvUpload.single('file'), importBankStatement);
+
+module.exports = router;
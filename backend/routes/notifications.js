@@ -10,7 +10,7 @@ const {
   getNotificationStats
 } = require('../controllers/notificationController');
 const authMiddleware = require('../middleware/authMiddleware');
-const { adminOnly, adminOrDriver } = require('../middleware/roleMiddleware');
+const { requirePermission } = require('../middleware/roleMiddleware');
 
 // All routes require authentication
 router.use(authMiddleware);
@@ -24,7 +24,7 @@ router.put('/mark-all-read', markAllAsRead);
 router.delete('/:id', deleteNotification);
 
 // Send notification route (admin or driver)
-router.post('/', adminOrDriver, sendNotification);
+router.post('/', requirePermission('notifications:broadcast', { alsoAllow: ['driver'] }), sendNotification);
 
 module.exports = router;
 
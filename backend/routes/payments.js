@@ -0,0 +1,34 @@
+const express = require('express');
+const router = express.Router();
+const {
+  createCheckout,
+  getMyPayments,
+  getPayment,
+  handleWebhook,
+  getPayments,
+  reconcilePayments,
+  mockCheckoutPage,
+  mockCheckoutSubmit
+} = require('../controllers/paymentController');
+const authMiddleware = require('../middleware/authMiddleware');
+const { requirePermission, studentOnly } = require('../middleware/roleMiddleware');
+const { isMockPaymentsEnabled } = require('../services/paymentProviders');
+
+// Called by the payment provider and its checkout page, without a login
+router.post('/webhooks/:provider', handleWebhook);
+
+// The mock provider's checkout page records payments without charging anything
+if (isMockPaymentsEnabled()) {
+  router.get('/mock/checkout/:reference', mockCheckoutPage);
+  router.post('/mock/checkout/:reference', mockCheckoutSubmit);
+}
+
+router.use(authMiddleware);
+
+router.post('/checkout', studentOnly, createCheckout);
+router.get('/me', studentOnly, getMyPayments);
+router.get('/', requirePermission(['users:read', 'fees:write']), getPayments);
+router.post('/reconcile', requirePermission('fees:write'), reconcilePayments);
+router.get('/:id', requirePermission(['users:read', 'fees:write'], { alsoAllow: ['student'] }), getPayment);
+
+module.exports = router;
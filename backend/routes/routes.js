@@ -11,7 +11,7 @@ const {
   assignBusToRoute
 } = require('../controllers/routeController');
 const authMiddleware = require('../middleware/authMiddleware');
-const { adminOnly } = require('../middleware/roleMiddleware');
+const { requirePermission } = require('../middleware/roleMiddleware');
 
 // Public routes (accessible without authentication for registration)
 router.get('/active', getActiveRoutes);
@@ -23,12 +23,12 @@ router.use(authMiddleware);
 // Authenticated routes
 router.get('/', getRoutes);
 
-// Admin only routes
-router.post('/', adminOnly, createRoute);
-router.put('/:id', adminOnly, updateRoute);
-router.delete('/:id', adminOnly, deleteRoute);
-router.get('/stats/overview', adminOnly, getRouteStats);
-router.put('/:id/assign-bus', adminOnly, assignBusToRoute);
+// Admin routes
+router.post('/', requirePermission('routes:edit'), createRoute);
+router.put('/:id', requirePermission('routes:edit'), updateRoute);
+router.delete('/:id', requirePermission('routes:edit'), deleteRoute);
+router.get('/stats/overview', requirePermission(), getRouteStats);
+router.put('/:id/assign-bus', requirePermission(['routes:edit', 'buses:edit']), assignBusToRoute);
 
 module.exports = router;
 
@@ -4,13 +4,22 @@ const {
   startTrip,
   stopTrip,
   updateLocation,
+  uploadLocationBatch,
   getBusLocation,
+  getBusEta,
   getActiveBusLocations,
   getSimulatedLocations,
-  getMyTripStatus
+  getSimulations,
+  startSimulatedTrip,
+  stopSimulatedTrip,
+  getMyTripStatus,
+  getTrips,
+  getTrip,
+  getSafetyOverview,
+  getDriverSafetyReport
 } = require('../controllers/trackingController');
 const authMiddleware = require('../middleware/authMiddleware');
-const { driverOnly, adminOrDriver } = require('../middleware/roleMiddleware');
+const { requirePermission, driverOnly } = require('../middleware/roleMiddleware');
 
 // All routes require authentication
 router.use(authMiddleware);
@@ -19,10 +28,25 @@ router.use(authMiddleware);
 router.post('/start-trip', driverOnly, startTrip);
 router.post('/stop-trip', driverOnly, stopTrip);
 router.put('/update-location', driverOnly, updateLocation);
+router.post('/locations/batch', driverOnly, uploadLocationBatch);
 router.get('/my-trip', driverOnly, getMyTripStatus);
 
+// Trip history (drivers only see their own trips)
+router.get('/trips', requirePermission('trips:read', { alsoAllow: ['driver'] }), getTrips);
+router.get('/trips/:id', requirePermission('trips:read', { alsoAllow: ['driver'] }), getTrip);
+
+// Driver safety reports (drivers only see their own)
+router.get('/safety', requirePermission('trips:read'), getSafetyOverview);
+router.get('/safety/:driverId', requirePermission('trips:read', { alsoAllow: ['driver'] }), getDriverSafetyReport);
+
+// Route simulator (admins)
+router.get('/simulations', requirePermission('simulator:run'), getSimulations);
+router.post('/simulations', requirePermission('simulator:run'), startSimulatedTrip);
+router.delete('/simulations/:busId', requirePermission('simulator:run'), stopSimulatedTrip);
+
 // Public routes (authenticated users)
 router.get('/bus/:busId', getBusLocation);
+router.get('/bus/:busId/eta', getBusEta);
 router.get('/active-buses', getActiveBusLocations);
 router.get('/simulate', getSimulatedLocations);
 
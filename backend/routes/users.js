@@ -9,32 +9,37 @@ const {
   approveDriver,
   rejectDriver,
   getPendingDrivers,
+  getLockedUsers,
+  unlockUser,
   getUserStats,
-  getDriverLicense,
-  markFeeDefaulters
+  getDriverLicense
 } = require('../controllers/userController');
+const { forceSignOutUser } = require('../controllers/sessionController');
 const authMiddleware = require('../middleware/authMiddleware');
-const { adminOnly, adminOrDriver } = require('../middleware/roleMiddleware');
+const { requirePermission } = require('../middleware/roleMiddleware');
 const upload = require('../middleware/fileUpload');
 
 // All routes require authentication
 router.use(authMiddleware);
 
-// Admin or Driver routes (drivers can view users assigned to their bus)
-router.get('/', adminOrDriver, getUsers);
-router.post('/', adminOnly, upload.fields([
+// Drivers can view users assigned to their bus
+router.get('/', requirePermission('users:read', { alsoAllow: ['driver'] }), getUsers);
+router.post('/', requirePermission('users:write'), upload.fields([
   { name: 'profilePicture', maxCount: 1 },
   { name: 'drivingLicense', maxCount: 1 }
 ]), createUser);
-router.get('/stats', adminOnly, getUserStats);
-router.get('/pending-drivers', adminOnly, getPendingDrivers);
-router.get('/:id', adminOnly, getUser);
-router.put('/:id', adminOnly, updateUser);
-router.delete('/:id', adminOnly, deleteUser);
-router.put('/:id/approve', adminOnly, approveDriver);
-router.put('/:id/reject', adminOnly, rejectDriver);
-router.get('/:id/license', adminOnly, getDriverLicense);
-router.put('/action/mark-defaulters', adminOnly, markFeeDefaulters);
+router.get('/stats', requirePermission(), getUserStats);
+router.get('/pending-drivers', requirePermission('users:approve'), getPendingDrivers);
+router.get('/locked', requirePermission('users:write'), getLockedUsers);
+router.get('/:id', requirePermission('users:read'), getUser);
+// Dispatchers may only change bus assignments (checked in updateUser)
+router.put('/:id', requirePermission(['users:write', 'buses:edit']), updateUser);
+router.delete('/:id', requirePermission('users:write'), deleteUser);
+router.put('/:id/approve', requirePermission('users:approve'), approveDriver);
+router.put('/:id/reject', requirePermission('users:approve'), rejectDriver);
+router.put('/:id/unlock', requirePermission('users:write'), unlockUser);
+router.get('/:id/license', requirePermission(['users:read', 'users:approve']), getDriverLicense);
+router.post('/:id/force-logout', requirePermission('users:write'), forceSignOutUser);
 
 module.exports = router;
 
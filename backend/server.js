@@ -14,6 +14,15 @@ const path = require('path');
 const { createServer } = require('http');
 const { Server } = require('socket.io');
 const { initializeSocketService } = require('./services/socketService');
+const { socketAuthMiddleware, getDefaultRooms, canJoinRoom, findDriverBus } = require('./middleware/socketAuth');
+const { ingestLocation } = require('./services/locationService');
+const { startTripWatchdog } = require('./services/tripWatchdogService');
+const { ensureDefaultAdminRoles } = require('./services/permissionService');
+const { migrateLegacyFeeNotes } = require('./services/feeLedgerService');
+const { migrateEmbeddedTripPoints } = require('./services/tripService');
+const { startTermBillingJob } = require('./services/termBillingService');
+const { startPaymentReconciliation } = require('./services/onlinePaymentService');
+const { startFeePolicyJob } = require('./services/feePolicyService');
 
 // Load environment variables from .env file
 // This allows us to keep sensitive information (like database URLs and secrets) secure
@@ -39,6 +48,14 @@ const io = new Server(server, {
 // Initialize socket service
 initializeSocketService(io);
 
+// Behind a reverse proxy (nginx, Render, Heroku…) req.ip would be the proxy's address,
+// which would make every client share one rate limit. TRUST_PROXY tells Express how many
+// proxy hops to trust for the X-Forwarded-For header.
+if (process.env.TRUST_PROXY) {
+  const hops = Number(process.env.TRUST_PROXY);
+  app.set('trust proxy', Number.isNaN(hops) ? process.env.TRUST_PROXY : hops);
+}
+
 // CORS (Cross-Origin Resource Sharing) Configuration
 // CORS allows our frontend (running on a different port) to communicate with this backend
 // Without CORS, browsers block requests between different origins for security
@@ -57,7 +74,12 @@ app.use(cors({
 
 // express.json() - Parses incoming JSON data from request bodies
 // This allows us to access req.body in our route handlers
-app.use(express.json());
+// The raw bytes are kept as req.rawBody to check payment webhook signatures
+app.use(express.json({
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
 
 // express.urlencoded() - Parses URL-encoded data (like form submissions)
 // extended: true allows for rich objects and arrays to be encoded
@@ -74,132 +96,138 @@ app.use('/uploads', express.static(path.join(__dirname, 'uploads')));
 const activeRooms = new Map(); // Track room memberships
 const userConnections = new Map(); // Track user connections
 
+// Every socket must carry a valid JWT cookie; identity comes from the token, not the client
+io.use(socketAuthMiddleware);
+
 // Socket.IO Connection Handler
 io.on('connection', (socket) => {
-  console.log(`⚡ User connected: ${socket.id}`);
+  const user = socket.data.user;
+  const userId = user._id.toString();
+  const role = user.role;
+
+  // Private user room and role room are joined automatically
+  getDefaultRooms(user).forEach(room => socket.join(room));
+  userConnections.set(socket.id, { userId, role, rooms: new Set() });
+
+  console.log(`⚡ User connected: ${socket.id} (${user.name}, ${role})`);
   
   // Handle user joining a room
-  socket.on('join-room', (data) => {
-    const { userId, role, roomId } = data;
-    
-    // Store user connection info
-    userConnections.set(socket.id, { userId, role, roomId });
-    
-    // Join the specified room
-    if (roomId) socket.join(roomId);
-    
-    // Always join private user room
-    socket.join(`user-${userId}`);
-    
-    // Always join role-specific room
-    socket.join(`${role}-room`);
+  socket.on('join-room', async (data) => {
+    const roomId = data?.roomId;
+    if (!roomId) return;
+
+    try {
+      if (!(await canJoinRoom(user, roomId))) {
+        socket.emit('join-room-error', { roomId, message: 'Not allowed to join this room' });
+        console.warn(`⛔ User ${userId} (${role}) denied room ${roomId}`);
+        return;
+      }
+    } catch (error) {
+      console.error(`Failed to check room ${roomId} for user ${userId}:`, error.message);
+      socket.emit('join-room-error', { roomId, message: 'Could not join this room, please try again' });
+      return;
+    }
+
+    socket.join(roomId);
+    userConnections.get(socket.id)?.rooms.add(roomId);
     
     // Track room membership
-    if (roomId) {
-      if (!activeRooms.has(roomId)) {
-        activeRooms.set(roomId, new Set());
-      }
-      activeRooms.get(roomId).add(socket.id);
+    if (!activeRooms.has(roomId)) {
+      activeRooms.set(roomId, new Set());
     }
+    activeRooms.get(roomId).add(socket.id);
     
-    console.log(`👥 User ${userId} (${role}) joined rooms: ${roomId || 'none'}, user-${userId}, ${role}-room`);
+    console.log(`👥 User ${userId} (${role}) joined room: ${roomId}`);
   });
   
   // Handle location updates from drivers
-  socket.on('location-update', (data) => {
-    const { busId, location, timestamp } = data;
-    
-    // Broadcast to relevant rooms
-    // Admins get all location updates
-    socket.to('admin-room').emit('bus-location-update', {
-      busId,
-      location,
-      timestamp
-    });
-    
-    // Students on the same route get updates
-    socket.to(`route-${data.routeId}`).emit('bus-location-update', {
-      busId,
-      location,
-      timestamp
-    });
-    
-    // Specific bus followers
-    socket.to(`bus-${busId}`).emit('bus-location-update', {
-      busId,
-      location,
-      timestamp
-    });
-    
-    console.log(`📍 Location update for bus ${busId}: ${location.latitude}, ${location.longitude}`);
-  });
-  
-  // Handle trip start notification
-  socket.on('trip-started', (data) => {
-    const { busId, routeId, driverId } = data;
-    
-    // Notify admins
-    socket.to('admin-room').emit('trip-notification', {
-      type: 'started',
-      busId,
-      routeId,
-      driverId,
-      timestamp: new Date()
-    });
-    
-    // Notify students on this route
-    socket.to(`route-${routeId}`).emit('trip-notification', {
-      type: 'started',
-      busId,
-      routeId,
-      message: `Bus ${data.busNumber} has started its trip`
-    });
-    
-    console.log(`🚀 Trip started for bus ${busId} on route ${routeId}`);
+  socket.on('location-update', async (data) => {
+    const { busId, location, timestamp } = data || {};
+
+    try {
+      // Only the bus's assigned driver may publish its position
+      const bus = await findDriverBus(user, busId);
+      if (!bus) {
+        socket.emit('location-error', { busId, statusCode: 403, message: 'Not allowed to publish location for this bus' });
+        console.warn(`⛔ User ${userId} tried to publish location for bus ${busId}`);
+        return;
+      }
+
+      // Same validation, persistence and broadcast as PUT /api/tracking/update-location
+      const result = await ingestLocation(bus._id, { ...location, recordedAt: timestamp });
+      if (!result.success) {
+        socket.emit('location-error', { busId, statusCode: result.statusCode, message: result.message });
+        return;
+      }
+      console.log(`📍 Location update for bus ${busId}: ${location.latitude}, ${location.longitude}`);
+    } catch (error) {
+      console.error(`Failed to ingest location for bus ${busId}:`, error.message);
+      socket.emit('location-error', { busId, statusCode: 500, message: 'Failed to record location' });
+    }
   });
   
-  // Handle trip end notification
-  socket.on('trip-ended', (data) => {
-    const { busId, routeId, driverId } = data;
-    
+  // Handle trip start/end notifications from the bus's assigned driver
+  const relayTripNotification = async (type, data) => {
+    let bus;
+    try {
+      bus = await findDriverBus(user, data?.busId);
+    } catch (error) {
+      console.error(`Failed to look up bus ${data?.busId} for trip-${type}:`, error.message);
+      return;
+    }
+    if (!bus) {
+      console.warn(`⛔ User ${userId} tried to send trip-${type} for bus ${data?.busId}`);
+      return;
+    }
+
+    const busId = bus._id;
+    const routeId = bus.routeId;
+
     // Notify admins
     socket.to('admin-room').emit('trip-notification', {
-      type: 'ended',
+      type,
       busId,
       routeId,
-      driverId,
+      driverId: userId,
       timestamp: new Date()
     });
     
     // Notify students on this route
-    socket.to(`route-${routeId}`).emit('trip-notification', {
-      type: 'ended',
-      busId,
-      routeId,
-      message: `Bus ${data.busNumber} has completed its trip`
-    });
+    if (routeId) {
+      socket.to(`route-${routeId}`).emit('trip-notification', {
+        type,
+        busId,
+        routeId,
+        message: type === 'started'
+          ? `Bus ${bus.busNumber} has started its trip`
+          : `Bus ${bus.busNumber} has completed its trip`
+      });
+    }
     
-    console.log(`🏁 Trip ended for bus ${busId} on route ${routeId}`);
-  });
+    console.log(`${type === 'started' ? '🚀' : '🏁'} Trip ${type} for bus ${busId} on route ${routeId}`);
+  };
+
+  socket.on('trip-started', (data) => relayTripNotification('started', data));
+  socket.on('trip-ended', (data) => relayTripNotification('ended', data));
   
   // Handle disconnection
   socket.on('disconnect', () => {
     const userInfo = userConnections.get(socket.id);
     if (userInfo) {
-      const { userId, roomId } = userInfo;
-      
-      // Remove from room
-      if (activeRooms.has(roomId)) {
-        activeRooms.get(roomId).delete(socket.id);
-        if (activeRooms.get(roomId).size === 0) {
-          activeRooms.delete(roomId);
+      // Remove from rooms
+      userInfo.rooms.forEach(roomId => {
+        if (activeRooms.has(roomId)) {
+          activeRooms.get(roomId).delete(socket.id);
+          if (activeRooms.get(roomId).size === 0) {
+            activeRooms.delete(roomId);
+          }
         }
-      }
+      });
       
       // Remove user connection
       userConnections.delete(socket.id);
       
-      console.log(`🔌 User ${userId} disconnected from room: ${roomId}`);
+      console.log(`🔌 User ${userInfo.userId} disconnected`);
       console.log(`📊 Active rooms: ${Array.from(activeRooms.keys()).length}`);
     }
   });
@@ -215,6 +243,18 @@ app.use('/api/auth', require('./routes/auth'));
 // User management routes - CRUD operations for users
 app.use('/api/users', require('./routes/users'));
 
+// Admin sub-roles and their permissions
+app.use('/api/admin-roles', require('./routes/adminRoles'));
+
+// Audit log of administrative actions (Activity Log)
+app.use('/api/audit-logs', require('./routes/auditLogs'));
+
+// Fee ledger - invoices, payments and fee history of students
+app.use('/api/fees', require('./routes/fees'));
+
+// Online fee payments, provider webhooks and the mock checkout page
+app.use('/api/payments', require('./routes/payments'));
+
 // Bus management routes - CRUD operations for buses
 app.use('/api/buses', require('./routes/buses'));
 
@@ -253,6 +293,27 @@ console.log('Connecting to MongoDB...');
 mongoose.connect(mongoUri)
   .then(() => {
     console.log('✅ Connected to MongoDB successfully');
+
+    // Create the "Fee Clerk" and "Dispatcher" admin roles on a fresh database
+    ensureDefaultAdminRoles();
+
+    // Move the old free-text fee notes into the fee ledger (once per student)
+    migrateLegacyFeeNotes();
+
+    // Move GPS points stored on the trip documents into the TripPoint collection (once per trip)
+    migrateEmbeddedTripPoints();
+
+    // Close trips whose bus stopped reporting its location
+    startTripWatchdog();
+
+    // Invoice billing terms marked for automatic invoicing
+    startTermBillingJob();
+
+    // Settle online payments whose webhook never arrived and expire abandoned checkouts
+    startPaymentReconciliation();
+
+    // Fee reminders, late fees and defaulter marking, once a day while the fee policy is enabled
+    startFeePolicyJob();
   })
   .catch((error) => {
     // If connection fails, log the error and exit the application
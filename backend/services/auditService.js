@@ -0,0 +1,139 @@
+/**
+ * Audit Service
+ *
+ * Writes the AuditLog entries behind the admin Activity Log. Controllers call
+ * recordAudit after a mutation succeeds, passing before/after snapshots of the fields
+ * they changed; only fields whose value actually differs end up in the entry.
+ *
+ * Writing an entry never fails the request it describes: errors are logged and swallowed.
+ */
+
+const mongoose = require('mongoose');
+const AuditLog = require('../models/AuditLog');
+
+const REDACTED = '[redacted]';
+
+// Never copied into the log, even when they are part of a snapshot
+const SENSITIVE_FIELDS = ['password', 'verificationToken', 'passwordResetToken', 'twoFactorSecret', 'twoFactorPendingSecret', 'twoFactorRecoveryCodes'];
+
+// Human-readable name of a user, bus, route, notification or admin role
+const labelOf = (doc) =>
+  (doc && (doc.busNumber || doc.routeName || doc.name || doc.title || doc.email)) || '';
+
+// A referenced document filled in by populate(), as opposed to an embedded sub-document
+const isPopulated = (value) => Boolean(value.$__) && !value.$isSubdocument;
+
+/**
+ * Turn a document value into plain JSON that compares and displays well:
+ * IDs become strings, populated references their label, dates ISO strings.
+ * Sub-document _id/__v are dropped so re-saved arrays (route stops) don't look changed.
+ * @param {*} value
+ * @returns {*}
+ */
+const normalize = (value) => {
+  if (value === undefined || value === null) return null;
+  if (value instanceof Date) return value.toISOString();
+  if (value instanceof mongoose.Types.ObjectId) return value.toString();
+  if (Array.isArray(value)) return value.map(normalize);
+  if (typeof value !== 'object') return value;
+  if (isPopulated(value)) return labelOf(value) || value._id.toString();
+
+  const plain = typeof value.toObject === 'function' ? value.toObject() : value;
+  return Object.fromEntries(
+    Object.entries(plain)
+      .filter(([key]) => key !== '_id' && key !== '__v')
+      .map(([key, nested]) => [key, normalize(nested)])
+  );
+};
+
+/**
+ * Copy the given fields of a document for a before/after comparison
+ * @param {Object} doc - Mongoose document or plain object
+ * @param {string[]} fields
+ * @returns {Object}
+ */
+const snapshot = (doc, fields) => {
+  if (!doc) return {};
+  return Object.fromEntries(fields.map(field => {
+    const value = typeof doc.get === 'function' ? doc.get(field) : doc[field];
+    if (SENSITIVE_FIELDS.includes(field)) return [field, value ? REDACTED : null];
+    return [field, normalize(value)];
+  }));
+};
+
+/**
+ * Fields that differ between two snapshots
+ * @param {Object} before
+ * @param {Object} after
+ * @returns {Array<{field: string, before: *, after: *}>}
+ */
+const diffSnapshots = (before = {}, after = {}) => {
+  const fields = [...new Set([...Object.keys(before), ...Object.keys(after)])];
+  return fields
+    .map(field => ({ field, before: before[field] ?? null, after: after[field] ?? null }))
+    .filter(change => JSON.stringify(change.before) !== JSON.stringify(change.after));
+};
+
+const actorOf = (req) => {
+  const user = req?.user;
+  return {
+    actor: user?._id || null,
+    actorName: user?.name || 'System',
+    actorEmail: user?.email || '',
+    actorRole: user?.role || 'system',
+    ipAddress: req?.ip || '',
+    userAgent: (req?.get?.('user-agent') || '').slice(0, 300)
+  };
+};
+
+/**
+ * Record several audited actions from one request
+ * @param {Object} req - Express request (actor, IP and user agent are taken from it)
+ * @param {Object[]} entries - See recordAudit
+ * @param {Object} [session] - Transaction the entries belong to; a failure to write them
+ *   is then thrown so the transaction aborts, instead of only being logged
+ * @returns {Promise<void>}
+ */
+const recordAudits = async (req, entries, session = null) => {
+  if (!entries.length) return;
+
+  try {
+    const actor = actorOf(req);
+    await AuditLog.insertMany(entries.map(({ action, entityType, entity, entityLabel, before, after, changes, details }) => ({
+      ...actor,
+      action,
+      entityType,
+      entityId: entity?._id || null,
+      entityLabel: entityLabel ?? labelOf(entity),
+      changes: changes || diffSnapshots(before, after),
+      details: details || null
+    })), { session });
+  } catch (error) {
+    if (session) throw error;
+    console.error('Failed to write audit log:', error.message);
+  }
+};
+
+/**
+ * Record one audited action
+ * @param {Object} req - Express request (actor, IP and user agent are taken from it)
+ * @param {Object} entry
+ * @param {string} entry.action - e.g. 'user.update', 'bus.delete', 'driver.approve'
+ * @param {string} entry.entityType - AuditLog entityType
+ * @param {Object} [entry.entity] - The affected document (its _id and label are used)
+ * @param {string} [entry.entityLabel] - Overrides the label taken from entity
+ * @param {Object} [entry.before] - snapshot() before the change
+ * @param {Object} [entry.after] - snapshot() after the change
+ * @param {Array} [entry.changes] - Ready-made changes instead of before/after
+ * @param {Object} [entry.details] - Extra context (reason, counts…)
+ * @returns {Promise<void>}
+ */
+const recordAudit = (req, entry) => recordAudits(req, [entry]);
+
+module.exports = {
+  REDACTED,
+  snapshot,
+  diffSnapshots,
+  recordAudit,
+  recordAudits
+};
@@ -0,0 +1,360 @@
+/**
+ * Bank Import Service
+ *
+ * Records the fee payments listed in a bank statement CSV in one go:
+ * - parseBankStatement() reads the file, finding the columns by their usual titles
+ *   (Date, Student ID, Amount/Credit/Deposit, Reference, Description/Narration)
+ * - planBankImport() matches each row to a student, by the Student ID column, an
+ *   invoice number (INV-000001) in the reference or description, or a student ID
+ *   mentioned there, and flags rows already recorded or repeated in the file
+ * - applyBankImport() records the matched rows as bank transfer payments in a single
+ *   transaction, together with the students' new balances and an audit entry per row:
+ *   either all of it is recorded or none of it is
+ *
+ * Like term invoicing, the preview and the import both work from the uploaded file, so
+ * the file is sent again to import it and the rows are matched again at that moment.
+ */
+
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const FeeInvoice = require('../models/FeeInvoice');
+const FeePayment = require('../models/FeePayment');
+const { parseCsv } = require('../utils/csv');
+const { roundMoney, recalculateStudentFees } = require('./feeLedgerService');
+const { emailPaymentReceipt } = require('./feeDocumentService');
+const { recordAudits, snapshot } = require('./auditService');
+
+const MAX_ROWS = 2000;
+const INVOICE_NUMBER_PATTERN = /\bINV-\d{6,}\b/g;
+// Splits a reference into words that may be a student ID (IDs themselves may contain dashes)
+const REFERENCE_SEPARATORS = /[\s,;:|/\\()#]+/;
+
+// Column titles are compared lowercase without spaces or punctuation
+const COLUMN_TITLES = {
+  date: ['date', 'txndate', 'transactiondate', 'valuedate', 'postingdate', 'paymentdate'],
+  studentId: ['studentid', 'student', 'rollno', 'rollnumber', 'registrationno', 'regno'],
+  amount: ['amount', 'credit', 'deposit', 'creditamount', 'paidamount', 'amountpkr'],
+  reference: ['reference', 'ref', 'referenceno', 'transactionid', 'transactionreference', 'txnid', 'chequeno'],
+  description: ['description', 'narration', 'details', 'particulars', 'remarks', 'memo']
+};
+
+let importing = false;
+
+const formatMoney = (amount) => `Rs. ${amount.toLocaleString('en-US')}`;
+
+const normalizeTitle = (title) => String(title).toLowerCase().replace(/[^a-z0-9]/g, '');
+
+/**
+ * Amount of a statement cell: "1,500", "Rs. 1,500.00", "PKR 1500"; "(1,500)" is negative
+ * @returns {number|null} null when it isn't a number
+ */
+const parseAmount = (text) => {
+  const negative = /^\(.*\)$/.test(text);
+  const cleaned = text.replace(/^\(|\)$/g, '').replace(/rs\.?|pkr|,|\s/gi, '');
+  if (!/^-?\d+(\.\d+)?$/.test(cleaned)) return null;
+  const amount = Number(cleaned);
+  return negative ? -amount : amount;
+};
+
+const dateOf = (year, month, day) => {
+  const date = new Date(year, month - 1, day);
+  return date.getFullYear() === year && date.getMonth() === month - 1 && date.getDate() === day ? date : null;
+};
+
+/**
+ * Date of a statement cell: 2026-03-05, 05/03/2026 (day first, as local banks write it),
+ * 05-03-26, or a written date like "5 Mar 2026"
+ * @returns {Date|null}
+ */
+const parseStatementDate = (text) => {
+  let match = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})/);
+  if (match) return dateOf(Number(match[1]), Number(match[2]), Number(match[3]));
+
+  match = text.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{2}|\d{4})$/);
+  if (match) {
+    const year = Number(match[3]) + (match[3].length === 2 ? 2000 : 0);
+    return dateOf(year, Number(match[2]), Number(match[1]));
+  }
+
+  const parsed = /[a-z]/i.test(text) ? new Date(text) : null;
+  return parsed && !isNaN(parsed) ? parsed : null;
+};
+
+/**
+ * Read the rows of a bank statement CSV
+ * @param {Buffer} buffer - The uploaded file
+ * @returns {Object} { success, columns, rows } or { success: false, statusCode, message }
+ */
+const parseBankStatement = (buffer) => {
+  const text = buffer.toString('utf8');
+  const firstLine = text.split(/\r?\n/, 1)[0];
+  const delimiter = (firstLine.match(/;/g) || []).length > (firstLine.match(/,/g) || []).length ? ';' : ',';
+  const [header = [], ...lines] = parseCsv(text, delimiter);
+
+  const columns = {};
+  header.forEach((title, index) => {
+    const field = Object.keys(COLUMN_TITLES).find(key => COLUMN_TITLES[key].includes(normalizeTitle(title)));
+    if (field && columns[field] === undefined) columns[field] = index;
+  });
+
+  if (columns.amount === undefined) {
+    return { success: false, statusCode: 400, message: 'No amount column found: name it Amount, Credit or Deposit' };
+  }
+  if (columns.studentId === undefined && columns.reference === undefined && columns.description === undefined) {
+    return { success: false, statusCode: 400, message: 'No Student ID, Reference or Description column found to match payments to students' };
+  }
+  if (lines.length === 0) {
+    return { success: false, statusCode: 400, message: 'The file has no rows below its header' };
+  }
+  if (lines.length > MAX_ROWS) {
+    return { success: false, statusCode: 400, message: `The file has ${lines.length} rows; import at most ${MAX_ROWS} at a time` };
+  }
+
+  const cell = (line, field) => (columns[field] === undefined ? '' : String(line[columns[field]] ?? '').trim());
+  const rows = lines.map((line, index) => ({
+    // Spreadsheet row number, the header being row 1
+    row: index + 2,
+    date: cell(line, 'date'),
+    studentId: cell(line, 'studentId'),
+    amount: cell(line, 'amount'),
+    reference: cell(line, 'reference'),
+    description: cell(line, 'description')
+  }));
+
+  return { success: true, columns: Object.keys(columns), rows };
+};
+
+const sameDay = (a, b) => new Date(a).toDateString() === new Date(b).toDateString();
+
+/**
+ * Match the rows of a statement to students and work out which can be imported
+ * @param {Object[]} rows - From parseBankStatement()
+ * @param {Date} [now]
+ * @returns {Promise<Object>} { rows, summary }; each row has a status: matched (will be
+ *   imported), unmatched, duplicate or invalid, with the reason for the last three
+ */
+const planBankImport = async (rows, now = new Date()) => {
+  const invoiceNumbers = [...new Set(rows.flatMap(row => `${row.reference} ${row.description}`.toUpperCase().match(INVOICE_NUMBER_PATTERN) || []))];
+  const [students, invoices] = await Promise.all([
+    User.find({ role: 'student' }).select('name email studentId feeBalance').lean(),
+    FeeInvoice.find({ invoiceNumber: { $in: invoiceNumbers } }).select('invoiceNumber student type status').lean()
+  ]);
+
+  const studentsByStudentId = new Map(students.filter(s => s.studentId).map(s => [s.studentId.toLowerCase(), s]));
+  const studentsById = new Map(students.map(s => [s._id.toString(), s]));
+  const invoicesByNumber = new Map(invoices.map(invoice => [invoice.invoiceNumber, invoice]));
+
+  const matchStudent = (row) => {
+    if (row.studentId) {
+      const student = studentsByStudentId.get(row.studentId.toLowerCase());
+      if (student) return { student, matchedBy: 'studentId' };
+    }
+
+    const text = `${row.reference} ${row.description}`;
+    for (const number of text.toUpperCase().match(INVOICE_NUMBER_PATTERN) || []) {
+      const student = studentsById.get(String(invoicesByNumber.get(number)?.student));
+      if (student) return { student, matchedBy: 'invoice' };
+    }
+
+    const mentioned = new Map();
+    for (const word of text.split(REFERENCE_SEPARATORS)) {
+      const student = studentsByStudentId.get(word.toLowerCase());
+      if (student) mentioned.set(student._id.toString(), student);
+    }
+    if (mentioned.size === 1) return { student: [...mentioned.values()][0], matchedBy: 'reference' };
+    if (mentioned.size > 1) return { reason: 'The reference mentions several students' };
+
+    return {
+      reason: row.studentId
+        ? `No student with ID "${row.studentId}"`
+        : 'No student ID or invoice number found in the reference'
+    };
+  };
+
+  // Open charge of the student quoted in the reference, settled by the payment
+  const invoiceFor = (row, student) => {
+    for (const number of `${row.reference} ${row.description}`.toUpperCase().match(INVOICE_NUMBER_PATTERN) || []) {
+      const invoice = invoicesByNumber.get(number);
+      if (invoice && invoice.student.equals(student._id) && invoice.status === 'open' && invoice.type !== 'credit') {
+        return { _id: invoice._id, invoiceNumber: invoice.invoiceNumber };
+      }
+    }
+    return null;
+  };
+
+  const planned = rows.map(row => {
+    const amount = parseAmount(row.amount);
+    const paidAt = row.date ? parseStatementDate(row.date) : now;
+    const base = {
+      row: row.row,
+      date: paidAt,
+      amount,
+      studentId: row.studentId,
+      reference: row.reference,
+      description: row.description,
+      student: null,
+      invoice: null
+    };
+
+    if (amount === null) return { ...base, status: 'invalid', reason: `"${row.amount}" is not an amount` };
+    if (amount <= 0) return { ...base, status: 'invalid', reason: 'Not a deposit' };
+    if (!paidAt) return { ...base, status: 'invalid', reason: `"${row.date}" is not a date` };
+    if (paidAt > now) return { ...base, status: 'invalid', reason: 'The date is in the future' };
+
+    const { student, matchedBy, reason } = matchStudent(row);
+    if (!student) return { ...base, amount: roundMoney(amount), status: 'unmatched', reason };
+
+    return {
+      ...base,
+      amount: roundMoney(amount),
+      student: { _id: student._id, name: student.name, studentId: student.studentId, email: student.email },
+      matchedBy,
+      invoice: invoiceFor(row, student)
+    };
+  });
+
+  // Payments already recorded for the matched students, to catch a statement imported twice
+  const matchedStudentIds = [...new Set(planned.filter(row => row.student).map(row => row.student._id.toString()))];
+  const existingPayments = await FeePayment.find({ student: { $in: matchedStudentIds }, status: 'completed' })
+    .select('receiptNumber student amount method reference paidAt')
+    .lean();
+
+  const findRecorded = (row) => existingPayments.find(payment =>
+    payment.student.equals(row.student._id) && (row.reference
+      ? payment.reference.toLowerCase() === row.reference.toLowerCase()
+      : payment.method === 'bank_transfer' && payment.amount === row.amount && sameDay(payment.paidAt, row.date)));
+
+  const seen = new Map();
+  const balances = new Map(students.map(s => [s._id.toString(), s.feeBalance || 0]));
+  for (const row of planned) {
+    if (!row.student) continue;
+
+    const studentKey = row.student._id.toString();
+    const key = row.reference
+      ? `${studentKey}:${row.reference.toLowerCase()}`
+      : `${studentKey}:${row.amount}:${row.date.toDateString()}`;
+    const recorded = findRecorded(row);
+
+    if (recorded) {
+      Object.assign(row, { status: 'duplicate', reason: `Already recorded as ${recorded.receiptNumber}` });
+    } else if (seen.has(key)) {
+      Object.assign(row, { status: 'duplicate', reason: `Same payment as row ${seen.get(key)}` });
+    } else {
+      seen.set(key, row.row);
+      row.status = 'matched';
+      const balance = balances.get(studentKey);
+      if (row.amount > balance) {
+        row.warning = balance > 0 ? `${formatMoney(roundMoney(row.amount - balance))} more than the balance` : 'Nothing is owed; this becomes a credit';
+      }
+      balances.set(studentKey, roundMoney(balance - row.amount));
+    }
+  }
+
+  const count = (status) => planned.filter(row => row.status === status).length;
+  return {
+    rows: planned,
+    summary: {
+      rows: planned.length,
+      matched: count('matched'),
+      unmatched: count('unmatched'),
+      duplicates: count('duplicate'),
+      invalid: count('invalid'),
+      matchedAmount: roundMoney(planned.filter(row => row.status === 'matched').reduce((sum, row) => sum + row.amount, 0))
+    }
+  };
+};
+
+/**
+ * Record the matched rows of a statement as payments, all in one transaction
+ * @param {Object[]} rows - From parseBankStatement()
+ * @param {string} fileName - Name of the uploaded file, kept in the payment notes
+ * @param {Object} req - Request of the admin importing it
+ * @returns {Promise<Object>} { success, summary, payments } or { success: false, statusCode, message }
+ */
+const applyBankImport = async (rows, fileName, req) => {
+  if (importing) {
+    return { success: false, statusCode: 409, message: 'Another bank statement is being imported, try again in a moment' };
+  }
+  importing = true;
+
+  try {
+    const { rows: planned, summary } = await planBankImport(rows);
+    const matched = planned.filter(row => row.status === 'matched');
+    if (matched.length === 0) {
+      return { success: false, statusCode: 400, message: 'No rows of this file can be imported' };
+    }
+
+    const session = await mongoose.startSession();
+    let payments;
+    try {
+      await session.withTransaction(async () => {
+        // Reset when the transaction is retried
+        payments = [];
+        for (const row of matched) {
+          const payment = new FeePayment({
+            student: row.student._id,
+            invoice: row.invoice?._id || null,
+            amount: row.amount,
+            method: 'bank_transfer',
+            reference: row.reference.slice(0, 100),
+            paidAt: row.date,
+            notes: [`Bank statement ${fileName}, row ${row.row}`, row.description].filter(Boolean).join(': ').slice(0, 500),
+            recordedBy: req.user._id
+          });
+          await payment.save({ session });
+          payments.push({ row, payment });
+        }
+
+        const feesByStudent = new Map();
+        for (const { row } of payments) {
+          const key = row.student._id.toString();
+          if (!feesByStudent.has(key)) feesByStudent.set(key, await recalculateStudentFees(row.student._id, req.user, session));
+        }
+
+        await recordAudits(req, payments.map(({ row, payment }) => {
+          const fees = feesByStudent.get(row.student._id.toString());
+          return {
+            action: 'fees.payment_import',
+            entityType: 'feePayment',
+            entity: payment,
+            entityLabel: `${payment.receiptNumber} (${row.student.name})`,
+            after: snapshot(payment, ['receiptNumber', 'amount', 'method', 'reference', 'paidAt', 'invoice']),
+            details: { file: fileName, row: row.row, matchedBy: row.matchedBy, balance: fees.balance, feeStatus: fees.feeStatus }
+          };
+        }), session);
+      });
+    } catch (error) {
+      // Standalone MongoDB servers don't support transactions
+      if (error.code === 20 || /replica set/i.test(error.message)) {
+        return { success: false, statusCode: 503, message: 'Importing needs MongoDB transactions: run the database as a replica set' };
+      }
+      throw error;
+    } finally {
+      await session.endSession();
+    }
+
+    // Not awaited: one receipt email after the other, without holding up the response
+    (async () => {
+      for (const { payment } of payments) await emailPaymentReceipt(payment._id);
+    })().catch(error => console.error(`Emailing receipts of bank statement ${fileName} failed:`, error.message));
+
+    return {
+      success: true,
+      summary,
+      payments: payments.map(({ row, payment }) => ({
+        row: row.row,
+        receiptNumber: payment.receiptNumber,
+        amount: payment.amount,
+        student: row.student
+      }))
+    };
+  } finally {
+    importing = false;
+  }
+};
+
+module.exports = {
+  parseBankStatement,
+  planBankImport,
+  applyBankImport
+};
@@ -0,0 +1,243 @@
+/**
+ * Driving Safety Service
+ *
+ * Watches the speed of each bus on trip and records unsafe driving on Trip.safetyEvents:
+ * - overspeed: above the route's speedLimitKmh (plus a small tolerance) for OVERSPEED_MIN_SECONDS
+ * - harsh_braking: slowing down faster than HARSH_BRAKING_MPS2 between two close fixes
+ * - idle: standing still for IDLE_MIN_SECONDS with the trip open, away from any stop
+ *
+ * Speed is the device-reported speed when available, otherwise it is worked out from the
+ * distance to the previous fix. Overspeed and idle events stay open (endedAt null) until the
+ * bus is back under the limit / moving again, so they survive a restart; only the short
+ * "not long enough yet" windows and the previous fix are kept in memory.
+ *
+ * Also builds the per-driver safety reports served by the tracking controller.
+ */
+
+const Bus = require('../models/Bus');
+const Trip = require('../models/Trip');
+const { haversineDistance, isValidCoordinate } = require('../utils/geo');
+
+// Tuning constants
+const DEFAULT_SPEED_LIMIT_KMH = 50;     // Used for routes saved before speedLimitKmh existed
+const OVERSPEED_TOLERANCE_KMH = 5;      // Ignore small excursions over the limit (GPS speed error)
+const OVERSPEED_MIN_SECONDS = 10;
+const HARSH_BRAKING_MPS2 = 3.5;         // Roughly a bus emergency stop
+const HARSH_BRAKING_MAX_GAP_S = 5;      // Deceleration is only meaningful between close fixes
+const IDLE_SPEED_KMH = 3;
+const IDLE_MIN_SECONDS = 5 * 60;
+
+const drivingStates = new Map();
+
+const toKmh = (mps) => mps * 3.6;
+const round1 = (value) => Math.round(value * 10) / 10;
+
+/**
+ * Close the open event of a type on a trip
+ */
+const closeOpenEvent = (tripId, type, endedAt) =>
+  Trip.updateOne(
+    { _id: tripId, safetyEvents: { $elemMatch: { type, endedAt: null } } },
+    { $set: { 'safetyEvents.$.endedAt': endedAt } }
+  );
+
+/**
+ * Open an event unless one of the same type is already open
+ */
+const openEvent = (tripId, event) =>
+  Trip.updateOne(
+    { _id: tripId, safetyEvents: { $not: { $elemMatch: { type: event.type, endedAt: null } } } },
+    { $push: { safetyEvents: { ...event, endedAt: null } } }
+  );
+
+/**
+ * Check a new bus position for overspeed, harsh braking and idling.
+ * Errors are logged, never thrown, so a bad route can't break location ingestion.
+ * @param {string} busId - Bus ID
+ * @param {Object} point - { latitude, longitude, speed? (m/s), recordedAt? }
+ * @returns {Promise<Array>} Safety events opened for this position
+ */
+const checkDrivingBehavior = async (busId, point) => {
+  const recorded = [];
+
+  try {
+    if (!isValidCoordinate(point?.latitude, point?.longitude)) return recorded;
+
+    const key = busId.toString();
+    const state = drivingStates.get(key) || { last: null, overspeed: null, idle: null };
+    drivingStates.set(key, state);
+
+    const recordedAt = point.recordedAt ? new Date(point.recordedAt) : new Date();
+    const previous = state.last;
+    const gapSeconds = previous ? (recordedAt - previous.recordedAt) / 1000 : null;
+    if (gapSeconds !== null && gapSeconds <= 0) return recorded;
+
+    let speedMps = typeof point.speed === 'number' && Number.isFinite(point.speed) && point.speed >= 0
+      ? point.speed
+      : null;
+    if (speedMps === null && previous) {
+      const distanceM = haversineDistance(previous.latitude, previous.longitude, point.latitude, point.longitude) * 1000;
+      speedMps = distanceM / gapSeconds;
+    }
+    state.last = { latitude: point.latitude, longitude: point.longitude, recordedAt, speedMps };
+    if (speedMps === null) return recorded;
+
+    const bus = await Bus.findById(busId).populate('routeId', 'speedLimitKmh');
+    if (!bus?.isOnTrip) return recorded;
+
+    const trip = await Trip.findActiveForBus(bus._id).select('stopEvents safetyEvents');
+    if (!trip) return recorded;
+
+    const speedKmh = toKmh(speedMps);
+    const speedLimitKmh = bus.routeId?.speedLimitKmh || DEFAULT_SPEED_LIMIT_KMH;
+    const isOpen = (type) => trip.safetyEvents.some(event => event.type === type && !event.endedAt);
+    const position = { latitude: point.latitude, longitude: point.longitude };
+
+    // Harsh braking: a single instant event
+    if (previous?.speedMps != null && gapSeconds <= HARSH_BRAKING_MAX_GAP_S) {
+      const deceleration = (previous.speedMps - speedMps) / gapSeconds;
+      if (deceleration >= HARSH_BRAKING_MPS2) {
+        const event = {
+          type: 'harsh_braking',
+          startedAt: previous.recordedAt,
+          endedAt: recordedAt,
+          ...position,
+          speedKmh: round1(toKmh(previous.speedMps)),
+          speedLimitKmh,
+          decelerationMps2: round1(deceleration)
+        };
+        await Trip.updateOne({ _id: trip._id }, { $push: { safetyEvents: event } });
+        recorded.push(event);
+      }
+    }
+
+    // Overspeed: opened once it has lasted long enough, closed when back under the limit
+    if (speedKmh > speedLimitKmh + OVERSPEED_TOLERANCE_KMH) {
+      if (isOpen('overspeed')) {
+        await Trip.updateOne(
+          { _id: trip._id, safetyEvents: { $elemMatch: { type: 'overspeed', endedAt: null } } },
+          { $max: { 'safetyEvents.$.speedKmh': round1(speedKmh) } }
+        );
+      } else {
+        state.overspeed = state.overspeed || { startedAt: recordedAt, ...position, speedKmh: 0 };
+        state.overspeed.speedKmh = Math.max(state.overspeed.speedKmh, round1(speedKmh));
+        if ((recordedAt - state.overspeed.startedAt) / 1000 >= OVERSPEED_MIN_SECONDS) {
+          const event = { type: 'overspeed', ...state.overspeed, speedLimitKmh };
+          await openEvent(trip._id, event);
+          recorded.push(event);
+          state.overspeed = null;
+        }
+      }
+    } else {
+      state.overspeed = null;
+      if (isOpen('overspeed')) await closeOpenEvent(trip._id, 'overspeed', recordedAt);
+    }
+
+    // Idle: standing still away from a stop (dwelling at a stop is expected)
+    const atStop = trip.stopEvents.some(event => !event.departedAt);
+    if (speedKmh < IDLE_SPEED_KMH && !atStop) {
+      if (!isOpen('idle')) {
+        state.idle = state.idle || { startedAt: recordedAt, ...position };
+        if ((recordedAt - state.idle.startedAt) / 1000 >= IDLE_MIN_SECONDS) {
+          const event = { type: 'idle', ...state.idle, speedLimitKmh };
+          await openEvent(trip._id, event);
+          recorded.push(event);
+          state.idle = null;
+        }
+      }
+    } else {
+      state.idle = null;
+      if (isOpen('idle')) await closeOpenEvent(trip._id, 'idle', recordedAt);
+    }
+  } catch (error) {
+    console.error(`Driving behaviour check failed for bus ${busId}:`, error.message);
+  }
+
+  return recorded;
+};
+
+/**
+ * Forget the in-memory driving state of a bus (trip started or stopped)
+ * @param {string} busId - Bus ID
+ */
+const resetDrivingState = (busId) => {
+  drivingStates.delete(busId.toString());
+};
+
+/**
+ * Seconds an overspeed/idle event lasted (open events run until the trip ended, or now)
+ */
+const eventDurationSeconds = (event, trip) => {
+  const end = event.endedAt || trip.endTime || new Date();
+  return Math.max(Math.round((end - event.startedAt) / 1000), 0);
+};
+
+/**
+ * Summarise the safety events of a set of trips
+ * @param {Array} trips - Trips with distance, duration and safetyEvents
+ * @returns {Object} Totals, counts per event type and events per 100 km
+ */
+const summarizeTrips = (trips) => {
+  const summary = {
+    trips: trips.length,
+    distanceKm: 0,
+    drivingMinutes: 0,
+    overspeed: { count: 0, seconds: 0, topSpeedKmh: null },
+    harshBraking: { count: 0 },
+    idle: { count: 0, seconds: 0 }
+  };
+
+  trips.forEach(trip => {
+    summary.distanceKm += trip.distance || 0;
+    summary.drivingMinutes += trip.duration || 0;
+
+    (trip.safetyEvents || []).forEach(event => {
+      if (event.type === 'overspeed') {
+        summary.overspeed.count += 1;
+        summary.overspeed.seconds += eventDurationSeconds(event, trip);
+        summary.overspeed.topSpeedKmh = Math.max(summary.overspeed.topSpeedKmh || 0, event.speedKmh || 0);
+      } else if (event.type === 'harsh_braking') {
+        summary.harshBraking.count += 1;
+      } else if (event.type === 'idle') {
+        summary.idle.count += 1;
+        summary.idle.seconds += eventDurationSeconds(event, trip);
+      }
+    });
+  });
+
+  summary.distanceKm = round1(summary.distanceKm);
+  const totalEvents = summary.overspeed.count + summary.harshBraking.count + summary.idle.count;
+  summary.totalEvents = totalEvents;
+  summary.eventsPer100Km = summary.distanceKm > 0 ? round1((totalEvents / summary.distanceKm) * 100) : null;
+  return summary;
+};
+
+/**
+ * Safety events of a set of trips as a flat list, newest first
+ * @param {Array} trips - Trips with bus/route populated
+ * @returns {Array}
+ */
+const listTripEvents = (trips) =>
+  trips
+    .flatMap(trip => (trip.safetyEvents || []).map(event => ({
+      type: event.type,
+      startedAt: event.startedAt,
+      endedAt: event.endedAt,
+      durationSeconds: event.type === 'harsh_braking' ? null : eventDurationSeconds(event, trip),
+      latitude: event.latitude,
+      longitude: event.longitude,
+      speedKmh: event.speedKmh,
+      speedLimitKmh: event.speedLimitKmh,
+      decelerationMps2: event.decelerationMps2,
+      tripId: trip._id,
+      bus: trip.bus,
+      route: trip.route
+    })))
+    .sort((a, b) => new Date(b.startedAt) - new Date(a.startedAt));
+
+module.exports = {
+  checkDrivingBehavior,
+  resetDrivingState,
+  summarizeTrips,
+  listTripEvents
+};
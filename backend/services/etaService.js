@@ -0,0 +1,281 @@
+/**
+ * ETA Service
+ *
+ * Server-side arrival estimates for every remaining stop of a bus on trip.
+ * Every client gets the same numbers instead of each browser guessing.
+ *
+ * How an estimate is built:
+ * 1. The ordered Route.stops form a polyline; the bus position is projected onto
+ *    the closest segment (never moving backwards during a trip).
+ * 2. Recent speed comes from the last breadcrumbs of the running Trip, falling back
+ *    to the route's average speed (distance / estimatedDuration).
+ * 3. For segments further ahead, the speed-based time is blended with how long the
+ *    same segment took on recent completed trips of the route.
+ */
+
+const Bus = require('../models/Bus');
+const Route = require('../models/Route');
+const Trip = require('../models/Trip');
+const TripPoint = require('../models/TripPoint');
+const { haversineDistance, isValidCoordinate, projectOntoSegment } = require('../utils/geo');
+const { broadcastEtaUpdate } = require('./socketService');
+
+// Tuning constants
+const RECENT_POINTS = 10;               // Breadcrumbs used for the recent speed
+const MIN_SPEED_KMH = 5;                // Floor so a stopped bus doesn't produce infinite ETAs
+const DEFAULT_SPEED_KMH = 25;           // Used when neither recent nor route speed is known
+const STOP_RADIUS_KM = 0.1;             // Breadcrumb within this radius counts as reaching a stop
+const HISTORY_TRIPS = 5;                // Completed trips used for historical segment times
+const HISTORY_TTL_MS = 30 * 60 * 1000;  // Historical segment times are cached for 30 minutes
+const HISTORY_WEIGHT = 0.5;             // Share of the historical time in a blended segment estimate
+
+// Latest estimate per bus and segment progress per trip (so projection never jumps back)
+const latestEtas = new Map();
+const tripProgress = new Map();
+const historyCache = new Map();
+
+/**
+ * Stops with usable coordinates, ordered by sequence
+ * @param {Object} route - Route document
+ * @returns {Array}
+ */
+const getOrderedStops = (route) => (route?.stops || [])
+  .filter(stop => isValidCoordinate(stop.latitude, stop.longitude))
+  .sort((a, b) => a.sequence - b.sequence);
+
+/**
+ * Find the segment the bus is on
+ * @param {Object} location - { latitude, longitude }
+ * @param {Array} stops - Ordered stops
+ * @param {number} fromSegment - Segments before this index are ignored
+ * @returns {Object} { segment, t } - segment i runs from stops[i] to stops[i + 1]
+ */
+const locateOnRoute = (location, stops, fromSegment = 0) => {
+  let best = { segment: fromSegment, t: 0, distanceKm: Infinity };
+  for (let i = fromSegment; i < stops.length - 1; i++) {
+    const projection = projectOntoSegment(location, stops[i], stops[i + 1]);
+    if (projection.distanceKm < best.distanceKm) {
+      best = { segment: i, t: projection.t, distanceKm: projection.distanceKm };
+    }
+  }
+  return best;
+};
+
+/**
+ * Average speed over the last few breadcrumbs of a trip
+ * @param {Array} points - Breadcrumbs in time order
+ * @returns {number|null} Speed in km/h
+ */
+const getRecentSpeed = (points) => {
+  if (!points || points.length < 2) return null;
+
+  let distanceKm = 0;
+  for (let i = 1; i < points.length; i++) {
+    distanceKm += haversineDistance(
+      points[i - 1].latitude, points[i - 1].longitude,
+      points[i].latitude, points[i].longitude
+    );
+  }
+  const hours = (new Date(points[points.length - 1].recordedAt) - new Date(points[0].recordedAt)) / (1000 * 60 * 60);
+  if (hours <= 0) return null;
+  return distanceKm / hours;
+};
+
+/**
+ * Average minutes per segment on recent completed trips of a route
+ * @param {Object} route - Route document
+ * @param {Array} stops - Ordered stops
+ * @returns {Promise<Array>} Minutes per segment (null where no history exists)
+ */
+const getHistoricalSegmentMinutes = async (route, stops) => {
+  const cacheKey = route._id.toString();
+  const cached = historyCache.get(cacheKey);
+  if (cached && Date.now() - cached.computedAt < HISTORY_TTL_MS) {
+    return cached.segments;
+  }
+
+  const trips = await Trip.find({ route: route._id, status: 'completed' })
+    .sort({ startTime: -1 })
+    .limit(HISTORY_TRIPS)
+    .select('stopEvents');
+  const points = await TripPoint.find({ trip: { $in: trips.map(trip => trip._id) }, kind: 'path' })
+    .sort({ recordedAt: 1 })
+    .select('trip latitude longitude recordedAt')
+    .lean();
+  const pathByTrip = new Map(trips.map(trip => [trip._id.toString(), []]));
+  points.forEach(point => pathByTrip.get(point.trip.toString()).push(point));
+
+  const totals = new Array(Math.max(stops.length - 1, 0)).fill(0);
+  const counts = new Array(Math.max(stops.length - 1, 0)).fill(0);
+
+  trips.forEach(trip => {
+    // Arrival recorded by stop detection, else the first breadcrumb near the stop
+    const arrivals = stops.map(stop => {
+      const recorded = (trip.stopEvents || []).find(event => event.stop.equals(stop._id));
+      if (recorded) return new Date(recorded.arrivedAt).getTime();
+
+      const hit = pathByTrip.get(trip._id.toString()).find(point =>
+        haversineDistance(point.latitude, point.longitude, stop.latitude, stop.longitude) <= STOP_RADIUS_KM
+      );
+      return hit ? new Date(hit.recordedAt).getTime() : null;
+    });
+
+    for (let i = 0; i < stops.length - 1; i++) {
+      if (arrivals[i] !== null && arrivals[i + 1] !== null && arrivals[i + 1] > arrivals[i]) {
+        totals[i] += (arrivals[i + 1] - arrivals[i]) / (1000 * 60);
+        counts[i] += 1;
+      }
+    }
+  });
+
+  const segments = totals.map((total, i) => (counts[i] > 0 ? total / counts[i] : null));
+  historyCache.set(cacheKey, { segments, computedAt: Date.now() });
+  return segments;
+};
+
+/**
+ * Compute arrival estimates for the remaining stops of a bus
+ * @param {Object} bus - Bus document (routeId may be populated or an id)
+ * @param {Object} location - Current { latitude, longitude }
+ * @returns {Promise<Object|null>} ETA payload, or null when no estimate is possible
+ */
+const computeEta = async (bus, location) => {
+  if (!bus?.isOnTrip || !bus.routeId || !isValidCoordinate(location?.latitude, location?.longitude)) {
+    return null;
+  }
+
+  const route = bus.routeId.stops ? bus.routeId : await Route.findById(bus.routeId);
+  const stops = getOrderedStops(route);
+  if (stops.length === 0) return null;
+
+  const trip = await Trip.findActiveForBus(bus._id).select('_id');
+  const recentPoints = trip
+    ? await TripPoint.find({ trip: trip._id, kind: 'path' })
+      .sort({ recordedAt: -1 })
+      .limit(RECENT_POINTS)
+      .select('latitude longitude recordedAt')
+      .lean()
+    : [];
+  const tripKey = trip ? trip._id.toString() : bus._id.toString();
+
+  // Work out where the bus is along the route
+  let nextStopIndex;
+  let distanceToNextKm;
+  if (stops.length === 1) {
+    nextStopIndex = 0;
+    distanceToNextKm = haversineDistance(location.latitude, location.longitude, stops[0].latitude, stops[0].longitude);
+  } else {
+    const progress = tripProgress.get(tripKey) || 0;
+    const { segment, t } = locateOnRoute(location, stops, progress);
+    tripProgress.set(tripKey, segment);
+
+    const segmentKm = haversineDistance(
+      stops[segment].latitude, stops[segment].longitude,
+      stops[segment + 1].latitude, stops[segment + 1].longitude
+    );
+
+    if (segment === 0 && t === 0) {
+      // Not at the first stop yet
+      nextStopIndex = 0;
+      distanceToNextKm = haversineDistance(location.latitude, location.longitude, stops[0].latitude, stops[0].longitude);
+    } else {
+      nextStopIndex = segment + 1;
+      distanceToNextKm = segmentKm * (1 - t);
+    }
+  }
+
+  // Speed estimate
+  const routeSpeed = route.distance && route.estimatedDuration
+    ? route.distance / (route.estimatedDuration / 60)
+    : DEFAULT_SPEED_KMH;
+  const recentSpeed = getRecentSpeed(recentPoints.reverse());
+  const speedKmh = Math.max(recentSpeed ?? routeSpeed, MIN_SPEED_KMH);
+
+  const historical = await getHistoricalSegmentMinutes(route, stops);
+
+  // Walk the remaining stops accumulating time and distance
+  const now = Date.now();
+  let cumulativeKm = distanceToNextKm;
+  let cumulativeMinutes = (distanceToNextKm / speedKmh) * 60;
+
+  const stopEtas = [];
+  for (let i = nextStopIndex; i < stops.length; i++) {
+    if (i > nextStopIndex) {
+      const segmentKm = haversineDistance(
+        stops[i - 1].latitude, stops[i - 1].longitude,
+        stops[i].latitude, stops[i].longitude
+      );
+      const speedMinutes = (segmentKm / speedKmh) * 60;
+      const historyMinutes = historical[i - 1];
+      cumulativeKm += segmentKm;
+      cumulativeMinutes += historyMinutes !== null && historyMinutes !== undefined
+        ? HISTORY_WEIGHT * historyMinutes + (1 - HISTORY_WEIGHT) * speedMinutes
+        : speedMinutes;
+    }
+
+    stopEtas.push({
+      stopId: stops[i]._id,
+      name: stops[i].name,
+      sequence: stops[i].sequence,
+      scheduledTime: stops[i].pickupTime,
+      distanceKm: Math.round(cumulativeKm * 100) / 100,
+      etaMinutes: Math.round(cumulativeMinutes),
+      eta: new Date(now + cumulativeMinutes * 60 * 1000).toISOString()
+    });
+  }
+
+  return {
+    busId: bus._id,
+    routeId: route._id,
+    tripId: trip?._id || null,
+    speedKmh: Math.round(speedKmh * 10) / 10,
+    nextStop: stopEtas[0] || null,
+    stops: stopEtas,
+    computedAt: new Date(now).toISOString()
+  };
+};
+
+/**
+ * Recompute and broadcast the ETA for a bus after a location update.
+ * Errors are logged, never thrown, so a bad route can't break location ingestion.
+ * @param {string} busId - Bus ID
+ * @param {Object} location - { latitude, longitude }
+ */
+const updateEtaForBus = async (busId, location) => {
+  try {
+    const bus = await Bus.findById(busId).populate('routeId', 'stops distance estimatedDuration');
+    const eta = await computeEta(bus, location);
+    if (!eta) return null;
+
+    latestEtas.set(busId.toString(), eta);
+    broadcastEtaUpdate(eta);
+    return eta;
+  } catch (error) {
+    console.error(`ETA update failed for bus ${busId}:`, error.message);
+    return null;
+  }
+};
+
+/**
+ * Last computed ETA for a bus, if any
+ * @param {string} busId - Bus ID
+ * @returns {Object|undefined}
+ */
+const getLatestEta = (busId) => latestEtas.get(busId.toString());
+
+/**
+ * Forget cached state for a bus when its trip ends
+ * @param {string} busId - Bus ID
+ * @param {string} tripId - Trip ID
+ */
+const clearEta = (busId, tripId) => {
+  latestEtas.delete(busId.toString());
+  tripProgress.delete((tripId || busId).toString());
+};
+
+module.exports = {
+  computeEta,
+  updateEtaForBus,
+  getLatestEta,
+  clearEta
+};
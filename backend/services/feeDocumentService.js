@@ -0,0 +1,335 @@
+/**
+ * Fee Document Service
+ *
+ * PDF invoices and payment receipts (drawn with pdfkit), downloaded from
+ * GET /api/fees/receipts/:id.pdf and emailed to the student when a payment is recorded.
+ * Documents are generated on request from the ledger, so a voided invoice or payment
+ * shows as VOID and the balance is always the one after that entry.
+ *
+ * Text is set in Vazirmatn, which covers Latin as well as Urdu and Arabic, and long
+ * descriptions or notes continue on further pages.
+ */
+
+const mongoose = require('mongoose');
+const PDFDocument = require('pdfkit');
+const FeeInvoice = require('../models/FeeInvoice');
+const FeePayment = require('../models/FeePayment');
+const { getStudentLedger } = require('./feeLedgerService');
+const sendEmail = require('../utils/email');
+
+const COLORS = {
+  brand: '#0EA5E9',
+  text: '#0F172A',
+  muted: '#64748B',
+  border: '#E2E8F0',
+  shade: '#F1F5F9',
+  void: '#EF4444'
+};
+
+const PAYMENT_METHOD_LABELS = {
+  cash: 'Cash',
+  bank_transfer: 'Bank Transfer',
+  card: 'Card',
+  online: 'Online',
+  cheque: 'Cheque',
+  other: 'Other'
+};
+
+const FONTS = {
+  regular: require.resolve('vazirmatn/fonts/ttf/Vazirmatn-Regular.ttf'),
+  bold: require.resolve('vazirmatn/fonts/ttf/Vazirmatn-Bold.ttf')
+};
+
+// A4, in points from the top-left corner
+const PAGE_WIDTH = 595.28;
+const MARGIN = 50;
+const RIGHT = PAGE_WIDTH - MARGIN;
+// Content below this moves to the next page, clear of the footer
+const CONTENT_BOTTOM = 740;
+const FOOTER_Y = 780;
+
+// Arabic-script text (Urdu included), spaces between its words kept in the same run
+const RTL_RUN = /([\u0600-\u06FF\u0750-\u077F\u08A0-\u08FF\uFB50-\uFDFF\uFE70-\uFEFF]+(?:\s+[\u0600-\u06FF\u0750-\u077F\u08A0-\u08FF\uFB50-\uFDFF\uFE70-\uFEFF]+)*)/;
+
+const STUDENT_FIELDS = 'name email studentId stopName assignedRoute';
+
+const formatAmount = (amount) =>
+  `Rs. ${Number(amount || 0).toLocaleString('en-US', { minimumFractionDigits: 0, maximumFractionDigits: 2 })}`;
+
+const formatDate = (value) => (value ? new Date(value).toLocaleDateString('en-US', {
+  year: 'numeric',
+  month: 'short',
+  day: 'numeric'
+}) : '');
+
+const populateStudent = {
+  path: 'student',
+  select: STUDENT_FIELDS,
+  populate: { path: 'assignedRoute', select: 'routeNo routeName' }
+};
+
+/**
+ * Find an invoice or payment by its id or number (INV-000001 / RCT-000001)
+ * @param {string} id
+ * @returns {Promise<Object|null>} { kind: 'invoice'|'payment', record } with student and issuer populated
+ */
+const findFeeDocument = async (id) => {
+  const byNumber = /^(INV|RCT)-\d+$/i.test(id);
+  if (!byNumber && !mongoose.isValidObjectId(id)) return null;
+
+  const wantsInvoice = !byNumber || id.toUpperCase().startsWith('INV');
+  const wantsPayment = !byNumber || id.toUpperCase().startsWith('RCT');
+
+  if (wantsPayment) {
+    const payment = await FeePayment.findOne(byNumber ? { receiptNumber: id.toUpperCase() } : { _id: id })
+      .populate(populateStudent)
+      .populate('recordedBy', 'name')
+      .populate('invoice', 'invoiceNumber term description billing');
+    if (payment) return { kind: 'payment', record: payment };
+  }
+
+  if (wantsInvoice) {
+    const invoice = await FeeInvoice.findOne(byNumber ? { invoiceNumber: id.toUpperCase() } : { _id: id })
+      .populate(populateStudent)
+      .populate('issuedBy', 'name')
+      .populate('billingTerm', 'name');
+    if (invoice) return { kind: 'invoice', record: invoice };
+  }
+
+  return null;
+};
+
+// Route and stop the document refers to: what the invoice was billed for, otherwise the
+// student's current assignment
+const routeLine = (student, billing) => {
+  const routeName = billing?.routeName || student.assignedRoute?.routeName;
+  const stopName = billing?.stopName || (billing?.routeName ? null : student.stopName);
+  if (!routeName) return 'No route assigned';
+  return stopName ? `${routeName} - ${stopName}` : routeName;
+};
+
+const setFont = (doc, size, bold) => doc.font(bold ? 'bold' : 'regular').fontSize(size);
+
+/**
+ * Draw one line of text
+ * Right-to-left runs are laid out separately, so Urdu inside English text (a name in a
+ * description, say) reads correctly without reversing the words around it.
+ * @param {number} x - Left edge, or right edge with align 'right'
+ * @param {number} y - Baseline, from the top of the page
+ * @param {Object} [options] - { size = 10, bold, color, align: 'left'|'right' }
+ */
+const drawText = (doc, x, y, value, { size = 10, bold = false, color = COLORS.text, align = 'left' } = {}) => {
+  const text = String(value ?? '');
+  setFont(doc, size, bold).fillColor(color);
+
+  let left = align === 'right' ? x - doc.widthOfString(text) : x;
+  for (const run of text.split(RTL_RUN).filter(Boolean)) {
+    doc.text(run, left, y, { baseline: 'alphabetic', lineBreak: false });
+    left += doc.widthOfString(run);
+  }
+};
+
+// Break a text into lines no wider than maxWidth (long words are not split)
+const wrapText = (doc, value, maxWidth, { size = 10, bold = false } = {}) => {
+  setFont(doc, size, bold);
+  const lines = [];
+  for (const paragraph of String(value ?? '').split('\n')) {
+    let line = '';
+    for (const word of paragraph.split(/\s+/).filter(Boolean)) {
+      const candidate = line ? `${line} ${word}` : word;
+      if (line && doc.widthOfString(candidate) > maxWidth) {
+        lines.push(line);
+        line = word;
+      } else {
+        line = candidate;
+      }
+    }
+    lines.push(line);
+  }
+  return lines;
+};
+
+const toBuffer = (doc) => new Promise((resolve, reject) => {
+  const chunks = [];
+  doc.on('data', chunk => chunks.push(chunk));
+  doc.on('end', () => resolve(Buffer.concat(chunks)));
+  doc.on('error', reject);
+  doc.end();
+});
+
+/**
+ * Render an invoice or receipt
+ * @param {Object} feeDocument - From findFeeDocument
+ * @returns {Promise<Object>} { filename, title, buffer }
+ */
+const buildFeeDocumentPdf = async ({ kind, record }) => {
+  const student = record.student;
+  const isInvoice = kind === 'invoice';
+  const isCredit = isInvoice && record.type === 'credit';
+  const number = isInvoice ? record.invoiceNumber : record.receiptNumber;
+  const title = isCredit ? 'Credit Note' : isInvoice ? 'Transport Fee Invoice' : 'Payment Receipt';
+  const isVoid = record.status === 'void';
+
+  const ledger = await getStudentLedger(student._id);
+  const entry = ledger.entries.find(e => e._id.toString() === record._id.toString());
+
+  const doc = new PDFDocument({
+    size: 'A4',
+    margin: 0,
+    bufferPages: true,
+    info: { Title: `${title} ${number}`, Author: 'MyCampusRide', Producer: 'MyCampusRide' }
+  });
+  doc.registerFont('regular', FONTS.regular);
+  doc.registerFont('bold', FONTS.bold);
+  const text = (x, lineY, value, options) => drawText(doc, x, lineY, value, options);
+
+  let y;
+  // Continue on a new page when the next block would run into the footer
+  const ensureSpace = (height) => {
+    if (y + height <= CONTENT_BOTTOM) return;
+    doc.addPage();
+    text(MARGIN, 50, `${title} ${number} (continued)`, { size: 9, bold: true, color: COLORS.muted });
+    y = 85;
+  };
+  const drawLines = (lines, x, options, lineHeight = 14) => {
+    for (const line of lines) {
+      ensureSpace(lineHeight);
+      text(x, y, line, options);
+      y += lineHeight;
+    }
+  };
+
+  // Header
+  doc.rect(0, 0, PAGE_WIDTH, 90).fill(COLORS.brand);
+  text(MARGIN, 45, 'MyCampusRide', { size: 22, bold: true, color: '#FFFFFF' });
+  text(MARGIN, 65, 'Campus Transport Office', { size: 10, color: '#FFFFFF' });
+  text(RIGHT, 45, title, { size: 16, bold: true, color: '#FFFFFF', align: 'right' });
+  text(RIGHT, 65, number, { size: 11, color: '#FFFFFF', align: 'right' });
+
+  y = 125;
+  text(MARGIN, y, isInvoice ? 'Billed to' : 'Received from', { size: 9, bold: true, color: COLORS.muted });
+  text(RIGHT, y, isInvoice ? 'Issued' : 'Paid', { size: 9, bold: true, color: COLORS.muted, align: 'right' });
+  y += 16;
+  text(MARGIN, y, student.name, { size: 12, bold: true });
+  text(RIGHT, y, formatDate(isInvoice ? record.issuedAt : record.paidAt), { size: 12, align: 'right' });
+  y += 15;
+  text(MARGIN, y, [student.studentId, student.email].filter(Boolean).join(' | '), { size: 10, color: COLORS.muted });
+  if (isInvoice && record.dueDate && !isCredit) {
+    text(RIGHT, y, `Due ${formatDate(record.dueDate)}`, { size: 10, bold: true, align: 'right' });
+  }
+
+  y += 30;
+  const billing = isInvoice ? record.billing : record.invoice?.billing;
+  const details = [['Route / Stop', routeLine(student, billing)]];
+  const term = record.term || record.billingTerm?.name || record.invoice?.term;
+  if (term) details.push(['Term', term]);
+  if (isInvoice && billing?.periodStart) {
+    details.push(['Period', `${formatDate(billing.periodStart)} - ${formatDate(billing.periodEnd)}`]);
+  }
+  if (isInvoice && billing?.installments > 1) {
+    details.push(['Installment', `${billing.installment} of ${billing.installments}`]);
+  }
+  if (!isInvoice) {
+    details.push(['Payment method', PAYMENT_METHOD_LABELS[record.method] || record.method]);
+    if (record.reference) details.push(['Reference', record.reference]);
+    if (record.invoice) details.push(['For invoice', record.invoice.invoiceNumber]);
+  }
+  // Label/value rows in two columns
+  for (const [label, value] of details) {
+    const lines = wrapText(doc, value, RIGHT - MARGIN - 130);
+    ensureSpace(16);
+    text(MARGIN, y, label, { size: 9, color: COLORS.muted });
+    drawLines(lines, MARGIN + 130, { size: 10 });
+    y += 2;
+  }
+
+  // Line item
+  y += 20;
+  ensureSpace(62);
+  doc.rect(MARGIN, y, RIGHT - MARGIN, 22).fill(COLORS.shade);
+  text(MARGIN + 10, y + 15, 'Description', { size: 9, bold: true, color: COLORS.muted });
+  text(RIGHT - 10, y + 15, 'Amount', { size: 9, bold: true, color: COLORS.muted, align: 'right' });
+  y += 40;
+
+  const description = isInvoice
+    ? record.description
+    : record.notes || (record.invoice ? `Payment towards ${record.invoice.invoiceNumber}` : 'Transport fee payment');
+  text(RIGHT - 10, y, `${isCredit ? '-' : ''}${formatAmount(record.amount)}`, { size: 10, bold: true, align: 'right' });
+  drawLines(wrapText(doc, description, 330), MARGIN + 10, { size: 10 });
+  y += 6;
+  doc.moveTo(MARGIN, y).lineTo(RIGHT, y).lineWidth(0.5).stroke(COLORS.border);
+
+  // Totals
+  y += 22;
+  ensureSpace(54);
+  const totals = [
+    [isInvoice ? (isCredit ? 'Credited' : 'Amount due') : 'Amount paid', formatAmount(record.amount), true],
+    [`Balance after this ${isInvoice ? (isCredit ? 'credit' : 'invoice') : 'payment'}`, formatAmount(entry?.balance), false],
+    ['Current balance', formatAmount(ledger.summary.balance), false]
+  ];
+  for (const [label, value, bold] of totals) {
+    text(RIGHT - 150, y, label, { size: bold ? 11 : 10, bold, color: bold ? COLORS.text : COLORS.muted, align: 'right' });
+    text(RIGHT - 10, y, value, { size: bold ? 11 : 10, bold, align: 'right' });
+    y += 18;
+  }
+
+  if (isVoid) {
+    y += 20;
+    ensureSpace(32);
+    text(MARGIN, y, 'VOID', { size: 28, bold: true, color: COLORS.void });
+    y += 18;
+    const voidNote = `Voided${record.voidedAt ? ` on ${formatDate(record.voidedAt)}` : ''}${record.voidReason ? `: ${record.voidReason}` : ''}. This document no longer counts towards the balance.`;
+    drawLines(wrapText(doc, voidNote, RIGHT - MARGIN), MARGIN, { size: 10, color: COLORS.void });
+  }
+
+  // Footer on every page
+  const issuer = (isInvoice ? record.issuedBy : record.recordedBy)?.name ||
+    (isInvoice ? 'MyCampusRide (automatic billing)' : 'MyCampusRide');
+  const { start, count } = doc.bufferedPageRange();
+  for (let page = start; page < start + count; page++) {
+    doc.switchToPage(page);
+    doc.moveTo(MARGIN, FOOTER_Y - 20).lineTo(RIGHT, FOOTER_Y - 20).lineWidth(0.5).stroke(COLORS.border);
+    text(MARGIN, FOOTER_Y, `${isInvoice ? 'Issued' : 'Recorded'} by ${issuer}`, { size: 9, color: COLORS.muted });
+    const generated = `Generated ${formatDate(new Date())}`;
+    text(RIGHT, FOOTER_Y, count > 1 ? `${generated} | Page ${page - start + 1} of ${count}` : generated, { size: 9, color: COLORS.muted, align: 'right' });
+    text(MARGIN, FOOTER_Y + 14, 'This document was generated electronically and is valid without a signature.', { size: 8, color: COLORS.muted });
+  }
+
+  return {
+    filename: `${number}.pdf`,
+    title: `${title} ${number}`,
+    buffer: await toBuffer(doc)
+  };
+};
+
+/**
+ * Email the receipt of a payment to the student. Never throws: a failed email only
+ * gets logged, the payment is recorded either way.
+ * @param {string|ObjectId} paymentId
+ * @returns {Promise<void>}
+ */
+const emailPaymentReceipt = async (paymentId) => {
+  try {
+    const feeDocument = await findFeeDocument(paymentId.toString());
+    if (!feeDocument?.record.student?.email) return;
+
+    const { record } = feeDocument;
+    const pdf = await buildFeeDocumentPdf(feeDocument);
+
+    await sendEmail({
+      email: record.student.email,
+      subject: `MyCampusRide - Payment receipt ${record.receiptNumber}`,
+      message: `Hi ${record.student.name},\n\nWe received your transport fee payment of ${formatAmount(record.amount)} on ${formatDate(record.paidAt)}.` +
+        `\n\nYour receipt ${record.receiptNumber} is attached. You can also download it from the Fees tab of your profile.`,
+      attachments: [{ filename: pdf.filename, content: pdf.buffer, contentType: 'application/pdf' }]
+    });
+  } catch (err) {
+    console.error('Payment receipt email error:', err);
+  }
+};
+
+module.exports = {
+  findFeeDocument,
+  buildFeeDocumentPdf,
+  emailPaymentReceipt
+};
@@ -0,0 +1,254 @@
+/**
+ * Fee Ledger Service
+ *
+ * A student's fee account is the list of their FeeInvoice (charges and credits) and
+ * FeePayment (money received) documents; voided ones are kept but don't count.
+ * - balance = open charges - open credits - completed payments
+ * - User.feeStatus and User.feeBalance are recalculated from it after every change
+ * - FeeNote entries are shown in the same history but carry no amount
+ *
+ * Also migrates the old free-text User.feeNotes field into FeeNote entries.
+ */
+
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const FeeInvoice = require('../models/FeeInvoice');
+const FeePayment = require('../models/FeePayment');
+const FeeNote = require('../models/FeeNote');
+
+const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Invoiced (charges minus credits) and paid totals of a student
+ * @param {string} studentId
+ * @param {Object} [session] - Transaction whose uncommitted changes count
+ * @returns {Promise<Object>} { invoiced, paid, balance }
+ */
+const getLedgerTotals = async (studentId, session = null) => {
+  const student = new mongoose.Types.ObjectId(String(studentId));
+  // One after the other: a transaction runs one operation at a time
+  const [invoiced] = await FeeInvoice.aggregate([
+    { $match: { student, status: 'open' } },
+    { $group: { _id: null, total: { $sum: { $cond: [{ $eq: ['$type', 'credit'] }, { $multiply: ['$amount', -1] }, '$amount'] } } } }
+  ]).session(session);
+  const [paid] = await FeePayment.aggregate([
+    { $match: { student, status: 'completed' } },
+    { $group: { _id: null, total: { $sum: '$amount' } } }
+  ]).session(session);
+
+  const totals = { invoiced: roundMoney(invoiced?.total || 0), paid: roundMoney(paid?.total || 0) };
+  return { ...totals, balance: roundMoney(totals.invoiced - totals.paid) };
+};
+
+/**
+ * What is still to be paid on an invoice: its amount minus the completed payments
+ * recorded against it, and never more than the student's balance (payments not tied to
+ * an invoice and credits count towards every invoice)
+ * @param {Object} invoice - FeeInvoice document
+ * @returns {Promise<number>} 0 for void invoices and credits
+ */
+const getInvoiceOutstanding = async (invoice) => {
+  if (invoice.status !== 'open' || invoice.type === 'credit') return 0;
+
+  const [[paid], totals] = await Promise.all([
+    FeePayment.aggregate([
+      { $match: { invoice: invoice._id, status: 'completed' } },
+      { $group: { _id: null, total: { $sum: '$amount' } } }
+    ]),
+    getLedgerTotals(invoice.student._id || invoice.student)
+  ]);
+
+  return roundMoney(Math.max(0, Math.min(invoice.amount - (paid?.total || 0), totals.balance)));
+};
+
+/**
+ * Fee status implied by the ledger totals
+ * @param {string} currentStatus - Status before the change
+ * @param {Object} totals - { invoiced, paid, balance }
+ * @returns {string}
+ */
+const deriveFeeStatus = (currentStatus, { invoiced, paid, balance }) => {
+  // Nothing billed or paid yet: keep whatever was set before the ledger existed
+  if (invoiced === 0 && paid === 0) return currentStatus || 'pending';
+  if (balance <= 0) return 'paid';
+  // A defaulter stays one until the balance is settled
+  if (currentStatus === 'defaulter') return 'defaulter';
+  return paid > 0 ? 'partially_paid' : 'pending';
+};
+
+/**
+ * Recalculate a student's feeStatus and feeBalance from their ledger
+ * @param {string} studentId
+ * @param {Object} [updatedBy] - Admin who made the change (null for automatic changes)
+ * @param {Object} [session] - Transaction the ledger change was made in
+ * @returns {Promise<Object>} { invoiced, paid, balance, feeStatus, previousFeeStatus }
+ */
+const recalculateStudentFees = async (studentId, updatedBy = null, session = null) => {
+  const student = await User.findById(studentId).select('feeStatus').session(session);
+  const totals = await getLedgerTotals(studentId, session);
+  const feeStatus = deriveFeeStatus(student?.feeStatus, totals);
+
+  await User.updateOne(
+    { _id: studentId },
+    {
+      $set: {
+        feeStatus,
+        feeBalance: totals.balance,
+        feeUpdatedAt: new Date(),
+        ...(updatedBy && { feeUpdatedBy: updatedBy._id })
+      }
+    },
+    { session }
+  );
+
+  return { ...totals, feeStatus, previousFeeStatus: student?.feeStatus || null };
+};
+
+/**
+ * Full fee history of a student, oldest first with a running balance
+ * @param {string} studentId
+ * @returns {Promise<Object>} { summary: { invoiced, paid, balance }, entries }
+ */
+const getStudentLedger = async (studentId) => {
+  const [invoices, payments, notes] = await Promise.all([
+    FeeInvoice.find({ student: studentId }).populate('issuedBy', 'name').lean(),
+    FeePayment.find({ student: studentId }).populate('recordedBy', 'name').populate('invoice', 'invoiceNumber').lean(),
+    FeeNote.find({ student: studentId }).populate('recordedBy', 'name').lean()
+  ]);
+
+  const entries = [
+    ...invoices.map(invoice => ({
+      _id: invoice._id,
+      kind: 'invoice',
+      type: invoice.type || 'charge',
+      date: invoice.issuedAt,
+      number: invoice.invoiceNumber,
+      term: invoice.term,
+      description: invoice.description,
+      amount: invoice.amount,
+      dueDate: invoice.dueDate,
+      recordedBy: invoice.issuedBy?.name || null,
+      status: invoice.status,
+      voidReason: invoice.voidReason
+    })),
+    ...payments.map(payment => ({
+      _id: payment._id,
+      kind: 'payment',
+      date: payment.paidAt,
+      number: payment.receiptNumber,
+      term: payment.term,
+      description: payment.notes,
+      amount: payment.amount,
+      method: payment.method,
+      reference: payment.reference,
+      invoiceNumber: payment.invoice?.invoiceNumber || null,
+      recordedBy: payment.recordedBy?.name || null,
+      status: payment.status,
+      voidReason: payment.voidReason
+    })),
+    ...notes.map(note => ({
+      _id: note._id,
+      kind: 'note',
+      date: note.recordedAt,
+      description: note.text,
+      recordedBy: note.recordedBy?.name || note.recordedByName || null,
+      source: note.source
+    }))
+  ].sort((a, b) => new Date(a.date) - new Date(b.date));
+
+  // Outstanding amount of each open charge, as in getInvoiceOutstanding()
+  const paidByInvoice = new Map();
+  for (const payment of payments) {
+    if (payment.status !== 'completed' || !payment.invoice) continue;
+    const key = payment.invoice._id.toString();
+    paidByInvoice.set(key, (paidByInvoice.get(key) || 0) + payment.amount);
+  }
+  const summary = await getLedgerTotals(studentId);
+  for (const entry of entries) {
+    if (entry.kind !== 'invoice') continue;
+    entry.outstanding = entry.status === 'open' && entry.type === 'charge'
+      ? roundMoney(Math.max(0, Math.min(entry.amount - (paidByInvoice.get(entry._id.toString()) || 0), summary.balance)))
+      : 0;
+  }
+
+  let balance = 0;
+  for (const entry of entries) {
+    if (entry.kind === 'invoice' && entry.status === 'open') balance += entry.type === 'credit' ? -entry.amount : entry.amount;
+    if (entry.kind === 'payment' && entry.status === 'completed') balance -= entry.amount;
+    entry.balance = roundMoney(balance);
+  }
+
+  return {
+    summary,
+    entries
+  };
+};
+
+// "Fee marked as Paid by Admin John on Feb 5, 2024, 10:30 AM"
+const LEGACY_NOTE_PATTERN = /\bby (.+?) on ([A-Z][a-z]{2} \d{1,2}, \d{4}(?:,? \d{1,2}:\d{2}\s?[AP]M)?)/;
+
+/**
+ * Move the old newline-separated User.feeNotes text into FeeNote entries, one per line,
+ * keeping the admin and date written in each line where they can be read.
+ * Runs on startup. Each line is upserted on (student, line number) before the old field is
+ * removed, so a run that stops halfway is finished by the next one without duplicates.
+ * @returns {Promise<void>}
+ */
+const migrateLegacyFeeNotes = async () => {
+  try {
+    // feeNotes is no longer in the schema, so read and clear it on the raw collection
+    const users = await User.collection
+      .find({ feeNotes: { $exists: true } }, { projection: { feeNotes: 1, feeUpdatedAt: 1, feeUpdatedBy: 1 } })
+      .toArray();
+    if (users.length === 0) return;
+
+    const admins = await User.find({ role: 'admin' }).select('name').lean();
+    const adminIdByName = new Map(admins.map(admin => [admin.name, admin._id]));
+
+    let noteCount = 0;
+    for (const user of users) {
+      const lines = String(user.feeNotes || '').split('\n').map(line => line.trim()).filter(Boolean);
+      const fallbackDate = user.feeUpdatedAt || new Date();
+
+      const notes = lines.map((line, index) => {
+        const [, adminName, dateText] = line.match(LEGACY_NOTE_PATTERN) || [];
+        const writtenAt = dateText ? new Date(dateText) : null;
+        return {
+          student: user._id,
+          text: line,
+          recordedAt: writtenAt && !isNaN(writtenAt) ? writtenAt : fallbackDate,
+          recordedBy: (adminName && adminIdByName.get(adminName)) || (lines.length === 1 ? user.feeUpdatedBy || null : null),
+          recordedByName: adminName || '',
+          source: 'legacy',
+          legacyLine: index
+        };
+      });
+
+      if (notes.length > 0) {
+        await FeeNote.bulkWrite(notes.map(({ student, legacyLine, ...note }) => ({
+          updateOne: {
+            filter: { student, legacyLine },
+            update: { $setOnInsert: note },
+            upsert: true
+          }
+        })));
+      }
+      await User.collection.updateOne({ _id: user._id }, { $unset: { feeNotes: '' } });
+      noteCount += notes.length;
+    }
+
+    console.log(`🧾 Migrated ${noteCount} fee note lines of ${users.length} students into the fee ledger`);
+  } catch (error) {
+    console.error('Failed to migrate fee notes:', error.message);
+  }
+};
+
+module.exports = {
+  roundMoney,
+  getLedgerTotals,
+  getInvoiceOutstanding,
+  deriveFeeStatus,
+  recalculateStudentFees,
+  getStudentLedger,
+  migrateLegacyFeeNotes
+};
@@ -0,0 +1,426 @@
+/**
+ * Fee Policy Service
+ *
+ * Applies the fee collection rules of the FeePolicy to every open charge that still has
+ * something to pay (see getInvoiceOutstanding in services/feeLedgerService):
+ * - invoices without a due date are due defaultDueDays after they were issued
+ * - reminders by email and in-app notification the configured days before and after the
+ *   due date; each reminder is sent once per invoice, and only the latest one that is
+ *   due, so a student is never sent a backlog of them
+ * - once the grace period has passed, one late fee per invoice: a new charge of a fixed
+ *   amount or a percentage of what is left to pay
+ * - students with an invoice unpaid for defaulter.afterDueDays days become defaulters,
+ *   optionally taken off their bus (suspendTransport). They stay defaulters until their
+ *   balance is settled (deriveFeeStatus); admins put them back on a bus by hand
+ *
+ * planFeePolicy() only works out what would be done (the dry-run report);
+ * runFeePolicy() does it. The policy job runs it once a day while the policy is enabled.
+ */
+
+const FeePolicy = require('../models/FeePolicy');
+const FeeInvoice = require('../models/FeeInvoice');
+const FeePayment = require('../models/FeePayment');
+const FeeNote = require('../models/FeeNote');
+const User = require('../models/User');
+const Bus = require('../models/Bus');
+const Notification = require('../models/Notification');
+const sendEmail = require('../utils/email');
+const { roundMoney, recalculateStudentFees } = require('./feeLedgerService');
+const { recordAudit, recordAudits, snapshot } = require('./auditService');
+const { emitNotification } = require('./socketService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const CHECK_INTERVAL_MS = 60 * 60 * 1000;
+// A crashed run releases its lock after this long
+const RUN_LOCK_MS = 10 * 60 * 1000;
+
+let policyTimer = null;
+let running = false;
+
+const formatMoney = (amount) => `Rs. ${amount.toLocaleString('en-US')}`;
+
+const formatDate = (date) => new Date(date).toLocaleDateString('en-US', { year: 'numeric', month: 'short', day: 'numeric' });
+
+const startOfDay = (date) => {
+  const day = new Date(date);
+  day.setHours(0, 0, 0, 0);
+  return day;
+};
+
+// Whole days from a due date to a day: negative before it, 0 on it
+const daysFromDue = (dueDate, day) => Math.round((startOfDay(day) - startOfDay(dueDate)) / DAY_MS);
+
+/**
+ * Due date of an invoice issued without one
+ * @param {Date} issuedAt
+ * @param {Object} policy - FeePolicy
+ * @returns {Date}
+ */
+const defaultDueDate = (issuedAt, policy) => new Date(new Date(issuedAt).getTime() + policy.defaultDueDays * DAY_MS);
+
+const describeDue = (days) => {
+  if (days < 0) return `is due in ${-days} day${days === -1 ? '' : 's'}`;
+  if (days === 0) return 'is due today';
+  return `is ${days} day${days === 1 ? '' : 's'} overdue`;
+};
+
+const lateFeeOf = (policy, outstanding) => roundMoney(policy.lateFee.type === 'percentage'
+  ? outstanding * policy.lateFee.amount / 100
+  : policy.lateFee.amount);
+
+/**
+ * Work out what the policy would do today, without changing anything
+ * @param {Object} policy - FeePolicy
+ * @param {Date} [now]
+ * @returns {Promise<Object>} { reminders, lateFees, defaulters, summary }
+ */
+const planFeePolicy = async (policy, now = new Date()) => {
+  const invoices = await FeeInvoice.find({ status: 'open', type: 'charge' })
+    .populate('student', 'name email studentId role status feeStatus feeBalance assignedBus')
+    .sort({ issuedAt: 1 })
+    .lean();
+
+  const invoiceIds = invoices.map(invoice => invoice._id);
+  const [paidByInvoice, lateFees] = await Promise.all([
+    FeePayment.aggregate([
+      { $match: { invoice: { $in: invoiceIds }, status: 'completed' } },
+      { $group: { _id: '$invoice', total: { $sum: '$amount' } } }
+    ]),
+    FeeInvoice.find({ lateFeeFor: { $in: invoiceIds } }).select('lateFeeFor').lean()
+  ]);
+  const paid = new Map(paidByInvoice.map(entry => [entry._id.toString(), entry.total]));
+  const charged = new Set(lateFees.map(lateFee => lateFee.lateFeeFor.toString()));
+
+  const reminderDays = [
+    ...policy.reminders.beforeDueDays.map(days => -days),
+    ...policy.reminders.afterDueDays
+  ].sort((a, b) => a - b);
+  const remindersOn = policy.reminders.email || policy.reminders.inApp;
+
+  const reminders = [];
+  const lateFeeRows = [];
+  const overdueByStudent = new Map();
+  let overdueInvoices = 0;
+
+  for (const invoice of invoices) {
+    const student = invoice.student;
+    if (!student || student.role !== 'student' || student.status !== 'active') continue;
+
+    // As getInvoiceOutstanding(): never more than the student's balance
+    const outstanding = roundMoney(Math.max(0, Math.min(invoice.amount - (paid.get(invoice._id.toString()) || 0), student.feeBalance || 0)));
+    if (outstanding <= 0) continue;
+
+    const dueDate = invoice.dueDate || defaultDueDate(invoice.issuedAt, policy);
+    const days = daysFromDue(dueDate, now);
+    const row = {
+      invoice: { _id: invoice._id, invoiceNumber: invoice.invoiceNumber, description: invoice.description, term: invoice.term },
+      student: { _id: student._id, name: student.name, email: student.email, studentId: student.studentId },
+      dueDate,
+      daysFromDue: days,
+      outstanding
+    };
+    if (days > 0) overdueInvoices++;
+
+    // The latest reminder that is due, unless it was already sent
+    const reminder = remindersOn ? reminderDays.filter(day => day <= days).pop() : undefined;
+    if (reminder !== undefined && !(invoice.remindersSent || []).some(sent => sent.days === reminder)) {
+      reminders.push({ ...row, reminder });
+    }
+
+    if (policy.lateFee.enabled && !invoice.lateFeeFor && days > policy.graceDays && !charged.has(invoice._id.toString())) {
+      const amount = lateFeeOf(policy, outstanding);
+      if (amount > 0) lateFeeRows.push({ ...row, amount });
+    }
+
+    // The longest overdue invoice of each student decides
+    const longestOverdue = overdueByStudent.get(student._id.toString());
+    if (days > 0 && (!longestOverdue || days > longestOverdue.daysFromDue)) {
+      overdueByStudent.set(student._id.toString(), { ...row, studentDoc: student });
+    }
+  }
+
+  const defaulters = [];
+  if (policy.defaulter.enabled) {
+    for (const { studentDoc, ...row } of overdueByStudent.values()) {
+      const balance = studentDoc.feeBalance || 0;
+      if (studentDoc.feeStatus === 'defaulter' || row.daysFromDue < policy.defaulter.afterDueDays) continue;
+      if (balance < policy.defaulter.minBalance) continue;
+      defaulters.push({
+        ...row,
+        balance,
+        suspendTransport: policy.defaulter.suspendTransport && Boolean(studentDoc.assignedBus)
+      });
+    }
+  }
+
+  return {
+    reminders,
+    lateFees: lateFeeRows,
+    defaulters,
+    summary: {
+      invoicesChecked: invoices.length,
+      overdueInvoices,
+      reminders: reminders.length,
+      lateFees: lateFeeRows.length,
+      lateFeeAmount: roundMoney(lateFeeRows.reduce((sum, row) => sum + row.amount, 0)),
+      defaulters: defaulters.length,
+      suspensions: defaulters.filter(row => row.suspendTransport).length
+    }
+  };
+};
+
+const notifyStudent = async (studentId, title, message, options) => {
+  try {
+    const notification = await Notification.createSystemNotification(title, message, 'student', {
+      receiverId: studentId,
+      ...options
+    });
+    emitNotification(notification);
+  } catch (error) {
+    console.error('Fee policy notification error:', error.message);
+  }
+};
+
+const emailStudent = async (student, subject, message) => {
+  if (!student.email) return;
+  try {
+    await sendEmail({ email: student.email, subject: `MyCampusRide - ${subject}`, message: `Hi ${student.name},\n\n${message}` });
+  } catch (error) {
+    console.error('Fee policy email error:', error.message);
+  }
+};
+
+const sendReminder = async (policy, row, now) => {
+  const lateFeeNote = policy.lateFee.enabled && row.daysFromDue <= policy.graceDays && !row.lateFeeCharged
+    ? ` Pay by ${formatDate(new Date(row.dueDate.getTime() + policy.graceDays * DAY_MS))} to avoid a late fee.`
+    : '';
+  const message = `Invoice ${row.invoice.invoiceNumber} (${row.invoice.description}) ${describeDue(row.daysFromDue)}: ` +
+    `${formatMoney(row.outstanding)} left to pay, due ${formatDate(row.dueDate)}.${lateFeeNote}`;
+
+  if (policy.reminders.inApp) {
+    await notifyStudent(row.student._id, 'Fee Payment Reminder', message, {
+      type: row.daysFromDue > 0 ? 'warning' : 'info',
+      metadata: { invoiceId: row.invoice._id, invoiceNumber: row.invoice.invoiceNumber }
+    });
+  }
+  if (policy.reminders.email) {
+    await emailStudent(row.student, `Fee reminder for ${row.invoice.invoiceNumber}`,
+      `${message}\n\nYou can pay online from the Fees tab of your profile.`);
+  }
+
+  await FeeInvoice.updateOne({ _id: row.invoice._id }, { $push: { remindersSent: { days: row.reminder, sentAt: now } } });
+};
+
+const chargeLateFee = async (row, now, req) => {
+  try {
+    return await FeeInvoice.create({
+      student: row.student._id,
+      term: row.invoice.term,
+      description: `Late fee for ${row.invoice.invoiceNumber}`,
+      amount: row.amount,
+      dueDate: now,
+      issuedBy: req?.user?._id || null,
+      lateFeeFor: row.invoice._id
+    });
+  } catch (error) {
+    // Charged by another run in the meantime
+    if (error.code === 11000 && error.keyPattern?.lateFeeFor) return null;
+    throw error;
+  }
+};
+
+const markDefaulter = async (row, req) => {
+  const student = await User.findById(row.student._id);
+  if (!student || student.feeStatus === 'defaulter') return null;
+
+  const before = snapshot(student, ['feeStatus', 'assignedBus']);
+  const oldBusId = row.suspendTransport ? student.assignedBus : null;
+  const bus = oldBusId && await Bus.findById(oldBusId).select('busNumber');
+
+  student.feeStatus = 'defaulter';
+  if (oldBusId) student.assignedBus = null;
+  student.feeUpdatedAt = new Date();
+  student.feeUpdatedBy = req?.user?._id || null;
+  await student.save();
+
+  // Give the seat back to the bus
+  if (oldBusId) await Bus.findByIdAndUpdate(oldBusId, { $inc: { capacity: 1 } });
+
+  const reason = `${row.invoice.invoiceNumber} is ${row.daysFromDue} days overdue (balance ${formatMoney(row.balance)})`;
+  const unassigned = oldBusId ? `; unassigned from bus ${bus ? `'${bus.busNumber}'` : ''}`.trimEnd() : '';
+  await FeeNote.create({
+    student: student._id,
+    text: `Marked as Defaulter by the fee policy: ${reason}${unassigned}.`,
+    recordedBy: req?.user?._id || null,
+    source: 'system'
+  });
+
+  const message = `Your transport fee is overdue: ${reason}.` +
+    (oldBusId ? ' You have been taken off your bus until the balance is paid.' : ' Please pay the balance as soon as possible.');
+  await notifyStudent(student._id, 'Transport Fee Overdue', message, { type: 'error', priority: 'high' });
+  await emailStudent(student, 'Transport fee overdue', `${message}\n\nYou can pay online from the Fees tab of your profile.`);
+
+  return {
+    action: 'fees.mark_defaulter',
+    entityType: 'user',
+    entity: student,
+    before,
+    after: snapshot(student, ['feeStatus', 'assignedBus']),
+    details: { invoice: row.invoice.invoiceNumber, daysOverdue: row.daysFromDue, balance: row.balance, suspendTransport: Boolean(oldBusId) }
+  };
+};
+
+/**
+ * Apply the fee policy now: send reminders, charge late fees and mark defaulters
+ * @param {Object} [req] - Request of the admin running it; null when run by the policy job
+ * @param {Date} [now]
+ * @returns {Promise<Object>} { success, summary } or { success: false, statusCode, message }
+ */
+const runFeePolicy = async (req = null, now = new Date()) => {
+  await FeePolicy.getPolicy();
+
+  // Claim the policy so a manual run and the policy job never overlap
+  const policy = await FeePolicy.findOneAndUpdate(
+    { $or: [{ runStartedAt: null }, { runStartedAt: { $lt: new Date(now - RUN_LOCK_MS) } }] },
+    { runStartedAt: now },
+    { new: true }
+  );
+  if (!policy) {
+    return { success: false, statusCode: 409, message: 'The fee policy is already being applied' };
+  }
+
+  let summary;
+  try {
+    const plan = await planFeePolicy(policy, now);
+    const failed = [];
+    const audits = [];
+    const studentsCharged = new Map();
+
+    for (const row of plan.lateFees) {
+      try {
+        const lateFee = await chargeLateFee(row, now, req);
+        if (!lateFee) continue;
+        studentsCharged.set(row.student._id.toString(), row.student);
+        audits.push({
+          action: 'fees.late_fee',
+          entityType: 'feeInvoice',
+          entity: lateFee,
+          entityLabel: `${lateFee.invoiceNumber} (${row.student.name})`,
+          after: snapshot(lateFee, ['invoiceNumber', 'term', 'description', 'amount', 'dueDate']),
+          details: { invoice: row.invoice.invoiceNumber, daysOverdue: row.daysFromDue, outstanding: row.outstanding }
+        });
+      } catch (error) {
+        console.error(`Late fee for ${row.invoice.invoiceNumber} failed:`, error.message);
+        failed.push({ step: 'lateFee', invoice: row.invoice.invoiceNumber, message: error.message });
+      }
+    }
+    for (const student of studentsCharged.values()) {
+      await recalculateStudentFees(student._id, req?.user || null);
+    }
+
+    const lateFeeInvoices = new Set(plan.lateFees.map(row => row.invoice._id.toString()));
+    for (const row of plan.reminders) {
+      try {
+        await sendReminder(policy, { ...row, lateFeeCharged: lateFeeInvoices.has(row.invoice._id.toString()) }, now);
+      } catch (error) {
+        console.error(`Fee reminder for ${row.invoice.invoiceNumber} failed:`, error.message);
+        failed.push({ step: 'reminder', invoice: row.invoice.invoiceNumber, message: error.message });
+      }
+    }
+
+    for (const row of plan.defaulters) {
+      try {
+        const audit = await markDefaulter(row, req);
+        if (audit) audits.push(audit);
+      } catch (error) {
+        console.error(`Marking ${row.student.name} as defaulter failed:`, error.message);
+        failed.push({ step: 'defaulter', student: row.student.name, message: error.message });
+      }
+    }
+
+    await recordAudits(req, audits);
+
+    summary = { ...plan.summary, failed: failed.length };
+    const changed = summary.reminders + summary.lateFees + summary.defaulters > 0;
+    if (req || changed) {
+      await recordAudit(req, {
+        action: 'fees.policy_run',
+        entityType: 'feePolicy',
+        entity: policy,
+        entityLabel: 'Fee policy',
+        details: summary
+      });
+    }
+
+    return { success: true, summary, failed };
+  } finally {
+    await FeePolicy.updateOne(
+      { _id: policy._id },
+      { runStartedAt: null, ...(summary && { lastRunAt: now, lastRunSummary: summary }) }
+    );
+  }
+};
+
+/**
+ * Apply the policy if it is enabled and hasn't run today
+ * @returns {Promise<void>}
+ */
+const runDailyFeePolicy = async () => {
+  const now = new Date();
+  const policy = await FeePolicy.getPolicy();
+  if (!policy.enabled || (policy.lastRunAt && policy.lastRunAt >= startOfDay(now))) return;
+
+  const result = await runFeePolicy(null, now);
+  if (!result.success) return;
+
+  const { summary } = result;
+  if (summary.reminders + summary.lateFees + summary.defaulters === 0) return;
+
+  console.log(`⏰ Fee policy: ${summary.reminders} reminders, ${summary.lateFees} late fees, ${summary.defaulters} defaulters`);
+  const notification = await Notification.createSystemNotification(
+    'Fee Policy Applied',
+    `${summary.reminders} payment reminders sent, ${summary.lateFees} late fees charged (${formatMoney(summary.lateFeeAmount)}) and ${summary.defaulters} students marked as defaulters` +
+      `${summary.suspensions ? `, ${summary.suspensions} of them taken off their bus` : ''}.`,
+    'admin',
+    { type: summary.defaulters ? 'warning' : 'info', metadata: summary }
+  );
+  emitNotification(notification);
+};
+
+/**
+ * Start the hourly policy job (call once the database is connected)
+ */
+const startFeePolicyJob = () => {
+  if (policyTimer) return;
+
+  policyTimer = setInterval(async () => {
+    if (running) return;
+    running = true;
+    try {
+      await runDailyFeePolicy();
+    } catch (error) {
+      console.error('Fee policy job failed:', error.message);
+    } finally {
+      running = false;
+    }
+  }, CHECK_INTERVAL_MS);
+
+  console.log('⏰ Fee policy job started');
+};
+
+/**
+ * Stop the policy job
+ */
+const stopFeePolicyJob = () => {
+  clearInterval(policyTimer);
+  policyTimer = null;
+};
+
+module.exports = {
+  defaultDueDate,
+  planFeePolicy,
+  runFeePolicy,
+  runDailyFeePolicy,
+  startFeePolicyJob,
+  stopFeePolicyJob
+};
@@ -0,0 +1,201 @@
+/**
+ * GPS Filter Service
+ *
+ * Cleans up phone GPS before a point is stored or broadcast:
+ * 1. Fixes with a reported accuracy worse than MAX_ACCURACY_M are dropped.
+ * 2. Fixes that would need an impossible speed from the last accepted position are dropped.
+ * 3. Accepted fixes go through a simple Kalman filter weighted by their accuracy,
+ *    which removes the small jitter that makes the bus icon wobble.
+ * 4. Optionally (GPS_SNAP_TO_ROUTE=true) the result is snapped onto the route line
+ *    when it is close enough to it.
+ *
+ * Filter state is kept per bus in memory and reset when a trip starts or stops.
+ */
+
+const Route = require('../models/Route');
+const { haversineDistance, isValidCoordinate, projectOntoSegment } = require('../utils/geo');
+
+// Tuning constants
+const MAX_ACCURACY_M = 100;             // Fixes less accurate than this are ignored
+const DEFAULT_ACCURACY_M = 25;          // Assumed when the device doesn't report accuracy
+const MAX_SPEED_KMH = 120;              // Faster than any campus bus can go
+const PROCESS_NOISE_MPS = 3;            // How fast the true position may drift (Kalman Q)
+const MAX_CONSECUTIVE_REJECTS = 3;      // After this many rejects in a row the filter re-seeds
+const STALE_STATE_MS = 60 * 1000;       // Filter re-seeds after this long without an accepted fix
+const SNAP_MAX_DISTANCE_M = 40;         // Only snap when this close to the route line
+const ROUTE_CACHE_TTL_MS = 5 * 60 * 1000;
+
+const filterStates = new Map();
+const routeCache = new Map();
+
+const isSnapEnabled = () => process.env.GPS_SNAP_TO_ROUTE === 'true';
+
+/**
+ * Ordered stop coordinates of a route, cached briefly
+ * @param {string} routeId - Route ID
+ * @returns {Promise<Array>}
+ */
+const getRouteLine = async (routeId) => {
+  const cacheKey = routeId.toString();
+  const cached = routeCache.get(cacheKey);
+  if (cached && Date.now() - cached.loadedAt < ROUTE_CACHE_TTL_MS) {
+    return cached.line;
+  }
+
+  const route = await Route.findById(routeId).select('stops');
+  const line = (route?.stops || [])
+    .filter(stop => isValidCoordinate(stop.latitude, stop.longitude))
+    .sort((a, b) => a.sequence - b.sequence)
+    .map(stop => ({ latitude: stop.latitude, longitude: stop.longitude }));
+
+  routeCache.set(cacheKey, { line, loadedAt: Date.now() });
+  return line;
+};
+
+/**
+ * Snap a position onto the closest route segment if it is near enough
+ * @returns {Object|null} { latitude, longitude } or null when not snapped
+ */
+const snapToLine = (position, line) => {
+  let best = null;
+  for (let i = 0; i < line.length - 1; i++) {
+    const projection = projectOntoSegment(position, line[i], line[i + 1]);
+    if (!best || projection.distanceKm < best.distanceKm) best = projection;
+  }
+  if (!best || best.distanceKm * 1000 > SNAP_MAX_DISTANCE_M) return null;
+  return { latitude: best.latitude, longitude: best.longitude };
+};
+
+/**
+ * Start a fresh filter state from a fix
+ */
+const seedState = (point, accuracy, time) => ({
+  latitude: point.latitude,
+  longitude: point.longitude,
+  variance: accuracy * accuracy,
+  time,
+  rejects: 0
+});
+
+/**
+ * Run one fix through the filter
+ * @param {Object|null} state - Previous filter state (null for none)
+ * @param {Object} point - { latitude, longitude, accuracy?, recordedAt: Date }
+ * @returns {Object} { state, accepted, reason? } - state is the state to keep afterwards
+ */
+const stepFilter = (state, point) => {
+  const time = point.recordedAt.getTime();
+  const accuracy = typeof point.accuracy === 'number' && point.accuracy > 0
+    ? point.accuracy
+    : DEFAULT_ACCURACY_M;
+
+  if (accuracy > MAX_ACCURACY_M) {
+    return { state, accepted: false, reason: 'low_accuracy' };
+  }
+
+  // Re-seed when there is no usable history, e.g. after a restart or a long GPS gap
+  if (!state || time - state.time > STALE_STATE_MS || state.rejects >= MAX_CONSECUTIVE_REJECTS) {
+    return { state: seedState(point, accuracy, time), accepted: true };
+  }
+
+  const hours = (time - state.time) / (1000 * 60 * 60);
+  const jumpKm = haversineDistance(state.latitude, state.longitude, point.latitude, point.longitude);
+  // Allow for the reported accuracy so a small jump between close fixes isn't rejected
+  const jumpBeyondAccuracyKm = Math.max(0, jumpKm - accuracy / 1000);
+  if (hours > 0 && jumpBeyondAccuracyKm / hours > MAX_SPEED_KMH) {
+    return { state: { ...state, rejects: state.rejects + 1 }, accepted: false, reason: 'impossible_speed' };
+  }
+
+  // Kalman update: uncertainty grows with time, then blends in the new fix by its accuracy
+  const seconds = Math.max(time - state.time, 0) / 1000;
+  const variance = state.variance + seconds * PROCESS_NOISE_MPS * PROCESS_NOISE_MPS;
+  const gain = variance / (variance + accuracy * accuracy);
+  return {
+    state: {
+      latitude: state.latitude + gain * (point.latitude - state.latitude),
+      longitude: state.longitude + gain * (point.longitude - state.longitude),
+      variance: (1 - gain) * variance,
+      time,
+      rejects: 0
+    },
+    accepted: true
+  };
+};
+
+/**
+ * Turn an accepted filter state into the position to store, snapping it if enabled
+ */
+const toFilteredPosition = async (bus, state, point) => {
+  let position = { latitude: state.latitude, longitude: state.longitude };
+  let snapped = false;
+  if (isSnapEnabled() && bus.routeId) {
+    const snappedPosition = snapToLine(position, await getRouteLine(bus.routeId));
+    if (snappedPosition) {
+      position = snappedPosition;
+      snapped = true;
+    }
+  }
+
+  return {
+    accepted: true,
+    ...position,
+    snapped,
+    raw: {
+      latitude: point.latitude,
+      longitude: point.longitude,
+      accuracy: point.accuracy ?? null
+    }
+  };
+};
+
+/**
+ * Filter a live GPS fix for a bus, continuing the bus's filter state
+ * @param {Object} bus - Bus document ({ _id, routeId })
+ * @param {Object} point - { latitude, longitude, accuracy?, recordedAt: Date }
+ * @returns {Promise<Object>} { accepted: false, reason } or
+ *                            { accepted: true, latitude, longitude, snapped, raw }
+ */
+const filterLocation = async (bus, point) => {
+  const key = bus._id.toString();
+  const result = stepFilter(filterStates.get(key) || null, point);
+  if (result.state) filterStates.set(key, result.state);
+
+  if (!result.accepted) {
+    return { accepted: false, reason: result.reason };
+  }
+  return toFilteredPosition(bus, result.state, point);
+};
+
+/**
+ * Filter a batch of backfilled fixes with a state of its own, so old points
+ * never disturb the live filter
+ * @param {Object} bus - Bus document ({ _id, routeId })
+ * @param {Array} points - Fixes sorted by recordedAt
+ * @returns {Promise<Array>} One filterLocation-style result per point, in the same order
+ */
+const filterBatch = async (bus, points) => {
+  let state = null;
+  const results = [];
+  for (const point of points) {
+    const result = stepFilter(state, point);
+    state = result.state;
+    results.push(result.accepted
+      ? await toFilteredPosition(bus, state, point)
+      : { accepted: false, reason: result.reason });
+  }
+  return results;
+};
+
+/**
+ * Forget the filter state of a bus (trip started or stopped)
+ * @param {string} busId - Bus ID
+ */
+const resetFilter = (busId) => {
+  filterStates.delete(busId.toString());
+};
+
+module.exports = {
+  filterLocation,
+  filterBatch,
+  resetFilter
+};
@@ -0,0 +1,318 @@
+/**
+ * Location Ingestion Service
+ *
+ * Single entry point for driver GPS points, used by both
+ * PUT /api/tracking/update-location and the socket 'location-update' event,
+ * so what is stored and what admins/students see are always the same.
+ *
+ * Pipeline: validate → reject out-of-order points → GPS noise filter → update the bus →
+ * append the trip breadcrumb → broadcast → stop detection → off-route and driving checks →
+ * ETA refresh.
+ * Everything after the filter sees the filtered position; the raw fix is kept on the
+ * breadcrumb, and discarded fixes as 'rejected' TripPoints.
+ *
+ * Batches uploaded after the driver was offline go through ingestLocationBatch, which
+ * backfills the trip history but only broadcasts the newest point, and only if it is fresh.
+ *
+ * Callers are responsible for checking that the sender is the bus's driver.
+ */
+
+const Bus = require('../models/Bus');
+const Trip = require('../models/Trip');
+const TripPoint = require('../models/TripPoint');
+const { isValidCoordinate } = require('../utils/geo');
+const { broadcastLocationUpdate } = require('./socketService');
+const { detectStopEvents } = require('./stopDetectionService');
+const { updateEtaForBus } = require('./etaService');
+const { filterLocation, filterBatch } = require('./gpsFilterService');
+const { checkRouteDeviation } = require('./routeDeviationService');
+const { checkDrivingBehavior } = require('./drivingSafetyService');
+
+// Device clocks drift; points further in the future than this are rejected
+const MAX_CLOCK_SKEW_MS = 2 * 60 * 1000;
+const MAX_BATCH_SIZE = 500;
+// A backfilled point younger than this is still shown as the bus's live position
+const LIVE_WINDOW_MS = 30 * 1000;
+
+const reject = (statusCode, message) => ({ success: false, statusCode, message });
+
+const toOptionalNumber = (value) => (typeof value === 'number' && Number.isFinite(value) ? value : null);
+
+// The point is already stored and broadcast by the time these run, so a failing check is
+// logged and the next one still runs
+const runSideCheck = async (name, busId, check) => {
+  try {
+    await check();
+  } catch (error) {
+    console.error(`Failed to run ${name} for bus ${busId}:`, error.message);
+  }
+};
+
+/**
+ * Validate, persist and broadcast a GPS point for a bus on trip
+ * @param {string} busId - Bus ID
+ * @param {Object} point - { latitude, longitude, address?, accuracy?, speed?, heading?, recordedAt? }
+ * @returns {Promise<Object>} { success: true, bus, location, recordedAt } or
+ *                            { success: false, statusCode, message }
+ */
+const ingestLocation = async (busId, point = {}) => {
+  const { latitude, longitude } = point;
+  if (!isValidCoordinate(latitude, longitude)) {
+    return reject(400, 'Invalid coordinates');
+  }
+
+  const recordedAt = point.recordedAt ? new Date(point.recordedAt) : new Date();
+  if (Number.isNaN(recordedAt.getTime())) {
+    return reject(400, 'Invalid timestamp');
+  }
+  if (recordedAt.getTime() - Date.now() > MAX_CLOCK_SKEW_MS) {
+    return reject(400, 'Timestamp is in the future');
+  }
+
+  const current = await Bus.findById(busId).select('isOnTrip routeId lastLocationUpdate');
+  if (!current) return reject(404, 'Bus not found');
+  if (!current.isOnTrip) return reject(400, 'Cannot update location when not on a trip');
+  if (current.lastLocationUpdate && recordedAt <= current.lastLocationUpdate) {
+    return reject(409, 'Location is older than the last recorded position');
+  }
+
+  const accuracy = toOptionalNumber(point.accuracy);
+  const filtered = await filterLocation(current, { latitude, longitude, accuracy, recordedAt });
+  if (!filtered.accepted) {
+    try {
+      await Trip.recordRejectedPoint(current._id, { latitude, longitude, accuracy, recordedAt }, filtered.reason);
+    } catch (error) {
+      console.error(`Failed to record rejected point for bus ${current._id}:`, error.message);
+    }
+    return reject(422, `Location discarded by GPS filter (${filtered.reason})`);
+  }
+
+  const location = {
+    latitude: filtered.latitude,
+    longitude: filtered.longitude,
+    address: point.address || 'Location not available'
+  };
+
+  // The timestamp guard makes ordering atomic when REST and socket updates race
+  const bus = await Bus.findOneAndUpdate(
+    {
+      _id: busId,
+      isOnTrip: true,
+      $or: [
+        { lastLocationUpdate: { $lt: recordedAt } },
+        { lastLocationUpdate: null }
+      ]
+    },
+    { $set: { currentLocation: location, lastLocationUpdate: recordedAt } },
+    { new: true }
+  );
+
+  if (!bus) {
+    const existing = await Bus.findById(busId).select('isOnTrip');
+    if (!existing) return reject(404, 'Bus not found');
+    if (!existing.isOnTrip) return reject(400, 'Cannot update location when not on a trip');
+    return reject(409, 'Location is older than the last recorded position');
+  }
+
+  // Keep the breadcrumb on the trip record
+  try {
+    await Trip.appendLocation(bus._id, {
+      latitude: location.latitude,
+      longitude: location.longitude,
+      accuracy,
+      speed: toOptionalNumber(point.speed),
+      heading: toOptionalNumber(point.heading),
+      recordedAt,
+      raw: filtered.raw,
+      snapped: filtered.snapped
+    });
+  } catch (error) {
+    console.error(`Failed to record location for bus ${bus._id}:`, error.message);
+  }
+
+  broadcastLocationUpdate({
+    busId: bus._id,
+    routeId: bus.routeId,
+    location: bus.currentLocation,
+    timestamp: recordedAt.toISOString()
+  });
+
+  // Record stop arrivals/departures and detours, then refresh arrival estimates for students on this route
+  const position = { latitude: location.latitude, longitude: location.longitude, recordedAt };
+  await runSideCheck('stop detection', bus._id, () => detectStopEvents(bus._id, position));
+  await runSideCheck('route deviation check', bus._id, () => checkRouteDeviation(bus._id, position));
+  await runSideCheck('driving behaviour check', bus._id, () =>
+    checkDrivingBehavior(bus._id, { ...position, speed: toOptionalNumber(point.speed) }));
+  await runSideCheck('ETA update', bus._id, () => updateEtaForBus(bus._id, location));
+
+  return { success: true, bus, location: bus.currentLocation, recordedAt };
+};
+
+/**
+ * Backfill a batch of time-stamped points recorded while the driver was offline
+ * - Invalid points and duplicates (same timestamp in the batch or already on the trip) are skipped
+ * - Each point is filed under the trip of this bus that was running at its timestamp
+ * - Points newer than the bus's last position advance the bus and stop detection in order,
+ *   but only the newest one is broadcast, and only when it is recent enough to be "live"
+ * @param {string} busId - Bus ID
+ * @param {Array} points - [{ latitude, longitude, timestamp, accuracy?, speed?, heading?, address? }]
+ * @returns {Promise<Object>} { success: true, summary } or { success: false, statusCode, message }
+ */
+const ingestLocationBatch = async (busId, points) => {
+  if (!Array.isArray(points) || points.length === 0) {
+    return reject(400, 'points must be a non-empty array');
+  }
+  if (points.length > MAX_BATCH_SIZE) {
+    return reject(400, `A batch can contain at most ${MAX_BATCH_SIZE} points`);
+  }
+
+  const bus = await Bus.findById(busId).select('isOnTrip routeId lastLocationUpdate');
+  if (!bus) return reject(404, 'Bus not found');
+
+  const summary = { received: points.length, inserted: 0, duplicates: 0, rejected: 0 };
+
+  // Validate and de-duplicate within the batch
+  const seenTimes = new Set();
+  const candidates = [];
+  points.forEach(point => {
+    const recordedAt = new Date(point?.timestamp ?? point?.recordedAt);
+    if (!isValidCoordinate(point?.latitude, point?.longitude) ||
+        Number.isNaN(recordedAt.getTime()) ||
+        recordedAt.getTime() - Date.now() > MAX_CLOCK_SKEW_MS) {
+      summary.rejected += 1;
+      return;
+    }
+    if (seenTimes.has(recordedAt.getTime())) {
+      summary.duplicates += 1;
+      return;
+    }
+    seenTimes.add(recordedAt.getTime());
+    candidates.push({
+      latitude: point.latitude,
+      longitude: point.longitude,
+      accuracy: toOptionalNumber(point.accuracy),
+      speed: toOptionalNumber(point.speed),
+      heading: toOptionalNumber(point.heading),
+      address: point.address,
+      recordedAt
+    });
+  });
+  candidates.sort((a, b) => a.recordedAt - b.recordedAt);
+
+  if (candidates.length === 0) {
+    return { success: true, summary };
+  }
+
+  // Trips of this bus that overlap the batch
+  const first = candidates[0].recordedAt;
+  const last = candidates[candidates.length - 1].recordedAt;
+  const trips = await Trip.find({
+    bus: bus._id,
+    startTime: { $lte: last },
+    $or: [{ endTime: null }, { endTime: { $gte: first } }]
+  }).select('startTime endTime status');
+  const existing = await TripPoint.find({
+    trip: { $in: trips.map(trip => trip._id) },
+    kind: 'path',
+    recordedAt: { $gte: first, $lte: last }
+  }).select('trip recordedAt').lean();
+  const existingTimes = new Set(existing.map(point => `${point.trip}:${point.recordedAt.getTime()}`));
+
+  const advancing = [];
+  let placed = 0;
+  for (const trip of trips) {
+    const tripPoints = candidates.filter(point =>
+      point.recordedAt >= trip.startTime && (!trip.endTime || point.recordedAt <= trip.endTime)
+    );
+    const fresh = tripPoints.filter(point => !existingTimes.has(`${trip._id}:${point.recordedAt.getTime()}`));
+    placed += tripPoints.length;
+    summary.duplicates += tripPoints.length - fresh.length;
+    if (fresh.length === 0) continue;
+
+    const filtered = await filterBatch(bus, fresh);
+    const breadcrumbs = [];
+    const discarded = [];
+    for (let i = 0; i < fresh.length; i++) {
+      const point = fresh[i];
+      const result = filtered[i];
+      if (!result.accepted) {
+        discarded.push({ ...point, reason: result.reason });
+        continue;
+      }
+
+      const breadcrumb = {
+        latitude: result.latitude,
+        longitude: result.longitude,
+        accuracy: point.accuracy,
+        speed: point.speed,
+        heading: point.heading,
+        recordedAt: point.recordedAt,
+        raw: result.raw,
+        snapped: result.snapped
+      };
+      breadcrumbs.push(breadcrumb);
+
+      if (trip.status === 'in_progress' && (!bus.lastLocationUpdate || point.recordedAt > bus.lastLocationUpdate)) {
+        advancing.push({ ...breadcrumb, address: point.address });
+      }
+    }
+
+    if (breadcrumbs.length > 0) {
+      await Trip.backfillLocations(trip._id, breadcrumbs);
+      summary.inserted += breadcrumbs.length;
+    }
+    if (discarded.length > 0) {
+      await Trip.recordRejectedPoints(trip._id, discarded);
+      summary.rejected += discarded.length;
+    }
+  }
+
+  // Points outside every trip of this bus can't be placed anywhere
+  summary.rejected += Math.max(candidates.length - placed, 0);
+
+  if (bus.isOnTrip && advancing.length > 0) {
+    // Replay stop, detour and driving checks in order so events get their real (past) times
+    for (const point of advancing) {
+      await runSideCheck('stop detection', bus._id, () => detectStopEvents(bus._id, point));
+      await runSideCheck('route deviation check', bus._id, () => checkRouteDeviation(bus._id, point));
+      await runSideCheck('driving behaviour check', bus._id, () => checkDrivingBehavior(bus._id, point));
+    }
+
+    const latest = advancing[advancing.length - 1];
+    const location = {
+      latitude: latest.latitude,
+      longitude: latest.longitude,
+      address: latest.address || 'Location not available'
+    };
+    const updated = await Bus.findOneAndUpdate(
+      {
+        _id: bus._id,
+        isOnTrip: true,
+        $or: [
+          { lastLocationUpdate: { $lt: latest.recordedAt } },
+          { lastLocationUpdate: null }
+        ]
+      },
+      { $set: { currentLocation: location, lastLocationUpdate: latest.recordedAt } },
+      { new: true }
+    );
+
+    // Stale points are history only; never show them on the map as the live position
+    if (updated && Date.now() - latest.recordedAt.getTime() <= LIVE_WINDOW_MS) {
+      broadcastLocationUpdate({
+        busId: updated._id,
+        routeId: updated.routeId,
+        location: updated.currentLocation,
+        timestamp: latest.recordedAt.toISOString()
+      });
+      await runSideCheck('ETA update', updated._id, () => updateEtaForBus(updated._id, location));
+    }
+  }
+
+  return { success: true, summary };
+};
+
+module.exports = {
+  ingestLocation,
+  ingestLocationBatch
+};
@@ -0,0 +1,142 @@
+/**
+ * Login Protection Service
+ *
+ * Per-account brute-force protection for the password and 2FA login steps:
+ * 1. Every failed attempt is counted on the user (failedLoginAttempts, lastFailedLoginAt).
+ * 2. Each failure makes the next attempt wait longer (1s, 2s, 4s… capped at 30s).
+ * 3. After LOGIN_MAX_ATTEMPTS failures the account is locked for LOGIN_LOCKOUT_MINUTES
+ *    and the owner gets an email about it.
+ * 4. A successful login, a password reset or an admin unlock clears the counters.
+ *
+ * Failures older than the lockout window are forgotten, so a typo last week doesn't count.
+ * Per-IP limits are applied separately by middleware/rateLimiter.
+ */
+
+const User = require('../models/User');
+const sendEmail = require('../utils/email');
+
+const MAX_DELAY_SECONDS = 30;
+
+const getMaxAttempts = () => parseInt(process.env.LOGIN_MAX_ATTEMPTS, 10) || 5;
+const getLockoutMinutes = () => parseInt(process.env.LOGIN_LOCKOUT_MINUTES, 10) || 15;
+
+// Wait required after the nth consecutive failure
+const delaySecondsFor = (attempts) => Math.min(2 ** (attempts - 1), MAX_DELAY_SECONDS);
+
+// Failures are forgotten once a lockout has run out or the last one is older than the window
+const isStale = (user, now = Date.now()) =>
+  !user.lastFailedLoginAt ||
+  user.lastFailedLoginAt.getTime() < now - getLockoutMinutes() * 60 * 1000 ||
+  Boolean(user.lockUntil && user.lockUntil.getTime() <= now);
+
+const lockedResponse = (retryAfter) => {
+  const minutes = Math.ceil(retryAfter / 60);
+  return {
+    success: false,
+    statusCode: 423,
+    message: `Too many failed sign-in attempts. Your account is locked for ${minutes} minute${minutes === 1 ? '' : 's'}. ` +
+      'Reset your password to unlock it now.',
+    retryAfter
+  };
+};
+
+/**
+ * Whether this account may try to sign in right now
+ * @param {Object} user - User document
+ * @returns {Object|null} null when allowed, otherwise { success: false, statusCode, message, retryAfter (seconds) }
+ */
+const getLoginThrottle = (user) => {
+  const now = Date.now();
+
+  if (user.isLocked()) {
+    return lockedResponse(Math.ceil((user.lockUntil.getTime() - now) / 1000));
+  }
+
+  if (user.failedLoginAttempts > 0 && !isStale(user, now)) {
+    const allowedAt = user.lastFailedLoginAt.getTime() + delaySecondsFor(user.failedLoginAttempts) * 1000;
+    if (allowedAt > now) {
+      const retryAfter = Math.ceil((allowedAt - now) / 1000);
+      return {
+        success: false,
+        statusCode: 429,
+        message: `Too many failed sign-in attempts. Please wait ${retryAfter} second${retryAfter === 1 ? '' : 's'} and try again.`,
+        retryAfter
+      };
+    }
+  }
+
+  return null;
+};
+
+const sendLockoutEmail = async (user, lockUntil, ipAddress) => {
+  const resetURL = `${process.env.FRONTEND_URL || 'http://localhost:5173'}/forgot-password`;
+  const message = `We blocked sign-in to your MyCampusRide account for ${getLockoutMinutes()} minutes after ${getMaxAttempts()} failed attempts` +
+    `${ipAddress ? ` from IP address ${ipAddress}` : ''}.\n\n` +
+    `You can sign in again after ${lockUntil.toLocaleString()}.\n\n` +
+    `If this wasn't you, someone may be trying to guess your password. Reset it now to unlock your account straight away:\n\n${resetURL}`;
+
+  try {
+    await sendEmail({
+      email: user.email,
+      subject: 'MyCampusRide - Sign-in temporarily locked',
+      message
+    });
+  } catch (err) {
+    console.error('Lockout email error:', err);
+  }
+};
+
+/**
+ * Count a failed password or 2FA code, locking the account when the limit is reached
+ * @param {Object} user - User document
+ * @param {Object} req - Express request (for the IP in the notice email)
+ * @returns {Promise<Object|null>} The lockout response once the account is locked, otherwise null
+ */
+const recordFailedLogin = async (user, req) => {
+  const now = new Date();
+
+  // $inc keeps the count right when several attempts arrive at once
+  const update = isStale(user, now.getTime())
+    ? { $set: { failedLoginAttempts: 1, lastFailedLoginAt: now }, $unset: { lockUntil: 1 } }
+    : { $inc: { failedLoginAttempts: 1 }, $set: { lastFailedLoginAt: now } };
+  const updated = await User.findByIdAndUpdate(user._id, update, { new: true });
+  if (!updated || updated.failedLoginAttempts < getMaxAttempts()) return null;
+
+  const lockUntil = new Date(now.getTime() + getLockoutMinutes() * 60 * 1000);
+
+  // Only the request that actually sets the lock sends the email
+  const locked = await User.findOneAndUpdate(
+    { _id: user._id, $or: [{ lockUntil: null }, { lockUntil: { $lte: now } }] },
+    { $set: { lockUntil } },
+    { new: true }
+  );
+  if (locked) {
+    console.log(`🔒 Sign-in locked for ${locked.email} until ${lockUntil.toISOString()}`);
+    await sendLockoutEmail(locked, lockUntil, req?.ip);
+  }
+
+  return lockedResponse(getLockoutMinutes() * 60);
+};
+
+/**
+ * Clear failed attempts and any lockout
+ * @param {Object} user - User document
+ * @returns {Promise<void>}
+ */
+const clearFailedLogins = async (user) => {
+  if (!user.failedLoginAttempts && !user.lockUntil && !user.lastFailedLoginAt) return;
+
+  await User.updateOne(
+    { _id: user._id },
+    { $set: { failedLoginAttempts: 0 }, $unset: { lastFailedLoginAt: 1, lockUntil: 1 } }
+  );
+  user.failedLoginAttempts = 0;
+  user.lastFailedLoginAt = undefined;
+  user.lockUntil = undefined;
+};
+
+module.exports = {
+  getLoginThrottle,
+  recordFailedLogin,
+  clearFailedLogins
+};
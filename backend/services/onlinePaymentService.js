@@ -0,0 +1,358 @@
+/**
+ * Online Payment Service
+ *
+ * Students pay an open invoice through the active payment provider
+ * (services/paymentProviders):
+ * 1. startCheckout() creates a PaymentIntent and a checkout at the provider; the student
+ *    is sent to its checkoutUrl
+ * 2. The provider calls POST /api/payments/webhooks/:provider with a signed event;
+ *    handleWebhook() verifies it and applies the result
+ * 3. The reconciliation job asks the provider about intents still pending (a lost
+ *    webhook, a server restart) and expires abandoned checkouts
+ *
+ * Applying a success is idempotent: the intent moves to 'succeeded' once and FeePayment
+ * has a unique index on paymentIntent, so webhook retries and reconciliation never
+ * record the same payment twice. The payment then updates the student's fee status
+ * like any other (services/feeLedgerService).
+ */
+
+const mongoose = require('mongoose');
+const PaymentIntent = require('../models/PaymentIntent');
+const FeeInvoice = require('../models/FeeInvoice');
+const FeePayment = require('../models/FeePayment');
+const User = require('../models/User');
+const Notification = require('../models/Notification');
+const { getPaymentProvider, getActivePaymentProvider } = require('./paymentProviders');
+const { getInvoiceOutstanding, recalculateStudentFees } = require('./feeLedgerService');
+const { emailPaymentReceipt } = require('./feeDocumentService');
+const { recordAudit, snapshot } = require('./auditService');
+const { emitNotification } = require('./socketService');
+
+const DEFAULT_CHECKOUT_MINUTES = 30;
+const DEFAULT_RECONCILE_MINUTES = 5;
+// Pending intents younger than this are left to their webhook
+const RECONCILE_MIN_AGE_MS = 2 * 60 * 1000;
+
+let reconcileTimer = null;
+let running = false;
+
+const getCheckoutMinutes = () => {
+  const minutes = Number(process.env.PAYMENT_CHECKOUT_MINUTES);
+  return Number.isFinite(minutes) && minutes > 0 ? minutes : DEFAULT_CHECKOUT_MINUTES;
+};
+
+const getReconcileMinutes = () => {
+  const minutes = Number(process.env.PAYMENT_RECONCILE_MINUTES);
+  return Number.isFinite(minutes) && minutes > 0 ? minutes : DEFAULT_RECONCILE_MINUTES;
+};
+
+// Where the provider sends webhooks (and, for the mock provider, serves its checkout page)
+const getBackendUrl = () =>
+  (process.env.BACKEND_URL || `http://localhost:${process.env.PORT || 5000}`).replace(/\/$/, '');
+
+const getFrontendUrl = () => (process.env.FRONTEND_URL || 'http://localhost:3000').replace(/\/$/, '');
+
+/**
+ * Start paying an invoice online. A checkout still open for the same invoice is reused.
+ * @param {Object} student - Logged-in student (User document)
+ * @param {string} invoiceId
+ * @returns {Promise<Object>} { success, intent } or { success: false, statusCode, message }
+ */
+const startCheckout = async (student, invoiceId) => {
+  const invoice = mongoose.isValidObjectId(invoiceId) &&
+    await FeeInvoice.findOne({ _id: invoiceId, student: student._id, status: 'open', type: { $ne: 'credit' } });
+  if (!invoice) {
+    return { success: false, statusCode: 404, message: 'Invoice not found among your open invoices' };
+  }
+
+  const openCheckout = await PaymentIntent.findOne({
+    invoice: invoice._id,
+    status: 'pending',
+    checkoutUrl: { $ne: null },
+    expiresAt: { $gt: new Date(Date.now() + 60 * 1000) }
+  });
+  if (openCheckout) return { success: true, intent: openCheckout };
+
+  const amount = await getInvoiceOutstanding(invoice);
+  if (amount <= 0) {
+    return { success: false, statusCode: 400, message: `Invoice ${invoice.invoiceNumber} has nothing left to pay` };
+  }
+
+  const provider = getActivePaymentProvider();
+  if (!provider) {
+    return { success: false, statusCode: 503, message: 'Online payments are not available. Please pay at the transport office.' };
+  }
+
+  const intent = await PaymentIntent.create({
+    student: student._id,
+    invoice: invoice._id,
+    amount,
+    currency: process.env.PAYMENT_CURRENCY || 'PKR',
+    provider: provider.name,
+    expiresAt: new Date(Date.now() + getCheckoutMinutes() * 60 * 1000)
+  });
+
+  try {
+    const checkout = await provider.createCheckout({
+      intentId: intent._id,
+      amount,
+      currency: intent.currency,
+      description: `${invoice.invoiceNumber} - ${invoice.description}`,
+      customer: { name: student.name, email: student.email, studentId: student.studentId },
+      callbackUrl: `${getBackendUrl()}/api/payments/webhooks/${provider.name}`,
+      returnUrl: `${getFrontendUrl()}/student/profile?tab=fees&payment=${intent._id}`,
+      expiresAt: intent.expiresAt
+    });
+    intent.providerReference = checkout.reference;
+    intent.checkoutUrl = checkout.checkoutUrl;
+    await intent.save();
+  } catch (error) {
+    console.error(`Creating ${provider.name} checkout failed:`, error.message);
+    intent.status = 'failed';
+    intent.failureReason = 'The payment provider could not be reached';
+    await intent.save();
+    return { success: false, statusCode: 502, message: 'The payment provider could not be reached. Please try again later.' };
+  }
+
+  return { success: true, intent };
+};
+
+/**
+ * Record the FeePayment of a succeeded intent (once), then update the student's fees
+ * @returns {Promise<Object|null>} The new payment, or null when it was already recorded
+ */
+const recordIntentPayment = async (intent, source) => {
+  const [invoice, student] = await Promise.all([
+    FeeInvoice.findById(intent.invoice).select('invoiceNumber term'),
+    User.findById(intent.student).select('name')
+  ]);
+
+  let payment;
+  try {
+    payment = await FeePayment.create({
+      student: intent.student,
+      invoice: intent.invoice,
+      amount: intent.paidAmount || intent.amount,
+      method: 'online',
+      reference: intent.providerReference,
+      term: invoice?.term || '',
+      paidAt: intent.paidAt || new Date(),
+      notes: `Online payment (${intent.provider})`,
+      paymentIntent: intent._id
+    });
+  } catch (error) {
+    // Another webhook delivery or reconciliation run recorded it first
+    if (error.code !== 11000 || !error.keyPattern?.paymentIntent) throw error;
+    const existing = await FeePayment.findOne({ paymentIntent: intent._id }).select('_id');
+    await PaymentIntent.updateOne({ _id: intent._id }, { payment: existing._id });
+    return null;
+  }
+
+  await PaymentIntent.updateOne({ _id: intent._id }, { payment: payment._id });
+  const fees = await recalculateStudentFees(intent.student);
+
+  await recordAudit(null, {
+    action: 'fees.payment_online',
+    entityType: 'feePayment',
+    entity: payment,
+    entityLabel: `${payment.receiptNumber} (${student?.name || 'deleted student'})`,
+    after: snapshot(payment, ['receiptNumber', 'amount', 'method', 'reference', 'term', 'paidAt', 'invoice']),
+    details: { provider: intent.provider, confirmedBy: source, invoice: invoice?.invoiceNumber, balance: fees.balance, feeStatus: fees.feeStatus }
+  });
+
+  try {
+    const notification = await Notification.createSystemNotification(
+      'Payment Received',
+      `Your online payment of Rs. ${payment.amount.toLocaleString('en-US')}${invoice ? ` for ${invoice.invoiceNumber}` : ''} was received. Receipt ${payment.receiptNumber} has been emailed to you.`,
+      'student',
+      { type: 'success', receiverId: intent.student, metadata: { paymentId: payment._id, receiptNumber: payment.receiptNumber } }
+    );
+    emitNotification(notification);
+  } catch (error) {
+    console.error('Payment notification error:', error.message);
+  }
+  emailPaymentReceipt(payment._id);
+
+  return payment;
+};
+
+/**
+ * Apply what the provider reports about an intent
+ * @param {Object} intent - PaymentIntent document
+ * @param {Object} result - { status, amount, paidAt, failureReason } from the provider
+ * @param {string} source - 'webhook' or 'reconciliation'
+ * @returns {Promise<string>} The intent's status afterwards
+ */
+const applyProviderResult = async (intent, result, source) => {
+  if (result.status === 'succeeded') {
+    // Also from failed/expired: the provider took the money, so it counts
+    const claimed = await PaymentIntent.findOneAndUpdate(
+      { _id: intent._id, status: { $ne: 'succeeded' } },
+      {
+        $set: {
+          status: 'succeeded',
+          paidAmount: Number(result.amount) > 0 ? Number(result.amount) : intent.amount,
+          paidAt: result.paidAt || new Date(),
+          failureReason: '',
+          confirmedBy: source
+        }
+      },
+      { new: true }
+    );
+    const current = claimed || await PaymentIntent.findById(intent._id);
+    if (!current.payment) await recordIntentPayment(current, source);
+    return 'succeeded';
+  }
+
+  if (result.status === 'failed') {
+    await PaymentIntent.updateOne(
+      { _id: intent._id, status: 'pending' },
+      { $set: { status: 'failed', failureReason: result.failureReason || 'Payment failed', confirmedBy: source } }
+    );
+    const current = await PaymentIntent.findById(intent._id).select('status');
+    return current.status;
+  }
+
+  return intent.status;
+};
+
+/**
+ * Verify and apply a provider webhook
+ * @param {string} providerName - From the webhook URL
+ * @param {Buffer} rawBody - Request body exactly as received (needed for the signature)
+ * @param {Object} headers
+ * @returns {Promise<Object>} { success, message } or { success: false, statusCode, message }
+ */
+const handleWebhook = async (providerName, rawBody, headers) => {
+  const provider = getPaymentProvider(providerName);
+  if (!provider) return { success: false, statusCode: 404, message: 'Unknown payment provider' };
+
+  let event;
+  try {
+    event = provider.verifyWebhook(rawBody, headers);
+  } catch (error) {
+    console.warn(`Rejected ${providerName} webhook: ${error.message}`);
+    return { success: false, statusCode: 400, message: error.message };
+  }
+
+  const intent = await PaymentIntent.findOne({ provider: provider.name, providerReference: event.reference });
+  // Acknowledged anyway, so the provider stops retrying an event we can never match
+  if (!intent) return { success: true, message: 'Unknown checkout, ignored' };
+
+  const status = await applyProviderResult(intent, event, 'webhook');
+  return { success: true, message: `Payment ${status}` };
+};
+
+/**
+ * Bring an intent up to date with the provider (used when the student returns from the checkout)
+ * @param {Object} intent - PaymentIntent document
+ * @returns {Promise<Object>} The updated intent
+ */
+const refreshIntent = async (intent) => {
+  if (intent.status !== 'pending' || !intent.providerReference) return intent;
+
+  const provider = getPaymentProvider(intent.provider);
+  if (!provider) return intent;
+
+  const result = await provider.fetchStatus(intent.providerReference);
+  await applyProviderResult(intent, result, 'reconciliation');
+  return PaymentIntent.findById(intent._id);
+};
+
+/**
+ * Check pending intents with their provider, expire abandoned checkouts and record
+ * succeeded intents that are missing their payment
+ * @returns {Promise<Object>} { checked, succeeded, failed, expired }
+ */
+const reconcilePayments = async () => {
+  const now = new Date();
+  const counts = { checked: 0, succeeded: 0, failed: 0, expired: 0 };
+
+  const pending = await PaymentIntent.find({
+    status: 'pending',
+    createdAt: { $lte: new Date(now - RECONCILE_MIN_AGE_MS) }
+  }).limit(200);
+
+  for (const intent of pending) {
+    counts.checked++;
+    try {
+      const provider = getPaymentProvider(intent.provider);
+      const result = provider && intent.providerReference
+        ? await provider.fetchStatus(intent.providerReference)
+        : { status: 'unknown' };
+
+      let status = await applyProviderResult(intent, result, 'reconciliation');
+      if (status === 'pending' && intent.expiresAt < now) {
+        const expired = await PaymentIntent.updateOne(
+          { _id: intent._id, status: 'pending' },
+          { $set: { status: 'expired', failureReason: 'Checkout was not completed in time', confirmedBy: 'reconciliation' } }
+        );
+        if (expired.modifiedCount) status = 'expired';
+      }
+      if (counts[status] !== undefined) counts[status]++;
+
+      await PaymentIntent.updateOne({ _id: intent._id }, { lastCheckedAt: now });
+    } catch (error) {
+      console.error(`Reconciling payment ${intent._id} failed:`, error.message);
+    }
+  }
+
+  // Succeeded but not recorded (the server stopped in between)
+  const unrecorded = await PaymentIntent.find({ status: 'succeeded', payment: null });
+  for (const intent of unrecorded) {
+    try {
+      if (await recordIntentPayment(intent, intent.confirmedBy || 'reconciliation')) counts.succeeded++;
+    } catch (error) {
+      console.error(`Recording payment ${intent._id} failed:`, error.message);
+    }
+  }
+
+  return counts;
+};
+
+/**
+ * Start the reconciliation job (call once the database is connected)
+ */
+const startPaymentReconciliation = () => {
+  if (reconcileTimer) return;
+
+  reconcileTimer = setInterval(async () => {
+    if (running) return;
+    running = true;
+    try {
+      const counts = await reconcilePayments();
+      if (counts.succeeded || counts.failed || counts.expired) {
+        console.log(`💳 Payment reconciliation: ${counts.succeeded} succeeded, ${counts.failed} failed, ${counts.expired} expired`);
+      }
+    } catch (error) {
+      console.error('Payment reconciliation failed:', error.message);
+    } finally {
+      running = false;
+    }
+  }, getReconcileMinutes() * 60 * 1000);
+
+  const provider = getActivePaymentProvider();
+  if (provider) {
+    console.log(`💳 Payment reconciliation started (${provider.name} provider, every ${getReconcileMinutes()} min)`);
+  } else {
+    console.warn(`⚠️  Online payments are off: ${process.env.PAYMENT_PROVIDER
+      ? `payment provider "${process.env.PAYMENT_PROVIDER}" is not available`
+      : 'no PAYMENT_PROVIDER configured'} (the mock provider needs PAYMENT_WEBHOOK_SECRET outside development)`);
+  }
+};
+
+const stopPaymentReconciliation = () => {
+  if (reconcileTimer) {
+    clearInterval(reconcileTimer);
+    reconcileTimer = null;
+  }
+};
+
+module.exports = {
+  startCheckout,
+  handleWebhook,
+  refreshIntent,
+  reconcilePayments,
+  startPaymentReconciliation,
+  stopPaymentReconciliation
+};
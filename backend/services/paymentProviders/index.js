@@ -0,0 +1,61 @@
+/**
+ * Payment Providers
+ *
+ * Registry of the payment gateways students can pay their invoices through
+ * (see services/onlinePaymentService). PAYMENT_PROVIDER picks the active one.
+ *
+ * The local mock provider needs no account but records payments no money was paid for,
+ * so it is opt-in: it only exists with NODE_ENV=development or ENABLE_MOCK_PAYMENTS=true,
+ * and is then also the default. Otherwise online payments are off until PAYMENT_PROVIDER
+ * names a real provider. Outside development the mock also needs PAYMENT_WEBHOOK_SECRET.
+ *
+ * A provider is an object with:
+ * - name: string, also the last segment of its webhook URL (/api/payments/webhooks/:name)
+ * - createCheckout({ intentId, amount, currency, description, customer, callbackUrl, returnUrl, expiresAt })
+ *     -> Promise<{ reference, checkoutUrl }>; the student is sent to checkoutUrl to pay
+ * - verifyWebhook(rawBody, headers)
+ *     -> { eventId, reference, status, amount, paidAt, failureReason }; throws when the
+ *        signature is invalid
+ * - fetchStatus(reference)
+ *     -> Promise<{ status, amount, paidAt, failureReason }>, used by reconciliation
+ *
+ * status is one of 'pending', 'succeeded', 'failed' or 'unknown' (the provider has no
+ * such checkout).
+ */
+
+const mockProvider = require('./mockProvider');
+
+const PROVIDERS = {};
+
+/**
+ * Whether the mock provider (and its public checkout page) is available
+ * @returns {boolean}
+ */
+const isMockPaymentsEnabled = () =>
+  process.env.NODE_ENV === 'development' || process.env.ENABLE_MOCK_PAYMENTS === 'true';
+
+/**
+ * Provider by name
+ * @param {string} name
+ * @returns {Object|null}
+ */
+const getPaymentProvider = (name) => {
+  if (name === mockProvider.name) return isMockPaymentsEnabled() && mockProvider.isConfigured() ? mockProvider : null;
+  return PROVIDERS[name] || null;
+};
+
+/**
+ * The provider new checkouts go through (PAYMENT_PROVIDER; 'mock' by default while it
+ * is enabled)
+ * @returns {Object|null} null when no provider is configured
+ */
+const getActivePaymentProvider = () => {
+  const name = process.env.PAYMENT_PROVIDER || (isMockPaymentsEnabled() ? mockProvider.name : null);
+  return name ? getPaymentProvider(name) : null;
+};
+
+module.exports = {
+  isMockPaymentsEnabled,
+  getPaymentProvider,
+  getActivePaymentProvider
+};
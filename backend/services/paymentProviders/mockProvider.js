@@ -0,0 +1,198 @@
+/**
+ * Mock Payment Provider
+ *
+ * Stand-in for a real gateway during development and testing. Checkouts are kept in
+ * memory and paid (or declined) on a page served by this backend at
+ * /api/payments/mock/checkout/:reference. The provider then calls the webhook the way a
+ * real gateway would: a JSON event signed with HMAC-SHA256 in the X-Mock-Signature
+ * header ("t=<unix seconds>,v1=<hex signature of '<t>.<body>'>").
+ *
+ * Only used with NODE_ENV=development or ENABLE_MOCK_PAYMENTS=true (see ./index.js).
+ * Outside development PAYMENT_WEBHOOK_SECRET is required; without it the provider is
+ * unavailable. With MOCK_PAYMENT_DROP_WEBHOOKS=true no webhook is sent, so payments only
+ * complete through the reconciliation job. Checkouts are forgotten when the server
+ * restarts and then report status 'unknown'.
+ */
+
+const crypto = require('crypto');
+
+const NAME = 'mock';
+const SIGNATURE_HEADER = 'x-mock-signature';
+const SIGNATURE_TOLERANCE_SECONDS = 5 * 60;
+const SESSION_RETENTION_MS = 24 * 60 * 60 * 1000;
+
+const sessions = new Map();
+
+// In development a random secret per start stands in for PAYMENT_WEBHOOK_SECRET. It breaks
+// webhooks delivered after a restart or to another instance, so it is refused elsewhere.
+let generatedSecret = null;
+
+/**
+ * Whether the provider can sign its webhooks: PAYMENT_WEBHOOK_SECRET is set, or
+ * NODE_ENV is development
+ * @returns {boolean}
+ */
+const isConfigured = () =>
+  Boolean(process.env.PAYMENT_WEBHOOK_SECRET) || process.env.NODE_ENV === 'development';
+
+const getSecret = () => {
+  if (process.env.PAYMENT_WEBHOOK_SECRET) return process.env.PAYMENT_WEBHOOK_SECRET;
+  if (!isConfigured()) {
+    throw new Error('PAYMENT_WEBHOOK_SECRET must be set to use the mock payment provider outside development');
+  }
+  if (!generatedSecret) {
+    generatedSecret = crypto.randomBytes(32).toString('hex');
+    console.warn('⚠️  PAYMENT_WEBHOOK_SECRET is not set, mock payment webhooks are signed with a random secret until the server restarts');
+  }
+  return generatedSecret;
+};
+
+const sign = (timestamp, body) =>
+  crypto.createHmac('sha256', getSecret()).update(`${timestamp}.${body}`).digest('hex');
+
+const pruneSessions = () => {
+  const cutoff = Date.now() - SESSION_RETENTION_MS;
+  for (const [reference, session] of sessions) {
+    if (session.createdAt.getTime() < cutoff) sessions.delete(reference);
+  }
+};
+
+const createCheckout = async ({ intentId, amount, currency, description, customer, callbackUrl, returnUrl, expiresAt }) => {
+  pruneSessions();
+
+  const reference = `mock_${crypto.randomBytes(12).toString('hex')}`;
+  sessions.set(reference, {
+    reference,
+    intentId: String(intentId),
+    amount,
+    currency,
+    description,
+    customer,
+    callbackUrl,
+    returnUrl,
+    expiresAt,
+    status: 'pending',
+    paidAt: null,
+    failureReason: '',
+    createdAt: new Date()
+  });
+
+  return {
+    reference,
+    checkoutUrl: `${new URL(callbackUrl).origin}/api/payments/mock/checkout/${reference}`
+  };
+};
+
+/**
+ * Checkout as shown on the mock payment page
+ * @param {string} reference
+ * @returns {Object|null}
+ */
+const getCheckout = (reference) => sessions.get(reference) || null;
+
+const sendWebhook = async (session) => {
+  const body = JSON.stringify({
+    id: `evt_${crypto.randomBytes(12).toString('hex')}`,
+    type: session.status === 'succeeded' ? 'checkout.succeeded' : 'checkout.failed',
+    data: {
+      reference: session.reference,
+      status: session.status,
+      amount: session.amount,
+      currency: session.currency,
+      paidAt: session.paidAt,
+      failureReason: session.failureReason
+    }
+  });
+  const timestamp = Math.floor(Date.now() / 1000);
+
+  try {
+    const response = await fetch(session.callbackUrl, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        [SIGNATURE_HEADER]: `t=${timestamp},v1=${sign(timestamp, body)}`
+      },
+      body
+    });
+    if (!response.ok) console.error(`Mock payment webhook for ${session.reference} got HTTP ${response.status}`);
+  } catch (error) {
+    console.error(`Mock payment webhook for ${session.reference} failed:`, error.message);
+  }
+};
+
+/**
+ * Pay or decline a checkout from the mock payment page, then send the webhook
+ * @param {string} reference
+ * @param {boolean} approve
+ * @returns {Promise<Object|null>} The checkout, or null when it doesn't exist
+ */
+const completeCheckout = async (reference, approve) => {
+  const session = sessions.get(reference);
+  if (!session) return null;
+  if (session.status !== 'pending') return session;
+
+  if (new Date() > new Date(session.expiresAt)) {
+    session.status = 'failed';
+    session.failureReason = 'Checkout expired';
+  } else if (approve) {
+    session.status = 'succeeded';
+    session.paidAt = new Date();
+  } else {
+    session.status = 'failed';
+    session.failureReason = 'Declined by the card holder';
+  }
+
+  if (process.env.MOCK_PAYMENT_DROP_WEBHOOKS !== 'true') await sendWebhook(session);
+  return session;
+};
+
+const verifyWebhook = (rawBody, headers) => {
+  const header = headers[SIGNATURE_HEADER];
+  const parts = Object.fromEntries(String(header || '').split(',').map(part => part.trim().split('=')));
+  const timestamp = Number(parts.t);
+
+  if (!rawBody || !parts.v1 || !Number.isFinite(timestamp)) {
+    throw new Error('Missing webhook signature');
+  }
+  if (Math.abs(Date.now() / 1000 - timestamp) > SIGNATURE_TOLERANCE_SECONDS) {
+    throw new Error('Webhook timestamp is too old');
+  }
+
+  const expected = Buffer.from(sign(timestamp, rawBody.toString('utf8')), 'hex');
+  const received = Buffer.from(parts.v1, 'hex');
+  if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+    throw new Error('Invalid webhook signature');
+  }
+
+  const event = JSON.parse(rawBody.toString('utf8'));
+  return {
+    eventId: event.id,
+    reference: event.data.reference,
+    status: event.data.status,
+    amount: event.data.amount,
+    paidAt: event.data.paidAt ? new Date(event.data.paidAt) : null,
+    failureReason: event.data.failureReason || ''
+  };
+};
+
+const fetchStatus = async (reference) => {
+  const session = sessions.get(reference);
+  if (!session) return { status: 'unknown' };
+
+  return {
+    status: session.status,
+    amount: session.amount,
+    paidAt: session.paidAt,
+    failureReason: session.failureReason
+  };
+};
+
+module.exports = {
+  name: NAME,
+  isConfigured,
+  createCheckout,
+  verifyWebhook,
+  fetchStatus,
+  getCheckout,
+  completeCheckout
+};
@@ -0,0 +1,57 @@
+/**
+ * Permission Service
+ *
+ * Resolves what an admin may do from their sub-role (see utils/permissions for the
+ * catalog) and creates the default sub-roles on first start.
+ */
+
+const AdminRole = require('../models/AdminRole');
+const { ALL_PERMISSIONS, DEFAULT_ADMIN_ROLES } = require('../utils/permissions');
+
+/**
+ * Permissions of a user
+ * @param {Object} user - User document (adminRole may be an ID or populated)
+ * @returns {Promise<string[]>} Every permission for full-access admins, [] for non-admins
+ */
+const getUserPermissions = async (user) => {
+  if (!user || user.role !== 'admin') return [];
+  if (!user.adminRole) return [...ALL_PERMISSIONS];
+
+  // Already populated with its permissions
+  if (Array.isArray(user.adminRole.permissions)) return [...user.adminRole.permissions];
+
+  const adminRole = await AdminRole.findById(user.adminRole).select('permissions').lean();
+  // A sub-role that no longer exists grants nothing rather than everything
+  return adminRole ? adminRole.permissions : [];
+};
+
+/**
+ * User JSON plus the resolved permissions, for responses describing the signed-in user
+ * @param {Object} user - User document
+ * @returns {Promise<Object>}
+ */
+const withPermissions = async (user) => ({
+  ...(user.toJSON ? user.toJSON() : user),
+  permissions: await getUserPermissions(user)
+});
+
+/**
+ * Create the default sub-roles when none exist yet
+ * @returns {Promise<void>}
+ */
+const ensureDefaultAdminRoles = async () => {
+  try {
+    if (await AdminRole.estimatedDocumentCount() > 0) return;
+
+    await AdminRole.insertMany(DEFAULT_ADMIN_ROLES);
+    console.log(`🔑 Created default admin roles: ${DEFAULT_ADMIN_ROLES.map(role => role.name).join(', ')}`);
+  } catch (error) {
+    console.error('Failed to create default admin roles:', error.message);
+  }
+};
+
+module.exports = {
+  getUserPermissions,
+  withPermissions,
+  ensureDefaultAdminRoles
+};
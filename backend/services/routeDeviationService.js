@@ -0,0 +1,187 @@
+/**
+ * Route Deviation Service
+ *
+ * Detects when a bus on trip leaves its route corridor: further than the route's
+ * offRouteDistance from the route line (Route.path when set, otherwise straight lines
+ * between the ordered stops) for longer than OFF_ROUTE_ALERT_SECONDS.
+ *
+ * A confirmed deviation is logged on Trip.routeDeviations, raises a high-priority
+ * notification for admins and is pushed to admin-room as 'off-route'; returning to the
+ * corridor closes it and emits 'back-on-route'.
+ *
+ * Open deviations live on the trip, so they survive a restart. Only the short
+ * "outside but not yet long enough" window is kept in memory.
+ */
+
+const Bus = require('../models/Bus');
+const Trip = require('../models/Trip');
+const Notification = require('../models/Notification');
+const { isValidCoordinate, projectOntoSegment } = require('../utils/geo');
+const { broadcastRouteDeviation } = require('./socketService');
+
+// Used for routes saved before offRouteDistance existed
+const DEFAULT_OFF_ROUTE_DISTANCE_M = 200;
+const DEFAULT_ALERT_SECONDS = 60;
+
+const pendingDeviations = new Map();
+
+const getAlertMs = () => {
+  const seconds = Number(process.env.OFF_ROUTE_ALERT_SECONDS);
+  return (Number.isFinite(seconds) && seconds >= 0 ? seconds : DEFAULT_ALERT_SECONDS) * 1000;
+};
+
+/**
+ * Line the bus is expected to follow
+ * @param {Object} route - Route document with stops and path
+ * @returns {Array} [{ latitude, longitude }]
+ */
+const getRouteLine = (route) => {
+  const path = (route.path || []).filter(point => isValidCoordinate(point.latitude, point.longitude));
+  if (path.length >= 2) return path;
+
+  return (route.stops || [])
+    .filter(stop => isValidCoordinate(stop.latitude, stop.longitude))
+    .sort((a, b) => a.sequence - b.sequence);
+};
+
+/**
+ * Shortest distance from a location to a line, in metres
+ */
+const distanceToLineMeters = (location, line) => {
+  let best = Infinity;
+  for (let i = 0; i < line.length - 1; i++) {
+    best = Math.min(best, projectOntoSegment(location, line[i], line[i + 1]).distanceKm * 1000);
+  }
+  return best;
+};
+
+const formatTime = (date) =>
+  date.toLocaleTimeString('en-US', { hour: '2-digit', minute: '2-digit' });
+
+/**
+ * Check a new bus position against its route corridor.
+ * Errors are logged, never thrown, so a bad route can't break location ingestion.
+ * @param {string} busId - Bus ID
+ * @param {Object} location - { latitude, longitude, recordedAt? }
+ * @returns {Promise<Object|null>} The deviation event emitted for this position, if any
+ */
+const checkRouteDeviation = async (busId, location) => {
+  try {
+    if (!isValidCoordinate(location?.latitude, location?.longitude)) return null;
+
+    const bus = await Bus.findById(busId).populate('routeId', 'routeName stops path offRouteDistance');
+    if (!bus?.isOnTrip || !bus.routeId) return null;
+
+    const line = getRouteLine(bus.routeId);
+    if (line.length < 2) return null;
+
+    const trip = await Trip.findActiveForBus(bus._id).select('routeDeviations');
+    if (!trip) return null;
+
+    const key = bus._id.toString();
+    const recordedAt = location.recordedAt ? new Date(location.recordedAt) : new Date();
+    const distanceM = Math.round(distanceToLineMeters(location, line));
+    const threshold = bus.routeId.offRouteDistance || DEFAULT_OFF_ROUTE_DISTANCE_M;
+    const open = trip.routeDeviations.find(deviation => !deviation.endedAt);
+
+    const baseEvent = {
+      busId: bus._id,
+      busNumber: bus.busNumber,
+      routeId: bus.routeId._id,
+      routeName: bus.routeId.routeName,
+      tripId: trip._id
+    };
+
+    // Inside the corridor: forget any pending deviation and close an open one
+    if (distanceM <= threshold) {
+      pendingDeviations.delete(key);
+      if (!open) return null;
+
+      await Trip.updateOne(
+        { _id: trip._id, routeDeviations: { $elemMatch: { endedAt: null } } },
+        { $set: { 'routeDeviations.$.endedAt': recordedAt } }
+      );
+
+      const event = {
+        ...baseEvent,
+        type: 'back-on-route',
+        startedAt: open.startedAt,
+        endedAt: recordedAt,
+        maxDistanceM: open.maxDistanceM
+      };
+      broadcastRouteDeviation(event);
+      return event;
+    }
+
+    // Already reported: just track how far it went
+    if (open) {
+      await Trip.updateOne(
+        { _id: trip._id, routeDeviations: { $elemMatch: { endedAt: null } } },
+        { $max: { 'routeDeviations.$.maxDistanceM': distanceM } }
+      );
+      return null;
+    }
+
+    const pending = pendingDeviations.get(key) || {
+      startedAt: recordedAt,
+      latitude: location.latitude,
+      longitude: location.longitude,
+      maxDistanceM: 0
+    };
+    pending.maxDistanceM = Math.max(pending.maxDistanceM, distanceM);
+    pendingDeviations.set(key, pending);
+
+    if (recordedAt - pending.startedAt < getAlertMs()) return null;
+
+    // Off route for long enough: log it once on the trip
+    const deviation = { ...pending, detectedAt: recordedAt, endedAt: null };
+    const result = await Trip.updateOne(
+      { _id: trip._id, routeDeviations: { $not: { $elemMatch: { endedAt: null } } } },
+      { $push: { routeDeviations: deviation } }
+    );
+    pendingDeviations.delete(key);
+    if (result.modifiedCount === 0) return null; // Logged by a concurrent update
+
+    const event = { ...baseEvent, type: 'off-route', distanceM, ...deviation };
+    broadcastRouteDeviation(event);
+
+    await Notification.createSystemNotification(
+      'Bus Off Route',
+      `Bus ${bus.busNumber} left route ${bus.routeId.routeName} at ${formatTime(pending.startedAt)} and is ${distanceM} m from it`,
+      'admin',
+      {
+        type: 'warning',
+        priority: 'high',
+        relatedEntity: {
+          type: 'trip',
+          id: trip._id
+        },
+        metadata: {
+          busId: bus._id,
+          routeId: bus.routeId._id,
+          distanceM,
+          latitude: location.latitude,
+          longitude: location.longitude
+        }
+      }
+    );
+
+    return event;
+  } catch (error) {
+    console.error(`Route deviation check failed for bus ${busId}:`, error.message);
+    return null;
+  }
+};
+
+/**
+ * Forget a pending deviation (trip started or stopped)
+ * @param {string} busId - Bus ID
+ */
+const resetDeviation = (busId) => {
+  pendingDeviations.delete(busId.toString());
+};
+
+module.exports = {
+  checkRouteDeviation,
+  resetDeviation
+};
@@ -0,0 +1,191 @@
+/**
+ * Session Service
+ *
+ * Server-side sessions behind the auth cookies. Login opens a Session and hands out a
+ * short-lived access token (JWT with the session id) plus a random refresh token. The
+ * refresh token is rotated on every use; presenting an old one after the grace period
+ * means it was copied, so the whole session is revoked.
+ *
+ * Revoking a session (logout, per-device sign-out, admin force sign-out, password reset,
+ * suspension) takes effect on the next request because authMiddleware checks the session,
+ * and open sockets of that session are closed straight away.
+ */
+
+const crypto = require('crypto');
+const Session = require('../models/Session');
+const { disconnectUserSockets } = require('./socketService');
+
+const DEFAULT_ACCESS_TOKEN_MINUTES = 15;
+const DEFAULT_REFRESH_TOKEN_DAYS = 30;
+// Two tabs refreshing at once send the same token; the loser still gets an access token
+const ROTATION_GRACE_MS = 60 * 1000;
+
+const readPositive = (value, fallback) => {
+  const number = Number(value);
+  return Number.isFinite(number) && number > 0 ? number : fallback;
+};
+
+const getAccessTokenMinutes = () => readPositive(process.env.ACCESS_TOKEN_MINUTES, DEFAULT_ACCESS_TOKEN_MINUTES);
+const getRefreshTokenDays = () => readPositive(process.env.REFRESH_TOKEN_DAYS, DEFAULT_REFRESH_TOKEN_DAYS);
+
+const newRefreshToken = () => crypto.randomBytes(48).toString('hex');
+
+/**
+ * Open a session for a user signing in
+ * @param {string} userId - User ID
+ * @param {Object} req - Express request (user agent and IP are recorded)
+ * @returns {Promise<Object>} { session, refreshToken }
+ */
+const createSession = async (userId, req) => {
+  const refreshToken = newRefreshToken();
+  const session = await Session.create({
+    user: userId,
+    refreshTokenHash: Session.hashToken(refreshToken),
+    userAgent: (req?.get?.('user-agent') || '').slice(0, 300),
+    ipAddress: req?.ip || '',
+    expiresAt: new Date(Date.now() + getRefreshTokenDays() * 24 * 60 * 60 * 1000)
+  });
+
+  return { session, refreshToken };
+};
+
+/**
+ * Swap a refresh token for a new one
+ * @param {string} refreshToken - Refresh token from the cookie
+ * @returns {Promise<Object>} { success, session, refreshToken } (refreshToken is null inside the
+ * grace period, when the browser already holds the new one) or { success: false, statusCode, message }
+ */
+const rotateSession = async (refreshToken) => {
+  if (!refreshToken) {
+    return { success: false, statusCode: 401, message: 'No refresh token provided. Please login again.' };
+  }
+
+  const tokenHash = Session.hashToken(refreshToken);
+  const nextRefreshToken = newRefreshToken();
+  const now = new Date();
+
+  // Matching on the current hash makes the swap atomic: of two tabs refreshing with the same
+  // token only one rotates, the other finds it as the previous token and takes the grace path
+  const session = await Session.findOneAndUpdate(
+    { refreshTokenHash: tokenHash, revokedAt: null, expiresAt: { $gt: now } },
+    {
+      $set: {
+        previousRefreshTokenHash: tokenHash,
+        refreshTokenHash: Session.hashToken(nextRefreshToken),
+        rotatedAt: now,
+        lastUsedAt: now
+      }
+    },
+    { new: true }
+  );
+
+  if (session) {
+    return { success: true, session, refreshToken: nextRefreshToken };
+  }
+
+  if (await Session.exists({ refreshTokenHash: tokenHash })) {
+    return { success: false, statusCode: 401, message: 'Session has been signed out. Please login again.' };
+  }
+
+  const replayed = await Session.findOne({ previousRefreshTokenHash: tokenHash });
+  if (!replayed || !replayed.isActive()) {
+    return { success: false, statusCode: 401, message: 'Session has expired. Please login again.' };
+  }
+
+  if (Date.now() - replayed.rotatedAt < ROTATION_GRACE_MS) {
+    return { success: true, session: replayed, refreshToken: null };
+  }
+
+  await revokeSession(replayed, 'token_reuse');
+  console.warn(`⚠️ Refresh token reuse detected for user ${replayed.user}, session ${replayed._id} revoked`);
+  return { success: false, statusCode: 401, message: 'Session has been signed out. Please login again.' };
+};
+
+// The revocation stands even when closing the sockets fails: they cannot reconnect with the session
+const closeSockets = async (userId, sessionId) => {
+  try {
+    await disconnectUserSockets(userId, sessionId);
+  } catch (error) {
+    console.error(`Failed to disconnect sockets of user ${userId}:`, error.message);
+  }
+};
+
+/**
+ * Revoke one session and close its sockets
+ * @param {Object} session - Session document
+ * @param {string} reason - One of Session.revokedReason
+ */
+const revokeSession = async (session, reason) => {
+  if (session.revokedAt) return;
+
+  session.revokedAt = new Date();
+  session.revokedReason = reason;
+  await session.save();
+
+  await closeSockets(session.user, session._id);
+};
+
+/**
+ * Revoke every active session of a user
+ * @param {string} userId - User ID
+ * @param {string} reason - One of Session.revokedReason
+ * @param {Object} [options]
+ * @param {string} [options.exceptSessionId] - Keep this session (e.g. "sign out other devices")
+ * @returns {Promise<number>} Number of sessions revoked
+ */
+const revokeUserSessions = async (userId, reason, { exceptSessionId } = {}) => {
+  const filter = { user: userId, revokedAt: null, expiresAt: { $gt: new Date() } };
+  if (exceptSessionId) filter._id = { $ne: exceptSessionId };
+
+  const sessions = await Session.find(filter).select('_id');
+  if (sessions.length === 0) return 0;
+
+  await Session.updateMany(
+    { _id: { $in: sessions.map(session => session._id) } },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+
+  if (exceptSessionId) {
+    await Promise.all(sessions.map(session => closeSockets(userId, session._id)));
+  } else {
+    await closeSockets(userId);
+  }
+
+  return sessions.length;
+};
+
+/**
+ * Short device label from a user agent, e.g. "Chrome on Android"
+ * @param {string} userAgent
+ * @returns {string}
+ */
+const describeDevice = (userAgent = '') => {
+  const browser = [
+    ['Edge', /Edg\//],
+    ['Opera', /OPR\//],
+    ['Chrome', /Chrome\//],
+    ['Firefox', /Firefox\//],
+    ['Safari', /Safari\//]
+  ].find(([, pattern]) => pattern.test(userAgent))?.[0];
+
+  const os = [
+    ['Android', /Android/],
+    ['iOS', /iPhone|iPad|iPod/],
+    ['Windows', /Windows/],
+    ['macOS', /Mac OS X/],
+    ['Linux', /Linux/]
+  ].find(([, pattern]) => pattern.test(userAgent))?.[0];
+
+  if (browser && os) return `${browser} on ${os}`;
+  return browser || os || 'Unknown device';
+};
+
+module.exports = {
+  getAccessTokenMinutes,
+  getRefreshTokenDays,
+  createSession,
+  rotateSession,
+  revokeSession,
+  revokeUserSessions,
+  describeDevice
+};
@@ -0,0 +1,355 @@
+/**
+ * Route Simulator Service
+ *
+ * Runs virtual trips along a route's stops so tracking can be exercised without a phone on a bus.
+ * A simulated bus waits at each stop for the dwell time, then drives in a straight line to the
+ * next stop, speeding up to the configured speed and braking gently before the stop.
+ * Positions are worked out from elapsed trip time only, so two runs with the same settings
+ * publish exactly the same points.
+ *
+ * Every point goes through ingestLocation, so the GPS filter, stop detection, ETAs and socket
+ * broadcasts behave exactly as they do for a real driver.
+ *
+ * Simulations are kept in memory and do not survive a server restart.
+ */
+
+const Bus = require('../models/Bus');
+const { haversineDistance, isValidCoordinate, bearing } = require('../utils/geo');
+const { ingestLocation } = require('./locationService');
+const { beginTrip, endTrip } = require('./tripService');
+
+const DEFAULT_SETTINGS = {
+  speedKmh: 30,
+  dwellSeconds: 20,
+  intervalSeconds: 2
+};
+const SETTING_LIMITS = {
+  speedKmh: [5, 100],         // Stays below the GPS filter's impossible-speed cut-off
+  dwellSeconds: [0, 600],
+  intervalSeconds: [1, 60]
+};
+const SIMULATED_ACCURACY_M = 5;
+const ACCELERATION_MPS2 = 1;    // Gentle enough never to count as harsh braking
+
+const simulations = new Map();
+
+const reject = (statusCode, message) => ({ success: false, statusCode, message });
+
+/**
+ * Read and range-check simulation settings, falling back to the defaults
+ * @returns {Object} { settings } or { error }
+ */
+const parseSettings = (options = {}) => {
+  const settings = {};
+  for (const [key, fallback] of Object.entries(DEFAULT_SETTINGS)) {
+    const raw = options[key];
+    const value = raw === undefined || raw === null || raw === '' ? fallback : Number(raw);
+    const [min, max] = SETTING_LIMITS[key];
+    if (!Number.isFinite(value) || value < min || value > max) {
+      return { error: `${key} must be a number between ${min} and ${max}` };
+    }
+    settings[key] = value;
+  }
+  return { settings };
+};
+
+/**
+ * Build the trip timeline: a dwell phase at every stop and a drive phase between consecutive stops
+ * @param {Array} stops - Stops sorted by sequence
+ * @param {Object} settings - { speedKmh, dwellSeconds }
+ * @returns {Object} { phases, totalSeconds } - phase start/end are seconds since the trip started
+ */
+const buildTimeline = (stops, { speedKmh, dwellSeconds }) => {
+  const phases = [];
+  let time = 0;
+
+  stops.forEach((stop, index) => {
+    phases.push({ type: 'dwell', stopIndex: index, start: time, end: time + dwellSeconds });
+    time += dwellSeconds;
+
+    const next = stops[index + 1];
+    if (next) {
+      const distanceM = haversineDistance(stop.latitude, stop.longitude, next.latitude, next.longitude) * 1000;
+      // Accelerate, cruise, brake; short legs never reach the cruising speed
+      const topSpeed = Math.min(speedKmh / 3.6, Math.sqrt(ACCELERATION_MPS2 * distanceM));
+      const rampSeconds = topSpeed / ACCELERATION_MPS2;
+      const duration = topSpeed > 0
+        ? 2 * rampSeconds + (distanceM - topSpeed * rampSeconds) / topSpeed
+        : 0;
+      phases.push({
+        type: 'drive',
+        stopIndex: index + 1,
+        start: time,
+        end: time + duration,
+        distanceM,
+        topSpeed,
+        rampSeconds,
+        heading: bearing(stop, next)
+      });
+      time += duration;
+    }
+  });
+
+  return { phases, totalSeconds: time };
+};
+
+/**
+ * Distance covered and speed a given number of seconds into a drive phase
+ * @returns {Object} { distanceM, speed } - speed in m/s
+ */
+const progressInDrive = (phase, seconds) => {
+  const { topSpeed, rampSeconds, distanceM } = phase;
+  const duration = phase.end - phase.start;
+  const t = Math.min(Math.max(seconds - phase.start, 0), duration);
+
+  if (t < rampSeconds) {
+    return { distanceM: 0.5 * ACCELERATION_MPS2 * t * t, speed: ACCELERATION_MPS2 * t };
+  }
+  if (t <= duration - rampSeconds) {
+    return { distanceM: 0.5 * topSpeed * rampSeconds + topSpeed * (t - rampSeconds), speed: topSpeed };
+  }
+  const remaining = duration - t;
+  return {
+    distanceM: distanceM - 0.5 * ACCELERATION_MPS2 * remaining * remaining,
+    speed: ACCELERATION_MPS2 * remaining
+  };
+};
+
+/**
+ * Where the simulated bus is a given number of seconds into the trip
+ * @returns {Object} { latitude, longitude, heading, speed, stopIndex, atStop } - speed in m/s,
+ *                   stopIndex is the stop the bus is at or heading to
+ */
+const positionAt = (stops, timeline, seconds) => {
+  const phase = timeline.phases.find(candidate => seconds < candidate.end) ||
+    timeline.phases[timeline.phases.length - 1];
+
+  if (phase.type === 'dwell') {
+    const stop = stops[phase.stopIndex];
+    return {
+      latitude: stop.latitude,
+      longitude: stop.longitude,
+      heading: null,
+      speed: 0,
+      stopIndex: phase.stopIndex,
+      atStop: true
+    };
+  }
+
+  const from = stops[phase.stopIndex - 1];
+  const to = stops[phase.stopIndex];
+  const progress = progressInDrive(phase, seconds);
+  const t = phase.distanceM > 0 ? Math.min(Math.max(progress.distanceM / phase.distanceM, 0), 1) : 1;
+  return {
+    latitude: from.latitude + (to.latitude - from.latitude) * t,
+    longitude: from.longitude + (to.longitude - from.longitude) * t,
+    heading: phase.heading,
+    speed: progress.speed,
+    stopIndex: phase.stopIndex,
+    atStop: false
+  };
+};
+
+/**
+ * Public view of a running simulation
+ */
+const describe = (simulation) => {
+  const nextStop = simulation.stops[simulation.position?.stopIndex ?? 0];
+  return {
+    busId: simulation.busId,
+    busNumber: simulation.busNumber,
+    route: simulation.route,
+    tripId: simulation.tripId,
+    ...simulation.settings,
+    startedAt: new Date(simulation.startedAt),
+    startedBy: simulation.startedBy,
+    elapsedSeconds: simulation.elapsedSeconds,
+    totalSeconds: Math.round(simulation.timeline.totalSeconds),
+    progress: simulation.timeline.totalSeconds > 0
+      ? Math.min(simulation.elapsedSeconds / simulation.timeline.totalSeconds, 1)
+      : 1,
+    location: simulation.position
+      ? { latitude: simulation.position.latitude, longitude: simulation.position.longitude }
+      : null,
+    lastUpdate: simulation.lastUpdate,
+    atStop: simulation.position?.atStop ?? true,
+    currentStop: nextStop
+      ? { name: nextStop.name, address: nextStop.address, sequence: nextStop.sequence }
+      : null
+  };
+};
+
+/**
+ * Stop the timer and forget the simulation, ending its trip if it still owns the bus
+ * @param {Object} simulation - Running simulation
+ * @param {boolean} closeTrip - End the trip (false when it was already ended elsewhere)
+ */
+const finish = async (simulation, closeTrip) => {
+  clearInterval(simulation.timer);
+  simulations.delete(simulation.busId);
+
+  if (!closeTrip) return;
+
+  const bus = await Bus.findById(simulation.busId);
+  if (bus?.isOnTrip && bus.tripStartTime?.getTime() === simulation.startedAt) {
+    await endTrip(bus, { driverId: simulation.driverId });
+  }
+};
+
+/**
+ * Publish one point through the real location pipeline
+ * @returns {Promise<boolean>} false when the bus is no longer on this trip
+ */
+const publish = async (simulation, seconds) => {
+  const position = positionAt(simulation.stops, simulation.timeline, seconds);
+  const stop = simulation.stops[position.stopIndex];
+
+  const result = await ingestLocation(simulation.busId, {
+    latitude: position.latitude,
+    longitude: position.longitude,
+    address: position.atStop ? stop.address || stop.name : 'Simulated location',
+    accuracy: SIMULATED_ACCURACY_M,
+    speed: position.speed,
+    heading: position.heading,
+    recordedAt: new Date(simulation.startedAt + seconds * 1000)
+  });
+
+  // 409/422 only mean this point was skipped; anything else means the trip is gone
+  if (!result.success && ![409, 422].includes(result.statusCode)) {
+    console.warn(`Simulation for bus ${simulation.busNumber} stopped: ${result.message}`);
+    return false;
+  }
+
+  simulation.position = position;
+  simulation.lastUpdate = new Date(simulation.startedAt + seconds * 1000);
+  return true;
+};
+
+/**
+ * Advance a simulation by one interval
+ * Stops whose dwell starts between two ticks are published too, so arrivals are
+ * detected even when the interval is longer than the dwell time.
+ */
+const tick = async (simulation) => {
+  if (simulation.busy) return;
+  simulation.busy = true;
+
+  try {
+    const previous = simulation.elapsedSeconds;
+    const elapsed = Math.min(previous + simulation.settings.intervalSeconds, simulation.timeline.totalSeconds);
+
+    const waypoints = simulation.timeline.phases
+      .filter(phase => phase.type === 'dwell' && phase.start > previous && phase.start < elapsed)
+      .map(phase => phase.start);
+
+    for (const seconds of [...waypoints, elapsed]) {
+      if (!await publish(simulation, seconds)) {
+        await finish(simulation, false);
+        return;
+      }
+    }
+    simulation.elapsedSeconds = elapsed;
+
+    if (elapsed >= simulation.timeline.totalSeconds) {
+      await finish(simulation, true);
+    }
+  } catch (error) {
+    console.error(`Simulation tick failed for bus ${simulation.busNumber}:`, error.message);
+  } finally {
+    simulation.busy = false;
+  }
+};
+
+/**
+ * Start a simulated trip for a bus along its route
+ * @param {string} busId - Bus ID (must be available and not on trip)
+ * @param {Object} options - { speedKmh?, dwellSeconds?, intervalSeconds? }
+ * @param {Object} startedBy - Admin starting the simulation
+ * @returns {Promise<Object>} { success: true, simulation } or { success: false, statusCode, message }
+ */
+const startSimulation = async (busId, options, startedBy) => {
+  const { settings, error } = parseSettings(options);
+  if (error) return reject(400, error);
+
+  if (simulations.has(String(busId))) {
+    return reject(409, 'A simulation is already running for this bus');
+  }
+
+  const bus = await Bus.findById(busId).populate('routeId', 'routeName stops');
+  if (!bus) return reject(404, 'Bus not found');
+  if (!bus.routeId) return reject(400, 'Bus has no route assigned');
+  if (bus.isOnTrip) return reject(409, 'Bus is already on a trip');
+  if (bus.status !== 'available') return reject(400, 'Bus is not available for trips');
+
+  const stops = (bus.routeId.stops || [])
+    .filter(stop => isValidCoordinate(stop.latitude, stop.longitude))
+    .sort((a, b) => a.sequence - b.sequence)
+    .map(stop => ({
+      name: stop.name,
+      address: stop.address,
+      sequence: stop.sequence,
+      latitude: stop.latitude,
+      longitude: stop.longitude
+    }));
+  if (stops.length < 2) {
+    return reject(400, 'Route needs at least two stops with coordinates to simulate');
+  }
+
+  // Buses without a driver are recorded under the admin who started the simulation
+  const driverId = bus.driverId || startedBy._id;
+  const trip = await beginTrip(bus, { driverId, simulated: true });
+
+  const simulation = {
+    busId: String(bus._id),
+    busNumber: bus.busNumber,
+    route: { _id: bus.routeId._id, routeName: bus.routeId.routeName },
+    tripId: trip._id,
+    driverId,
+    startedBy: { _id: startedBy._id, name: startedBy.name },
+    settings,
+    stops,
+    timeline: buildTimeline(stops, settings),
+    startedAt: bus.tripStartTime.getTime(),
+    elapsedSeconds: 0,
+    position: null,
+    lastUpdate: null,
+    busy: false,
+    timer: null
+  };
+  simulations.set(simulation.busId, simulation);
+
+  await publish(simulation, 0);
+  simulation.timer = setInterval(() => tick(simulation), settings.intervalSeconds * 1000);
+
+  return { success: true, simulation: describe(simulation) };
+};
+
+/**
+ * Stop a running simulation and end its trip
+ * @param {string} busId - Bus ID
+ * @returns {Promise<Object>} { success: true, simulation } or { success: false, statusCode, message }
+ */
+const stopSimulation = async (busId) => {
+  const simulation = simulations.get(String(busId));
+  if (!simulation) return reject(404, 'No simulation is running for this bus');
+
+  const summary = describe(simulation);
+  await finish(simulation, true);
+  return { success: true, simulation: summary };
+};
+
+/**
+ * Running simulations, optionally only those on one route
+ * @param {string} [routeId] - Route ID
+ * @returns {Array}
+ */
+const listSimulations = (routeId) =>
+  Array.from(simulations.values())
+    .filter(simulation => !routeId || String(simulation.route._id) === String(routeId))
+    .map(describe);
+
+module.exports = {
+  startSimulation,
+  stopSimulation,
+  listSimulations
+};
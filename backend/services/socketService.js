@@ -30,6 +30,7 @@ const initializeSocketService = (io) => {
  * @param {number} locationData.location.latitude - Latitude
  * @param {number} locationData.location.longitude - Longitude
  * @param {string} locationData.location.address - Address
+ * @param {string} [locationData.timestamp] - When the point was recorded (defaults to now)
  */
 const broadcastLocationUpdate = (locationData) => {
   if (!ioInstance) {
@@ -38,7 +39,7 @@ const broadcastLocationUpdate = (locationData) => {
   }
 
   const { busId, routeId, location } = locationData;
-  const timestamp = new Date().toISOString();
+  const timestamp = locationData.timestamp || new Date().toISOString();
 
   // Emit to all relevant rooms
   const eventData = {
@@ -70,6 +71,7 @@ const broadcastLocationUpdate = (locationData) => {
  * @param {string} tripData.driverId - Driver ID
  * @param {string} tripData.busNumber - Bus number
  * @param {string} tripData.status - Trip status ('started' or 'ended')
+ * @param {string} [tripData.reason] - Why an ended trip closed ('completed' or 'abandoned')
  */
 const broadcastTripStatus = (tripData) => {
   if (!ioInstance) {
@@ -77,7 +79,7 @@ const broadcastTripStatus = (tripData) => {
     return;
   }
 
-  const { busId, routeId, driverId, busNumber, status } = tripData;
+  const { busId, routeId, driverId, busNumber, status, reason } = tripData;
   const timestamp = new Date().toISOString();
 
   const eventData = {
@@ -86,7 +88,8 @@ const broadcastTripStatus = (tripData) => {
     routeId,
     driverId,
     busNumber,
-    timestamp
+    timestamp,
+    ...(reason && { reason })
   };
 
   // Notify admins
@@ -98,13 +101,89 @@ const broadcastTripStatus = (tripData) => {
       ...eventData,
       message: status === 'started' 
         ? `Bus ${busNumber} has started its trip`
-        : `Bus ${busNumber} has completed its trip`
+        : reason === 'abandoned'
+          ? `Bus ${busNumber} stopped reporting its location and its trip was closed`
+          : `Bus ${busNumber} has completed its trip`
     });
   }
 
   console.log(`📢 Broadcast trip ${status} for bus ${busId} on route ${routeId}`);
 };
 
+/**
+ * Broadcast per-stop arrival estimates for a bus
+ * @param {Object} etaData - ETA payload from the ETA service
+ * @param {string} etaData.busId - Bus ID
+ * @param {string} etaData.routeId - Route ID
+ * @param {Array} etaData.stops - Remaining stops with etaMinutes/eta
+ */
+const broadcastEtaUpdate = (etaData) => {
+  if (!ioInstance) {
+    console.warn('Socket.IO not initialized');
+    return;
+  }
+
+  const { busId, routeId } = etaData;
+
+  ioInstance.to('admin-room').emit('eta-update', etaData);
+
+  if (routeId) {
+    ioInstance.to(`route-${routeId}`).emit('eta-update', etaData);
+  }
+
+  ioInstance.to(`bus-${busId}`).emit('eta-update', etaData);
+};
+
+/**
+ * Broadcast a bus arriving at or departing from a route stop
+ * Emitted as 'stop-arrived' or 'stop-departed' depending on eventData.type
+ * @param {Object} eventData - Stop event from the stop detection service
+ * @param {string} eventData.type - 'arrived' or 'departed'
+ * @param {string} eventData.busId - Bus ID
+ * @param {string} eventData.routeId - Route ID
+ * @param {string} eventData.stopName - Stop name
+ */
+const broadcastStopEvent = (eventData) => {
+  if (!ioInstance) {
+    console.warn('Socket.IO not initialized');
+    return;
+  }
+
+  const { type, busId, routeId, stopName } = eventData;
+  const eventName = `stop-${type}`;
+
+  ioInstance.to('admin-room').emit(eventName, eventData);
+
+  if (routeId) {
+    ioInstance.to(`route-${routeId}`).emit(eventName, eventData);
+  }
+
+  ioInstance.to(`bus-${busId}`).emit(eventName, eventData);
+
+  console.log(`🚏 Bus ${busId} ${type} ${stopName}`);
+};
+
+/**
+ * Tell admins that a bus left or rejoined its route corridor
+ * Emitted as 'off-route' or 'back-on-route' depending on eventData.type
+ * @param {Object} eventData - Deviation event from the route deviation service
+ * @param {string} eventData.type - 'off-route' or 'back-on-route'
+ * @param {string} eventData.busId - Bus ID
+ * @param {string} eventData.busNumber - Bus number
+ */
+const broadcastRouteDeviation = (eventData) => {
+  if (!ioInstance) {
+    console.warn('Socket.IO not initialized');
+    return;
+  }
+
+  const { type, busId, busNumber } = eventData;
+
+  // Detours are an operations matter, so only admins are told
+  ioInstance.to('admin-room').emit(type, eventData);
+
+  console.log(`🧭 Bus ${busNumber} (${busId}) ${type}`);
+};
 
 /**
  * Emit a new notification to specific recipients or groups
@@ -143,9 +222,37 @@ const emitNotification = (notification) => {
   }
 };
 
+/**
+ * Disconnect the sockets of a user (used when their sessions are revoked)
+ * @param {string} userId - User ID
+ * @param {string} [sessionId] - Only disconnect sockets opened by this session
+ */
+const disconnectUserSockets = async (userId, sessionId) => {
+  if (!ioInstance) {
+    console.warn('Socket.IO not initialized');
+    return;
+  }
+
+  if (!sessionId) {
+    ioInstance.in(`user-${userId}`).disconnectSockets(true);
+    console.log(`🔌 Disconnected sockets of user ${userId}`);
+    return;
+  }
+
+  const sockets = await ioInstance.in(`user-${userId}`).fetchSockets();
+  sockets
+    .filter(socket => socket.data.sessionId?.toString() === sessionId.toString())
+    .forEach(socket => socket.disconnect(true));
+  console.log(`🔌 Disconnected sockets of session ${sessionId}`);
+};
+
 module.exports = {
   initializeSocketService,
   broadcastLocationUpdate,
   broadcastTripStatus,
-  emitNotification
-};
\ No newline at end of file
+  broadcastEtaUpdate,
+  broadcastStopEvent,
+  broadcastRouteDeviation,
+  emitNotification,
+  disconnectUserSockets
+};
\ No newline at end of file
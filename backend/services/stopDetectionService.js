@@ -0,0 +1,149 @@
+/**
+ * Stop Detection Service
+ *
+ * Detects when a bus on trip enters and leaves the geofence of each route stop
+ * and records the actual arrival/departure times on the running Trip.
+ *
+ * State lives on Trip.stopEvents rather than in memory, so detection carries on
+ * correctly after a server restart:
+ * - An event without departedAt is the stop the bus is currently at.
+ * - A stop with an event is never "arrived at" twice on the same trip.
+ */
+
+const Bus = require('../models/Bus');
+const Trip = require('../models/Trip');
+const { haversineDistance, isValidCoordinate } = require('../utils/geo');
+const { broadcastStopEvent } = require('./socketService');
+
+// Used for stops saved before geofenceRadius existed
+const DEFAULT_GEOFENCE_RADIUS_M = 100;
+
+/**
+ * Distance from a location to a stop in metres
+ */
+const distanceToStopMeters = (location, stop) =>
+  haversineDistance(location.latitude, location.longitude, stop.latitude, stop.longitude) * 1000;
+
+const isInsideGeofence = (location, stop) =>
+  distanceToStopMeters(location, stop) <= (stop.geofenceRadius || DEFAULT_GEOFENCE_RADIUS_M);
+
+/**
+ * Minutes between an arrival and the stop's scheduled HH:MM pickup time on the same day
+ * @param {Date} arrivedAt - Actual arrival
+ * @param {string} pickupTime - Scheduled time in HH:MM format
+ * @returns {number|null} Positive when late, negative when early
+ */
+const getDelayMinutes = (arrivedAt, pickupTime) => {
+  if (!pickupTime) return null;
+  const [hours, minutes] = pickupTime.split(':').map(Number);
+  const scheduled = new Date(arrivedAt);
+  scheduled.setHours(hours, minutes, 0, 0);
+  return Math.round((arrivedAt - scheduled) / (1000 * 60));
+};
+
+/**
+ * Check a new bus position against the stop geofences of its route.
+ * Errors are logged, never thrown, so a bad route can't break location ingestion.
+ * @param {string} busId - Bus ID
+ * @param {Object} location - { latitude, longitude, recordedAt? }
+ * @returns {Promise<Array>} Stop events emitted for this position
+ */
+const detectStopEvents = async (busId, location) => {
+  const emitted = [];
+
+  try {
+    if (!isValidCoordinate(location?.latitude, location?.longitude)) return emitted;
+
+    const bus = await Bus.findById(busId).populate('routeId', 'stops');
+    if (!bus?.isOnTrip || !bus.routeId) return emitted;
+
+    const trip = await Trip.findActiveForBus(bus._id).select('stopEvents');
+    if (!trip) return emitted;
+
+    const recordedAt = location.recordedAt ? new Date(location.recordedAt) : new Date();
+    const stops = (bus.routeId.stops || [])
+      .filter(stop => isValidCoordinate(stop.latitude, stop.longitude));
+
+    const baseEvent = {
+      busId: bus._id,
+      busNumber: bus.busNumber,
+      routeId: bus.routeId._id,
+      tripId: trip._id
+    };
+
+    // Departure: the bus has left the geofence of the stop it was at
+    const current = trip.stopEvents.find(event => !event.departedAt);
+    if (current) {
+      const stop = stops.find(s => s._id.equals(current.stop));
+      if (stop && isInsideGeofence(location, stop)) {
+        return emitted; // Still at the stop
+      }
+
+      await Trip.updateOne(
+        { _id: trip._id, 'stopEvents.stop': current.stop },
+        { $set: { 'stopEvents.$.departedAt': recordedAt } }
+      );
+
+      const departure = {
+        ...baseEvent,
+        type: 'departed',
+        stopId: current.stop,
+        stopName: current.name,
+        sequence: current.sequence,
+        scheduledTime: current.scheduledTime,
+        arrivedAt: current.arrivedAt,
+        departedAt: recordedAt,
+        delayMinutes: current.delayMinutes
+      };
+      broadcastStopEvent(departure);
+      emitted.push(departure);
+    }
+
+    // Arrival: the closest not-yet-visited stop whose geofence contains the bus
+    const visited = new Set(trip.stopEvents.map(event => event.stop.toString()));
+    const arrivedStop = stops
+      .filter(stop => !visited.has(stop._id.toString()) && isInsideGeofence(location, stop))
+      .sort((a, b) => distanceToStopMeters(location, a) - distanceToStopMeters(location, b))[0];
+
+    if (arrivedStop) {
+      const stopEvent = {
+        stop: arrivedStop._id,
+        name: arrivedStop.name,
+        sequence: arrivedStop.sequence,
+        scheduledTime: arrivedStop.pickupTime,
+        arrivedAt: recordedAt,
+        delayMinutes: getDelayMinutes(recordedAt, arrivedStop.pickupTime)
+      };
+
+      // Guard on the stop id so concurrent REST/socket updates can't record it twice
+      const result = await Trip.updateOne(
+        { _id: trip._id, 'stopEvents.stop': { $ne: arrivedStop._id } },
+        { $push: { stopEvents: stopEvent } }
+      );
+
+      if (result.modifiedCount > 0) {
+        const arrival = {
+          ...baseEvent,
+          type: 'arrived',
+          stopId: stopEvent.stop,
+          stopName: stopEvent.name,
+          sequence: stopEvent.sequence,
+          scheduledTime: stopEvent.scheduledTime,
+          arrivedAt: stopEvent.arrivedAt,
+          departedAt: null,
+          delayMinutes: stopEvent.delayMinutes
+        };
+        broadcastStopEvent(arrival);
+        emitted.push(arrival);
+      }
+    }
+  } catch (error) {
+    console.error(`Stop detection failed for bus ${busId}:`, error.message);
+  }
+
+  return emitted;
+};
+
+module.exports = {
+  detectStopEvents
+};
@@ -0,0 +1,618 @@
+/**
+ * Term Billing Service
+ *
+ * Generates the transport fee invoices of a billing term for every student:
+ * - amount = monthly fee of the student's stop (Route.stops[].fee) x months in the term
+ * - split by the student's payment plan (User.feePaymentType): full is one invoice, half
+ *   is two, custom is installments of User.customInstallment; due dates are spread from
+ *   the term's due date to its end
+ * - a student who joined their route after the term started only pays for the rest of it
+ * - a student already billed who moves to another route or stop mid-term gets an
+ *   adjustment for the rest of the term: a charge, or a credit when the new stop is cheaper
+ * - the student's approved concessions (models/FeeConcession) are taken off for the
+ *   days of the term they are valid; one approved after the student was billed for the
+ *   term is given back as a credit for the days it covers (one per concession and term)
+ *
+ * planTermInvoices() only works out what would be billed (the preview shown before
+ * committing); generateTermInvoices() creates the invoices. Running it again for the
+ * same term only bills what changed since. Terms marked autoInvoice are run by the
+ * billing job once a day while they last.
+ */
+
+const BillingTerm = require('../models/BillingTerm');
+const FeeInvoice = require('../models/FeeInvoice');
+const FeeConcession = require('../models/FeeConcession');
+const User = require('../models/User');
+const Notification = require('../models/Notification');
+const { roundMoney, recalculateStudentFees } = require('./feeLedgerService');
+const { recordAudit, recordAudits, snapshot } = require('./auditService');
+const { emitNotification } = require('./socketService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_INSTALLMENTS = 12;
+// A crashed run releases its lock after this long
+const INVOICING_LOCK_MS = 10 * 60 * 1000;
+const CHECK_INTERVAL_MS = 60 * 60 * 1000;
+const AUTO_INVOICE_INTERVAL_MS = DAY_MS;
+
+let billingTimer = null;
+let running = false;
+
+const later = (...dates) => new Date(Math.max(...dates.map(date => new Date(date).getTime())));
+
+/**
+ * Share of the term left from a date, counted in whole days (1 = the whole term)
+ */
+const remainingShare = (term, from) => {
+  const totalDays = Math.round((term.endDate - term.startDate) / DAY_MS);
+  const remainingDays = Math.round((term.endDate - later(from, term.startDate)) / DAY_MS);
+  return Math.min(1, Math.max(0, remainingDays / totalDays));
+};
+
+/**
+ * Monthly fee of the student's stop, or the reason there is none
+ * @returns {Object} { route, monthlyFee } or { route, reason }
+ */
+const stopFeeOf = (student) => {
+  const route = student.assignedRoute;
+  if (!route) return { route: null, reason: 'No route selected' };
+  if (!student.stopName) return { route, reason: 'No stop selected' };
+
+  const stop = (route.stops || []).find(s => s.name === student.stopName);
+  if (!stop) return { route, reason: `Stop "${student.stopName}" is not on route ${route.routeName}` };
+  if (!(stop.fee > 0)) return { route, reason: `Stop "${stop.name}" has no fee` };
+
+  return { route, monthlyFee: stop.fee };
+};
+
+/**
+ * Monthly fee left after concessions: percentages first, then fixed amounts, never below 0
+ */
+const netMonthlyFee = (monthlyFee, concessions) => {
+  const percentage = Math.min(100, concessions.filter(c => c.type === 'percentage').reduce((sum, c) => sum + c.amount, 0));
+  const fixed = concessions.filter(c => c.type === 'fixed').reduce((sum, c) => sum + c.amount, 0);
+  return Math.max(0, monthlyFee * (1 - percentage / 100) - fixed);
+};
+
+/**
+ * Split the term from a date into periods with the same concessions, in whole days.
+ * A concession applies from validFrom up to and including validUntil.
+ * @returns {Object[]} [{ share, concessions }], only periods with concessions
+ */
+const concessionPeriods = (term, from, concessions) => {
+  const totalDays = Math.round((term.endDate - term.startDate) / DAY_MS);
+  const dayOf = (date) => Math.min(totalDays, Math.max(0, Math.round((date - term.startDate) / DAY_MS)));
+  const startDay = (concession) => dayOf(concession.validFrom);
+  const endDay = (concession) => (concession.validUntil ? dayOf(concession.validUntil.getTime() + DAY_MS) : totalDays);
+
+  const firstDay = dayOf(from);
+  const cuts = [...new Set([firstDay, totalDays, ...concessions.flatMap(c => [startDay(c), endDay(c)])])]
+    .filter(day => day >= firstDay)
+    .sort((a, b) => a - b);
+
+  return cuts.slice(1)
+    .map((day, i) => ({
+      share: (day - cuts[i]) / totalDays,
+      concessions: concessions.filter(c => startDay(c) <= cuts[i] && endDay(c) >= day)
+    }))
+    .filter(period => period.concessions.length > 0);
+};
+
+/**
+ * What the student's concessions take off a monthly fee from a date to the end of the term
+ * @returns {Object} { discount, concessions } - concessions: the ones that took anything off
+ */
+const concessionDiscount = (term, from, monthlyFee, concessions) => {
+  let discount = 0;
+  const applied = new Set();
+
+  for (const period of concessionPeriods(term, from, concessions)) {
+    const monthlyDiscount = monthlyFee - netMonthlyFee(monthlyFee, period.concessions);
+    if (monthlyDiscount <= 0) continue;
+    discount += monthlyDiscount * term.months * period.share;
+    period.concessions.forEach(concession => applied.add(concession));
+  }
+
+  return { discount: roundMoney(discount), concessions: [...applied] };
+};
+
+/**
+ * Credits for approved concessions the student's term invoices didn't allow for yet
+ * (granted after they were billed): what each takes off the fee billed for the days it
+ * covers, on top of the concessions already allowed for
+ * @param {Object} term - BillingTerm document
+ * @param {Object[]} invoices - The student's open invoices of the term, oldest first
+ * @param {Object[]} concessions - The student's approved and revoked concessions in the term
+ * @returns {Object[]} [{ concession, amount, periodStart }], oldest decision first
+ */
+const concessionCredits = (term, invoices, concessions) => {
+  const allowedIds = new Set(invoices.flatMap(invoice => (invoice.billing?.concessions || []).map(String)));
+  const granted = concessions
+    .filter(c => c.status === 'approved' && !allowedIds.has(c._id.toString()))
+    .sort((a, b) => new Date(a.decidedAt || 0) - new Date(b.decidedAt || 0));
+  if (granted.length === 0) return [];
+
+  // What was billed: from each billing's start to the next one's, at its monthly fee
+  const feeFrom = new Map();
+  for (const invoice of invoices) {
+    if (invoice.concessionFor || !invoice.billing?.periodStart) continue;
+    feeFrom.set(new Date(invoice.billing.periodStart).getTime(), invoice.billing.monthlyFee || 0);
+  }
+  const stretches = [...feeFrom.entries()]
+    .sort((a, b) => a[0] - b[0])
+    .map(([from, monthlyFee], i, list) => ({
+      from: new Date(from),
+      until: list[i + 1] ? new Date(list[i + 1][0]) : term.endDate,
+      monthlyFee
+    }));
+
+  const discountOf = (applied) => stretches.reduce((sum, { from, until, monthlyFee }) =>
+    sum + concessionDiscount(term, from, monthlyFee, applied).discount - concessionDiscount(term, until, monthlyFee, applied).discount, 0);
+
+  let applied = concessions.filter(c => allowedIds.has(c._id.toString()));
+  const credits = [];
+  for (const concession of granted) {
+    const before = discountOf(applied);
+    applied = [...applied, concession];
+    const amount = roundMoney(discountOf(applied) - before);
+    if (amount > 0) {
+      credits.push({ concession, amount, periodStart: later(stretches[0]?.from || term.startDate, concession.validFrom) });
+    }
+  }
+
+  return credits;
+};
+
+const concessionSummary = (concession) => ({
+  _id: concession._id,
+  category: concession.category,
+  type: concession.type,
+  amount: concession.amount
+});
+
+/**
+ * Split an amount by the student's payment plan
+ * @returns {Object} { plan, amounts }
+ */
+const splitByPlan = (student, amount) => {
+  const plan = student.feePaymentType || 'full';
+
+  if (plan === 'half' && amount >= 0.02) {
+    const first = roundMoney(amount / 2);
+    return { plan, amounts: [first, roundMoney(amount - first)] };
+  }
+
+  if (plan === 'custom' && student.customInstallment > 0) {
+    const count = Math.ceil(roundMoney(amount / student.customInstallment));
+    if (count <= 1) return { plan, amounts: [amount] };
+    if (count > MAX_INSTALLMENTS) {
+      const share = roundMoney(amount / MAX_INSTALLMENTS);
+      return { plan, amounts: [...Array(MAX_INSTALLMENTS - 1).fill(share), roundMoney(amount - share * (MAX_INSTALLMENTS - 1))] };
+    }
+    const installment = roundMoney(student.customInstallment);
+    return { plan, amounts: [...Array(count - 1).fill(installment), roundMoney(amount - installment * (count - 1))] };
+  }
+
+  return { plan: 'full', amounts: [amount] };
+};
+
+/**
+ * Due date of the first invoice: the term's due date, or for late joiners (and runs after
+ * the due date) the same number of days after they start as the term allows
+ */
+const firstDueDate = (term, periodStart, now) => {
+  const graceMs = Math.max(0, term.dueDate - term.startDate);
+  return later(term.dueDate, later(periodStart, now).getTime() + graceMs);
+};
+
+/**
+ * Spread installment due dates evenly from the first due date to the end of the term
+ */
+const installmentDueDates = (term, firstDue, count) => {
+  const stepMs = Math.max(0, term.endDate - firstDue) / count;
+  return Array.from({ length: count }, (_, i) => new Date(firstDue.getTime() + i * stepMs));
+};
+
+/**
+ * Work out what billing a term would create, without saving anything
+ * @param {Object} term - BillingTerm document
+ * @param {Date} [now]
+ * @param {Object} [options]
+ * @param {string} [options.studentId] - Only plan this student
+ * @returns {Promise<Object>} { rows, summary }
+ *   rows: one per student and action: 'invoice' | 'adjustment' | 'credit' (route change) |
+ *   'concession' (credit for concessions granted since billing) | 'skip'
+ */
+const planTermInvoices = async (term, now = new Date(), { studentId = null } = {}) => {
+  const onlyStudent = studentId ? { student: studentId } : {};
+  const [students, termInvoices, concessions] = await Promise.all([
+    User.find({ role: 'student', ...(studentId && { _id: studentId }) })
+      .select('name studentId status assignedRoute stopName routeAssignedAt feePaymentType customInstallment')
+      .populate('assignedRoute', 'routeName routeNo stops')
+      .sort({ name: 1 })
+      .lean(),
+    FeeInvoice.find({ billingTerm: term._id, status: 'open', ...onlyStudent }).sort({ issuedAt: 1 }).lean(),
+    // Revoked ones too: invoices issued while they applied keep them
+    FeeConcession.find({
+      ...onlyStudent,
+      status: { $in: ['approved', 'revoked'] },
+      validFrom: { $lt: term.endDate },
+      $or: [{ validUntil: null }, { validUntil: { $gte: term.startDate } }]
+    }).lean()
+  ]);
+
+  const concessionsByStudent = new Map();
+  for (const concession of concessions) {
+    const key = concession.student.toString();
+    concessionsByStudent.set(key, [...(concessionsByStudent.get(key) || []), concession]);
+  }
+
+  // Each student's invoices in this term, and the latest billing later changes are
+  // compared with (concession credits change no route or fee)
+  const invoicesByStudent = new Map();
+  const lastBilling = new Map();
+  for (const invoice of termInvoices) {
+    const key = invoice.student.toString();
+    invoicesByStudent.set(key, [...(invoicesByStudent.get(key) || []), invoice]);
+    if (!invoice.concessionFor) lastBilling.set(key, invoice);
+  }
+
+  const rows = [];
+  let alreadyBilled = 0;
+
+  for (const student of students) {
+    const { route, monthlyFee, reason } = stopFeeOf(student);
+    const row = {
+      student: { _id: student._id, name: student.name, studentId: student.studentId },
+      routeId: route?._id || null,
+      routeName: route?.routeName || null,
+      stopName: student.stopName || null,
+      monthlyFee: monthlyFee || 0
+    };
+    const billed = lastBilling.get(student._id.toString());
+    const termConcessions = concessionsByStudent.get(student._id.toString()) || [];
+    const studentConcessions = termConcessions.filter(c => c.status === 'approved');
+
+    if (!billed) {
+      if (student.status !== 'active') {
+        rows.push({ ...row, action: 'skip', reason: 'Account is not active' });
+        continue;
+      }
+      if (reason) {
+        rows.push({ ...row, action: 'skip', reason });
+        continue;
+      }
+
+      const periodStart = later(term.startDate, student.routeAssignedAt || term.startDate);
+      if (periodStart >= term.endDate) {
+        rows.push({ ...row, action: 'skip', reason: 'Joined the route after the term ended' });
+        continue;
+      }
+
+      const share = remainingShare(term, periodStart);
+      const grossAmount = roundMoney(monthlyFee * term.months * share);
+      const { discount, concessions: applied } = concessionDiscount(term, periodStart, monthlyFee, studentConcessions);
+      const amount = roundMoney(grossAmount - discount);
+      if (amount <= 0) {
+        rows.push({ ...row, action: 'skip', reason: 'Fully covered by concessions', concessions: applied.map(concessionSummary) });
+        continue;
+      }
+
+      const { plan, amounts } = splitByPlan(student, amount);
+      const dueDates = installmentDueDates(term, firstDueDate(term, periodStart, now), amounts.length);
+      // The concession is shared out over the installments like the amount
+      const concessionShares = amounts.map(installmentAmount => roundMoney(discount * installmentAmount / amount));
+      concessionShares[concessionShares.length - 1] = roundMoney(discount - concessionShares.slice(0, -1).reduce((sum, x) => sum + x, 0));
+
+      rows.push({
+        ...row,
+        action: 'invoice',
+        paymentPlan: plan,
+        periodStart,
+        share,
+        grossAmount,
+        concessionAmount: discount,
+        concessions: applied.map(concessionSummary),
+        amount,
+        installments: amounts.map((installmentAmount, i) => ({
+          amount: installmentAmount,
+          dueDate: dueDates[i],
+          concessionAmount: concessionShares[i]
+        }))
+      });
+      continue;
+    }
+
+    // Already billed: concessions granted since are credited for what they cover of it
+    const credits = concessionCredits(term, invoicesByStudent.get(student._id.toString()), termConcessions);
+    if (credits.length > 0) {
+      const amount = roundMoney(credits.reduce((sum, credit) => sum + credit.amount, 0));
+      rows.push({
+        ...row,
+        action: 'concession',
+        periodStart: credits[0].periodStart,
+        concessions: credits.map(credit => concessionSummary(credit.concession)),
+        concessionAmount: amount,
+        amount,
+        installments: credits.map(credit => ({
+          amount: credit.amount,
+          dueDate: null,
+          concessionAmount: credit.amount,
+          concession: credit.concession._id
+        }))
+      });
+    }
+
+    // Only a route or stop change made after the last billing counts.
+    // Fee changes on the route itself apply from the next term.
+    const previousMonthlyFee = billed.billing?.monthlyFee || 0;
+    const currentMonthlyFee = monthlyFee || 0;
+    const changedAt = student.routeAssignedAt;
+
+    if (!changedAt || changedAt <= billed.issuedAt || currentMonthlyFee === previousMonthlyFee || changedAt >= term.endDate) {
+      if (credits.length === 0) alreadyBilled++;
+      continue;
+    }
+
+    const periodStart = later(term.startDate, changedAt);
+    const share = remainingShare(term, periodStart);
+    // Concessions take a different amount off the new fee than off the old one
+    const current = concessionDiscount(term, periodStart, currentMonthlyFee, studentConcessions);
+    const previous = concessionDiscount(term, periodStart, previousMonthlyFee, studentConcessions);
+    const difference = roundMoney((currentMonthlyFee - previousMonthlyFee) * term.months * share - (current.discount - previous.discount));
+    if (difference === 0) {
+      if (credits.length === 0) alreadyBilled++;
+      continue;
+    }
+
+    rows.push({
+      ...row,
+      action: difference > 0 ? 'adjustment' : 'credit',
+      previousMonthlyFee,
+      previousRouteName: billed.billing?.routeName || null,
+      previousStopName: billed.billing?.stopName || null,
+      reason: reason || null,
+      periodStart,
+      share,
+      concessions: [...new Set([...current.concessions, ...previous.concessions])].map(concessionSummary),
+      amount: Math.abs(difference),
+      installments: [{ amount: Math.abs(difference), dueDate: difference > 0 ? firstDueDate(term, periodStart, now) : null }]
+    });
+  }
+
+  const countOf = (action) => rows.filter(r => r.action === action).length;
+  const sumOf = (action) => rows.filter(r => r.action === action).reduce((sum, r) => sum + r.amount, 0);
+
+  return {
+    rows,
+    summary: {
+      invoices: countOf('invoice'),
+      adjustments: countOf('adjustment'),
+      credits: countOf('credit'),
+      concessionCredits: countOf('concession'),
+      skipped: countOf('skip'),
+      alreadyBilled,
+      concessionAmount: roundMoney(rows.reduce((sum, r) => sum + (r.concessionAmount || 0), 0)),
+      total: roundMoney(sumOf('invoice') + sumOf('adjustment') - sumOf('credit') - sumOf('concession'))
+    }
+  };
+};
+
+const describe = (term, row, index, count) => {
+  if (row.action === 'adjustment') return `Route change adjustment - ${term.name}`;
+  if (row.action === 'credit') return `Route change credit - ${term.name}`;
+  if (row.action === 'concession') return `Concession credit - ${term.name}`;
+
+  const parts = [`Transport fee - ${term.name}`];
+  if (count > 1) parts.push(`installment ${index + 1} of ${count}`);
+  if (row.share < 1) parts.push('prorated');
+  if (row.concessionAmount > 0) parts.push('less concession');
+  return parts.join(', ');
+};
+
+/**
+ * Create the invoices of one planned row
+ * @returns {Promise<Object[]>} The FeeInvoice documents
+ */
+const createRowInvoices = async (term, row, issuedBy) => {
+  const invoices = [];
+  for (const [index, installment] of row.installments.entries()) {
+    invoices.push(await FeeInvoice.create({
+      student: row.student._id,
+      type: ['credit', 'concession'].includes(row.action) ? 'credit' : 'charge',
+      term: term.name,
+      description: describe(term, row, index, row.installments.length),
+      amount: installment.amount,
+      dueDate: installment.dueDate,
+      issuedBy,
+      billingTerm: term._id,
+      concessionFor: installment.concession || null,
+      billing: {
+        route: row.routeId,
+        routeName: row.routeName,
+        stopName: row.stopName,
+        monthlyFee: row.monthlyFee,
+        paymentPlan: row.paymentPlan || null,
+        installment: index + 1,
+        installments: row.installments.length,
+        periodStart: row.periodStart,
+        periodEnd: term.endDate,
+        concessionAmount: installment.concessionAmount || 0,
+        concessions: installment.concession ? [installment.concession] : (row.concessions || []).map(concession => concession._id)
+      }
+    }));
+  }
+  return invoices;
+};
+
+/**
+ * Create the invoices of a term (see planTermInvoices)
+ * @param {string} termId
+ * @param {Object} [req] - Request of the admin running it; null when run by the billing job
+ * @returns {Promise<Object>} { success, summary, invoicesCreated, failed } or { success: false, statusCode, message }
+ */
+const generateTermInvoices = async (termId, req = null) => {
+  const now = new Date();
+
+  // Claim the term so a manual run and the billing job never bill it twice
+  const term = await BillingTerm.findOneAndUpdate(
+    {
+      _id: termId,
+      $or: [{ invoicingStartedAt: null }, { invoicingStartedAt: { $lt: new Date(now - INVOICING_LOCK_MS) } }]
+    },
+    { invoicingStartedAt: now },
+    { new: true }
+  );
+
+  if (!term) {
+    const exists = await BillingTerm.exists({ _id: termId });
+    return exists
+      ? { success: false, statusCode: 409, message: 'Invoices for this term are already being generated' }
+      : { success: false, statusCode: 404, message: 'Billing term not found' };
+  }
+
+  try {
+    const { rows, summary } = await planTermInvoices(term, now);
+    const issuedBy = req?.user?._id || null;
+    const failed = [];
+    let invoicesCreated = 0;
+
+    for (const row of rows.filter(r => r.action !== 'skip')) {
+      try {
+        invoicesCreated += (await createRowInvoices(term, row, issuedBy)).length;
+        await recalculateStudentFees(row.student._id, req?.user || null);
+      } catch (error) {
+        console.error(`Term invoicing failed for student ${row.student._id}:`, error.message);
+        failed.push({ student: row.student, message: error.message });
+      }
+    }
+
+    await recordAudit(req, {
+      action: 'fees.term_invoice',
+      entityType: 'billingTerm',
+      entity: term,
+      entityLabel: term.name,
+      details: { ...summary, invoicesCreated, failed: failed.length }
+    });
+
+    return { success: true, summary, invoicesCreated, failed };
+  } finally {
+    await BillingTerm.updateOne({ _id: term._id }, { invoicingStartedAt: null, lastInvoicedAt: new Date() });
+  }
+};
+
+/**
+ * Credit a student's concessions on the terms they were already billed for, e.g. right
+ * after a concession is approved. A term that fails here is credited the next time its
+ * invoices are generated.
+ * @param {string} studentId
+ * @param {Object} req - Request of the admin who approved the concession
+ * @returns {Promise<Object>} { credits: [{ term, invoiceNumber, amount }], failedTerms: [name] }
+ */
+const creditStudentConcessions = async (studentId, req) => {
+  const termIds = await FeeInvoice.distinct('billingTerm', { student: studentId, status: 'open', billingTerm: { $ne: null } });
+  const terms = await BillingTerm.find({ _id: { $in: termIds } }).sort({ startDate: 1 });
+  const credits = [];
+  const failedTerms = [];
+  const audits = [];
+
+  for (const term of terms) {
+    try {
+      const { rows } = await planTermInvoices(term, new Date(), { studentId });
+      const row = rows.find(r => r.action === 'concession');
+      if (!row) continue;
+
+      for (const invoice of await createRowInvoices(term, row, req.user._id)) {
+        credits.push({ term: term.name, invoiceNumber: invoice.invoiceNumber, amount: invoice.amount });
+        audits.push({
+          action: 'fees.concession_credit',
+          entityType: 'feeInvoice',
+          entity: invoice,
+          entityLabel: `${invoice.invoiceNumber} (${row.student.name})`,
+          after: snapshot(invoice, ['invoiceNumber', 'term', 'description', 'amount']),
+          details: { concession: invoice.concessionFor }
+        });
+      }
+    } catch (error) {
+      console.error(`Concession credit for student ${studentId} in term ${term.name} failed:`, error.message);
+      failedTerms.push(term.name);
+    }
+  }
+
+  if (credits.length > 0) {
+    await recalculateStudentFees(studentId, req.user);
+    await recordAudits(req, audits);
+  }
+
+  return { credits, failedTerms };
+};
+
+/**
+ * Invoice every running autoInvoice term not invoiced in the last day
+ * @returns {Promise<void>}
+ */
+const runAutoInvoicing = async () => {
+  const now = new Date();
+  const terms = await BillingTerm.find({
+    autoInvoice: true,
+    startDate: { $lte: now },
+    endDate: { $gt: now },
+    $or: [{ lastInvoicedAt: null }, { lastInvoicedAt: { $lt: new Date(now - AUTO_INVOICE_INTERVAL_MS) } }]
+  });
+
+  for (const term of terms) {
+    try {
+      const result = await generateTermInvoices(term._id);
+      if (!result.success || result.invoicesCreated === 0) continue;
+
+      console.log(`🧾 Generated ${result.invoicesCreated} invoices for term ${term.name}`);
+      const notification = await Notification.createSystemNotification(
+        'Term Invoices Generated',
+        `${result.invoicesCreated} invoices were generated for ${term.name}${result.failed.length ? ` (${result.failed.length} students failed, see the server log)` : ''}.`,
+        'admin',
+        { type: 'info', metadata: { billingTermId: term._id, ...result.summary } }
+      );
+      emitNotification(notification);
+    } catch (error) {
+      console.error(`Automatic invoicing of term ${term.name} failed:`, error.message);
+    }
+  }
+};
+
+/**
+ * Start the hourly billing job (call once the database is connected)
+ */
+const startTermBillingJob = () => {
+  if (billingTimer) return;
+
+  billingTimer = setInterval(async () => {
+    if (running) return;
+    running = true;
+    try {
+      await runAutoInvoicing();
+    } catch (error) {
+      console.error('Term billing job failed:', error.message);
+    } finally {
+      running = false;
+    }
+  }, CHECK_INTERVAL_MS);
+
+  console.log('🧾 Term billing job started');
+};
+
+/**
+ * Stop the billing job
+ */
+const stopTermBillingJob = () => {
+  clearInterval(billingTimer);
+  billingTimer = null;
+};
+
+module.exports = {
+  planTermInvoices,
+  generateTermInvoices,
+  creditStudentConcessions,
+  runAutoInvoicing,
+  startTermBillingJob,
+  stopTermBillingJob
+};
@@ -0,0 +1,142 @@
+/**
+ * Trip Service
+ *
+ * Opens and closes trips for a bus: flips the bus's trip flags, keeps the Trip record,
+ * resets per-trip state (GPS filter, ETA) and tells connected clients.
+ * Used by the driver start/stop endpoints and by the route simulator.
+ * Persistent notifications are left to the callers.
+ */
+
+const Trip = require('../models/Trip');
+const TripPoint = require('../models/TripPoint');
+const { broadcastTripStatus } = require('./socketService');
+const { clearEta } = require('./etaService');
+const { resetFilter } = require('./gpsFilterService');
+const { resetDeviation } = require('./routeDeviationService');
+const { resetDrivingState } = require('./drivingSafetyService');
+
+const getRouteId = (bus) => bus.routeId?._id || bus.routeId || null;
+
+/**
+ * Put a bus on trip and open its Trip record
+ * @param {Object} bus - Bus document (must be available and not on trip)
+ * @param {Object} options
+ * @param {string} options.driverId - Driver recorded on the trip
+ * @param {boolean} [options.simulated] - Trip is driven by the simulator
+ * @returns {Promise<Object>} The new Trip
+ */
+const beginTrip = async (bus, { driverId, simulated = false }) => {
+  bus.isOnTrip = true;
+  bus.status = 'on_trip';
+  bus.tripStartTime = new Date();
+  await bus.save();
+
+  // Start GPS smoothing, detour and driving checks from scratch so the last trip doesn't leak in
+  resetFilter(bus._id);
+  resetDeviation(bus._id);
+  resetDrivingState(bus._id);
+
+  // Open a trip record so the breadcrumbs and duration are kept after the trip ends
+  const trip = await Trip.create({
+    bus: bus._id,
+    driver: driverId,
+    route: getRouteId(bus),
+    startTime: bus.tripStartTime,
+    simulated
+  });
+
+  broadcastTripStatus({
+    busId: bus._id,
+    routeId: getRouteId(bus),
+    driverId,
+    busNumber: bus.busNumber,
+    status: 'started'
+  });
+
+  return trip;
+};
+
+/**
+ * Take a bus off trip and close its Trip record
+ * @param {Object} bus - Bus document currently on trip
+ * @param {Object} [options]
+ * @param {string} [options.driverId] - Driver included in the broadcast
+ * @param {string} [options.status] - 'completed', or 'abandoned' when closed by the stale-trip watchdog
+ * @param {Date} [options.endTime] - When the trip ended (defaults to now)
+ * @returns {Promise<Object>} { trip, durationMinutes } (trip is null for trips started before trip history existed)
+ */
+const endTrip = async (bus, { driverId = bus.driverId, status = 'completed', endTime = new Date() } = {}) => {
+  const tripEndTime = endTime;
+  const durationMinutes = bus.tripStartTime
+    ? Math.round((tripEndTime - bus.tripStartTime) / (1000 * 60))
+    : 0;
+
+  const trip = await Trip.findActiveForBus(bus._id);
+  if (trip) {
+    await trip.complete(tripEndTime, status);
+  }
+  clearEta(bus._id, trip?._id);
+  resetFilter(bus._id);
+  resetDeviation(bus._id);
+  resetDrivingState(bus._id);
+
+  bus.isOnTrip = false;
+  bus.status = 'available';
+  bus.tripStartTime = null;
+  await bus.save();
+
+  broadcastTripStatus({
+    busId: bus._id,
+    routeId: getRouteId(bus),
+    driverId,
+    busNumber: bus.busNumber,
+    status: 'ended',
+    reason: status
+  });
+
+  return { trip, durationMinutes };
+};
+
+/**
+ * Move the breadcrumbs and rejected fixes that older versions kept in arrays on each Trip
+ * into TripPoint documents. Runs on startup; a trip's points are inserted before its
+ * arrays are removed and points already moved are skipped, so a run that stops halfway
+ * is finished by the next one.
+ * @returns {Promise<void>}
+ */
+const migrateEmbeddedTripPoints = async () => {
+  try {
+    // The unique index is what lets a repeated run skip points it already moved
+    await TripPoint.init();
+
+    // path and rejectedPoints are no longer in the schema, so read and clear them on the raw collection
+    const cursor = Trip.collection.find(
+      { $or: [{ path: { $exists: true } }, { rejectedPoints: { $exists: true } }] },
+      { projection: { path: 1, rejectedPoints: 1 } }
+    );
+
+    let tripCount = 0;
+    let pointCount = 0;
+    for await (const trip of cursor) {
+      const inserted = await TripPoint.insertNew([
+        ...(trip.path || []).map(point => ({ ...point, trip: trip._id, kind: 'path' })),
+        ...(trip.rejectedPoints || []).map(point => ({ ...point, trip: trip._id, kind: 'rejected' }))
+      ]);
+      await Trip.collection.updateOne({ _id: trip._id }, { $unset: { path: '', rejectedPoints: '' } });
+      tripCount += 1;
+      pointCount += inserted.length;
+    }
+
+    if (tripCount > 0) {
+      console.log(`🛰️ Moved ${pointCount} GPS points of ${tripCount} trips out of the trip documents`);
+    }
+  } catch (error) {
+    console.error('Failed to migrate trip points:', error.message);
+  }
+};
+
+module.exports = {
+  beginTrip,
+  endTrip,
+  migrateEmbeddedTripPoints
+};
@@ -0,0 +1,134 @@
+/**
+ * Trip Watchdog Service
+ *
+ * Closes trips whose bus has stopped reporting its location (phone died, app killed,
+ * driver forgot to press "Stop Trip"). Every minute it looks for buses on trip with no
+ * location update for STALE_TRIP_MINUTES, ends the trip as 'abandoned' (kept in trip
+ * history with the time of the last fix as its end), frees the bus and notifies the
+ * admins and the driver.
+ */
+
+const Bus = require('../models/Bus');
+const Notification = require('../models/Notification');
+const { endTrip } = require('./tripService');
+const { emitNotification } = require('./socketService');
+
+const DEFAULT_STALE_TRIP_MINUTES = 30;
+const CHECK_INTERVAL_MS = 60 * 1000;
+
+let watchdogTimer = null;
+let running = false;
+
+const getStaleMinutes = () => {
+  const minutes = Number(process.env.STALE_TRIP_MINUTES);
+  return Number.isFinite(minutes) && minutes > 0 ? minutes : DEFAULT_STALE_TRIP_MINUTES;
+};
+
+const formatTime = (date) =>
+  date.toLocaleTimeString('en-US', { hour: '2-digit', minute: '2-digit' });
+
+/**
+ * Notify admins and the driver that a trip was closed by the watchdog
+ */
+const notifyAbandoned = async (bus, trip, lastSeen, staleMinutes) => {
+  const since = lastSeen ? `since ${formatTime(lastSeen)}` : 'since the trip started';
+  const relatedEntity = trip ? { type: 'trip', id: trip._id } : { type: 'bus', id: bus._id };
+  const metadata = { busId: bus._id, lastLocationAt: lastSeen, staleMinutes };
+
+  const notifications = [
+    await Notification.createSystemNotification(
+      'Trip Auto-Closed',
+      `Bus ${bus.busNumber} has not reported its location ${since}. Its trip was marked abandoned and the bus is available again.`,
+      'admin',
+      { type: 'warning', priority: 'high', relatedEntity, metadata }
+    )
+  ];
+
+  if (bus.driverId) {
+    notifications.push(await Notification.createSystemNotification(
+      'Trip Auto-Closed',
+      `Your trip on bus ${bus.busNumber} was closed because no location was received for ${staleMinutes} minutes. Start a new trip if you are still driving.`,
+      'driver',
+      { type: 'warning', priority: 'high', receiverId: bus.driverId, relatedEntity, metadata }
+    ));
+  }
+
+  notifications.forEach(emitNotification);
+};
+
+/**
+ * Close every trip whose bus has been silent for longer than STALE_TRIP_MINUTES
+ * @returns {Promise<Array>} Bus numbers whose trips were abandoned
+ */
+const closeStaleTrips = async () => {
+  const staleMinutes = getStaleMinutes();
+  const cutoff = new Date(Date.now() - staleMinutes * 60 * 1000);
+  const staleFilter = {
+    isOnTrip: true,
+    tripStartTime: { $lt: cutoff },
+    $or: [
+      { lastLocationUpdate: null },
+      { lastLocationUpdate: { $lt: cutoff } }
+    ]
+  };
+
+  const buses = await Bus.find(staleFilter).select('_id');
+  const closed = [];
+
+  for (const { _id } of buses) {
+    try {
+      // Re-check right before closing in case a location arrived meanwhile
+      const bus = await Bus.findOne({ _id, ...staleFilter });
+      if (!bus) continue;
+
+      const lastSeen = bus.lastLocationUpdate > bus.tripStartTime ? bus.lastLocationUpdate : null;
+      const { trip } = await endTrip(bus, {
+        status: 'abandoned',
+        endTime: lastSeen || bus.tripStartTime
+      });
+
+      await notifyAbandoned(bus, trip, lastSeen, staleMinutes);
+      closed.push(bus.busNumber);
+      console.log(`🕒 Trip on bus ${bus.busNumber} abandoned after ${staleMinutes} minutes without a location`);
+    } catch (error) {
+      console.error(`Stale trip check failed for bus ${_id}:`, error.message);
+    }
+  }
+
+  return closed;
+};
+
+/**
+ * Start checking for stale trips every minute (call once the database is connected)
+ */
+const startTripWatchdog = () => {
+  if (watchdogTimer) return;
+
+  watchdogTimer = setInterval(async () => {
+    if (running) return;
+    running = true;
+    try {
+      await closeStaleTrips();
+    } catch (error) {
+      console.error('Stale trip watchdog failed:', error.message);
+    } finally {
+      running = false;
+    }
+  }, CHECK_INTERVAL_MS);
+
+  console.log(`🕒 Stale trip watchdog started (${getStaleMinutes()} min without a location)`);
+};
+
+/**
+ * Stop the watchdog
+ */
+const stopTripWatchdog = () => {
+  clearInterval(watchdogTimer);
+  watchdogTimer = null;
+};
+
+module.exports = {
+  startTripWatchdog,
+  stopTripWatchdog,
+  closeStaleTrips
+};
@@ -0,0 +1,111 @@
+/**
+ * Two-Factor Service
+ *
+ * TOTP enrollment and verification on top of utils/totp. Login is split in two steps
+ * for users with 2FA on: the password step returns a short-lived challenge token
+ * (a JWT with purpose "2fa", not a session), the second step trades it plus a code or
+ * an unused recovery code for a real session.
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const QRCode = require('qrcode');
+const { generateSecret, verifyCode, buildOtpauthUrl } = require('../utils/totp');
+
+const CHALLENGE_EXPIRES_IN = '5m';
+const RECOVERY_CODE_COUNT = 10;
+
+const hashRecoveryCode = (code) =>
+  crypto.createHash('sha256').update(code.toLowerCase().replace(/[^a-z0-9]/g, '')).digest('hex');
+
+/**
+ * Short-lived token proving the password step passed
+ * @param {Object} user - User document
+ * @returns {string}
+ */
+const createLoginChallenge = (user) =>
+  jwt.sign({ userId: user._id, purpose: '2fa' }, process.env.JWT_SECRET, { expiresIn: CHALLENGE_EXPIRES_IN });
+
+/**
+ * Read a challenge token
+ * @param {string} token
+ * @returns {string|null} User ID, or null when invalid/expired
+ */
+const readLoginChallenge = (token) => {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    return decoded.purpose === '2fa' ? decoded.userId : null;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Fresh recovery codes (shown once) and the hashes to store
+ * @returns {Object} { codes, hashes }
+ */
+const generateRecoveryCodes = () => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+  return { codes, hashes: codes.map(hashRecoveryCode) };
+};
+
+/**
+ * Start enrollment: store a pending secret and build the QR code for it
+ * @param {Object} user - User document (saved by the caller)
+ * @returns {Promise<Object>} { secret, otpauthUrl, qrCode (PNG data URL) }
+ */
+const startEnrollment = async (user) => {
+  const secret = generateSecret();
+  user.twoFactorPendingSecret = secret;
+
+  const otpauthUrl = buildOtpauthUrl(secret, user.email);
+  const qrCode = await QRCode.toDataURL(otpauthUrl, { margin: 1, width: 220 });
+
+  return { secret, otpauthUrl, qrCode };
+};
+
+/**
+ * Check a TOTP code against a secret, refusing a code that was already used
+ * @param {Object} user - User document (twoFactorLastStep is updated; saved by the caller)
+ * @param {string} secret - Base32 secret
+ * @param {string} code
+ * @returns {boolean}
+ */
+const checkCode = (user, secret, code) => {
+  const step = verifyCode(secret, code);
+  if (step === null || (user.twoFactorLastStep && step <= user.twoFactorLastStep)) return false;
+
+  user.twoFactorLastStep = step;
+  return true;
+};
+
+/**
+ * Verify the second factor of a user with 2FA on
+ * @param {Object} user - User document (saved by the caller)
+ * @param {Object} input - { code } or { recoveryCode }
+ * @returns {Object} { valid, usedRecoveryCode }
+ */
+const verifySecondFactor = (user, { code, recoveryCode }) => {
+  if (recoveryCode) {
+    const hash = hashRecoveryCode(String(recoveryCode));
+    const index = (user.twoFactorRecoveryCodes || []).indexOf(hash);
+    if (index === -1) return { valid: false, usedRecoveryCode: false };
+
+    user.twoFactorRecoveryCodes.splice(index, 1);
+    return { valid: true, usedRecoveryCode: true };
+  }
+
+  return { valid: checkCode(user, user.twoFactorSecret, code), usedRecoveryCode: false };
+};
+
+module.exports = {
+  createLoginChallenge,
+  readLoginChallenge,
+  generateRecoveryCodes,
+  startEnrollment,
+  checkCode,
+  verifySecondFactor
+};
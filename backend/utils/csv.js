@@ -0,0 +1,84 @@
+/**
+ * CSV Helpers
+ *
+ * Builds CSV files for the admin exports (RFC 4180 quoting, CRLF line endings) and
+ * reads uploaded ones (bank statement imports).
+ */
+
+// Spreadsheet apps run cells starting with these as formulas
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+/**
+ * Quote a single cell value
+ * @param {*} value
+ * @returns {string}
+ */
+const escapeCell = (value) => {
+  if (value === undefined || value === null) return '';
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  if (FORMULA_PREFIX.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Build a CSV document
+ * @param {string[]} headers - Column titles
+ * @param {Array<Array<*>>} rows - One array of cell values per row, in header order
+ * @returns {string}
+ */
+const toCsv = (headers, rows) =>
+  [headers, ...rows].map(row => row.map(escapeCell).join(',')).join('\r\n') + '\r\n';
+
+/**
+ * Parse a CSV document: quoted cells may contain commas, quotes ("") and line breaks.
+ * A UTF-8 byte order mark is dropped and blank lines are skipped.
+ * @param {string} text
+ * @param {string} [delimiter=','] - ';' for spreadsheets saved with a European locale
+ * @returns {string[][]} One array of cell values per line
+ */
+const parseCsv = (text, delimiter = ',') => {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  const endRow = () => {
+    row.push(cell);
+    if (row.some(value => value.trim() !== '')) rows.push(row);
+    row = [];
+    cell = '';
+  };
+
+  const input = text.charCodeAt(0) === 0xFEFF ? text.slice(1) : text;
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      endRow();
+    } else {
+      cell += char;
+    }
+  }
+  if (cell !== '' || row.length > 0) endRow();
+
+  return rows;
+};
+
+module.exports = {
+  toCsv,
+  parseCsv
+};
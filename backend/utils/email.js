@@ -10,6 +10,10 @@ const sendEmail = async (options) => {
     console.log(`Subject: ${options.subject}`);
     console.log('------------------------------------------------------');
     console.log(options.message);
+    if (options.attachments?.length) {
+      console.log('------------------------------------------------------');
+      console.log(`Attachments: ${options.attachments.map(a => a.filename).join(', ')}`);
+    }
     console.log('======================================================\n');
     return;
   }
@@ -30,6 +34,7 @@ const sendEmail = async (options) => {
     subject: options.subject,
     text: options.message,
     html: options.html,
+    attachments: options.attachments,
   };
 
   const info = await transporter.sendMail(mailOptions);
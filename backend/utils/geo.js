@@ -0,0 +1,100 @@
+/**
+ * Geo Helpers
+ *
+ * Small geometry helpers shared by the tracking code.
+ * Distances are in kilometres, matching Route.distance.
+ */
+
+const EARTH_RADIUS_KM = 6371;
+
+const toRad = (deg) => deg * (Math.PI / 180);
+
+/**
+ * Great-circle distance between two coordinates
+ * @param {number} lat1 - Latitude of the first point
+ * @param {number} lon1 - Longitude of the first point
+ * @param {number} lat2 - Latitude of the second point
+ * @param {number} lon2 - Longitude of the second point
+ * @returns {number} Distance in kilometres
+ */
+const haversineDistance = (lat1, lon1, lat2, lon2) => {
+  const dLat = toRad(lat2 - lat1);
+  const dLon = toRad(lon2 - lon1);
+  const a =
+    Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+    Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) *
+    Math.sin(dLon / 2) * Math.sin(dLon / 2);
+  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+  return EARTH_RADIUS_KM * c;
+};
+
+/**
+ * Check that a latitude/longitude pair is usable
+ * Rejects non-numbers, out-of-range values and the 0,0 "null island" default
+ * @param {number} latitude
+ * @param {number} longitude
+ * @returns {boolean}
+ */
+const isValidCoordinate = (latitude, longitude) => {
+  if (typeof latitude !== 'number' || typeof longitude !== 'number') return false;
+  if (!Number.isFinite(latitude) || !Number.isFinite(longitude)) return false;
+  if (Math.abs(latitude) > 90 || Math.abs(longitude) > 180) return false;
+  if (latitude === 0 && longitude === 0) return false;
+  return true;
+};
+
+/**
+ * Project a point onto the segment between two coordinates
+ * Uses a local flat-earth approximation, which is accurate enough between nearby stops
+ * @param {Object} point - { latitude, longitude }
+ * @param {Object} start - Segment start { latitude, longitude }
+ * @param {Object} end - Segment end { latitude, longitude }
+ * @returns {Object} { t, latitude, longitude, distanceKm } - t is the 0..1 position along
+ *                   the segment, distanceKm the distance from the point to the projection
+ */
+const projectOntoSegment = (point, start, end) => {
+  const kx = Math.cos(toRad(start.latitude));
+  const ax = start.longitude * kx;
+  const ay = start.latitude;
+  const bx = end.longitude * kx;
+  const by = end.latitude;
+  const px = point.longitude * kx;
+  const py = point.latitude;
+
+  const dx = bx - ax;
+  const dy = by - ay;
+  const lengthSq = dx * dx + dy * dy;
+  let t = lengthSq === 0 ? 0 : ((px - ax) * dx + (py - ay) * dy) / lengthSq;
+  t = Math.max(0, Math.min(1, t));
+
+  const latitude = start.latitude + (end.latitude - start.latitude) * t;
+  const longitude = start.longitude + (end.longitude - start.longitude) * t;
+  return {
+    t,
+    latitude,
+    longitude,
+    distanceKm: haversineDistance(point.latitude, point.longitude, latitude, longitude)
+  };
+};
+
+/**
+ * Initial compass bearing from one coordinate to another
+ * @param {Object} start - { latitude, longitude }
+ * @param {Object} end - { latitude, longitude }
+ * @returns {number} Bearing in degrees clockwise from north (0-360)
+ */
+const bearing = (start, end) => {
+  const lat1 = toRad(start.latitude);
+  const lat2 = toRad(end.latitude);
+  const dLon = toRad(end.longitude - start.longitude);
+  const y = Math.sin(dLon) * Math.cos(lat2);
+  const x = Math.cos(lat1) * Math.sin(lat2) - Math.sin(lat1) * Math.cos(lat2) * Math.cos(dLon);
+  return (Math.atan2(y, x) * (180 / Math.PI) + 360) % 360;
+};
+
+module.exports = {
+  haversineDistance,
+  isValidCoordinate,
+  projectOntoSegment,
+  bearing
+};
@@ -1,67 +1,91 @@
 const jwt = require('jsonwebtoken');
+const { createSession, getAccessTokenMinutes, getRefreshTokenDays } = require('../services/sessionService');
+const { withPermissions } = require('../services/permissionService');
+
+// The refresh cookie is only sent to the auth endpoints that need it (refresh, logout)
+const REFRESH_COOKIE_PATH = '/api/auth';
+
+const baseCookieOptions = () => ({
+  httpOnly: true,
+  secure: process.env.NODE_ENV === 'production',
+  sameSite: process.env.NODE_ENV === 'production' ? 'strict' : 'lax'
+});
 
 /**
  * Generate JWT Token
- * This creates a secure token that proves a user is logged in
+ * This creates a short-lived access token that proves a user is logged in
  * @param {string} userId - The MongoDB _id of the user
+ * @param {string} sessionId - The Session the token belongs to (checked on every request)
  * @returns {string} Signed JWT token string
  */
-const generateToken = (userId) => {
+const generateToken = (userId, sessionId) => {
   const secret = process.env.JWT_SECRET;
   if (!secret) {
     throw new Error('JWT_SECRET environment variable is not set. Cannot generate token.');
   }
 
-  return jwt.sign({ userId }, secret, {
-    expiresIn: '7d'
+  return jwt.sign({ userId, sessionId }, secret, {
+    expiresIn: `${getAccessTokenMinutes()}m`
+  });
+};
+
+/**
+ * Set Auth Cookies
+ * Sets the access token cookie and, when given, the rotated refresh token cookie
+ * @param {object} res - Express response object
+ * @param {object} session - Session document
+ * @param {string|null} refreshToken - New refresh token (null keeps the current cookie)
+ */
+const setAuthCookies = (res, session, refreshToken) => {
+  res.cookie('token', generateToken(session.user, session._id), {
+    ...baseCookieOptions(),
+    maxAge: getAccessTokenMinutes() * 60 * 1000
   });
+
+  if (refreshToken) {
+    res.cookie('refreshToken', refreshToken, {
+      ...baseCookieOptions(),
+      path: REFRESH_COOKIE_PATH,
+      maxAge: getRefreshTokenDays() * 24 * 60 * 60 * 1000
+    });
+  }
 };
 
 /**
  * Send Token Response
- * Generates token, sets secure HTTP-only cookie, and sends JSON response
+ * Opens a session, sets secure HTTP-only cookies, and sends JSON response
  * @param {object} user - The user mongoose document
  * @param {number} statusCode - HTTP status code
  * @param {object} res - Express response object
  * @param {string} message - Response message
  */
-const sendTokenResponse = (user, statusCode, res, message) => {
-  const token = generateToken(user._id);
-
-  // Cookie options
-  const cookieOptions = {
-    httpOnly: true,
-    secure: process.env.NODE_ENV === 'production',
-    maxAge: 7 * 24 * 60 * 60 * 1000, // 7 days
-    sameSite: process.env.NODE_ENV === 'production' ? 'strict' : 'lax'
-  };
+const sendTokenResponse = async (user, statusCode, res, message) => {
+  const { session, refreshToken } = await createSession(user._id, res.req);
 
-  res.cookie('token', token, cookieOptions);
+  setAuthCookies(res, session, refreshToken);
 
   return res.status(statusCode).json({
     success: true,
     message,
     data: {
-      user: user.toJSON ? user.toJSON() : user
+      user: await withPermissions(user)
     }
   });
 };
 
 /**
  * Clear Token Cookie
- * Clears the authentication token cookie on logout
+ * Clears the access and refresh token cookies on logout
  * @param {object} res - Express response object
  */
 const clearTokenCookie = (res) => {
-  res.clearCookie('token', {
-    httpOnly: true,
-    secure: process.env.NODE_ENV === 'production',
-    sameSite: process.env.NODE_ENV === 'production' ? 'strict' : 'lax'
-  });
+  res.clearCookie('token', baseCookieOptions());
+  res.clearCookie('refreshToken', { ...baseCookieOptions(), path: REFRESH_COOKIE_PATH });
 };
 
 module.exports = {
   generateToken,
+  setAuthCookies,
   sendTokenResponse,
   clearTokenCookie
 };
@@ -0,0 +1,44 @@
+/**
+ * Admin permission catalog.
+ *
+ * Admins without a sub-role (adminRole) have every permission. Admins with a sub-role
+ * (e.g. "Fee Clerk") only get the permissions listed on it. Drivers and students are
+ * not affected: their access is still decided by role.
+ */
+
+const PERMISSIONS = {
+  'users:read': 'View users and student details',
+  'users:write': 'Create, edit, delete, unlock and sign out users',
+  'users:approve': 'Approve or reject driver applications',
+  'fees:write': 'Record fee charges, payments, notes and concessions; manage and apply the fee policy',
+  'fees:approve': 'Approve or reject fee concessions above the approval threshold',
+  'buses:edit': 'Create, edit and delete buses; assign students and drivers to buses',
+  'routes:edit': 'Create, edit and delete routes',
+  'notifications:broadcast': 'Send notifications to users',
+  'trips:read': 'View trip history and driver safety reports',
+  'simulator:run': 'Start and stop simulated trips',
+  'roles:manage': 'Manage admin sub-roles and give them to admins',
+  'audit:read': 'View and export the activity log of administrative actions'
+};
+
+const ALL_PERMISSIONS = Object.keys(PERMISSIONS);
+
+// Created the first time the server starts against an empty adminroles collection
+const DEFAULT_ADMIN_ROLES = [
+  {
+    name: 'Fee Clerk',
+    description: 'Transport office staff who record fee payments',
+    permissions: ['users:read', 'fees:write']
+  },
+  {
+    name: 'Dispatcher',
+    description: 'Runs day-to-day operations: buses, routes, assignments and announcements',
+    permissions: ['users:read', 'buses:edit', 'routes:edit', 'notifications:broadcast', 'trips:read']
+  }
+];
+
+module.exports = {
+  PERMISSIONS,
+  ALL_PERMISSIONS,
+  DEFAULT_ADMIN_ROLES
+};
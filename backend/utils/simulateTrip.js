@@ -0,0 +1,165 @@
+/*
+ * Route Simulator CLI
+ *
+ * Starts, stops or lists simulated trips on a running backend through the admin API,
+ * so the points go through the server's real location pipeline and reach connected clients.
+ *
+ * Usage:
+ *   npm run simulate -- --bus <busId> [--speed 30] [--dwell 20] [--interval 2]
+ *   npm run simulate -- --stop <busId>
+ *   npm run simulate -- --list
+ *
+ * Admin credentials come from SIMULATOR_ADMIN_EMAIL / SIMULATOR_ADMIN_PASSWORD in backend/.env;
+ * the server URL from SIMULATOR_API_URL (defaults to http://localhost:<PORT>). An admin with
+ * two-factor authentication passes the current code with --totp <code>. Every run signs
+ * out again, so it leaves no session behind.
+ */
+
+const dotenv = require('dotenv');
+const path = require('path');
+
+// Load environment variables from backend/.env
+dotenv.config({ path: path.resolve(__dirname, '../.env') });
+
+const apiUrl = (process.env.SIMULATOR_API_URL || `http://localhost:${process.env.PORT || 5000}`).replace(/\/$/, '');
+
+const parseArgs = (argv) => {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (!argv[i].startsWith('--')) continue;
+    const key = argv[i].slice(2);
+    const next = argv[i + 1];
+    if (next && !next.startsWith('--')) {
+      args[key] = next;
+      i++;
+    } else {
+      args[key] = true;
+    }
+  }
+  return args;
+};
+
+const request = async (method, url, { body, cookie } = {}) => {
+  const response = await fetch(`${apiUrl}${url}`, {
+    method,
+    headers: {
+      'Content-Type': 'application/json',
+      ...(cookie && { Cookie: cookie })
+    },
+    body: body ? JSON.stringify(body) : undefined
+  });
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok || data.success === false) {
+    throw new Error(data.message || `${method} ${url} failed with status ${response.status}`);
+  }
+  return { data, response };
+};
+
+// Revoke the session opened by login(); a failure only leaves it to expire
+const logout = async (cookie) => {
+  try {
+    await request('POST', '/api/auth/logout', { cookie });
+  } catch (error) {
+    console.warn('⚠️  Could not sign out:', error.message);
+  }
+};
+
+/**
+ * Sign in as the simulator admin
+ * @param {string} [totp] - Current two-factor code, for admins with 2FA
+ * @returns {Promise<string>} Cookie header with the access and refresh tokens
+ */
+const login = async (totp) => {
+  const email = process.env.SIMULATOR_ADMIN_EMAIL;
+  const password = process.env.SIMULATOR_ADMIN_PASSWORD;
+  if (!email || !password) {
+    throw new Error('Set SIMULATOR_ADMIN_EMAIL and SIMULATOR_ADMIN_PASSWORD in backend/.env');
+  }
+
+  let { data, response } = await request('POST', '/api/auth/login', { body: { email, password } });
+  if (data.data?.twoFactorRequired) {
+    if (!totp || totp === true) {
+      throw new Error('The simulator account has two-factor authentication: pass the current code with --totp <code>');
+    }
+    ({ data, response } = await request('POST', '/api/auth/login/2fa', {
+      body: { challengeToken: data.data.challengeToken, code: String(totp) }
+    }));
+  }
+
+  const cookies = response.headers.getSetCookie()
+    .map(cookie => cookie.split(';')[0])
+    .filter(cookie => cookie.startsWith('token=') || cookie.startsWith('refreshToken='));
+  if (!cookies.some(cookie => cookie.startsWith('token='))) {
+    throw new Error('Login did not return a session cookie');
+  }
+  const cookie = cookies.join('; ');
+
+  if (data.data?.user?.role !== 'admin') {
+    await logout(cookie);
+    throw new Error('The simulator account must be an admin');
+  }
+  return cookie;
+};
+
+const printSimulation = (simulation) => {
+  const progress = Math.round(simulation.progress * 100);
+  console.log(
+    `  Bus ${simulation.busNumber} (${simulation.busId}) on ${simulation.route?.routeName || 'unknown route'}: ` +
+    `${progress}% of ${simulation.totalSeconds}s, ${simulation.speedKmh} km/h, ` +
+    `${simulation.dwellSeconds}s dwell, every ${simulation.intervalSeconds}s`
+  );
+};
+
+const run = async () => {
+  const args = parseArgs(process.argv.slice(2));
+
+  if (!args.bus && !args.stop && !args.list) {
+    console.log('Usage:');
+    console.log('  npm run simulate -- --bus <busId> [--speed 30] [--dwell 20] [--interval 2]');
+    console.log('  npm run simulate -- --stop <busId>');
+    console.log('  npm run simulate -- --list');
+    console.log('  Add --totp <code> when the admin account has two-factor authentication');
+    process.exit(1);
+  }
+
+  let cookie = null;
+  let exitCode = 0;
+  try {
+    console.log(`Connecting to backend at: ${apiUrl}`);
+    cookie = await login(args.totp);
+
+    if (args.list) {
+      const { data } = await request('GET', '/api/tracking/simulations', { cookie });
+      if (data.data.length === 0) {
+        console.log('No simulations running.');
+      } else {
+        console.log(`${data.data.length} simulation(s) running:`);
+        data.data.forEach(printSimulation);
+      }
+    } else if (args.stop) {
+      const { data } = await request('DELETE', `/api/tracking/simulations/${args.stop}`, { cookie });
+      console.log(`✅ ${data.message}`);
+    } else {
+      const { data } = await request('POST', '/api/tracking/simulations', {
+        cookie,
+        body: {
+          busId: args.bus,
+          speedKmh: args.speed,
+          dwellSeconds: args.dwell,
+          intervalSeconds: args.interval
+        }
+      });
+      console.log(`✅ ${data.message}`);
+      printSimulation(data.data);
+    }
+  } catch (error) {
+    console.error('❌ Simulator command failed:', error.message);
+    exitCode = 1;
+  } finally {
+    if (cookie) await logout(cookie);
+  }
+
+  process.exit(exitCode);
+};
+
+run();
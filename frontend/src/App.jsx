@@ -13,6 +13,8 @@ import LandingPage from './pages/LandingPage/LandingPage';
 import LoginPage from './pages/LoginPage/LoginPage';
 import RegisterPage from './pages/RegisterPage/RegisterPage';
 import VerifyEmailPage from './pages/VerifyEmailPage/VerifyEmailPage';
+import ForgotPasswordPage from './pages/ForgotPasswordPage/ForgotPasswordPage';
+import ResetPasswordPage from './pages/ResetPasswordPage/ResetPasswordPage';
 import AdminDashboard from './pages/AdminDashboard/AdminDashboard';
 import DriverDashboard from './pages/DriverDashboard/DriverDashboard';
 import StudentDashboard from './pages/StudentDashboard/StudentDashboard';
@@ -64,6 +66,14 @@ function App() {
             path="/verify-email"
             element={<VerifyEmailPage />}
           />
+          <Route
+            path="/forgot-password"
+            element={<ForgotPasswordPage />}
+          />
+          <Route
+            path="/reset-password"
+            element={<ResetPasswordPage />}
+          />
           <Route
             path="/login"
             element={
@@ -0,0 +1,155 @@
+import React, { useEffect, useState } from 'react';
+import {
+  Box,
+  Button,
+  Chip,
+  CircularProgress,
+  Divider,
+  IconButton,
+  List,
+  ListItem,
+  ListItemIcon,
+  ListItemText,
+  Tooltip,
+  Typography
+} from '@mui/material';
+import { Devices, Logout, PhoneAndroid, Computer } from '@mui/icons-material';
+import { authService } from '../services/authService';
+import { useAuth } from '../context/AuthContext';
+import { toast } from '../utils/toast';
+import { BRAND_COLORS } from '../styles/brandStyles';
+
+const isMobile = (device) => /Android|iOS/.test(device);
+
+const formatDateTime = (value) => new Date(value).toLocaleString('en-US', {
+  month: 'short',
+  day: 'numeric',
+  hour: '2-digit',
+  minute: '2-digit'
+});
+
+/**
+ * Devices the current user is signed in on, with per-device sign-out.
+ * Used on the Security tab of every profile view.
+ */
+const ActiveSessions = () => {
+  const { logout } = useAuth();
+  const [sessions, setSessions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [busyId, setBusyId] = useState(null);
+
+  const loadSessions = async () => {
+    try {
+      const response = await authService.getSessions();
+      setSessions(response.data.data || []);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to load signed-in devices');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    loadSessions();
+  }, []);
+
+  const handleRevoke = async (session) => {
+    setBusyId(session._id);
+    try {
+      const response = await authService.revokeSession(session._id);
+      toast.success(response.data.message);
+      if (response.data.data?.current) {
+        await logout();
+        return;
+      }
+      setSessions(prev => prev.filter(s => s._id !== session._id));
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to sign out device');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleRevokeOthers = async () => {
+    setBusyId('others');
+    try {
+      const response = await authService.revokeOtherSessions();
+      toast.success(response.data.message);
+      setSessions(prev => prev.filter(s => s.current));
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to sign out other devices');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  return (
+    <Box>
+      <Box sx={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', mb: 1 }}>
+        <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+          <Devices sx={{ color: BRAND_COLORS.skyBlue }} />
+          <Typography variant="h6" sx={{ fontWeight: 600 }}>
+            Signed-in Devices
+          </Typography>
+        </Box>
+        <Button
+          size="small"
+          color="error"
+          onClick={handleRevokeOthers}
+          disabled={busyId !== null || sessions.filter(s => !s.current).length === 0}
+        >
+          Sign out other devices
+        </Button>
+      </Box>
+      <Typography variant="body2" sx={{ color: BRAND_COLORS.slate600, mb: 2 }}>
+        Lost a phone or used a shared computer? Sign that device out here.
+      </Typography>
+
+      {loading ? (
+        <Box sx={{ display: 'flex', justifyContent: 'center', py: 3 }}>
+          <CircularProgress size={28} />
+        </Box>
+      ) : (
+        <List disablePadding>
+          {sessions.map((session, index) => (
+            <React.Fragment key={session._id}>
+              {index > 0 && <Divider component="li" />}
+              <ListItem
+                secondaryAction={
+                  <Tooltip title={session.current ? 'Sign out of this device' : 'Sign out this device'}>
+                    <span>
+                      <IconButton
+                        edge="end"
+                        onClick={() => handleRevoke(session)}
+                        disabled={busyId !== null}
+                      >
+                        {busyId === session._id ? <CircularProgress size={20} /> : <Logout />}
+                      </IconButton>
+                    </span>
+                  </Tooltip>
+                }
+              >
+                <ListItemIcon>
+                  {isMobile(session.device) ? <PhoneAndroid /> : <Computer />}
+                </ListItemIcon>
+                <ListItemText
+                  primary={
+                    <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+                      {session.device}
+                      {session.current && (
+                        <Chip label="This device" size="small" sx={{ bgcolor: BRAND_COLORS.successGreen, color: 'white', height: 20 }} />
+                      )}
+                    </Box>
+                  }
+                  secondary={`${session.ipAddress || 'Unknown IP'} · Signed in ${formatDateTime(session.createdAt)} · Last active ${formatDateTime(session.lastUsedAt)}`}
+                />
+              </ListItem>
+            </React.Fragment>
+          ))}
+        </List>
+      )}
+    </Box>
+  );
+};
+
+export default ActiveSessions;
@@ -0,0 +1,166 @@
+import React, { useState } from 'react';
+import {
+  Box,
+  Chip,
+  CircularProgress,
+  IconButton,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Tooltip,
+  Typography
+} from '@mui/material';
+import { Block, PictureAsPdf, ReceiptLong } from '@mui/icons-material';
+import { BRAND_COLORS, TABLE_STYLES } from '../styles/brandStyles';
+import { formatAmount, PAYMENT_METHOD_LABELS } from '../utils/fees';
+import { feeService } from '../services';
+import { toast } from '../utils/toast';
+
+const KIND_CHIPS = {
+  invoice: { label: 'Charge', color: BRAND_COLORS.warningOrange },
+  credit: { label: 'Credit', color: BRAND_COLORS.teal },
+  payment: { label: 'Payment', color: BRAND_COLORS.successGreen },
+  note: { label: 'Note', color: BRAND_COLORS.slate500 }
+};
+
+const formatDate = (value) => new Date(value).toLocaleDateString('en-US', {
+  year: 'numeric',
+  month: 'short',
+  day: 'numeric'
+});
+
+const isVoid = (entry) => entry.status === 'void';
+
+// Second line under the description: term, payment method, reference…
+const entryDetails = (entry) => [
+  entry.term,
+  entry.method && PAYMENT_METHOD_LABELS[entry.method],
+  entry.reference && `Ref ${entry.reference}`,
+  entry.invoiceNumber && `for ${entry.invoiceNumber}`,
+  entry.dueDate && `due ${formatDate(entry.dueDate)}`
+].filter(Boolean).join(' · ');
+
+/**
+ * Fee history of a student: charges, credits, payments and notes with a running balance.
+ * Used by the admin Fee Management view and the student's profile. Invoices and
+ * payments open as PDF (invoice / receipt).
+ * @param {Object[]} entries - Ledger entries from the fees API, oldest first
+ * @param {Function} [onVoid] - Called with an invoice or payment entry; shows void buttons when set
+ */
+const FeeLedgerTable = ({ entries, onVoid }) => {
+  const [openingId, setOpeningId] = useState(null);
+
+  const handleOpenPdf = async (entry) => {
+    setOpeningId(entry._id);
+    try {
+      const response = await feeService.getFeeDocument(entry._id);
+      const url = URL.createObjectURL(new Blob([response.data], { type: 'application/pdf' }));
+      window.open(url, '_blank');
+    } catch (error) {
+      console.error('Error loading fee document:', error);
+      toast.error(`Failed to load ${entry.kind === 'payment' ? 'receipt' : 'invoice'} ${entry.number}`);
+    } finally {
+      setOpeningId(null);
+    }
+  };
+
+  if (entries.length === 0) {
+    return (
+      <Box textAlign="center" py={5}>
+        <ReceiptLong sx={{ fontSize: 48, color: BRAND_COLORS.slate300 }} />
+        <Typography color="text.secondary">No fee history yet</Typography>
+      </Box>
+    );
+  }
+
+  // Newest first
+  const rows = [...entries].reverse();
+
+  return (
+    <TableContainer>
+      <Table size="small">
+        <TableHead>
+          <TableRow>
+            <TableCell sx={TABLE_STYLES.headerCell}>Date</TableCell>
+            <TableCell sx={TABLE_STYLES.headerCell}>Type</TableCell>
+            <TableCell sx={TABLE_STYLES.headerCell}>Details</TableCell>
+            <TableCell sx={TABLE_STYLES.headerCell} align="right">Amount</TableCell>
+            <TableCell sx={TABLE_STYLES.headerCell} align="right">Balance</TableCell>
+            <TableCell sx={TABLE_STYLES.headerCell}>Recorded By</TableCell>
+            <TableCell sx={TABLE_STYLES.headerCell} />
+          </TableRow>
+        </TableHead>
+        <TableBody>
+          {rows.map(entry => {
+            const chip = KIND_CHIPS[entry.type === 'credit' ? 'credit' : entry.kind];
+            const lowersBalance = entry.kind === 'payment' || entry.type === 'credit';
+            const details = entryDetails(entry);
+            return (
+              <TableRow key={`${entry.kind}-${entry._id}`} sx={{ opacity: isVoid(entry) ? 0.55 : 1 }}>
+                <TableCell sx={{ ...TABLE_STYLES.bodyCell, whiteSpace: 'nowrap' }}>{formatDate(entry.date)}</TableCell>
+                <TableCell sx={TABLE_STYLES.bodyCell}>
+                  <Chip
+                    label={isVoid(entry) ? `${chip.label} (void)` : chip.label}
+                    size="small"
+                    sx={{ bgcolor: `${chip.color}1a`, color: chip.color, fontWeight: 600 }}
+                  />
+                </TableCell>
+                <TableCell sx={TABLE_STYLES.bodyCell}>
+                  <Typography variant="body2" sx={{ fontWeight: 600, textDecoration: isVoid(entry) ? 'line-through' : 'none' }}>
+                    {entry.number ? `${entry.number} ` : ''}{entry.description}
+                  </Typography>
+                  {details && (
+                    <Typography variant="caption" color="text.secondary" display="block">{details}</Typography>
+                  )}
+                  {isVoid(entry) && entry.voidReason && (
+                    <Typography variant="caption" sx={{ color: BRAND_COLORS.errorRed }} display="block">
+                      Voided: {entry.voidReason}
+                    </Typography>
+                  )}
+                </TableCell>
+                <TableCell
+                  sx={{
+                    ...TABLE_STYLES.bodyCell,
+                    fontWeight: 700,
+                    whiteSpace: 'nowrap',
+                    color: lowersBalance ? BRAND_COLORS.successGreen : BRAND_COLORS.slate900
+                  }}
+                  align="right"
+                >
+                  {entry.kind === 'note' ? '' : `${lowersBalance ? '−' : '+'}${formatAmount(entry.amount)}`}
+                </TableCell>
+                <TableCell sx={{ ...TABLE_STYLES.bodyCell, whiteSpace: 'nowrap' }} align="right">
+                  {formatAmount(entry.balance)}
+                </TableCell>
+                <TableCell sx={TABLE_STYLES.bodyCell}>{entry.recordedBy || '—'}</TableCell>
+                <TableCell sx={{ ...TABLE_STYLES.bodyCell, whiteSpace: 'nowrap' }} align="right">
+                  {entry.kind !== 'note' && (
+                    <Tooltip title={entry.kind === 'payment' ? 'Receipt (PDF)' : 'Invoice (PDF)'}>
+                      <span>
+                        <IconButton size="small" onClick={() => handleOpenPdf(entry)} disabled={openingId === entry._id}>
+                          {openingId === entry._id ? <CircularProgress size={16} /> : <PictureAsPdf fontSize="small" />}
+                        </IconButton>
+                      </span>
+                    </Tooltip>
+                  )}
+                  {onVoid && entry.kind !== 'note' && !isVoid(entry) && (
+                    <Tooltip title={`Void ${chip.label.toLowerCase()}`}>
+                      <IconButton size="small" onClick={() => onVoid(entry)} sx={{ color: BRAND_COLORS.errorRed }}>
+                        <Block fontSize="small" />
+                      </IconButton>
+                    </Tooltip>
+                  )}
+                </TableCell>
+              </TableRow>
+            );
+          })}
+        </TableBody>
+      </Table>
+    </TableContainer>
+  );
+};
+
+export default FeeLedgerTable;
@@ -13,6 +13,8 @@ import {
   Marker,
   Popup,
   Polyline,
+  CircleMarker,
+  Tooltip,
   useMap,
   useMapEvents
 } from 'react-leaflet';
@@ -39,8 +41,9 @@ L.Icon.Default.mergeOptions({
 });
 
 // Custom bus marker icons
-const createBusIcon = (status = 'available', isAssigned = false) => {
-  const color = status === 'on_trip' ? BRAND_COLORS.successGreen :
+const createBusIcon = (status = 'available', isAssigned = false, isOffRoute = false) => {
+  const color = isOffRoute ? BRAND_COLORS.errorRed :
+    status === 'on_trip' ? BRAND_COLORS.successGreen :
     status === 'maintenance' ? BRAND_COLORS.errorRed :
       isAssigned ? BRAND_COLORS.warningOrange : BRAND_COLORS.primary;
 
@@ -56,7 +59,7 @@ const createBusIcon = (status = 'available', isAssigned = false) => {
         display: flex;
         align-items: center;
         justify-content: center;
-        box-shadow: 0 2px 10px rgba(0,0,0,0.3);
+        box-shadow: ${isOffRoute ? '0 0 0 6px rgba(239, 68, 68, 0.35), ' : ''}0 2px 10px rgba(0,0,0,0.3);
         transform: translate(-50%, -50%);
       ">
         <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" width="18" height="18" fill="white">
@@ -165,6 +168,9 @@ const BusPopup = ({ bus, location, isOnTrip, lastUpdate }) => (
             color={isOnTrip ? 'success' : 'default'}
             size="small"
           />
+          {bus.offRoute && (
+            <Chip label="Off Route" color="error" size="small" />
+          )}
         </Box>
 
         <Box sx={{ mb: 1 }}>
@@ -212,6 +218,9 @@ const BusPopup = ({ bus, location, isOnTrip, lastUpdate }) => (
  * @param {string} props.mode - Display mode: 'admin', 'student', 'driver'
  * @param {string} props.assignedBusId - For student mode, the assigned bus ID
  * @param {Array} props.routePoints - Route coordinates for line drawing
+ * @param {Array} props.trailPoints - Coordinates already travelled (trip replay)
+ * @param {Array} props.stopMarkers - Stops to highlight ({ name, latitude, longitude, arrivedAt })
+ * @param {boolean} props.followBus - Keep the map centred on the buses as they move
  * @param {number} props.height - Map container height
  * @param {boolean} props.showControls - Show map controls
  * @param {Function} props.onBusSelect - Callback when bus is selected
@@ -222,6 +231,9 @@ const RealTimeBusMap = ({
   mode = 'admin',
   assignedBusId = null,
   routePoints = [],
+  trailPoints = [],
+  stopMarkers = [],
+  followBus = true,
   height = 500,
   showControls = true,
   onBusSelect,
@@ -237,7 +249,7 @@ const RealTimeBusMap = ({
 
   // Set map view based on bus locations
   useEffect(() => {
-    if (busLocations.length > 0) {
+    if (busLocations.length > 0 && (followBus || loading)) {
       const validLocations = busLocations
         .filter(bus => bus.location?.latitude && bus.location?.longitude &&
           bus.location.latitude !== 0 && bus.location.longitude !== 0 &&
@@ -323,6 +335,36 @@ const RealTimeBusMap = ({
           />
         )}
 
+        {/* Travelled path (trip replay) */}
+        {trailPoints.length > 1 && (
+          <Polyline
+            positions={trailPoints}
+            color={BRAND_COLORS.successGreen}
+            weight={5}
+            opacity={0.9}
+          />
+        )}
+
+        {/* Stop markers - green once the bus has reached them */}
+        {stopMarkers.map((stop, index) => (
+          <CircleMarker
+            key={`${stop.name}-${index}`}
+            center={[stop.latitude, stop.longitude]}
+            radius={8}
+            pathOptions={{
+              color: BRAND_COLORS.white,
+              weight: 2,
+              fillColor: stop.arrivedAt ? BRAND_COLORS.successGreen : BRAND_COLORS.warningOrange,
+              fillOpacity: 1
+            }}
+          >
+            <Tooltip>
+              {stop.name}
+              {stop.arrivedAt ? ` — reached ${new Date(stop.arrivedAt).toLocaleTimeString()}` : ' — not reached'}
+            </Tooltip>
+          </CircleMarker>
+        ))}
+
         {/* Bus markers */}
         {filteredBuses.map((bus) => {
           const location = bus.location || bus.currentLocation;
@@ -339,7 +381,7 @@ const RealTimeBusMap = ({
             (bus.busId?.toString() === assignedBusId.toString() ||
               bus._id?.toString() === assignedBusId.toString());
 
-          const busIcon = createBusIcon(bus.status || (bus.isOnTrip ? 'on_trip' : 'available'), isAssigned);
+          const busIcon = createBusIcon(bus.status || (bus.isOnTrip ? 'on_trip' : 'available'), isAssigned, !!bus.offRoute);
 
           return (
             <AnimatedMarker
@@ -389,6 +431,10 @@ const RealTimeBusMap = ({
                 <Box sx={{ width: 16, height: 16, borderRadius: '50%', bgcolor: BRAND_COLORS.errorRed }} />
                 <Typography variant="caption">Maintenance</Typography>
               </Box>
+              <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+                <Box sx={{ width: 16, height: 16, borderRadius: '50%', bgcolor: BRAND_COLORS.errorRed, boxShadow: '0 0 0 3px rgba(239, 68, 68, 0.35)' }} />
+                <Typography variant="caption">Off Route</Typography>
+              </Box>
             </Box>
           </Box>
         )}
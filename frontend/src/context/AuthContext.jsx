@@ -151,11 +151,21 @@ export const AuthProvider = ({ children }) => {
     };
   }, [state.isAuthenticated, state.user, state.isLoading]);
 
-  // Login function
-  const login = async (credentials) => {
+  // Shared by both login steps: password, then (with 2FA on) the authenticator code
+  const runLogin = async (request) => {
     try {
       dispatch({ type: AUTH_ACTIONS.LOGIN_START });
-      const response = await authService.login(credentials);
+      const response = await request();
+
+      if (response.data.data?.twoFactorRequired) {
+        dispatch({ type: AUTH_ACTIONS.CLEAR_ERROR });
+        return {
+          success: false,
+          twoFactorRequired: true,
+          challengeToken: response.data.data.challengeToken,
+        };
+      }
+
       const { user } = response.data.data;
 
       localStorage.setItem('user', JSON.stringify(user));
@@ -195,6 +205,12 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
+  // Login function
+  const login = (credentials) => runLogin(() => authService.login(credentials));
+
+  // Second login step: { challengeToken, code } or { challengeToken, recoveryCode }
+  const verifyTwoFactor = (data) => runLogin(() => authService.verifyTwoFactorLogin(data));
+
   // Register function
   const register = async (userData) => {
     try {
@@ -305,6 +321,7 @@ export const AuthProvider = ({ children }) => {
 
     // Actions
     login,
+    verifyTwoFactor,
     register,
     logout,
     updateUser,
@@ -334,4 +351,4 @@ export const useAuth = () => {
     throw new Error('useAuth must be used within an AuthProvider');
   }
   return context;
-};
\ No newline at end of file
+};
\ No newline at end of file
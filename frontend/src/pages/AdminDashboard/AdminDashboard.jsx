@@ -27,7 +27,11 @@ import DisplacedStudentsView from './components/DisplacedStudentsView';
 import NotificationsView from './components/NotificationsView';
 import AdminProfileView from './components/AdminProfileView';
 import LiveTrackingView from './components/LiveTrackingView';
+import DriverSafetyView from './components/DriverSafetyView';
+import AdminRolesView from './components/AdminRolesView';
+import ActivityLogView from './components/ActivityLogView';
 import { BACKGROUND_GRADIENTS } from '../../styles/brandStyles';
+import { hasPermission } from '../../utils/permissions';
 
 const AdminDashboard = () => {
   const { user, logout } = useAuth();
@@ -46,6 +50,10 @@ const AdminDashboard = () => {
     setMobileOpen(!mobileOpen);
   };
 
+  // Sections the admin's sub-role doesn't cover fall back to the overview
+  const guard = (permission, element) =>
+    hasPermission(user, permission) ? element : <Navigate to="/admin" replace />;
+
   /**
    * Authorization check - redirect if not admin
    */
@@ -81,19 +89,30 @@ const AdminDashboard = () => {
 
         {/* URL-based nested routes */}
         <React.Fragment key={refreshKey}>
+          {/* 2FA required by policy: only the profile (where it is set up) is reachable */}
+          {user.twoFactorSetupRequired ? (
+          <Routes>
+            <Route path="profile" element={<AdminProfileView />} />
+            <Route path="*" element={<Navigate to="/admin/profile" replace state={{ tab: 'security' }} />} />
+          </Routes>
+          ) : (
           <Routes>
             <Route index element={<OverviewView />} />
             <Route path="live-tracking" element={<LiveTrackingView />} />
-            <Route path="users" element={<UsersView />} />
-            <Route path="buses" element={<BusesView />} />
-            <Route path="routes" element={<RoutesView />} />
-            <Route path="fees" element={<FeeManagementView />} />
-            <Route path="bus-assignment" element={<BusAssignmentView />} />
-            <Route path="displaced" element={<DisplacedStudentsView />} />
+            <Route path="driver-safety" element={guard('trips:read', <DriverSafetyView />)} />
+            <Route path="users" element={guard('users:read', <UsersView />)} />
+            <Route path="buses" element={guard('buses:edit', <BusesView />)} />
+            <Route path="routes" element={guard('routes:edit', <RoutesView />)} />
+            <Route path="fees" element={guard('fees:write', <FeeManagementView />)} />
+            <Route path="bus-assignment" element={guard('buses:edit', <BusAssignmentView />)} />
+            <Route path="displaced" element={guard('buses:edit', <DisplacedStudentsView />)} />
             <Route path="notifications" element={<NotificationsView />} />
+            <Route path="roles" element={guard('roles:manage', <AdminRolesView />)} />
+            <Route path="activity" element={guard('audit:read', <ActivityLogView />)} />
             <Route path="profile" element={<AdminProfileView />} />
             <Route path="*" element={<Navigate to="/admin" replace />} />
           </Routes>
+          )}
         </React.Fragment>
       </Box>
     </Box>
@@ -0,0 +1,427 @@
+/**
+ * Activity Log View
+ *
+ * Every administrative action (user, bus, route and notification changes, driver
+ * approvals, trips…) with who did it, when, from where and what changed.
+ * Click an actor or a target to see only their entries. The filtered list can be
+ * exported as CSV.
+ */
+
+import React, { useState, useEffect } from 'react';
+import {
+  Container,
+  Card,
+  CardContent,
+  Typography,
+  Box,
+  Chip,
+  Alert,
+  CircularProgress,
+  TextField,
+  MenuItem,
+  Button,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  TablePagination,
+  Link
+} from '@mui/material';
+import { History, Download, Refresh } from '@mui/icons-material';
+import { auditLogService } from '../../../services';
+import { toast } from '../../../utils/toast';
+import {
+  BRAND_COLORS,
+  CARD_STYLES,
+  BORDER_RADIUS,
+  TABLE_STYLES
+} from '../../../styles/brandStyles';
+
+const DEFAULT_RANGE_DAYS = 30;
+
+const ENTITY_TYPES = [
+  { value: 'user', label: 'Users' },
+  { value: 'bus', label: 'Buses' },
+  { value: 'route', label: 'Routes' },
+  { value: 'notification', label: 'Notifications' },
+  { value: 'trip', label: 'Trips' },
+  { value: 'simulation', label: 'Simulations' },
+  { value: 'adminRole', label: 'Admin Roles' },
+  { value: 'feeInvoice', label: 'Fee Invoices' },
+  { value: 'feePayment', label: 'Fee Payments' },
+  { value: 'billingTerm', label: 'Billing Terms' },
+  { value: 'feePolicy', label: 'Fee Policy' },
+  { value: 'feeConcession', label: 'Fee Concessions' }
+];
+
+const ACTION_LABELS = {
+  'user.create': 'Created user',
+  'user.update': 'Updated user',
+  'user.delete': 'Deleted user',
+  'user.unlock': 'Unlocked account',
+  'user.force_logout': 'Signed out user',
+  'driver.approve': 'Approved driver',
+  'driver.reject': 'Rejected driver',
+  'fees.mark_defaulter': 'Marked defaulter',
+  'fees.invoice_create': 'Added fee charge',
+  'fees.invoice_void': 'Voided fee charge',
+  'fees.payment_record': 'Recorded payment',
+  'fees.payment_void': 'Voided payment',
+  'fees.note_add': 'Added fee note',
+  'fees.plan_update': 'Changed payment plan',
+  'fees.payment_online': 'Online payment received',
+  'fees.payment_import': 'Imported bank payment',
+  'fees.payment_reconcile': 'Reconciled online payments',
+  'fees.term_create': 'Created billing term',
+  'fees.term_update': 'Updated billing term',
+  'fees.term_delete': 'Deleted billing term',
+  'fees.term_invoice': 'Generated term invoices',
+  'fees.policy_update': 'Updated fee policy',
+  'fees.policy_run': 'Applied fee policy',
+  'fees.late_fee': 'Charged late fee',
+  'fees.concession_create': 'Granted concession',
+  'fees.concession_approve': 'Approved concession',
+  'fees.concession_reject': 'Rejected concession',
+  'fees.concession_revoke': 'Revoked concession',
+  'fees.concession_credit': 'Credited concession',
+  'bus.create': 'Created bus',
+  'bus.update': 'Updated bus',
+  'bus.delete': 'Deleted bus',
+  'route.create': 'Created route',
+  'route.update': 'Updated route',
+  'route.delete': 'Deleted route',
+  'route.assign_bus': 'Assigned bus to route',
+  'notification.send': 'Sent notification',
+  'notification.delete': 'Deleted notification',
+  'trip.start': 'Started trip',
+  'trip.stop': 'Ended trip',
+  'simulation.start': 'Started simulation',
+  'simulation.stop': 'Stopped simulation',
+  'adminRole.create': 'Created admin role',
+  'adminRole.update': 'Updated admin role',
+  'adminRole.delete': 'Deleted admin role'
+};
+
+const actionColor = (action) => {
+  if (/\.(create|approve|start)$|_(create|approve)$|payment_(record|online|import)$|concession_credit$/.test(action)) return 'success';
+  if (/\.(delete|reject|mark_defaulter)$|_(void|reject|revoke)$/.test(action)) return 'error';
+  return 'default';
+};
+
+const toDateInputValue = (date) => {
+  const offset = date.getTimezoneOffset() * 60000;
+  return new Date(date.getTime() - offset).toISOString().slice(0, 10);
+};
+
+const formatValue = (value) => {
+  if (value === null || value === undefined || value === '') return '—';
+  if (Array.isArray(value)) return `${value.length} item${value.length === 1 ? '' : 's'}`;
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+};
+
+const ActivityLogView = () => {
+  const [from, setFrom] = useState(toDateInputValue(new Date(Date.now() - DEFAULT_RANGE_DAYS * 24 * 60 * 60 * 1000)));
+  const [to, setTo] = useState(toDateInputValue(new Date()));
+  const [entityType, setEntityType] = useState('');
+  const [action, setAction] = useState('');
+  const [search, setSearch] = useState('');
+  const [debouncedSearch, setDebouncedSearch] = useState('');
+  // Set by clicking an actor or a target in the table: { id, label }
+  const [actor, setActor] = useState(null);
+  const [entity, setEntity] = useState(null);
+
+  const [logs, setLogs] = useState([]);
+  const [actions, setActions] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [page, setPage] = useState(0);
+  const [rowsPerPage, setRowsPerPage] = useState(25);
+  const [loading, setLoading] = useState(true);
+  const [exporting, setExporting] = useState(false);
+  const [error, setError] = useState(null);
+
+  // Dates are whole days in local time
+  const getFilterParams = () => ({
+    from: new Date(`${from}T00:00:00`).toISOString(),
+    to: new Date(`${to}T23:59:59.999`).toISOString(),
+    ...(entityType && { entityType }),
+    ...(action && { action }),
+    ...(debouncedSearch && { search: debouncedSearch }),
+    ...(actor && { actor: actor.id }),
+    ...(entity && { entityId: entity.id })
+  });
+
+  const loadLogs = async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      const response = await auditLogService.getAuditLogs({ ...getFilterParams(), page: page + 1, limit: rowsPerPage });
+      setLogs(response.data?.data || []);
+      setActions(response.data?.actions || []);
+      setTotal(response.data?.pagination?.total || 0);
+    } catch (err) {
+      console.error('Failed to load activity log:', err);
+      setError(err.response?.data?.message || 'Failed to load activity log');
+      setLogs([]);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Any filter change starts again from the first page
+  const applyFilter = (setter) => (value) => {
+    setter(value);
+    setPage(0);
+  };
+
+  useEffect(() => {
+    const timer = setTimeout(() => applyFilter(setDebouncedSearch)(search.trim()), 400);
+    return () => clearTimeout(timer);
+  }, [search]);
+
+  useEffect(() => {
+    loadLogs();
+  }, [from, to, entityType, action, debouncedSearch, actor, entity, page, rowsPerPage]);
+
+  const handleExport = async () => {
+    setExporting(true);
+    try {
+      const response = await auditLogService.exportAuditLogs(getFilterParams());
+      const url = URL.createObjectURL(new Blob([response.data], { type: 'text/csv' }));
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `activity-log-${toDateInputValue(new Date())}.csv`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      console.error('Failed to export activity log:', err);
+      toast.error('Failed to export activity log');
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  const renderChanges = (log) => {
+    const lines = (log.changes || []).map(change => (
+      <Typography key={change.field} variant="caption" component="div" sx={{ color: BRAND_COLORS.slate700 }}>
+        <Box component="span" sx={{ fontFamily: 'monospace', fontWeight: 600 }}>{change.field}</Box>
+        {': '}{formatValue(change.before)} → {formatValue(change.after)}
+      </Typography>
+    ));
+
+    if (log.details) {
+      lines.push(
+        <Typography key="details" variant="caption" component="div" sx={{ color: BRAND_COLORS.slate500 }}>
+          {Object.entries(log.details)
+            .filter(([, value]) => value !== null && value !== undefined)
+            .map(([key, value]) => `${key}: ${formatValue(value)}`)
+            .join(' · ')}
+        </Typography>
+      );
+    }
+
+    return lines.length > 0 ? lines : <Typography variant="caption" sx={{ color: BRAND_COLORS.slate500 }}>—</Typography>;
+  };
+
+  return (
+    <Container maxWidth="xl" sx={{ py: 4 }}>
+      {/* Header */}
+      <Box display="flex" justifyContent="space-between" alignItems="center" flexWrap="wrap" gap={2} mb={4}>
+        <Box>
+          <Typography variant="h4" sx={{ fontWeight: 800, color: BRAND_COLORS.slate900, mb: 1 }}>
+            Activity Log
+          </Typography>
+          <Typography variant="body1" sx={{ color: BRAND_COLORS.slate600 }}>
+            Who changed what, and when
+          </Typography>
+        </Box>
+
+        <Box display="flex" alignItems="center" gap={2}>
+          <Button
+            variant="outlined"
+            startIcon={<Refresh />}
+            onClick={loadLogs}
+            disabled={loading}
+          >
+            Refresh
+          </Button>
+          <Button
+            variant="contained"
+            startIcon={exporting ? <CircularProgress size={16} color="inherit" /> : <Download />}
+            onClick={handleExport}
+            disabled={exporting || total === 0}
+            sx={{
+              bgcolor: BRAND_COLORS.skyBlue,
+              '&:hover': { bgcolor: BRAND_COLORS.skyBlueDark }
+            }}
+          >
+            Export CSV
+          </Button>
+        </Box>
+      </Box>
+
+      {error && (
+        <Alert severity="error" sx={{ mb: 3, borderRadius: BORDER_RADIUS.md }} onClose={() => setError(null)}>
+          {error}
+        </Alert>
+      )}
+
+      <Card sx={{ ...CARD_STYLES.standard }}>
+        <CardContent>
+          {/* Filters */}
+          <Box display="flex" alignItems="center" gap={2} flexWrap="wrap" mb={2}>
+            <History sx={{ color: BRAND_COLORS.skyBlue }} />
+            <TextField
+              label="Search actor or target"
+              size="small"
+              value={search}
+              onChange={(e) => setSearch(e.target.value)}
+              sx={{ minWidth: 220 }}
+            />
+            <TextField
+              select
+              label="Type"
+              size="small"
+              value={entityType}
+              onChange={(e) => applyFilter(setEntityType)(e.target.value)}
+              sx={{ minWidth: 150 }}
+            >
+              <MenuItem value="">All types</MenuItem>
+              {ENTITY_TYPES.map(type => (
+                <MenuItem key={type.value} value={type.value}>{type.label}</MenuItem>
+              ))}
+            </TextField>
+            <TextField
+              select
+              label="Action"
+              size="small"
+              value={action}
+              onChange={(e) => applyFilter(setAction)(e.target.value)}
+              sx={{ minWidth: 200 }}
+            >
+              <MenuItem value="">All actions</MenuItem>
+              {actions.map(value => (
+                <MenuItem key={value} value={value}>{ACTION_LABELS[value] || value}</MenuItem>
+              ))}
+            </TextField>
+            <TextField
+              label="From"
+              type="date"
+              size="small"
+              value={from}
+              onChange={(e) => e.target.value && applyFilter(setFrom)(e.target.value)}
+              InputLabelProps={{ shrink: true }}
+            />
+            <TextField
+              label="To"
+              type="date"
+              size="small"
+              value={to}
+              onChange={(e) => e.target.value && applyFilter(setTo)(e.target.value)}
+              InputLabelProps={{ shrink: true }}
+            />
+            {actor && (
+              <Chip label={`By ${actor.label}`} onDelete={() => applyFilter(setActor)(null)} color="primary" variant="outlined" />
+            )}
+            {entity && (
+              <Chip label={`On ${entity.label}`} onDelete={() => applyFilter(setEntity)(null)} color="primary" variant="outlined" />
+            )}
+          </Box>
+
+          {loading ? (
+            <Box display="flex" justifyContent="center" py={6}>
+              <CircularProgress sx={{ color: BRAND_COLORS.skyBlue }} />
+            </Box>
+          ) : logs.length === 0 ? (
+            <Typography variant="body2" sx={{ color: BRAND_COLORS.slate600, py: 4, textAlign: 'center' }}>
+              No activity matches these filters
+            </Typography>
+          ) : (
+            <TableContainer sx={{ borderRadius: BORDER_RADIUS.md }}>
+              <Table size="small">
+                <TableHead>
+                  <TableRow sx={{ bgcolor: BRAND_COLORS.slate100 }}>
+                    <TableCell sx={TABLE_STYLES.headerCell}>When</TableCell>
+                    <TableCell sx={TABLE_STYLES.headerCell}>Actor</TableCell>
+                    <TableCell sx={TABLE_STYLES.headerCell}>Action</TableCell>
+                    <TableCell sx={TABLE_STYLES.headerCell}>Target</TableCell>
+                    <TableCell sx={TABLE_STYLES.headerCell}>Changes</TableCell>
+                    <TableCell sx={TABLE_STYLES.headerCell}>IP Address</TableCell>
+                  </TableRow>
+                </TableHead>
+                <TableBody>
+                  {logs.map(log => (
+                    <TableRow key={log._id} hover sx={{ verticalAlign: 'top' }}>
+                      <TableCell sx={{ ...TABLE_STYLES.bodyCell, whiteSpace: 'nowrap' }}>
+                        {new Date(log.createdAt).toLocaleString()}
+                      </TableCell>
+                      <TableCell sx={TABLE_STYLES.bodyCell}>
+                        {log.actor ? (
+                          <Link
+                            component="button"
+                            variant="body2"
+                            underline="hover"
+                            onClick={() => applyFilter(setActor)({ id: log.actor, label: log.actorName })}
+                            sx={{ fontWeight: 600, textAlign: 'left' }}
+                          >
+                            {log.actorName}
+                          </Link>
+                        ) : (
+                          <Typography variant="body2" sx={{ fontWeight: 600 }}>{log.actorName}</Typography>
+                        )}
+                        <Typography variant="caption" component="div" sx={{ color: BRAND_COLORS.slate500 }}>
+                          {log.actorRole}{log.actorEmail ? ` · ${log.actorEmail}` : ''}
+                        </Typography>
+                      </TableCell>
+                      <TableCell sx={TABLE_STYLES.bodyCell}>
+                        <Chip size="small" label={ACTION_LABELS[log.action] || log.action} color={actionColor(log.action)} variant="outlined" />
+                      </TableCell>
+                      <TableCell sx={TABLE_STYLES.bodyCell}>
+                        {log.entityId ? (
+                          <Link
+                            component="button"
+                            variant="body2"
+                            underline="hover"
+                            onClick={() => applyFilter(setEntity)({ id: log.entityId, label: log.entityLabel || log.entityType })}
+                            sx={{ textAlign: 'left' }}
+                          >
+                            {log.entityLabel || log.entityId}
+                          </Link>
+                        ) : (
+                          <Typography variant="body2">{log.entityLabel || '—'}</Typography>
+                        )}
+                        <Typography variant="caption" component="div" sx={{ color: BRAND_COLORS.slate500 }}>
+                          {log.entityType}
+                        </Typography>
+                      </TableCell>
+                      <TableCell sx={{ ...TABLE_STYLES.bodyCell, maxWidth: 420, wordBreak: 'break-word' }}>
+                        {renderChanges(log)}
+                      </TableCell>
+                      <TableCell sx={{ ...TABLE_STYLES.bodyCell, fontFamily: 'monospace', fontSize: '0.75rem' }}>
+                        {log.ipAddress || '—'}
+                      </TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            </TableContainer>
+          )}
+
+          <TablePagination
+            component="div"
+            count={total}
+            page={page}
+            onPageChange={(e, newPage) => setPage(newPage)}
+            rowsPerPage={rowsPerPage}
+            onRowsPerPageChange={(e) => applyFilter(setRowsPerPage)(parseInt(e.target.value, 10))}
+            rowsPerPageOptions={[25, 50, 100]}
+          />
+        </CardContent>
+      </Card>
+    </Container>
+  );
+};
+
+export default ActivityLogView;
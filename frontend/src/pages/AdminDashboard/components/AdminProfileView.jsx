@@ -1,21 +1,25 @@
 import React, { useState, useEffect } from 'react';
 import {
   Container, Grid, Card, CardContent, Typography, Box, TextField,
-  Button, Avatar, Chip, CircularProgress, Tab, Tabs, IconButton
+  Button, Avatar, Chip, CircularProgress, Tab, Tabs, IconButton, Divider
 } from '@mui/material';
 import { Person as PersonIcon, Email, Phone, Lock as LockIcon, PhotoCamera as PhotoCameraIcon } from '@mui/icons-material';
 import { authService } from '../../../services';
 import PasswordChangeForm from '../../../components/PasswordChangeForm';
+import ActiveSessions from '../../../components/ActiveSessions';
 import { toast } from 'react-toastify';
 import { useAuth } from '../../../context/AuthContext';
+import { useLocation } from 'react-router-dom';
+import TwoFactorSettings from './TwoFactorSettings';
 
 const AdminProfileView = () => {
   const { updateUser } = useAuth();
+  const location = useLocation();
   const [user, setUser] = useState(null);
   const [loading, setLoading] = useState(true);
   const [saving, setSaving] = useState(false);
   const [formData, setFormData] = useState({});
-  const [activeTab, setActiveTab] = useState(0);
+  const [activeTab, setActiveTab] = useState(location.state?.tab === 'security' ? 1 : 0);
   const [profilePicture, setProfilePicture] = useState(null);
   const [previewUrl, setPreviewUrl] = useState(null);
 
@@ -247,7 +251,11 @@ const AdminProfileView = () => {
 
           {activeTab === 1 && (
             <Box py={3}>
+              <TwoFactorSettings />
+              <Divider sx={{ my: 4 }} />
               <PasswordChangeForm />
+              <Divider sx={{ my: 4 }} />
+              <ActiveSessions />
             </Box>
           )}
         </CardContent>
@@ -0,0 +1,251 @@
+import React, { useEffect, useState } from 'react';
+import {
+  Container, Card, CardContent, Typography, Box, Table, TableBody, TableCell,
+  TableContainer, TableHead, TableRow, Chip, IconButton, Button, Tooltip, Dialog,
+  DialogTitle, DialogContent, DialogActions, TextField, FormGroup, FormControlLabel,
+  Checkbox, Alert, CircularProgress
+} from '@mui/material';
+import { Add, Edit, Delete, AdminPanelSettings } from '@mui/icons-material';
+import { adminRoleService } from '../../../services';
+import { toast } from '../../../utils/toast';
+import ConfirmDialog from '../../../components/ConfirmDialog';
+import { BRAND_COLORS, BORDER_RADIUS } from '../../../styles/brandStyles';
+
+const emptyForm = { name: '', description: '', permissions: [] };
+
+/**
+ * Admin sub-roles ("Fee Clerk", "Dispatcher"…) and the permissions each one grants.
+ * Roles are given to admins from the Users view; admins without one keep full access.
+ */
+const AdminRolesView = () => {
+  const [roles, setRoles] = useState([]);
+  const [permissions, setPermissions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [dialogOpen, setDialogOpen] = useState(false);
+  const [editingRole, setEditingRole] = useState(null);
+  const [formData, setFormData] = useState(emptyForm);
+  const [saving, setSaving] = useState(false);
+  const [roleToDelete, setRoleToDelete] = useState(null);
+  const [deleting, setDeleting] = useState(false);
+
+  const loadRoles = async () => {
+    try {
+      const response = await adminRoleService.getAdminRoles();
+      setRoles(response.data.data.roles || []);
+      setPermissions(response.data.data.permissions || []);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to load admin roles');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    loadRoles();
+  }, []);
+
+  const openDialog = (role = null) => {
+    setEditingRole(role);
+    setFormData(role
+      ? { name: role.name, description: role.description || '', permissions: role.permissions }
+      : emptyForm);
+    setDialogOpen(true);
+  };
+
+  const togglePermission = (key) => {
+    setFormData(prev => ({
+      ...prev,
+      permissions: prev.permissions.includes(key)
+        ? prev.permissions.filter(p => p !== key)
+        : [...prev.permissions, key]
+    }));
+  };
+
+  const handleSave = async () => {
+    if (!formData.name.trim()) {
+      toast.error('Role name is required');
+      return;
+    }
+
+    setSaving(true);
+    try {
+      const response = editingRole
+        ? await adminRoleService.updateAdminRole(editingRole._id, formData)
+        : await adminRoleService.createAdminRole(formData);
+      toast.success(response.data.message);
+      setDialogOpen(false);
+      loadRoles();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to save admin role');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async () => {
+    setDeleting(true);
+    try {
+      const response = await adminRoleService.deleteAdminRole(roleToDelete._id);
+      toast.success(response.data.message);
+      setRoles(prev => prev.filter(role => role._id !== roleToDelete._id));
+      setRoleToDelete(null);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to delete admin role');
+    } finally {
+      setDeleting(false);
+    }
+  };
+
+  return (
+    <Container maxWidth="xl" sx={{ p: 4 }}>
+      <Card>
+        <CardContent sx={{ p: 3 }}>
+          <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 2, flexWrap: 'wrap', gap: 2 }}>
+            <Box display="flex" alignItems="center" gap={1}>
+              <AdminPanelSettings sx={{ color: BRAND_COLORS.skyBlue }} />
+              <Typography variant="h6">Admin Roles</Typography>
+            </Box>
+            <Button
+              variant="contained"
+              startIcon={<Add />}
+              onClick={() => openDialog()}
+              sx={{ background: BRAND_COLORS.primaryGradient, textTransform: 'none', fontWeight: 600 }}
+            >
+              New Role
+            </Button>
+          </Box>
+
+          <Alert severity="info" sx={{ mb: 3, borderRadius: BORDER_RADIUS.md }}>
+            Admins without a role have full access. Give an admin a role from Users → Edit to limit what they can do.
+          </Alert>
+
+          {loading ? (
+            <Box sx={{ display: 'flex', justifyContent: 'center', py: 6 }}>
+              <CircularProgress />
+            </Box>
+          ) : (
+            <TableContainer>
+              <Table>
+                <TableHead>
+                  <TableRow>
+                    <TableCell>Role</TableCell>
+                    <TableCell>Permissions</TableCell>
+                    <TableCell>Admins</TableCell>
+                    <TableCell>Actions</TableCell>
+                  </TableRow>
+                </TableHead>
+                <TableBody>
+                  {roles.length === 0 ? (
+                    <TableRow>
+                      <TableCell colSpan={4} align="center" sx={{ py: 4, color: BRAND_COLORS.slate600 }}>
+                        No admin roles yet
+                      </TableCell>
+                    </TableRow>
+                  ) : roles.map(role => (
+                    <TableRow key={role._id}>
+                      <TableCell sx={{ minWidth: 180 }}>
+                        <Typography sx={{ fontWeight: 600 }}>{role.name}</Typography>
+                        {role.description && (
+                          <Typography variant="caption" sx={{ color: BRAND_COLORS.slate600 }}>{role.description}</Typography>
+                        )}
+                      </TableCell>
+                      <TableCell>
+                        <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 0.5 }}>
+                          {role.permissions.length === 0 ? (
+                            <Typography variant="caption" sx={{ color: BRAND_COLORS.slate600 }}>None</Typography>
+                          ) : role.permissions.map(permission => (
+                            <Chip key={permission} label={permission} size="small" sx={{ height: 22, fontSize: '0.7rem', fontFamily: 'monospace' }} />
+                          ))}
+                        </Box>
+                      </TableCell>
+                      <TableCell>{role.adminCount}</TableCell>
+                      <TableCell>
+                        <Box sx={{ display: 'flex' }}>
+                          <IconButton size="small" onClick={() => openDialog(role)}>
+                            <Edit fontSize="small" />
+                          </IconButton>
+                          <Tooltip title={role.adminCount > 0 ? 'Give its admins another role first' : 'Delete role'}>
+                            <span>
+                              <IconButton size="small" color="error" onClick={() => setRoleToDelete(role)} disabled={role.adminCount > 0}>
+                                <Delete fontSize="small" />
+                              </IconButton>
+                            </span>
+                          </Tooltip>
+                        </Box>
+                      </TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            </TableContainer>
+          )}
+        </CardContent>
+      </Card>
+
+      {/* Create / Edit Dialog */}
+      <Dialog open={dialogOpen} onClose={() => setDialogOpen(false)} maxWidth="sm" fullWidth>
+        <DialogTitle>{editingRole ? `Edit ${editingRole.name}` : 'New Admin Role'}</DialogTitle>
+        <DialogContent dividers>
+          <Box display="grid" gap={2} mt={1}>
+            <TextField
+              label="Name"
+              value={formData.name}
+              onChange={(e) => setFormData(prev => ({ ...prev, name: e.target.value }))}
+              required
+              inputProps={{ maxLength: 50 }}
+            />
+            <TextField
+              label="Description"
+              value={formData.description}
+              onChange={(e) => setFormData(prev => ({ ...prev, description: e.target.value }))}
+              inputProps={{ maxLength: 200 }}
+            />
+            <Box>
+              <Typography variant="subtitle2" sx={{ fontWeight: 600, mb: 1 }}>Permissions</Typography>
+              <FormGroup>
+                {permissions.map(permission => (
+                  <FormControlLabel
+                    key={permission.key}
+                    control={
+                      <Checkbox
+                        size="small"
+                        checked={formData.permissions.includes(permission.key)}
+                        onChange={() => togglePermission(permission.key)}
+                      />
+                    }
+                    label={
+                      <Box>
+                        <Typography variant="body2" sx={{ fontFamily: 'monospace' }}>{permission.key}</Typography>
+                        <Typography variant="caption" sx={{ color: BRAND_COLORS.slate600 }}>{permission.description}</Typography>
+                      </Box>
+                    }
+                    sx={{ alignItems: 'flex-start', mb: 1, '& .MuiCheckbox-root': { pt: 0.25 } }}
+                  />
+                ))}
+              </FormGroup>
+            </Box>
+          </Box>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setDialogOpen(false)} disabled={saving}>Cancel</Button>
+          <Button variant="contained" onClick={handleSave} disabled={saving}>
+            {saving ? 'Saving...' : 'Save'}
+          </Button>
+        </DialogActions>
+      </Dialog>
+
+      <ConfirmDialog
+        open={Boolean(roleToDelete)}
+        title="Delete Admin Role"
+        message={`Delete the "${roleToDelete?.name}" role? This cannot be undone.`}
+        confirmText="Delete"
+        onConfirm={handleDelete}
+        onCancel={() => setRoleToDelete(null)}
+        variant="danger"
+        loading={deleting}
+      />
+    </Container>
+  );
+};
+
+export default AdminRolesView;
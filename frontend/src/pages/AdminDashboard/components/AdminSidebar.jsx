@@ -21,26 +21,31 @@ import {
 import {
   People, DirectionsBus, Route as RouteIcon, Notifications,
   Security, Logout, Dashboard, Payment, Person, AirportShuttle, Warning,
-  LocationOn
+  LocationOn, HealthAndSafety, AdminPanelSettings, History
 } from '@mui/icons-material';
 import { useLocation, useNavigate } from 'react-router-dom';
 import { toast } from 'react-toastify';
 import LogoutConfirmDialog from '../../../components/LogoutConfirmDialog';
+import { hasPermission } from '../../../utils/permissions';
 import { BRAND_COLORS, SIDEBAR_STYLES, gradientText, BORDER_RADIUS } from '../../../styles/brandStyles';
 
 // Sidebar width constant (matches design system)
 const drawerWidth = SIDEBAR_STYLES.width;
 
+// Items with a permission are only shown to admins whose sub-role grants it
 const menuItems = [
   { path: '/admin', label: 'Overview', icon: <Dashboard /> },
   { path: '/admin/live-tracking', label: 'Live Tracking', icon: <LocationOn /> },
-  { path: '/admin/users', label: 'Users', icon: <People /> },
-  { path: '/admin/buses', label: 'Buses', icon: <DirectionsBus /> },
-  { path: '/admin/routes', label: 'Routes', icon: <RouteIcon /> },
-  { path: '/admin/fees', label: 'Fee Management', icon: <Payment /> },
-  { path: '/admin/bus-assignment', label: 'Bus Assignment', icon: <AirportShuttle /> },
-  { path: '/admin/displaced', label: 'Displaced Students', icon: <Warning /> },
+  { path: '/admin/driver-safety', label: 'Driver Safety', icon: <HealthAndSafety />, permission: 'trips:read' },
+  { path: '/admin/users', label: 'Users', icon: <People />, permission: 'users:read' },
+  { path: '/admin/buses', label: 'Buses', icon: <DirectionsBus />, permission: 'buses:edit' },
+  { path: '/admin/routes', label: 'Routes', icon: <RouteIcon />, permission: 'routes:edit' },
+  { path: '/admin/fees', label: 'Fee Management', icon: <Payment />, permission: 'fees:write' },
+  { path: '/admin/bus-assignment', label: 'Bus Assignment', icon: <AirportShuttle />, permission: 'buses:edit' },
+  { path: '/admin/displaced', label: 'Displaced Students', icon: <Warning />, permission: 'buses:edit' },
   { path: '/admin/notifications', label: 'Notifications', icon: <Notifications /> },
+  { path: '/admin/roles', label: 'Admin Roles', icon: <AdminPanelSettings />, permission: 'roles:manage' },
+  { path: '/admin/activity', label: 'Activity Log', icon: <History />, permission: 'audit:read' },
   { path: '/admin/profile', label: 'Profile', icon: <Person /> },
 ];
 
@@ -135,7 +140,7 @@ const AdminSidebar = ({ user, logout, navigate, mobileOpen, handleDrawerToggle }
 
         {/* Navigation Menu - Brand styled with gradient active states */}
         <List sx={{ px: 2, pt: 1 }}>
-          {menuItems.map((item) => {
+          {menuItems.filter(item => hasPermission(user, item.permission)).map((item) => {
             const active = isActive(item.path);
             return (
               <ListItem key={item.path} disablePadding>
@@ -0,0 +1,206 @@
+import React, { useState } from 'react';
+import {
+  Box, Button, Chip, CircularProgress, Dialog, DialogActions, DialogContent, DialogTitle,
+  Table, TableBody, TableCell, TableContainer, TableHead, TableRow, Tooltip, Typography
+} from '@mui/material';
+import { UploadFile, WarningAmber } from '@mui/icons-material';
+import { feeService } from '../../../services';
+import { BRAND_COLORS, BUTTON_STYLES, BORDER_RADIUS, TABLE_STYLES } from '../../../styles/brandStyles';
+import { formatAmount } from '../../../utils/fees';
+
+const ROW_STATUS_CHIPS = {
+  matched: { label: 'Will import', color: 'success' },
+  duplicate: { label: 'Duplicate', color: 'warning' },
+  unmatched: { label: 'No match', color: 'error' },
+  invalid: { label: 'Invalid', color: 'default' }
+};
+
+const MATCHED_BY_LABELS = {
+  studentId: 'Student ID',
+  invoice: 'Invoice number',
+  reference: 'Student ID in reference'
+};
+
+const formatDate = (value) => (value ? new Date(value).toLocaleDateString('en-US', {
+  year: 'numeric',
+  month: 'short',
+  day: 'numeric'
+}) : '—');
+
+const toFormData = (file) => {
+  const formData = new FormData();
+  formData.append('file', file);
+  return formData;
+};
+
+/**
+ * Bank statement import of the Fee Management view: upload a CSV, check how its rows
+ * match students, then record the matched rows as payments in one go.
+ * @param {boolean} open
+ * @param {Function} onClose
+ * @param {Function} onImported - Called after payments were imported (to refresh balances)
+ * @param {Function} showSnack - Snackbar of the parent view
+ */
+const BankImportDialog = ({ open, onClose, onImported, showSnack }) => {
+  const [file, setFile] = useState(null);
+  const [preview, setPreview] = useState(null);
+  const [loading, setLoading] = useState(false);
+
+  const handleClose = () => {
+    setFile(null);
+    setPreview(null);
+    onClose();
+  };
+
+  const handleFileChange = async (e) => {
+    const selected = e.target.files[0];
+    e.target.value = '';
+    if (!selected) return;
+
+    setFile(selected);
+    setPreview(null);
+    try {
+      setLoading(true);
+      const response = await feeService.previewBankImport(toFormData(selected));
+      setPreview(response.data.data);
+    } catch (error) {
+      console.error('Error previewing bank statement:', error);
+      showSnack(error.response?.data?.message || 'Failed to read the bank statement', 'error');
+      setFile(null);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleImport = async () => {
+    try {
+      setLoading(true);
+      const response = await feeService.importBankStatement(toFormData(file));
+      showSnack(response.data.message);
+      onImported();
+      handleClose();
+    } catch (error) {
+      console.error('Error importing bank statement:', error);
+      showSnack(error.response?.data?.message || 'Failed to import the bank statement', 'error');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const summary = preview?.summary;
+
+  return (
+    <Dialog open={open} onClose={loading ? undefined : handleClose} maxWidth="lg" fullWidth>
+      <DialogTitle>Import Bank Statement</DialogTitle>
+      <DialogContent dividers>
+        <Box display="flex" alignItems="center" gap={2} sx={{ mb: 2 }}>
+          <Button component="label" variant="outlined" startIcon={<UploadFile />} disabled={loading} sx={{ textTransform: 'none' }}>
+            {file ? 'Choose Another File' : 'Choose CSV File'}
+            <input type="file" accept=".csv,text/csv" hidden onChange={handleFileChange} />
+          </Button>
+          <Typography variant="body2" color="text.secondary">
+            {file ? file.name : 'Columns: Date, Student ID, Amount (or Credit/Deposit), Reference, Description'}
+          </Typography>
+        </Box>
+
+        {!preview && !loading && (
+          <Typography variant="body2" color="text.secondary">
+            Rows are matched to students by the Student ID column, or by an invoice number (INV-000001) or
+            student ID in the reference. Rows already recorded or repeated in the file are skipped.
+          </Typography>
+        )}
+
+        {loading && !preview && (
+          <Box display="flex" justifyContent="center" py={4}>
+            <CircularProgress size={28} />
+          </Box>
+        )}
+
+        {preview && (
+          <>
+            <Box display="flex" gap={1} flexWrap="wrap" sx={{ mb: 2 }}>
+              <Chip color="success" label={`${summary.matched} to import · ${formatAmount(summary.matchedAmount)}`} />
+              {summary.duplicates > 0 && <Chip color="warning" label={`${summary.duplicates} duplicates`} />}
+              {summary.unmatched > 0 && <Chip color="error" label={`${summary.unmatched} without a match`} />}
+              {summary.invalid > 0 && <Chip label={`${summary.invalid} invalid`} />}
+            </Box>
+
+            <TableContainer sx={{ maxHeight: 420, border: `1px solid ${BRAND_COLORS.slate300}`, borderRadius: BORDER_RADIUS.md }}>
+              <Table size="small" stickyHeader>
+                <TableHead>
+                  <TableRow>
+                    <TableCell sx={TABLE_STYLES.headerCell}>Row</TableCell>
+                    <TableCell sx={TABLE_STYLES.headerCell}>Date</TableCell>
+                    <TableCell sx={TABLE_STYLES.headerCell}>Student</TableCell>
+                    <TableCell sx={TABLE_STYLES.headerCell}>Reference</TableCell>
+                    <TableCell sx={TABLE_STYLES.headerCell} align="right">Amount</TableCell>
+                    <TableCell sx={TABLE_STYLES.headerCell}>Status</TableCell>
+                  </TableRow>
+                </TableHead>
+                <TableBody>
+                  {preview.rows.map(row => {
+                    const chip = ROW_STATUS_CHIPS[row.status];
+                    return (
+                      <TableRow key={row.row}>
+                        <TableCell sx={TABLE_STYLES.bodyCell}>{row.row}</TableCell>
+                        <TableCell sx={TABLE_STYLES.bodyCell}>{formatDate(row.date)}</TableCell>
+                        <TableCell sx={TABLE_STYLES.bodyCell}>
+                          {row.student ? (
+                            <>
+                              <Typography variant="body2" sx={{ fontWeight: 600 }}>{row.student.name}</Typography>
+                              <Typography variant="caption" color="text.secondary">
+                                {row.student.studentId} · by {MATCHED_BY_LABELS[row.matchedBy]}
+                              </Typography>
+                            </>
+                          ) : (
+                            <Typography variant="body2" color="text.secondary">{row.studentId || '—'}</Typography>
+                          )}
+                        </TableCell>
+                        <TableCell sx={TABLE_STYLES.bodyCell}>
+                          <Typography variant="body2">{row.reference || '—'}</Typography>
+                          <Typography variant="caption" color="text.secondary">
+                            {[row.invoice?.invoiceNumber, row.description].filter(Boolean).join(' · ')}
+                          </Typography>
+                        </TableCell>
+                        <TableCell sx={TABLE_STYLES.bodyCell} align="right">
+                          {row.amount === null ? '—' : formatAmount(row.amount)}
+                        </TableCell>
+                        <TableCell sx={TABLE_STYLES.bodyCell}>
+                          <Box display="flex" alignItems="center" gap={0.5}>
+                            <Chip size="small" label={chip.label} color={chip.color} />
+                            {row.warning && (
+                              <Tooltip title={row.warning}>
+                                <WarningAmber fontSize="small" sx={{ color: BRAND_COLORS.warningOrange }} />
+                              </Tooltip>
+                            )}
+                          </Box>
+                          {row.reason && (
+                            <Typography variant="caption" color="text.secondary" display="block">{row.reason}</Typography>
+                          )}
+                        </TableCell>
+                      </TableRow>
+                    );
+                  })}
+                </TableBody>
+              </Table>
+            </TableContainer>
+          </>
+        )}
+      </DialogContent>
+      <DialogActions sx={{ px: 3, py: 2 }}>
+        <Button onClick={handleClose} disabled={loading}>Cancel</Button>
+        <Button
+          variant="contained"
+          onClick={handleImport}
+          disabled={loading || !summary?.matched}
+          startIcon={loading && preview ? <CircularProgress size={16} color="inherit" /> : null}
+          sx={BUTTON_STYLES.primary}
+        >
+          {summary?.matched ? `Import ${summary.matched} Payments` : 'Import'}
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default BankImportDialog;
@@ -0,0 +1,412 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Card, CardContent, Typography, Box, Table, TableBody, TableCell, TableContainer,
+  TableHead, TableRow, Chip, IconButton, Button, Dialog, DialogTitle, DialogContent,
+  DialogActions, TextField, MenuItem, FormControlLabel, Switch, CircularProgress, Tooltip
+} from '@mui/material';
+import { Add, Edit, Delete, EventNote, ReceiptLong } from '@mui/icons-material';
+import { feeService } from '../../../services';
+import { BRAND_COLORS, BUTTON_STYLES, BORDER_RADIUS, TABLE_STYLES } from '../../../styles/brandStyles';
+import ConfirmDialog from '../../../components/ConfirmDialog';
+import { formatAmount, formatConcessionAmount, PAYMENT_PLAN_LABELS, CONCESSION_CATEGORY_LABELS } from '../../../utils/fees';
+
+const EMPTY_TERM = { name: '', type: 'semester', startDate: '', endDate: '', dueDate: '', autoInvoice: false };
+
+const ACTION_CHIPS = {
+  invoice: { label: 'Invoice', color: 'primary' },
+  adjustment: { label: 'Adjustment', color: 'warning' },
+  credit: { label: 'Credit', color: 'success' },
+  concession: { label: 'Concession Credit', color: 'success' },
+  skip: { label: 'Skipped', color: 'default' }
+};
+
+const formatConcession = (concession) => `${CONCESSION_CATEGORY_LABELS[concession.category]} ${formatConcessionAmount(concession)}`;
+
+const toDateInput = (value) => (value ? new Date(value).toISOString().slice(0, 10) : '');
+
+const formatDate = (value) => (value ? new Date(value).toLocaleDateString('en-US', {
+  year: 'numeric',
+  month: 'short',
+  day: 'numeric'
+}) : '—');
+
+/**
+ * Billing terms of the Fee Management view: create terms, preview the invoices a
+ * term would generate from the students' stop fees and payment plans, then generate them.
+ * @param {Function} onInvoicesGenerated - Called after invoices were generated (to refresh balances)
+ * @param {Function} showSnack - Snackbar of the parent view
+ */
+const BillingTermsCard = ({ onInvoicesGenerated, showSnack }) => {
+  const [terms, setTerms] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [termForm, setTermForm] = useState(null);
+  const [editingTerm, setEditingTerm] = useState(null);
+  const [deletingTerm, setDeletingTerm] = useState(null);
+  const [preview, setPreview] = useState(null);
+  const [previewTerm, setPreviewTerm] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    loadTerms();
+  }, []);
+
+  const loadTerms = async () => {
+    try {
+      const response = await feeService.getBillingTerms();
+      setTerms(response.data.data || []);
+    } catch (error) {
+      console.error('Error loading billing terms:', error);
+      showSnack('Failed to load billing terms', 'error');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const openTermForm = (term = null) => {
+    setEditingTerm(term);
+    setTermForm(term ? {
+      name: term.name,
+      type: term.type,
+      startDate: toDateInput(term.startDate),
+      endDate: toDateInput(term.endDate),
+      dueDate: toDateInput(term.dueDate),
+      autoInvoice: term.autoInvoice
+    } : { ...EMPTY_TERM });
+  };
+
+  const handleTermFormChange = (field) => (e) => {
+    const value = field === 'autoInvoice' ? e.target.checked : e.target.value;
+    setTermForm(prev => ({ ...prev, [field]: value }));
+  };
+
+  const handleTermSubmit = async () => {
+    try {
+      setSaving(true);
+      const response = editingTerm
+        ? await feeService.updateBillingTerm(editingTerm._id, termForm)
+        : await feeService.createBillingTerm(termForm);
+      showSnack(response.data.message);
+      setTermForm(null);
+      loadTerms();
+    } catch (error) {
+      console.error('Error saving billing term:', error);
+      showSnack(error.response?.data?.message || 'Failed to save billing term', 'error');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async () => {
+    try {
+      setSaving(true);
+      const response = await feeService.deleteBillingTerm(deletingTerm._id);
+      showSnack(response.data.message);
+      setDeletingTerm(null);
+      loadTerms();
+    } catch (error) {
+      console.error('Error deleting billing term:', error);
+      showSnack(error.response?.data?.message || 'Failed to delete billing term', 'error');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const openPreview = async (term) => {
+    setPreviewTerm(term);
+    setPreview(null);
+    try {
+      const response = await feeService.previewTermInvoices(term._id);
+      setPreview(response.data.data);
+    } catch (error) {
+      console.error('Error previewing term invoices:', error);
+      showSnack(error.response?.data?.message || 'Failed to preview invoices', 'error');
+      setPreviewTerm(null);
+    }
+  };
+
+  const handleGenerate = async () => {
+    try {
+      setSaving(true);
+      const response = await feeService.generateTermInvoices(previewTerm._id);
+      showSnack(response.data.message, response.data.data.failed.length ? 'warning' : 'success');
+      setPreviewTerm(null);
+      loadTerms();
+      onInvoicesGenerated();
+    } catch (error) {
+      console.error('Error generating term invoices:', error);
+      showSnack(error.response?.data?.message || 'Failed to generate invoices', 'error');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const billableCount = preview
+    ? new Set(preview.rows.filter(row => row.action !== 'skip').map(row => row.student._id)).size
+    : 0;
+
+  return (
+    <Card sx={{ mb: 3 }}>
+      <CardContent sx={{ p: 3 }}>
+        <Box display="flex" justifyContent="space-between" alignItems="center" sx={{ mb: 2 }}>
+          <Box>
+            <Typography variant="h6" sx={{ fontWeight: 700, color: BRAND_COLORS.slate900 }}>
+              Billing Terms
+            </Typography>
+            <Typography variant="body2" color="text.secondary">
+              Invoices are worked out from each student's stop fee (monthly) and payment plan
+            </Typography>
+          </Box>
+          <Button variant="contained" startIcon={<Add />} onClick={() => openTermForm()} sx={BUTTON_STYLES.primary}>
+            New Term
+          </Button>
+        </Box>
+
+        {loading ? (
+          <Box display="flex" justifyContent="center" py={3}>
+            <CircularProgress size={28} />
+          </Box>
+        ) : terms.length === 0 ? (
+          <Box textAlign="center" py={3}>
+            <EventNote sx={{ fontSize: 48, color: BRAND_COLORS.slate300 }} />
+            <Typography color="text.secondary">No billing terms yet</Typography>
+          </Box>
+        ) : (
+          <TableContainer>
+            <Table size="small">
+              <TableHead>
+                <TableRow>
+                  <TableCell sx={TABLE_STYLES.headerCell}>Term</TableCell>
+                  <TableCell sx={TABLE_STYLES.headerCell}>Period</TableCell>
+                  <TableCell sx={TABLE_STYLES.headerCell}>First Due</TableCell>
+                  <TableCell sx={TABLE_STYLES.headerCell} align="right">Invoiced</TableCell>
+                  <TableCell sx={TABLE_STYLES.headerCell}>Last Run</TableCell>
+                  <TableCell sx={TABLE_STYLES.headerCell} align="right">Actions</TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {terms.map(term => (
+                  <TableRow key={term._id}>
+                    <TableCell sx={TABLE_STYLES.bodyCell}>
+                      <Typography variant="body2" sx={{ fontWeight: 600 }}>{term.name}</Typography>
+                      <Box display="flex" gap={0.5} sx={{ mt: 0.5 }}>
+                        <Chip size="small" label={term.type === 'month' ? 'Month' : `Semester · ${term.months} months`} />
+                        {term.autoInvoice && <Chip size="small" color="info" variant="outlined" label="Auto" />}
+                      </Box>
+                    </TableCell>
+                    <TableCell sx={TABLE_STYLES.bodyCell}>{formatDate(term.startDate)} – {formatDate(term.endDate)}</TableCell>
+                    <TableCell sx={TABLE_STYLES.bodyCell}>{formatDate(term.dueDate)}</TableCell>
+                    <TableCell sx={TABLE_STYLES.bodyCell} align="right">
+                      <Typography variant="body2" sx={{ fontWeight: 600 }}>{formatAmount(term.invoicedAmount)}</Typography>
+                      <Typography variant="caption" color="text.secondary">
+                        {term.invoiceCount} invoices · {term.studentCount} students
+                      </Typography>
+                    </TableCell>
+                    <TableCell sx={TABLE_STYLES.bodyCell}>{formatDate(term.lastInvoicedAt)}</TableCell>
+                    <TableCell sx={TABLE_STYLES.bodyCell} align="right">
+                      <Box display="flex" justifyContent="flex-end" gap={0.5}>
+                        <Button size="small" startIcon={<ReceiptLong />} onClick={() => openPreview(term)} sx={{ textTransform: 'none' }}>
+                          Preview & Invoice
+                        </Button>
+                        <Tooltip title="Edit">
+                          <IconButton size="small" onClick={() => openTermForm(term)}>
+                            <Edit fontSize="small" />
+                          </IconButton>
+                        </Tooltip>
+                        <Tooltip title={term.invoiceCount > 0 ? 'Terms with invoices cannot be deleted' : 'Delete'}>
+                          <span>
+                            <IconButton
+                              size="small"
+                              onClick={() => setDeletingTerm(term)}
+                              disabled={term.invoiceCount > 0}
+                              sx={{ color: BRAND_COLORS.errorRed }}
+                            >
+                              <Delete fontSize="small" />
+                            </IconButton>
+                          </span>
+                        </Tooltip>
+                      </Box>
+                    </TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          </TableContainer>
+        )}
+      </CardContent>
+
+      {/* Create / edit term */}
+      <Dialog open={Boolean(termForm)} onClose={() => setTermForm(null)} maxWidth="xs" fullWidth>
+        <DialogTitle>{editingTerm ? `Edit ${editingTerm.name}` : 'New Billing Term'}</DialogTitle>
+        <DialogContent dividers>
+          {termForm && (
+            <Box display="flex" flexDirection="column" gap={2} sx={{ mt: 1 }}>
+              {editingTerm?.invoiceCount > 0 && (
+                <Typography variant="body2" color="text.secondary">
+                  This term has invoices, so only automatic invoicing can be changed.
+                </Typography>
+              )}
+              <TextField label="Name" placeholder="e.g. Fall 2026" value={termForm.name} onChange={handleTermFormChange('name')} disabled={editingTerm?.invoiceCount > 0} fullWidth required />
+              <TextField select label="Type" value={termForm.type} onChange={handleTermFormChange('type')} disabled={editingTerm?.invoiceCount > 0} fullWidth>
+                <MenuItem value="semester">Semester</MenuItem>
+                <MenuItem value="month">Month</MenuItem>
+              </TextField>
+              {['startDate', 'endDate', 'dueDate'].map(field => (
+                <TextField
+                  key={field}
+                  label={{ startDate: 'Start Date', endDate: 'End Date', dueDate: 'First Due Date' }[field]}
+                  type="date"
+                  value={termForm[field]}
+                  onChange={handleTermFormChange(field)}
+                  InputLabelProps={{ shrink: true }}
+                  disabled={editingTerm?.invoiceCount > 0}
+                  fullWidth
+                  required
+                />
+              ))}
+              <FormControlLabel
+                control={<Switch checked={termForm.autoInvoice} onChange={handleTermFormChange('autoInvoice')} />}
+                label="Invoice automatically once the term starts (checked daily)"
+              />
+            </Box>
+          )}
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setTermForm(null)} disabled={saving}>Cancel</Button>
+          <Button
+            variant="contained"
+            onClick={handleTermSubmit}
+            disabled={saving || !termForm?.name.trim() || !termForm?.startDate || !termForm?.endDate || !termForm?.dueDate}
+            sx={BUTTON_STYLES.primary}
+          >
+            Save
+          </Button>
+        </DialogActions>
+      </Dialog>
+
+      {/* Preview before generating */}
+      <Dialog open={Boolean(previewTerm)} onClose={() => setPreviewTerm(null)} maxWidth="lg" fullWidth>
+        <DialogTitle>Invoice Preview — {previewTerm?.name}</DialogTitle>
+        <DialogContent dividers>
+          {!preview ? (
+            <Box display="flex" justifyContent="center" py={6}>
+              <CircularProgress size={32} />
+            </Box>
+          ) : (
+            <>
+              <Box display="flex" flexWrap="wrap" gap={1} sx={{ mb: 2 }}>
+                <Chip label={`${preview.summary.invoices} new students`} color="primary" variant="outlined" />
+                <Chip label={`${preview.summary.adjustments} adjustments`} color="warning" variant="outlined" />
+                <Chip label={`${preview.summary.credits} credits`} color="success" variant="outlined" />
+                {preview.summary.concessionCredits > 0 && (
+                  <Chip label={`${preview.summary.concessionCredits} concession credits`} color="success" variant="outlined" />
+                )}
+                <Chip label={`${preview.summary.skipped} skipped`} variant="outlined" />
+                <Chip label={`${preview.summary.alreadyBilled} already billed`} variant="outlined" />
+                {preview.summary.concessionAmount > 0 && (
+                  <Chip label={`${formatAmount(preview.summary.concessionAmount)} concessions`} color="success" variant="outlined" />
+                )}
+                <Chip label={`Net ${formatAmount(preview.summary.total)}`} sx={{ fontWeight: 700 }} />
+              </Box>
+              {preview.rows.length === 0 ? (
+                <Typography color="text.secondary" textAlign="center" py={3}>Nothing to invoice for this term</Typography>
+              ) : (
+                <TableContainer sx={{ maxHeight: 480, borderRadius: BORDER_RADIUS.md }}>
+                  <Table size="small" stickyHeader>
+                    <TableHead>
+                      <TableRow>
+                        <TableCell sx={TABLE_STYLES.headerCell}>Student</TableCell>
+                        <TableCell sx={TABLE_STYLES.headerCell}>Route / Stop</TableCell>
+                        <TableCell sx={TABLE_STYLES.headerCell}>Action</TableCell>
+                        <TableCell sx={TABLE_STYLES.headerCell} align="right">Amount</TableCell>
+                        <TableCell sx={TABLE_STYLES.headerCell}>Installments / Notes</TableCell>
+                      </TableRow>
+                    </TableHead>
+                    <TableBody>
+                      {preview.rows.map(row => (
+                        <TableRow key={`${row.student._id}-${row.action}`} sx={{ opacity: row.action === 'skip' ? 0.6 : 1 }}>
+                          <TableCell sx={TABLE_STYLES.bodyCell}>
+                            <Typography variant="body2" sx={{ fontWeight: 600 }}>{row.student.name}</Typography>
+                            <Typography variant="caption" color="text.secondary">{row.student.studentId}</Typography>
+                          </TableCell>
+                          <TableCell sx={TABLE_STYLES.bodyCell}>
+                            {row.routeName ? `${row.routeName}${row.stopName ? ` · ${row.stopName}` : ''}` : '—'}
+                            {row.monthlyFee > 0 && (
+                              <Typography variant="caption" color="text.secondary" display="block">
+                                {formatAmount(row.monthlyFee)}/month
+                              </Typography>
+                            )}
+                          </TableCell>
+                          <TableCell sx={TABLE_STYLES.bodyCell}>
+                            <Chip size="small" label={ACTION_CHIPS[row.action].label} color={ACTION_CHIPS[row.action].color} />
+                          </TableCell>
+                          <TableCell sx={{ ...TABLE_STYLES.bodyCell, fontWeight: 700, whiteSpace: 'nowrap' }} align="right">
+                            {row.action === 'skip' ? '' : `${['credit', 'concession'].includes(row.action) ? '−' : ''}${formatAmount(row.amount)}`}
+                          </TableCell>
+                          <TableCell sx={TABLE_STYLES.bodyCell}>
+                            {row.action === 'skip' && row.reason}
+                            {row.action === 'invoice' && (
+                              <>
+                                <Typography variant="caption" display="block">
+                                  {PAYMENT_PLAN_LABELS[row.paymentPlan]}
+                                  {row.share < 1 && ` · prorated from ${formatDate(row.periodStart)} (${Math.round(row.share * 100)}% of the term)`}
+                                </Typography>
+                                {row.concessionAmount > 0 && (
+                                  <Typography variant="caption" display="block" sx={{ color: BRAND_COLORS.successGreen }}>
+                                    {formatAmount(row.grossAmount)} less {formatAmount(row.concessionAmount)} concession
+                                  </Typography>
+                                )}
+                                {row.installments.map((installment, i) => (
+                                  <Typography key={i} variant="caption" color="text.secondary" display="block">
+                                    {formatAmount(installment.amount)} due {formatDate(installment.dueDate)}
+                                  </Typography>
+                                ))}
+                              </>
+                            )}
+                            {row.action === 'concession' && (
+                              <Typography variant="caption" display="block" sx={{ color: BRAND_COLORS.successGreen }}>
+                                Already billed; {row.concessions.map(formatConcession).join(', ')} granted since, from {formatDate(row.periodStart)}
+                              </Typography>
+                            )}
+                            {(row.action === 'adjustment' || row.action === 'credit') && (
+                              <>
+                                <Typography variant="caption" display="block">
+                                  Was {row.previousRouteName ? `${row.previousRouteName} · ${row.previousStopName}` : 'another stop'} ({formatAmount(row.previousMonthlyFee)}/month), changed {formatDate(row.periodStart)}
+                                </Typography>
+                                {row.reason && (
+                                  <Typography variant="caption" color="text.secondary" display="block">{row.reason}</Typography>
+                                )}
+                              </>
+                            )}
+                          </TableCell>
+                        </TableRow>
+                      ))}
+                    </TableBody>
+                  </Table>
+                </TableContainer>
+              )}
+            </>
+          )}
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setPreviewTerm(null)} disabled={saving}>Cancel</Button>
+          <Button variant="contained" onClick={handleGenerate} disabled={saving || billableCount === 0} sx={BUTTON_STYLES.primary}>
+            {saving ? 'Generating…' : `Generate for ${billableCount} students`}
+          </Button>
+        </DialogActions>
+      </Dialog>
+
+      <ConfirmDialog
+        open={Boolean(deletingTerm)}
+        title="Delete Billing Term"
+        message={`Delete the billing term ${deletingTerm?.name}?`}
+        confirmText="Delete"
+        variant="danger"
+        onConfirm={handleDelete}
+        onCancel={() => setDeletingTerm(null)}
+        loading={saving}
+      />
+    </Card>
+  );
+};
+
+export default BillingTermsCard;
@@ -0,0 +1,232 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Card, CardContent, Typography, Box, Table, TableBody, TableCell, TableContainer,
+  TableHead, TableRow, Chip, Button, Dialog, DialogTitle, DialogContent, DialogActions,
+  TextField, MenuItem, CircularProgress, Tooltip
+} from '@mui/material';
+import { Check, Close, Discount } from '@mui/icons-material';
+import { feeService } from '../../../services';
+import { useAuth } from '../../../context/AuthContext';
+import { hasPermission } from '../../../utils/permissions';
+import { BRAND_COLORS, TABLE_STYLES } from '../../../styles/brandStyles';
+import {
+  formatAmount, formatConcessionAmount,
+  CONCESSION_CATEGORY_LABELS, CONCESSION_STATUS_LABELS, CONCESSION_STATUS_COLORS
+} from '../../../utils/fees';
+
+const formatDate = (value) => (value ? new Date(value).toLocaleDateString('en-US', {
+  year: 'numeric',
+  month: 'short',
+  day: 'numeric'
+}) : '—');
+
+/**
+ * Fee concessions of the Fee Management view: the ones waiting for approval (or any
+ * status), approved or rejected here by admins with fees:approve. Concessions are
+ * granted from the student's details.
+ * @param {Function} showSnack - Snackbar of the parent view
+ */
+const ConcessionsCard = ({ showSnack }) => {
+  const { user: currentUser } = useAuth();
+  const [concessions, setConcessions] = useState([]);
+  const [threshold, setThreshold] = useState(null);
+  const [statusFilter, setStatusFilter] = useState('pending');
+  const [loading, setLoading] = useState(true);
+  const [rejecting, setRejecting] = useState(null);
+  const [rejectReason, setRejectReason] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  const canApprove = hasPermission(currentUser, 'fees:approve');
+
+  useEffect(() => {
+    loadConcessions();
+  }, [statusFilter]);
+
+  const loadConcessions = async () => {
+    try {
+      setLoading(true);
+      const response = await feeService.getConcessions({ status: statusFilter || undefined, limit: 20 });
+      setConcessions(response.data.data || []);
+      setThreshold(response.data.approvalThreshold || null);
+    } catch (error) {
+      console.error('Error loading concessions:', error);
+      showSnack('Failed to load concessions', 'error');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleApprove = async (concession) => {
+    try {
+      setSaving(true);
+      const response = await feeService.approveConcession(concession._id);
+      showSnack(response.data.message);
+      loadConcessions();
+    } catch (error) {
+      console.error('Error approving concession:', error);
+      showSnack(error.response?.data?.message || 'Failed to approve concession', 'error');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleReject = async () => {
+    try {
+      setSaving(true);
+      const response = await feeService.rejectConcession(rejecting._id, rejectReason);
+      showSnack(response.data.message);
+      setRejecting(null);
+      loadConcessions();
+    } catch (error) {
+      console.error('Error rejecting concession:', error);
+      showSnack(error.response?.data?.message || 'Failed to reject concession', 'error');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const canDecide = (concession) =>
+    canApprove && concession.status === 'pending' && concession.requestedBy?._id !== currentUser?._id;
+
+  return (
+    <Card sx={{ mb: 3 }}>
+      <CardContent sx={{ p: 3 }}>
+        <Box display="flex" justifyContent="space-between" alignItems="center" sx={{ mb: 2 }}>
+          <Box>
+            <Typography variant="h6" sx={{ fontWeight: 700, color: BRAND_COLORS.slate900 }}>
+              Concessions
+            </Typography>
+            <Typography variant="body2" color="text.secondary">
+              Granted from a student's details
+              {threshold && `; above ${threshold.percentage}% or ${formatAmount(threshold.amount)}/month they need approval`}
+            </Typography>
+          </Box>
+          <TextField
+            select
+            size="small"
+            label="Status"
+            value={statusFilter}
+            onChange={(e) => setStatusFilter(e.target.value)}
+            sx={{ minWidth: 170 }}
+          >
+            <MenuItem value="">All</MenuItem>
+            {Object.entries(CONCESSION_STATUS_LABELS).map(([value, label]) => (
+              <MenuItem key={value} value={value}>{label}</MenuItem>
+            ))}
+          </TextField>
+        </Box>
+
+        {loading ? (
+          <Box display="flex" justifyContent="center" py={3}>
+            <CircularProgress size={28} />
+          </Box>
+        ) : concessions.length === 0 ? (
+          <Box textAlign="center" py={3}>
+            <Discount sx={{ fontSize: 48, color: BRAND_COLORS.slate300 }} />
+            <Typography color="text.secondary">
+              {statusFilter === 'pending' ? 'No concessions awaiting approval' : 'No concessions'}
+            </Typography>
+          </Box>
+        ) : (
+          <TableContainer>
+            <Table size="small">
+              <TableHead>
+                <TableRow>
+                  <TableCell sx={TABLE_STYLES.headerCell}>Student</TableCell>
+                  <TableCell sx={TABLE_STYLES.headerCell}>Concession</TableCell>
+                  <TableCell sx={TABLE_STYLES.headerCell}>Valid</TableCell>
+                  <TableCell sx={TABLE_STYLES.headerCell}>Requested</TableCell>
+                  <TableCell sx={TABLE_STYLES.headerCell}>Status</TableCell>
+                  <TableCell sx={TABLE_STYLES.headerCell} align="right">Actions</TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {concessions.map(concession => (
+                  <TableRow key={concession._id}>
+                    <TableCell sx={TABLE_STYLES.bodyCell}>
+                      <Typography variant="body2" sx={{ fontWeight: 600 }}>{concession.student?.name || '—'}</Typography>
+                      <Typography variant="caption" color="text.secondary">{concession.student?.studentId}</Typography>
+                    </TableCell>
+                    <TableCell sx={TABLE_STYLES.bodyCell}>
+                      <Typography variant="body2" sx={{ fontWeight: 600 }}>
+                        {CONCESSION_CATEGORY_LABELS[concession.category]} · {formatConcessionAmount(concession)}
+                      </Typography>
+                      <Typography variant="caption" color="text.secondary">{concession.reason}</Typography>
+                    </TableCell>
+                    <TableCell sx={TABLE_STYLES.bodyCell}>
+                      {formatDate(concession.validFrom)} – {concession.validUntil ? formatDate(concession.validUntil) : 'until revoked'}
+                    </TableCell>
+                    <TableCell sx={TABLE_STYLES.bodyCell}>
+                      <Typography variant="body2">{concession.requestedBy?.name || '—'}</Typography>
+                      <Typography variant="caption" color="text.secondary">{formatDate(concession.createdAt)}</Typography>
+                    </TableCell>
+                    <TableCell sx={TABLE_STYLES.bodyCell}>
+                      <Tooltip title={concession.decisionNote || concession.revokeReason || (concession.decidedBy ? `By ${concession.decidedBy.name}` : '')}>
+                        <Chip
+                          size="small"
+                          label={CONCESSION_STATUS_LABELS[concession.status]}
+                          color={CONCESSION_STATUS_COLORS[concession.status]}
+                        />
+                      </Tooltip>
+                    </TableCell>
+                    <TableCell sx={TABLE_STYLES.bodyCell} align="right">
+                      {canDecide(concession) && (
+                        <Box display="flex" justifyContent="flex-end" gap={0.5}>
+                          <Button
+                            size="small"
+                            color="success"
+                            startIcon={<Check />}
+                            onClick={() => handleApprove(concession)}
+                            disabled={saving}
+                            sx={{ textTransform: 'none' }}
+                          >
+                            Approve
+                          </Button>
+                          <Button
+                            size="small"
+                            color="error"
+                            startIcon={<Close />}
+                            onClick={() => { setRejecting(concession); setRejectReason(''); }}
+                            disabled={saving}
+                            sx={{ textTransform: 'none' }}
+                          >
+                            Reject
+                          </Button>
+                        </Box>
+                      )}
+                    </TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          </TableContainer>
+        )}
+      </CardContent>
+
+      <Dialog open={Boolean(rejecting)} onClose={() => setRejecting(null)} maxWidth="xs" fullWidth>
+        <DialogTitle>Reject Concession</DialogTitle>
+        <DialogContent dividers>
+          <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+            {rejecting && `${CONCESSION_CATEGORY_LABELS[rejecting.category]} · ${formatConcessionAmount(rejecting)} for ${rejecting.student?.name}`}
+          </Typography>
+          <TextField
+            label="Reason"
+            value={rejectReason}
+            onChange={(e) => setRejectReason(e.target.value)}
+            fullWidth
+            required
+            autoFocus
+          />
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setRejecting(null)} disabled={saving}>Cancel</Button>
+          <Button variant="contained" color="error" onClick={handleReject} disabled={saving || !rejectReason.trim()}>
+            Reject
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </Card>
+  );
+};
+
+export default ConcessionsCard;
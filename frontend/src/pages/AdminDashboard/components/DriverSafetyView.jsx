@@ -0,0 +1,320 @@
+/**
+ * Driver Safety View
+ *
+ * Driving behaviour per driver, built from the safety events recorded on trips:
+ * - Overspeeding above the route's speed limit
+ * - Harsh braking / sudden stops
+ * - Prolonged idling with a trip open
+ * Pick a date range, then a driver to see the individual events.
+ */
+
+import React, { useState, useEffect } from 'react';
+import {
+  Container,
+  Grid,
+  Card,
+  CardContent,
+  Typography,
+  Box,
+  Chip,
+  Alert,
+  CircularProgress,
+  TextField,
+  Button,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow
+} from '@mui/material';
+import {
+  HealthAndSafety,
+  Speed,
+  Warning,
+  HourglassBottom,
+  Refresh
+} from '@mui/icons-material';
+import { trackingService } from '../../../services';
+import {
+  BRAND_COLORS,
+  CARD_STYLES,
+  BORDER_RADIUS,
+  TABLE_STYLES
+} from '../../../styles/brandStyles';
+
+const DEFAULT_RANGE_DAYS = 30;
+
+const EVENT_TYPES = {
+  overspeed: { label: 'Overspeed', color: 'error', icon: <Speed sx={{ fontSize: 16 }} /> },
+  harsh_braking: { label: 'Harsh Braking', color: 'warning', icon: <Warning sx={{ fontSize: 16 }} /> },
+  idle: { label: 'Idling', color: 'default', icon: <HourglassBottom sx={{ fontSize: 16 }} /> }
+};
+
+const toDateInputValue = (date) => {
+  const offset = date.getTimezoneOffset() * 60000;
+  return new Date(date.getTime() - offset).toISOString().slice(0, 10);
+};
+
+const formatDuration = (seconds) => {
+  if (seconds === null || seconds === undefined) return '—';
+  if (seconds < 60) return `${seconds}s`;
+  const minutes = Math.floor(seconds / 60);
+  return minutes < 60 ? `${minutes}m ${seconds % 60}s` : `${Math.floor(minutes / 60)}h ${minutes % 60}m`;
+};
+
+const DriverSafetyView = () => {
+  const [from, setFrom] = useState(toDateInputValue(new Date(Date.now() - DEFAULT_RANGE_DAYS * 24 * 60 * 60 * 1000)));
+  const [to, setTo] = useState(toDateInputValue(new Date()));
+  const [drivers, setDrivers] = useState([]);
+  const [selectedDriverId, setSelectedDriverId] = useState(null);
+  const [report, setReport] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [reportLoading, setReportLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  // Dates are whole days in local time
+  const getRangeParams = () => ({
+    from: new Date(`${from}T00:00:00`).toISOString(),
+    to: new Date(`${to}T23:59:59.999`).toISOString()
+  });
+
+  const loadOverview = async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      const response = await trackingService.getSafetyOverview(getRangeParams());
+      setDrivers(response.data?.data || []);
+    } catch (err) {
+      console.error('Failed to load safety overview:', err);
+      setError(err.response?.data?.message || 'Failed to load driver safety data');
+      setDrivers([]);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const loadReport = async (driverId) => {
+    try {
+      setReportLoading(true);
+      const response = await trackingService.getDriverSafetyReport(driverId, getRangeParams());
+      setReport(response.data?.data || null);
+    } catch (err) {
+      console.error('Failed to load driver safety report:', err);
+      setError(err.response?.data?.message || 'Failed to load driver report');
+      setReport(null);
+    } finally {
+      setReportLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    loadOverview();
+    if (selectedDriverId) loadReport(selectedDriverId);
+  }, [from, to]);
+
+  const handleSelectDriver = (driverId) => {
+    setSelectedDriverId(driverId);
+    loadReport(driverId);
+  };
+
+  return (
+    <Container maxWidth="xl" sx={{ py: 4 }}>
+      {/* Header */}
+      <Box display="flex" justifyContent="space-between" alignItems="center" flexWrap="wrap" gap={2} mb={4}>
+        <Box>
+          <Typography variant="h4" sx={{ fontWeight: 800, color: BRAND_COLORS.slate900, mb: 1 }}>
+            Driver Safety
+          </Typography>
+          <Typography variant="body1" sx={{ color: BRAND_COLORS.slate600 }}>
+            Speeding, harsh braking and idling recorded on trips
+          </Typography>
+        </Box>
+
+        <Box display="flex" alignItems="center" gap={2}>
+          <TextField
+            label="From"
+            type="date"
+            size="small"
+            value={from}
+            onChange={(e) => e.target.value && setFrom(e.target.value)}
+            InputLabelProps={{ shrink: true }}
+          />
+          <TextField
+            label="To"
+            type="date"
+            size="small"
+            value={to}
+            onChange={(e) => e.target.value && setTo(e.target.value)}
+            InputLabelProps={{ shrink: true }}
+          />
+          <Button
+            variant="contained"
+            startIcon={<Refresh />}
+            onClick={() => {
+              loadOverview();
+              if (selectedDriverId) loadReport(selectedDriverId);
+            }}
+            disabled={loading}
+            sx={{
+              bgcolor: BRAND_COLORS.skyBlue,
+              '&:hover': { bgcolor: BRAND_COLORS.skyBlueDark }
+            }}
+          >
+            Refresh
+          </Button>
+        </Box>
+      </Box>
+
+      {error && (
+        <Alert severity="error" sx={{ mb: 3, borderRadius: BORDER_RADIUS.md }} onClose={() => setError(null)}>
+          {error}
+        </Alert>
+      )}
+
+      <Grid container spacing={3}>
+        {/* Drivers */}
+        <Grid item xs={12} lg={selectedDriverId ? 6 : 12}>
+          <Card sx={{ ...CARD_STYLES.standard }}>
+            <CardContent>
+              <Box display="flex" alignItems="center" gap={1} mb={2}>
+                <HealthAndSafety sx={{ color: BRAND_COLORS.skyBlue }} />
+                <Typography variant="h6" sx={{ fontWeight: 700 }}>
+                  Drivers
+                </Typography>
+              </Box>
+
+              {loading ? (
+                <Box display="flex" justifyContent="center" py={6}>
+                  <CircularProgress sx={{ color: BRAND_COLORS.skyBlue }} />
+                </Box>
+              ) : drivers.length === 0 ? (
+                <Typography variant="body2" sx={{ color: BRAND_COLORS.slate600, py: 4, textAlign: 'center' }}>
+                  No trips in this period
+                </Typography>
+              ) : (
+                <TableContainer sx={{ borderRadius: BORDER_RADIUS.md, overflow: 'hidden' }}>
+                  <Table size="small">
+                    <TableHead>
+                      <TableRow sx={{ bgcolor: BRAND_COLORS.slate100 }}>
+                        <TableCell sx={TABLE_STYLES.headerCell}>Driver</TableCell>
+                        <TableCell sx={TABLE_STYLES.headerCell} align="right">Trips</TableCell>
+                        <TableCell sx={TABLE_STYLES.headerCell} align="right">Km</TableCell>
+                        <TableCell sx={TABLE_STYLES.headerCell} align="right">Overspeed</TableCell>
+                        <TableCell sx={TABLE_STYLES.headerCell} align="right">Harsh Braking</TableCell>
+                        <TableCell sx={TABLE_STYLES.headerCell} align="right">Idling</TableCell>
+                        <TableCell sx={TABLE_STYLES.headerCell} align="right">Per 100 km</TableCell>
+                      </TableRow>
+                    </TableHead>
+                    <TableBody>
+                      {drivers.map((row) => (
+                        <TableRow
+                          key={row.driver._id}
+                          hover
+                          selected={row.driver._id === selectedDriverId}
+                          onClick={() => handleSelectDriver(row.driver._id)}
+                          sx={{ cursor: 'pointer' }}
+                        >
+                          <TableCell sx={TABLE_STYLES.bodyCell}>
+                            <Typography variant="body2" sx={{ fontWeight: 600 }}>{row.driver.name}</Typography>
+                            <Typography variant="caption" sx={{ color: BRAND_COLORS.slate500 }}>{row.driver.email}</Typography>
+                          </TableCell>
+                          <TableCell sx={TABLE_STYLES.bodyCell} align="right">{row.trips}</TableCell>
+                          <TableCell sx={TABLE_STYLES.bodyCell} align="right">{row.distanceKm}</TableCell>
+                          <TableCell sx={TABLE_STYLES.bodyCell} align="right">
+                            {row.overspeed.count}
+                            {row.overspeed.topSpeedKmh ? ` (max ${row.overspeed.topSpeedKmh} km/h)` : ''}
+                          </TableCell>
+                          <TableCell sx={TABLE_STYLES.bodyCell} align="right">{row.harshBraking.count}</TableCell>
+                          <TableCell sx={TABLE_STYLES.bodyCell} align="right">
+                            {row.idle.count}
+                            {row.idle.seconds ? ` (${formatDuration(row.idle.seconds)})` : ''}
+                          </TableCell>
+                          <TableCell sx={TABLE_STYLES.bodyCell} align="right">
+                            {row.eventsPer100Km ?? '—'}
+                          </TableCell>
+                        </TableRow>
+                      ))}
+                    </TableBody>
+                  </Table>
+                </TableContainer>
+              )}
+            </CardContent>
+          </Card>
+        </Grid>
+
+        {/* Selected driver's events */}
+        {selectedDriverId && (
+          <Grid item xs={12} lg={6}>
+            <Card sx={{ ...CARD_STYLES.standard }}>
+              <CardContent>
+                {reportLoading || !report ? (
+                  <Box display="flex" justifyContent="center" py={6}>
+                    <CircularProgress sx={{ color: BRAND_COLORS.skyBlue }} />
+                  </Box>
+                ) : (
+                  <>
+                    <Typography variant="h6" sx={{ fontWeight: 700, mb: 1 }}>
+                      {report.driver.name}
+                    </Typography>
+                    <Box display="flex" gap={1} flexWrap="wrap" mb={2}>
+                      <Chip size="small" label={`${report.summary.trips} trips`} />
+                      <Chip size="small" label={`${report.summary.distanceKm} km`} />
+                      <Chip size="small" color="error" variant="outlined" label={`${report.summary.overspeed.count} overspeed (${formatDuration(report.summary.overspeed.seconds)})`} />
+                      <Chip size="small" color="warning" variant="outlined" label={`${report.summary.harshBraking.count} harsh braking`} />
+                      <Chip size="small" variant="outlined" label={`${report.summary.idle.count} idling (${formatDuration(report.summary.idle.seconds)})`} />
+                    </Box>
+
+                    {report.events.length === 0 ? (
+                      <Typography variant="body2" sx={{ color: BRAND_COLORS.slate600, py: 4, textAlign: 'center' }}>
+                        No safety events in this period
+                      </Typography>
+                    ) : (
+                      <TableContainer sx={{ borderRadius: BORDER_RADIUS.md, overflow: 'auto', maxHeight: 520 }}>
+                        <Table size="small" stickyHeader>
+                          <TableHead>
+                            <TableRow>
+                              <TableCell sx={TABLE_STYLES.headerCell}>Event</TableCell>
+                              <TableCell sx={TABLE_STYLES.headerCell}>When</TableCell>
+                              <TableCell sx={TABLE_STYLES.headerCell}>Details</TableCell>
+                              <TableCell sx={TABLE_STYLES.headerCell}>Bus / Route</TableCell>
+                            </TableRow>
+                          </TableHead>
+                          <TableBody>
+                            {report.events.map((event, index) => {
+                              const eventType = EVENT_TYPES[event.type] || { label: event.type, color: 'default' };
+                              return (
+                                <TableRow key={`${event.tripId}-${event.type}-${index}`}>
+                                  <TableCell sx={TABLE_STYLES.bodyCell}>
+                                    <Chip size="small" icon={eventType.icon} label={eventType.label} color={eventType.color} />
+                                  </TableCell>
+                                  <TableCell sx={TABLE_STYLES.bodyCell}>
+                                    {new Date(event.startedAt).toLocaleString()}
+                                  </TableCell>
+                                  <TableCell sx={TABLE_STYLES.bodyCell}>
+                                    {event.type === 'overspeed' && `${event.speedKmh} km/h in a ${event.speedLimitKmh} km/h limit for ${formatDuration(event.durationSeconds)}`}
+                                    {event.type === 'harsh_braking' && `${event.speedKmh} km/h, ${event.decelerationMps2} m/s²`}
+                                    {event.type === 'idle' && `Stationary for ${formatDuration(event.durationSeconds)}`}
+                                  </TableCell>
+                                  <TableCell sx={TABLE_STYLES.bodyCell}>
+                                    {event.bus?.busNumber || '—'} / {event.route?.routeName || '—'}
+                                  </TableCell>
+                                </TableRow>
+                              );
+                            })}
+                          </TableBody>
+                        </Table>
+                      </TableContainer>
+                    )}
+                  </>
+                )}
+              </CardContent>
+            </Card>
+          </Grid>
+        )}
+      </Grid>
+    </Container>
+  );
+};
+
+export default DriverSafetyView;
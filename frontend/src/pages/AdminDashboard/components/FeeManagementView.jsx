@@ -2,27 +2,53 @@ import React, { useState, useEffect } from 'react';
 import {
   Container, Grid, Card, CardContent, Typography, Box, Table, TableBody,
   TableCell, TableContainer, TableHead, TableRow, Chip, IconButton, Avatar,
-  Button, Dialog, DialogTitle, DialogContent, DialogActions,
-  Select, MenuItem, FormControl, InputLabel, Snackbar, Alert as MuiAlert
+  Button, Dialog, DialogTitle, DialogContent, DialogActions, TextField,
+  MenuItem, CircularProgress, Snackbar, Alert as MuiAlert
 } from '@mui/material';
 import Tooltip from '@mui/material/Tooltip';
-import { Payment, Edit, FilterList, PersonOff, CheckCircleOutline, ErrorOutline, Warning } from '@mui/icons-material';
-import { userService } from '../../../services';
+import { Payment, ReceiptLong, FilterList, AddCard, PostAdd, NoteAdd, UploadFile } from '@mui/icons-material';
+import { userService, feeService } from '../../../services';
 import { BRAND_COLORS, BUTTON_STYLES, BORDER_RADIUS } from '../../../styles/brandStyles';
-import ConfirmDialog from '../../../components/ConfirmDialog';
+import FeeLedgerTable from '../../../components/FeeLedgerTable';
+import BillingTermsCard from './BillingTermsCard';
+import OnlinePaymentsCard from './OnlinePaymentsCard';
+import FeePolicyCard from './FeePolicyCard';
+import ConcessionsCard from './ConcessionsCard';
+import BankImportDialog from './BankImportDialog';
+import {
+  formatAmount, formatFeeStatus, FEE_STATUS_COLORS, PAYMENT_METHOD_LABELS, PAYMENT_PLAN_LABELS
+} from '../../../utils/fees';
+
+const today = () => new Date().toISOString().slice(0, 10);
+
+// Empty form for each kind of ledger entry
+const ENTRY_FORMS = {
+  payment: () => ({ amount: '', method: 'cash', reference: '', term: '', paidAt: today(), invoice: '', notes: '' }),
+  invoice: () => ({ amount: '', term: '', description: 'Transport fee', dueDate: '' }),
+  note: () => ({ text: '' })
+};
+
+const ENTRY_TITLES = {
+  payment: 'Record Payment',
+  invoice: 'Add Charge',
+  note: 'Add Note'
+};
 
 const FeeManagementView = () => {
   const [users, setUsers] = useState([]);
   const [loading, setLoading] = useState(true);
   const [feeSearchQuery, setFeeSearchQuery] = useState('');
   const [selectedStudent, setSelectedStudent] = useState(null);
-  const [openFeeStatusDialog, setOpenFeeStatusDialog] = useState(false);
-  const [feeStatus, setFeeStatus] = useState('pending');
+  const [ledger, setLedger] = useState(null);
+  const [entryType, setEntryType] = useState(null);
+  const [entryForm, setEntryForm] = useState({});
+  const [voidEntry, setVoidEntry] = useState(null);
+  const [voidReason, setVoidReason] = useState('');
+  const [plan, setPlan] = useState({ feePaymentType: 'full', customInstallment: '' });
+  const [saving, setSaving] = useState(false);
   const [unpaidOnly, setUnpaidOnly] = useState(false);
-  const [isDisplacing, setIsDisplacing] = useState(false);
   const [snack, setSnack] = useState({ open: false, message: '', severity: 'success' });
-  const [openMarkDefaultersConfirm, setOpenMarkDefaultersConfirm] = useState(false);
-  const [defaultersToMarkCount, setDefaultersToMarkCount] = useState(0);
+  const [bankImportOpen, setBankImportOpen] = useState(false);
 
   useEffect(() => {
     loadData();
@@ -45,67 +71,114 @@ const FeeManagementView = () => {
     setSnack({ open: true, message, severity });
   };
 
-  const formatFeeStatus = (status) => {
-    switch (status) {
-      case 'paid': return 'Paid';
-      case 'partially_paid': return 'Partially Paid';
-      case 'pending': return 'Pending';
-      case 'defaulter': return 'Defaulter';
-      default: return status;
+  const loadLedger = async (student) => {
+    try {
+      const response = await feeService.getStudentLedger(student._id);
+      const { student: studentData } = response.data.data;
+      setLedger(response.data.data);
+      setPlan({
+        feePaymentType: studentData.feePaymentType || 'full',
+        customInstallment: studentData.customInstallment ?? ''
+      });
+    } catch (error) {
+      console.error('Error loading fee history:', error);
+      showSnack(error.response?.data?.message || 'Failed to load fee history', 'error');
     }
   };
 
-  const openDialog = (student) => {
+  const openLedger = (student) => {
     setSelectedStudent(student);
-    setFeeStatus(student.feeStatus || 'pending');
-    setOpenFeeStatusDialog(true);
+    setLedger(null);
+    loadLedger(student);
   };
 
-  const closeDialog = () => {
-    setOpenFeeStatusDialog(false);
+  const closeLedger = () => {
     setSelectedStudent(null);
-    setFeeStatus('pending');
+    setLedger(null);
+  };
+
+  // Refresh the ledger and the student's status/balance in the list after a change
+  const applyFeeChange = (fees) => {
+    setUsers(prev => prev.map(u => (
+      u._id === selectedStudent._id ? { ...u, feeStatus: fees.feeStatus, feeBalance: fees.balance } : u
+    )));
+    loadLedger(selectedStudent);
   };
 
-  const handleSubmit = async () => {
+  const openEntryForm = (type) => {
+    setEntryType(type);
+    setEntryForm(ENTRY_FORMS[type]());
+  };
+
+  const handleEntryFormChange = (field) => (e) => {
+    setEntryForm(prev => ({ ...prev, [field]: e.target.value }));
+  };
+
+  const handleEntrySubmit = async () => {
     try {
-      await userService.updateUser(selectedStudent._id, { feeStatus });
-      showSnack('Fee status updated successfully');
-      closeDialog();
-      loadData();
+      setSaving(true);
+      let response;
+      if (entryType === 'payment') {
+        response = await feeService.recordPayment(selectedStudent._id, { ...entryForm, invoice: entryForm.invoice || null });
+      } else if (entryType === 'invoice') {
+        response = await feeService.createInvoice(selectedStudent._id, { ...entryForm, dueDate: entryForm.dueDate || null });
+      } else {
+        response = await feeService.addNote(selectedStudent._id, entryForm.text);
+      }
+      showSnack(response.data.message);
+      setEntryType(null);
+      if (response.data.data.fees) {
+        applyFeeChange(response.data.data.fees);
+      } else {
+        loadLedger(selectedStudent);
+      }
     } catch (error) {
-      console.error('Error updating fee status:', error);
-      showSnack('Failed to update fee status', 'error');
+      console.error('Error saving fee entry:', error);
+      showSnack(error.response?.data?.message || 'Failed to save', 'error');
+    } finally {
+      setSaving(false);
     }
   };
 
-
-  const handleMarkDefaulters = async () => {
-    const studentsToMark = filteredStudents.filter(s => s.feeStatus === 'partially_paid');
-    if (studentsToMark.length === 0) {
-      showSnack('No partially paid students found to mark as defaulters', 'info');
-      return;
+  const handlePlanSave = async () => {
+    try {
+      setSaving(true);
+      const response = await feeService.updatePaymentPlan(selectedStudent._id, plan);
+      showSnack(response.data.message);
+    } catch (error) {
+      console.error('Error updating payment plan:', error);
+      showSnack(error.response?.data?.message || 'Failed to update payment plan', 'error');
+    } finally {
+      setSaving(false);
     }
+  };
 
-    setDefaultersToMarkCount(studentsToMark.length);
-    setOpenMarkDefaultersConfirm(true);
+  const openVoidDialog = (entry) => {
+    setVoidEntry(entry);
+    setVoidReason('');
   };
 
-  const confirmMarkDefaulters = async () => {
+  const handleVoid = async () => {
     try {
-      setOpenMarkDefaultersConfirm(false);
-      setIsDisplacing(true);
-      await userService.markFeeDefaulters();
-      showSnack(`Successfully updated students and unassigned them from buses`);
-      loadData();
+      setSaving(true);
+      const response = voidEntry.kind === 'invoice'
+        ? await feeService.voidInvoice(voidEntry._id, voidReason)
+        : await feeService.voidPayment(voidEntry._id, voidReason);
+      showSnack(response.data.message);
+      setVoidEntry(null);
+      applyFeeChange(response.data.data.fees);
     } catch (error) {
-      console.error('Error marking defaulters:', error);
-      showSnack('Error marking defaulters. Please try again.', 'error');
+      console.error('Error voiding fee entry:', error);
+      showSnack(error.response?.data?.message || 'Failed to void', 'error');
     } finally {
-      setIsDisplacing(false);
+      setSaving(false);
     }
   };
 
+  const openInvoices = (ledger?.entries || []).filter(e => e.kind === 'invoice' && e.type !== 'credit' && e.status === 'open');
+  const selectedFeeStatus = users.find(u => u._id === selectedStudent?._id)?.feeStatus;
+
+
   const filteredStudents = users
     .filter(u => u.role === 'student')
     .filter(u => !unpaidOnly || u.feeStatus !== 'paid')
@@ -113,6 +186,11 @@ const FeeManagementView = () => {
 
   return (
     <Container maxWidth="xl" sx={{ p: 3 }}>
+      <BillingTermsCard onInvoicesGenerated={loadData} showSnack={showSnack} />
+      <OnlinePaymentsCard onPaymentsReconciled={loadData} showSnack={showSnack} />
+      <FeePolicyCard onPolicyApplied={loadData} showSnack={showSnack} />
+      <ConcessionsCard showSnack={showSnack} />
+
       <Grid item xs={12}>
         <Card>
           <CardContent sx={{ p: 3 }}>
@@ -141,19 +219,21 @@ const FeeManagementView = () => {
                 >
                   {unpaidOnly ? "Showing Unpaid Only" : "Filter Unpaid"}
                 </Button>
-                {unpaidOnly && filteredStudents.some(s => s.feeStatus === 'partially_paid') && (
-                  <Button
-                    size="small"
-                    variant="contained"
-                    color="error"
-                    startIcon={<PersonOff />}
-                    onClick={handleMarkDefaulters}
-                    disabled={isDisplacing}
-                    sx={{ borderRadius: BORDER_RADIUS.md, textTransform: 'none', fontWeight: 600 }}
-                  >
-                    Mark Defaulters
-                  </Button>
-                )}
+                <Button
+                  size="small"
+                  variant="outlined"
+                  startIcon={<UploadFile />}
+                  onClick={() => setBankImportOpen(true)}
+                  sx={{
+                    borderRadius: BORDER_RADIUS.md,
+                    textTransform: 'none',
+                    fontWeight: 600,
+                    color: BRAND_COLORS.slate700,
+                    borderColor: BRAND_COLORS.slate300
+                  }}
+                >
+                  Import Bank CSV
+                </Button>
               </Box>
               <Box
                 component="input"
@@ -182,6 +262,7 @@ const FeeManagementView = () => {
                     <TableCell>Student</TableCell>
                     <TableCell>Student ID</TableCell>
                     <TableCell>Fee Status</TableCell>
+                    <TableCell align="right">Balance</TableCell>
                     <TableCell align="right">Actions</TableCell>
                   </TableRow>
                 </TableHead>
@@ -203,26 +284,30 @@ const FeeManagementView = () => {
                         <Chip
                           label={formatFeeStatus(student.feeStatus)}
                           size="small"
-                          color={
-                            student.feeStatus === 'paid' ? 'success' :
-                              student.feeStatus === 'partially_paid' ? 'warning' :
-                                student.feeStatus === 'defaulter' ? 'error' : 'default'
-                          }
+                          color={FEE_STATUS_COLORS[student.feeStatus] || 'default'}
                         />
                       </TableCell>
+                      <TableCell align="right">
+                        <Typography
+                          variant="body2"
+                          sx={{ fontWeight: 600, color: student.feeBalance > 0 ? BRAND_COLORS.errorRed : BRAND_COLORS.slate700 }}
+                        >
+                          {formatAmount(student.feeBalance)}
+                        </Typography>
+                      </TableCell>
                       <TableCell align="right">
                         <Box display="flex" justifyContent="flex-end" gap={1}>
-                          <Tooltip title="Update Fee Status">
+                          <Tooltip title="Fee History & Payments">
                             <IconButton
                               size="small"
-                              onClick={() => openDialog(student)}
+                              onClick={() => openLedger(student)}
                               sx={{
                                 color: BRAND_COLORS.skyBlue,
                                 bgcolor: 'rgba(14, 165, 233, 0.08)',
                                 '&:hover': { bgcolor: 'rgba(14, 165, 233, 0.15)' }
                               }}
                             >
-                              <Edit fontSize="small" />
+                              <ReceiptLong fontSize="small" />
                             </IconButton>
                           </Tooltip>
 
@@ -245,60 +330,224 @@ const FeeManagementView = () => {
       </Grid>
 
 
-      {/* Fee Status Dialog — simple, fee-only */}
-      <Dialog open={openFeeStatusDialog} onClose={closeDialog} maxWidth="xs" fullWidth>
+      {/* Fee History Dialog — ledger of charges, payments and notes */}
+      <Dialog open={Boolean(selectedStudent)} onClose={closeLedger} maxWidth="lg" fullWidth>
         <DialogTitle>
-          Update Fee Status — {selectedStudent?.name}
+          Fee History — {selectedStudent?.name}
+          {selectedStudent?.studentId && (
+            <Typography component="span" variant="body2" color="text.secondary" sx={{ ml: 1 }}>
+              ({selectedStudent.studentId})
+            </Typography>
+          )}
         </DialogTitle>
         <DialogContent dividers>
-          <Box sx={{ mt: 1 }}>
-            <FormControl fullWidth>
-              <InputLabel>Fee Status</InputLabel>
-              <Select
-                value={feeStatus}
-                label="Fee Status"
-                onChange={(e) => setFeeStatus(e.target.value)}
-              >
-                <MenuItem value="pending">
-                  <Box display="flex" alignItems="center" gap={1}>
-                    <ErrorOutline fontSize="small" color="error" /> Pending
-                  </Box>
-                </MenuItem>
-                <MenuItem value="partially_paid">
-                  <Box display="flex" alignItems="center" gap={1}>
-                    <Warning fontSize="small" sx={{ color: '#f59e0b' }} /> Partially Paid
-                  </Box>
-                </MenuItem>
-                <MenuItem value="paid">
-                  <Box display="flex" alignItems="center" gap={1}>
-                    <CheckCircleOutline fontSize="small" color="success" /> Paid
-                  </Box>
-                </MenuItem>
-                <MenuItem value="defaulter">
-                  <Box display="flex" alignItems="center" gap={1}>
-                    <PersonOff fontSize="small" color="error" /> Defaulter
+          {!ledger ? (
+            <Box display="flex" justifyContent="center" py={6}>
+              <CircularProgress size={32} />
+            </Box>
+          ) : (
+            <>
+              <Box display="flex" flexWrap="wrap" alignItems="center" justifyContent="space-between" gap={2} sx={{ mb: 2 }}>
+                <Box display="flex" gap={4}>
+                  {[
+                    { label: 'Charged', value: ledger.summary.invoiced },
+                    { label: 'Paid', value: ledger.summary.paid, color: BRAND_COLORS.successGreen },
+                    { label: 'Balance', value: ledger.summary.balance, color: ledger.summary.balance > 0 ? BRAND_COLORS.errorRed : BRAND_COLORS.slate900 }
+                  ].map(item => (
+                    <Box key={item.label}>
+                      <Typography variant="caption" color="text.secondary">{item.label}</Typography>
+                      <Typography variant="h6" sx={{ fontWeight: 700, color: item.color || BRAND_COLORS.slate900 }}>
+                        {formatAmount(item.value)}
+                      </Typography>
+                    </Box>
+                  ))}
+                  <Box>
+                    <Typography variant="caption" color="text.secondary" display="block">Status</Typography>
+                    <Chip
+                      label={formatFeeStatus(selectedFeeStatus)}
+                      size="small"
+                      color={FEE_STATUS_COLORS[selectedFeeStatus] || 'default'}
+                      sx={{ mt: 0.5 }}
+                    />
                   </Box>
-                </MenuItem>
-              </Select>
-            </FormControl>
+                </Box>
+                <Box display="flex" gap={1}>
+                  <Button size="small" variant="contained" startIcon={<AddCard />} onClick={() => openEntryForm('payment')} sx={BUTTON_STYLES.primary}>
+                    Record Payment
+                  </Button>
+                  <Button size="small" variant="outlined" startIcon={<PostAdd />} onClick={() => openEntryForm('invoice')} sx={{ textTransform: 'none' }}>
+                    Add Charge
+                  </Button>
+                  <Button size="small" variant="outlined" startIcon={<NoteAdd />} onClick={() => openEntryForm('note')} sx={{ textTransform: 'none' }}>
+                    Add Note
+                  </Button>
+                </Box>
+              </Box>
+              {/* Payment plan used when term invoices are generated */}
+              <Box display="flex" flexWrap="wrap" alignItems="center" gap={1.5} sx={{ mb: 2, p: 1.5, bgcolor: BRAND_COLORS.slate100, borderRadius: BORDER_RADIUS.md }}>
+                <Typography variant="body2" sx={{ fontWeight: 600, color: BRAND_COLORS.slate700 }}>Payment Plan</Typography>
+                <TextField
+                  select
+                  size="small"
+                  value={plan.feePaymentType}
+                  onChange={(e) => setPlan(prev => ({ ...prev, feePaymentType: e.target.value }))}
+                  sx={{ minWidth: 200 }}
+                >
+                  {Object.entries(PAYMENT_PLAN_LABELS).map(([value, label]) => (
+                    <MenuItem key={value} value={value}>{label}</MenuItem>
+                  ))}
+                </TextField>
+                {plan.feePaymentType === 'custom' && (
+                  <TextField
+                    size="small"
+                    type="number"
+                    label="Per Installment"
+                    value={plan.customInstallment}
+                    onChange={(e) => setPlan(prev => ({ ...prev, customInstallment: e.target.value }))}
+                    inputProps={{ min: 1 }}
+                    sx={{ width: 160 }}
+                  />
+                )}
+                <Button
+                  size="small"
+                  variant="outlined"
+                  onClick={handlePlanSave}
+                  disabled={saving || (plan.feePaymentType === 'custom' && !(Number(plan.customInstallment) > 0))}
+                  sx={{ textTransform: 'none' }}
+                >
+                  Save Plan
+                </Button>
+              </Box>
+              <FeeLedgerTable entries={ledger.entries} onVoid={openVoidDialog} />
+            </>
+          )}
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={closeLedger}>Close</Button>
+        </DialogActions>
+      </Dialog>
+
+      {/* New ledger entry: payment, charge or note */}
+      <Dialog open={Boolean(entryType)} onClose={() => setEntryType(null)} maxWidth="xs" fullWidth>
+        <DialogTitle>{ENTRY_TITLES[entryType]} — {selectedStudent?.name}</DialogTitle>
+        <DialogContent dividers>
+          <Box display="flex" flexDirection="column" gap={2} sx={{ mt: 1 }}>
+            {entryType === 'note' ? (
+              <TextField
+                label="Note"
+                value={entryForm.text || ''}
+                onChange={handleEntryFormChange('text')}
+                multiline
+                minRows={3}
+                inputProps={{ maxLength: 1000 }}
+                fullWidth
+              />
+            ) : (
+              <>
+                <TextField
+                  label="Amount"
+                  type="number"
+                  value={entryForm.amount || ''}
+                  onChange={handleEntryFormChange('amount')}
+                  inputProps={{ min: 0.01, step: 0.01 }}
+                  fullWidth
+                  required
+                />
+                {entryType === 'payment' && (
+                  <>
+                    <TextField select label="Method" value={entryForm.method || 'cash'} onChange={handleEntryFormChange('method')} fullWidth>
+                      {Object.entries(PAYMENT_METHOD_LABELS).map(([value, label]) => (
+                        <MenuItem key={value} value={value}>{label}</MenuItem>
+                      ))}
+                    </TextField>
+                    <TextField label="Reference" placeholder="Transaction ID, cheque number…" value={entryForm.reference || ''} onChange={handleEntryFormChange('reference')} fullWidth />
+                    <TextField
+                      label="Payment Date"
+                      type="date"
+                      value={entryForm.paidAt || ''}
+                      onChange={handleEntryFormChange('paidAt')}
+                      InputLabelProps={{ shrink: true }}
+                      inputProps={{ max: today() }}
+                      fullWidth
+                    />
+                    {openInvoices.length > 0 && (
+                      <TextField select label="Against Invoice" value={entryForm.invoice || ''} onChange={handleEntryFormChange('invoice')} fullWidth>
+                        <MenuItem value="">None</MenuItem>
+                        {openInvoices.map(invoice => (
+                          <MenuItem key={invoice._id} value={invoice._id}>
+                            {invoice.number} — {formatAmount(invoice.amount)}{invoice.term ? ` (${invoice.term})` : ''}
+                          </MenuItem>
+                        ))}
+                      </TextField>
+                    )}
+                  </>
+                )}
+                {entryType === 'invoice' && (
+                  <>
+                    <TextField label="Description" value={entryForm.description || ''} onChange={handleEntryFormChange('description')} fullWidth />
+                    <TextField
+                      label="Due Date"
+                      type="date"
+                      value={entryForm.dueDate || ''}
+                      onChange={handleEntryFormChange('dueDate')}
+                      InputLabelProps={{ shrink: true }}
+                      fullWidth
+                    />
+                  </>
+                )}
+                <TextField label="Term" placeholder="e.g. Fall 2024" value={entryForm.term || ''} onChange={handleEntryFormChange('term')} fullWidth />
+                {entryType === 'payment' && (
+                  <TextField label="Notes" value={entryForm.notes || ''} onChange={handleEntryFormChange('notes')} multiline minRows={2} fullWidth />
+                )}
+              </>
+            )}
           </Box>
         </DialogContent>
         <DialogActions>
-          <Button onClick={closeDialog}>Cancel</Button>
-          <Button variant="contained" onClick={handleSubmit} sx={BUTTON_STYLES.primary}>Update</Button>
+          <Button onClick={() => setEntryType(null)} disabled={saving}>Cancel</Button>
+          <Button
+            variant="contained"
+            onClick={handleEntrySubmit}
+            disabled={saving || (entryType === 'note' ? !entryForm.text?.trim() : !(Number(entryForm.amount) > 0))}
+            sx={BUTTON_STYLES.primary}
+          >
+            Save
+          </Button>
+        </DialogActions>
+      </Dialog>
+
+      {/* Void a charge or payment; the entry stays in the history */}
+      <Dialog open={Boolean(voidEntry)} onClose={() => setVoidEntry(null)} maxWidth="xs" fullWidth>
+        <DialogTitle>
+          Void {voidEntry?.kind === 'payment' ? 'Payment' : voidEntry?.type === 'credit' ? 'Credit' : 'Charge'} {voidEntry?.number}
+        </DialogTitle>
+        <DialogContent dividers>
+          <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+            {formatAmount(voidEntry?.amount)} will no longer count towards the balance. The entry stays in the history.
+          </Typography>
+          <TextField
+            label="Reason"
+            value={voidReason}
+            onChange={(e) => setVoidReason(e.target.value)}
+            multiline
+            minRows={2}
+            fullWidth
+            required
+          />
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setVoidEntry(null)} disabled={saving}>Cancel</Button>
+          <Button variant="contained" color="error" onClick={handleVoid} disabled={saving || !voidReason.trim()}>
+            Void
+          </Button>
         </DialogActions>
       </Dialog>
 
-      {/* Bulk Mark Defaulters Confirmation */}
-      <ConfirmDialog
-        open={openMarkDefaultersConfirm}
-        title="Mark Fee Defaulters"
-        message={`Are you sure you want to mark all ${defaultersToMarkCount} partially paid students as defaulters? They will be unassigned from their buses and their transport cards will be disabled.`}
-        confirmText="Mark as Defaulter"
-        variant="danger"
-        onConfirm={confirmMarkDefaulters}
-        onCancel={() => setOpenMarkDefaultersConfirm(false)}
-        loading={isDisplacing}
+      <BankImportDialog
+        open={bankImportOpen}
+        onClose={() => setBankImportOpen(false)}
+        onImported={loadData}
+        showSnack={showSnack}
       />
 
       {/* Snackbar */}
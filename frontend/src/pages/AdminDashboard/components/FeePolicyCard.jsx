@@ -0,0 +1,526 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Card, CardContent, Typography, Box, Table, TableBody, TableCell, TableContainer,
+  TableHead, TableRow, Chip, Button, Dialog, DialogTitle, DialogContent, DialogActions,
+  TextField, MenuItem, FormControlLabel, Switch, CircularProgress
+} from '@mui/material';
+import { Edit, Gavel, PlayArrow } from '@mui/icons-material';
+import { feeService } from '../../../services';
+import { BRAND_COLORS, BUTTON_STYLES, BORDER_RADIUS, TABLE_STYLES } from '../../../styles/brandStyles';
+import { formatAmount } from '../../../utils/fees';
+
+const formatDate = (value) => (value ? new Date(value).toLocaleDateString('en-US', {
+  year: 'numeric',
+  month: 'short',
+  day: 'numeric'
+}) : '—');
+
+const formatDateTime = (value) => (value ? new Date(value).toLocaleString('en-US', {
+  month: 'short',
+  day: 'numeric',
+  hour: '2-digit',
+  minute: '2-digit'
+}) : 'Never');
+
+const formatDays = (days) => `${days} day${days === 1 ? '' : 's'}`;
+
+const formatDaysFromDue = (days) => {
+  if (days === 0) return 'Due today';
+  return days > 0 ? `${formatDays(days)} overdue` : `Due in ${formatDays(-days)}`;
+};
+
+const formatReminder = (days) => (days < 0 ? `${formatDays(-days)} before due` : days === 0 ? 'On the due date' : `${formatDays(days)} after due`);
+
+// "3, 7" <-> [3, 7]
+const toDaysList = (days) => days.join(', ');
+const parseDaysList = (text) => text.split(',').map(day => day.trim()).filter(Boolean).map(Number);
+
+const toPolicyForm = (policy) => ({
+  enabled: policy.enabled,
+  defaultDueDays: policy.defaultDueDays,
+  graceDays: policy.graceDays,
+  lateFee: { ...policy.lateFee },
+  reminders: {
+    email: policy.reminders.email,
+    inApp: policy.reminders.inApp,
+    beforeDueDays: toDaysList(policy.reminders.beforeDueDays),
+    afterDueDays: toDaysList(policy.reminders.afterDueDays)
+  },
+  defaulter: { ...policy.defaulter },
+  concessionApproval: { ...policy.concessionApproval }
+});
+
+const StudentCell = ({ row }) => (
+  <TableCell sx={TABLE_STYLES.bodyCell}>
+    <Typography variant="body2" sx={{ fontWeight: 600 }}>{row.student.name}</Typography>
+    <Typography variant="caption" color="text.secondary">{row.student.studentId}</Typography>
+  </TableCell>
+);
+
+const InvoiceCell = ({ row }) => (
+  <TableCell sx={TABLE_STYLES.bodyCell}>
+    <Typography variant="body2">{row.invoice.invoiceNumber}</Typography>
+    <Typography variant="caption" color="text.secondary">
+      Due {formatDate(row.dueDate)} · {formatDaysFromDue(row.daysFromDue)}
+    </Typography>
+  </TableCell>
+);
+
+const PreviewSection = ({ title, rows, emptyText, columns, renderRow }) => (
+  <Box sx={{ mb: 3 }}>
+    <Typography variant="subtitle2" sx={{ fontWeight: 700, mb: 1 }}>{title} ({rows.length})</Typography>
+    {rows.length === 0 ? (
+      <Typography variant="body2" color="text.secondary">{emptyText}</Typography>
+    ) : (
+      <TableContainer sx={{ maxHeight: 260, border: `1px solid ${BRAND_COLORS.slate300}`, borderRadius: BORDER_RADIUS.md }}>
+        <Table size="small" stickyHeader>
+          <TableHead>
+            <TableRow>
+              {columns.map(([label, align]) => (
+                <TableCell key={label} sx={TABLE_STYLES.headerCell} align={align}>{label}</TableCell>
+              ))}
+            </TableRow>
+          </TableHead>
+          <TableBody>{rows.map(renderRow)}</TableBody>
+        </Table>
+      </TableContainer>
+    )}
+  </Box>
+);
+
+/**
+ * Fee policy of the Fee Management view: the rules for due dates, reminders, late fees
+ * and defaulters that the daily job applies, with a dry run before applying them by hand,
+ * and which concessions need approval.
+ * @param {Function} onPolicyApplied - Called after the policy was applied (to refresh balances)
+ * @param {Function} showSnack - Snackbar of the parent view
+ */
+const FeePolicyCard = ({ onPolicyApplied, showSnack }) => {
+  const [policy, setPolicy] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [policyForm, setPolicyForm] = useState(null);
+  const [preview, setPreview] = useState(null);
+  const [previewOpen, setPreviewOpen] = useState(false);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    loadPolicy();
+  }, []);
+
+  const loadPolicy = async () => {
+    try {
+      const response = await feeService.getFeePolicy();
+      setPolicy(response.data.data);
+    } catch (error) {
+      console.error('Error loading fee policy:', error);
+      showSnack('Failed to load the fee policy', 'error');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleFormChange = (group, field) => (e) => {
+    const value = e.target.type === 'checkbox' ? e.target.checked : e.target.value;
+    setPolicyForm(prev => (group
+      ? { ...prev, [group]: { ...prev[group], [field]: value } }
+      : { ...prev, [field]: value }));
+  };
+
+  const handleSave = async () => {
+    const beforeDueDays = parseDaysList(policyForm.reminders.beforeDueDays);
+    const afterDueDays = parseDaysList(policyForm.reminders.afterDueDays);
+    if ([...beforeDueDays, ...afterDueDays].some(day => !Number.isInteger(day) || day < 0)) {
+      showSnack('Reminder days must be whole numbers separated by commas', 'error');
+      return;
+    }
+
+    try {
+      setSaving(true);
+      const response = await feeService.updateFeePolicy({
+        ...policyForm,
+        defaultDueDays: Number(policyForm.defaultDueDays),
+        graceDays: Number(policyForm.graceDays),
+        lateFee: { ...policyForm.lateFee, amount: Number(policyForm.lateFee.amount) },
+        reminders: { ...policyForm.reminders, beforeDueDays, afterDueDays },
+        defaulter: {
+          ...policyForm.defaulter,
+          afterDueDays: Number(policyForm.defaulter.afterDueDays),
+          minBalance: Number(policyForm.defaulter.minBalance)
+        },
+        concessionApproval: {
+          percentage: Number(policyForm.concessionApproval.percentage),
+          amount: Number(policyForm.concessionApproval.amount)
+        }
+      });
+      showSnack(response.data.message);
+      setPolicyForm(null);
+      loadPolicy();
+    } catch (error) {
+      console.error('Error saving fee policy:', error);
+      showSnack(error.response?.data?.message || 'Failed to save the fee policy', 'error');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const openPreview = async () => {
+    setPreviewOpen(true);
+    setPreview(null);
+    try {
+      const response = await feeService.previewFeePolicy();
+      setPreview(response.data.data);
+    } catch (error) {
+      console.error('Error previewing fee policy:', error);
+      showSnack(error.response?.data?.message || 'Failed to preview the fee policy', 'error');
+      setPreviewOpen(false);
+    }
+  };
+
+  const handleApply = async () => {
+    try {
+      setSaving(true);
+      const response = await feeService.runFeePolicy();
+      showSnack(response.data.message, response.data.data.failed.length ? 'warning' : 'success');
+      setPreviewOpen(false);
+      loadPolicy();
+      onPolicyApplied();
+    } catch (error) {
+      console.error('Error applying fee policy:', error);
+      showSnack(error.response?.data?.message || 'Failed to apply the fee policy', 'error');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const summary = preview?.summary;
+  const actionCount = summary ? summary.reminders + summary.lateFees + summary.defaulters : 0;
+  const lastRun = policy?.lastRunSummary;
+
+  const rules = policy ? [
+    ['Due date', `${formatDays(policy.defaultDueDays)} after issue, unless the invoice sets one`],
+    ['Grace period', `${formatDays(policy.graceDays)} after the due date`],
+    ['Late fee', policy.lateFee.enabled
+      ? `${policy.lateFee.type === 'percentage' ? `${policy.lateFee.amount}% of the unpaid amount` : formatAmount(policy.lateFee.amount)}, once per invoice`
+      : 'Off'],
+    ['Reminders', (policy.reminders.email || policy.reminders.inApp)
+      ? [
+        ...policy.reminders.beforeDueDays.map(days => formatReminder(-days)),
+        ...policy.reminders.afterDueDays.map(formatReminder)
+      ].join(', ') + ` (${[policy.reminders.email && 'email', policy.reminders.inApp && 'in-app'].filter(Boolean).join(', ')})`
+      : 'Off'],
+    ['Defaulters', policy.defaulter.enabled
+      ? `${formatDays(policy.defaulter.afterDueDays)} overdue` +
+        `${policy.defaulter.minBalance > 0 ? ` with at least ${formatAmount(policy.defaulter.minBalance)} due` : ''}` +
+        `${policy.defaulter.suspendTransport ? ', taken off their bus' : ''}`
+      : 'Off'],
+    ['Concessions', `Above ${policy.concessionApproval.percentage}% or ${formatAmount(policy.concessionApproval.amount)}/month need approval`]
+  ] : [];
+
+  return (
+    <Card sx={{ mb: 3 }}>
+      <CardContent sx={{ p: 3 }}>
+        <Box display="flex" justifyContent="space-between" alignItems="center" sx={{ mb: 2 }}>
+          <Box>
+            <Box display="flex" alignItems="center" gap={1}>
+              <Typography variant="h6" sx={{ fontWeight: 700, color: BRAND_COLORS.slate900 }}>
+                Fee Policy
+              </Typography>
+              {policy && (
+                <Chip
+                  size="small"
+                  label={policy.enabled ? 'Applied daily' : 'Manual only'}
+                  color={policy.enabled ? 'success' : 'default'}
+                />
+              )}
+            </Box>
+            <Typography variant="body2" color="text.secondary">
+              Reminders, late fees and defaulters for unpaid invoices
+            </Typography>
+          </Box>
+          <Box display="flex" gap={1}>
+            <Button
+              variant="outlined"
+              startIcon={<Edit />}
+              onClick={() => setPolicyForm(toPolicyForm(policy))}
+              disabled={!policy}
+              sx={{ textTransform: 'none' }}
+            >
+              Edit Policy
+            </Button>
+            <Button variant="contained" startIcon={<PlayArrow />} onClick={openPreview} disabled={!policy} sx={BUTTON_STYLES.primary}>
+              Dry Run
+            </Button>
+          </Box>
+        </Box>
+
+        {loading ? (
+          <Box display="flex" justifyContent="center" py={3}>
+            <CircularProgress size={28} />
+          </Box>
+        ) : !policy ? (
+          <Box textAlign="center" py={3}>
+            <Gavel sx={{ fontSize: 48, color: BRAND_COLORS.slate300 }} />
+            <Typography color="text.secondary">The fee policy could not be loaded</Typography>
+          </Box>
+        ) : (
+          <>
+            <Box display="grid" gridTemplateColumns="max-content 1fr" columnGap={3} rowGap={0.5}>
+              {rules.map(([label, text]) => (
+                <React.Fragment key={label}>
+                  <Typography variant="body2" sx={{ fontWeight: 600, color: BRAND_COLORS.slate700 }}>{label}</Typography>
+                  <Typography variant="body2" color={text === 'Off' ? 'text.secondary' : 'text.primary'}>{text}</Typography>
+                </React.Fragment>
+              ))}
+            </Box>
+            <Typography variant="caption" color="text.secondary" display="block" sx={{ mt: 2 }}>
+              Last applied: {formatDateTime(policy.lastRunAt)}
+              {lastRun && ` · ${lastRun.reminders} reminders, ${lastRun.lateFees} late fees, ${lastRun.defaulters} defaulters`}
+              {lastRun?.failed > 0 && ` · ${lastRun.failed} failed`}
+              {policy.updatedBy && ` · Policy last changed by ${policy.updatedBy.name}`}
+            </Typography>
+          </>
+        )}
+      </CardContent>
+
+      {/* Edit policy */}
+      <Dialog open={Boolean(policyForm)} onClose={() => setPolicyForm(null)} maxWidth="sm" fullWidth>
+        <DialogTitle>Edit Fee Policy</DialogTitle>
+        <DialogContent dividers>
+          {policyForm && (
+            <Box display="flex" flexDirection="column" gap={2} sx={{ mt: 1 }}>
+              <FormControlLabel
+                control={<Switch checked={policyForm.enabled} onChange={handleFormChange(null, 'enabled')} />}
+                label="Apply automatically every day"
+              />
+              <Box display="flex" gap={2}>
+                <TextField
+                  label="Default due days"
+                  type="number"
+                  value={policyForm.defaultDueDays}
+                  onChange={handleFormChange(null, 'defaultDueDays')}
+                  helperText="For invoices issued without a due date"
+                  inputProps={{ min: 0, max: 365 }}
+                  fullWidth
+                />
+                <TextField
+                  label="Grace days"
+                  type="number"
+                  value={policyForm.graceDays}
+                  onChange={handleFormChange(null, 'graceDays')}
+                  helperText="After the due date, before a late fee"
+                  inputProps={{ min: 0, max: 365 }}
+                  fullWidth
+                />
+              </Box>
+
+              <Typography variant="subtitle2" sx={{ fontWeight: 700 }}>Late fee</Typography>
+              <FormControlLabel
+                control={<Switch checked={policyForm.lateFee.enabled} onChange={handleFormChange('lateFee', 'enabled')} />}
+                label="Charge a late fee once the grace period ends"
+              />
+              <Box display="flex" gap={2}>
+                <TextField
+                  select
+                  label="Type"
+                  value={policyForm.lateFee.type}
+                  onChange={handleFormChange('lateFee', 'type')}
+                  disabled={!policyForm.lateFee.enabled}
+                  fullWidth
+                >
+                  <MenuItem value="fixed">Fixed amount</MenuItem>
+                  <MenuItem value="percentage">Percent of unpaid amount</MenuItem>
+                </TextField>
+                <TextField
+                  label={policyForm.lateFee.type === 'percentage' ? 'Percent' : 'Amount (Rs.)'}
+                  type="number"
+                  value={policyForm.lateFee.amount}
+                  onChange={handleFormChange('lateFee', 'amount')}
+                  disabled={!policyForm.lateFee.enabled}
+                  inputProps={{ min: 0, max: policyForm.lateFee.type === 'percentage' ? 100 : undefined }}
+                  fullWidth
+                />
+              </Box>
+
+              <Typography variant="subtitle2" sx={{ fontWeight: 700 }}>Reminders</Typography>
+              <Box display="flex" gap={2}>
+                <FormControlLabel
+                  control={<Switch checked={policyForm.reminders.email} onChange={handleFormChange('reminders', 'email')} />}
+                  label="Email"
+                />
+                <FormControlLabel
+                  control={<Switch checked={policyForm.reminders.inApp} onChange={handleFormChange('reminders', 'inApp')} />}
+                  label="In-app notification"
+                />
+              </Box>
+              <Box display="flex" gap={2}>
+                <TextField
+                  label="Days before due"
+                  placeholder="e.g. 3"
+                  value={policyForm.reminders.beforeDueDays}
+                  onChange={handleFormChange('reminders', 'beforeDueDays')}
+                  helperText="Separate with commas"
+                  fullWidth
+                />
+                <TextField
+                  label="Days after due"
+                  placeholder="e.g. 1, 7"
+                  value={policyForm.reminders.afterDueDays}
+                  onChange={handleFormChange('reminders', 'afterDueDays')}
+                  helperText="Separate with commas"
+                  fullWidth
+                />
+              </Box>
+
+              <Typography variant="subtitle2" sx={{ fontWeight: 700 }}>Defaulters</Typography>
+              <FormControlLabel
+                control={<Switch checked={policyForm.defaulter.enabled} onChange={handleFormChange('defaulter', 'enabled')} />}
+                label="Mark students with long overdue invoices as defaulters"
+              />
+              <Box display="flex" gap={2}>
+                <TextField
+                  label="Days overdue"
+                  type="number"
+                  value={policyForm.defaulter.afterDueDays}
+                  onChange={handleFormChange('defaulter', 'afterDueDays')}
+                  disabled={!policyForm.defaulter.enabled}
+                  helperText="At least the grace days"
+                  inputProps={{ min: 0, max: 365 }}
+                  fullWidth
+                />
+                <TextField
+                  label="Minimum balance (Rs.)"
+                  type="number"
+                  value={policyForm.defaulter.minBalance}
+                  onChange={handleFormChange('defaulter', 'minBalance')}
+                  disabled={!policyForm.defaulter.enabled}
+                  inputProps={{ min: 0 }}
+                  fullWidth
+                />
+              </Box>
+              <FormControlLabel
+                control={(
+                  <Switch
+                    checked={policyForm.defaulter.suspendTransport}
+                    onChange={handleFormChange('defaulter', 'suspendTransport')}
+                    disabled={!policyForm.defaulter.enabled}
+                  />
+                )}
+                label="Take defaulters off their bus"
+              />
+
+              <Typography variant="subtitle2" sx={{ fontWeight: 700 }}>Concession approval</Typography>
+              <Box display="flex" gap={2}>
+                <TextField
+                  label="Above percent"
+                  type="number"
+                  value={policyForm.concessionApproval.percentage}
+                  onChange={handleFormChange('concessionApproval', 'percentage')}
+                  inputProps={{ min: 0, max: 100 }}
+                  fullWidth
+                />
+                <TextField
+                  label="Above Rs./month"
+                  type="number"
+                  value={policyForm.concessionApproval.amount}
+                  onChange={handleFormChange('concessionApproval', 'amount')}
+                  inputProps={{ min: 0 }}
+                  fullWidth
+                />
+              </Box>
+              <Typography variant="caption" color="text.secondary" sx={{ mt: -1 }}>
+                Larger concessions wait for an admin who may approve them (fees:approve)
+              </Typography>
+            </Box>
+          )}
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setPolicyForm(null)} disabled={saving}>Cancel</Button>
+          <Button variant="contained" onClick={handleSave} disabled={saving} sx={BUTTON_STYLES.primary}>
+            Save
+          </Button>
+        </DialogActions>
+      </Dialog>
+
+      {/* Dry run before applying */}
+      <Dialog open={previewOpen} onClose={saving ? undefined : () => setPreviewOpen(false)} maxWidth="lg" fullWidth>
+        <DialogTitle>Fee Policy Dry Run</DialogTitle>
+        <DialogContent dividers>
+          {!preview ? (
+            <Box display="flex" justifyContent="center" py={6}>
+              <CircularProgress size={32} />
+            </Box>
+          ) : (
+            <>
+              <Box display="flex" flexWrap="wrap" gap={1} sx={{ mb: 2 }}>
+                <Chip label={`${summary.invoicesChecked} open invoices · ${summary.overdueInvoices} overdue`} variant="outlined" />
+                <Chip label={`${summary.reminders} reminders`} color="primary" variant="outlined" />
+                <Chip label={`${summary.lateFees} late fees · ${formatAmount(summary.lateFeeAmount)}`} color="warning" variant="outlined" />
+                <Chip label={`${summary.defaulters} defaulters`} color="error" variant="outlined" />
+                {summary.suspensions > 0 && <Chip label={`${summary.suspensions} taken off their bus`} color="error" variant="outlined" />}
+              </Box>
+
+              <PreviewSection
+                title="Reminders"
+                rows={preview.reminders}
+                emptyText="No reminders are due"
+                columns={[['Student'], ['Invoice'], ['Reminder'], ['Outstanding', 'right']]}
+                renderRow={row => (
+                  <TableRow key={row.invoice._id}>
+                    <StudentCell row={row} />
+                    <InvoiceCell row={row} />
+                    <TableCell sx={TABLE_STYLES.bodyCell}>{formatReminder(row.reminder)}</TableCell>
+                    <TableCell sx={TABLE_STYLES.bodyCell} align="right">{formatAmount(row.outstanding)}</TableCell>
+                  </TableRow>
+                )}
+              />
+              <PreviewSection
+                title="Late fees"
+                rows={preview.lateFees}
+                emptyText={policy?.lateFee.enabled ? 'No invoice is past its grace period' : 'Late fees are off'}
+                columns={[['Student'], ['Invoice'], ['Outstanding', 'right'], ['Late Fee', 'right']]}
+                renderRow={row => (
+                  <TableRow key={row.invoice._id}>
+                    <StudentCell row={row} />
+                    <InvoiceCell row={row} />
+                    <TableCell sx={TABLE_STYLES.bodyCell} align="right">{formatAmount(row.outstanding)}</TableCell>
+                    <TableCell sx={{ ...TABLE_STYLES.bodyCell, fontWeight: 600 }} align="right">{formatAmount(row.amount)}</TableCell>
+                  </TableRow>
+                )}
+              />
+              <PreviewSection
+                title="New defaulters"
+                rows={preview.defaulters}
+                emptyText={policy?.defaulter.enabled ? 'No student becomes a defaulter' : 'Defaulter marking is off'}
+                columns={[['Student'], ['Longest Overdue Invoice'], ['Balance', 'right'], ['Transport']]}
+                renderRow={row => (
+                  <TableRow key={row.student._id}>
+                    <StudentCell row={row} />
+                    <InvoiceCell row={row} />
+                    <TableCell sx={TABLE_STYLES.bodyCell} align="right">{formatAmount(row.balance)}</TableCell>
+                    <TableCell sx={TABLE_STYLES.bodyCell}>
+                      {row.suspendTransport ? <Chip size="small" color="error" label="Taken off bus" /> : '—'}
+                    </TableCell>
+                  </TableRow>
+                )}
+              />
+            </>
+          )}
+        </DialogContent>
+        <DialogActions sx={{ px: 3, py: 2 }}>
+          <Button onClick={() => setPreviewOpen(false)} disabled={saving}>Close</Button>
+          <Button
+            variant="contained"
+            onClick={handleApply}
+            disabled={saving || !actionCount}
+            startIcon={saving ? <CircularProgress size={16} color="inherit" /> : null}
+            sx={BUTTON_STYLES.primary}
+          >
+            Apply Now
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </Card>
+  );
+};
+
+export default FeePolicyCard;
@@ -7,7 +7,9 @@
  * - Real-time location updates with smooth animations
  * - Bus status indicators and filters
  * - Trip notifications and statistics
+ * - Off-route alerts for buses that leave their route corridor
  * - Connection status monitoring
+ * - Replay mode for recorded trips
  */
 
 import React, { useState, useEffect } from 'react';
@@ -26,7 +28,9 @@ import {
   InputLabel,
   Select,
   MenuItem,
-  Fab
+  Fab,
+  ToggleButton,
+  ToggleButtonGroup
 } from '@mui/material';
 import {
   Refresh,
@@ -34,11 +38,16 @@ import {
   DirectionsBus,
   LocationOn,
   SignalCellularAlt,
-  SignalCellularOff
+  SignalCellularOff,
+  History,
+  WrongLocation
 } from '@mui/icons-material';
 import { trackingService, busService } from '../../../services';
 import socketService from '../../../services/socketService';
 import RealTimeBusMap from '../../../components/RealTimeBusMap';
+import TripReplayPanel from './TripReplayPanel';
+import { useAuth } from '../../../context/AuthContext';
+import { hasPermission } from '../../../utils/permissions';
 import {
   BRAND_COLORS,
   CARD_STYLES,
@@ -47,10 +56,12 @@ import {
 } from '../../../styles/brandStyles';
 
 const AdminLiveTrackingView = () => {
+  const { user } = useAuth();
   const [busLocations, setBusLocations] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [filter, setFilter] = useState('all'); // all, on_trip, available
+  const [viewMode, setViewMode] = useState('live'); // live, replay
   const [connectionStatus, setConnectionStatus] = useState('disconnected');
   const [notifications, setNotifications] = useState([]);
   const [stats, setStats] = useState({
@@ -79,6 +90,30 @@ const AdminLiveTrackingView = () => {
       updateBusLocation(data);
     });
     
+    // Listen for buses leaving or rejoining their route
+    const handleOffRoute = (data) => {
+      setBusOffRoute(data.busId, {
+        startedAt: data.startedAt,
+        latitude: data.latitude,
+        longitude: data.longitude,
+        maxDistanceM: data.distanceM
+      });
+      addNotification({
+        ...data,
+        message: `Bus ${data.busNumber} is off route ${data.routeName} (${data.distanceM} m away)`
+      });
+    };
+    const handleBackOnRoute = (data) => {
+      setBusOffRoute(data.busId, null);
+      addNotification({
+        ...data,
+        message: `Bus ${data.busNumber} is back on route ${data.routeName}`
+      });
+    };
+
+    socketService.on('off-route', handleOffRoute);
+    socketService.on('back-on-route', handleBackOnRoute);
+
     // Listen for trip notifications
     socketService.on('trip-notification', (data) => {
       console.log('📢 Trip notification:', data);
@@ -96,6 +131,8 @@ const AdminLiveTrackingView = () => {
       socketService.off('disconnect', handleDisconnect);
       socketService.off('reconnect', handleReconnect);
       socketService.off('bus-location-update');
+      socketService.off('off-route', handleOffRoute);
+      socketService.off('back-on-route', handleBackOnRoute);
       socketService.off('trip-notification');
     };
   }, []);
@@ -148,6 +185,15 @@ const AdminLiveTrackingView = () => {
     });
   };
 
+  // Mark a bus as off route (deviation details) or back on route (null)
+  const setBusOffRoute = (busId, offRoute) => {
+    setBusLocations(prevLocations => prevLocations.map(bus =>
+      (bus.busId?.toString() === busId?.toString() || bus._id?.toString() === busId?.toString())
+        ? { ...bus, offRoute }
+        : bus
+    ));
+  };
+
   // Add notification to the list
   const addNotification = (notificationData) => {
     const newNotification = {
@@ -160,6 +206,8 @@ const AdminLiveTrackingView = () => {
   };
 
 
+  const offRouteBuses = busLocations.filter(bus => bus.isOnTrip && bus.offRoute);
+
   // Filter buses based on selection
   const filteredBuses = busLocations.filter(bus => {
     if (filter === 'on_trip') return bus.isOnTrip;
@@ -201,6 +249,25 @@ const AdminLiveTrackingView = () => {
           
           <Box display="flex" alignItems="center" gap={2}>
             {/* Connection Status removed as requested */}
+
+            {/* Live / Replay switch (trip history needs trips:read) */}
+            {hasPermission(user, 'trips:read') && (
+            <ToggleButtonGroup
+              value={viewMode}
+              exclusive
+              onChange={(e, value) => value && setViewMode(value)}
+              size="small"
+            >
+              <ToggleButton value="live">
+                <LocationOn sx={{ mr: 0.5, fontSize: 18 }} />
+                Live
+              </ToggleButton>
+              <ToggleButton value="replay">
+                <History sx={{ mr: 0.5, fontSize: 18 }} />
+                Replay
+              </ToggleButton>
+            </ToggleButtonGroup>
+            )}
             
             {/* Refresh Button */}
             <Button
@@ -220,86 +287,90 @@ const AdminLiveTrackingView = () => {
           </Box>
         </Box>
 
-        {/* Statistics Cards */}
-        <Grid container spacing={3} mb={3}>
-          <Grid item xs={12} sm={4}>
-            <Card sx={{
-              ...CARD_STYLES.standard,
-              border: `2px solid ${BRAND_COLORS.primary}`,
-              background: BRAND_COLORS.primaryGradient,
-              color: BRAND_COLORS.white
-            }}>
-              <CardContent sx={{ textAlign: 'center' }}>
-                <DirectionsBus sx={{ fontSize: 40, mb: 1 }} />
-                <Typography variant="h3" sx={{ fontWeight: 800, mb: 1 }}>
-                  {stats.total}
-                </Typography>
-                <Typography variant="body1" sx={{ opacity: 0.9 }}>
-                  Total Buses
-                </Typography>
-              </CardContent>
-            </Card>
-          </Grid>
-          
-          <Grid item xs={12} sm={4}>
-            <Card sx={{
-              ...CARD_STYLES.standard,
-              border: `2px solid ${BRAND_COLORS.successGreen}`,
-              background: 'linear-gradient(135deg, #10B981 0%, #059669 100%)',
-              color: BRAND_COLORS.white
-            }}>
-              <CardContent sx={{ textAlign: 'center' }}>
-                <LocationOn sx={{ fontSize: 40, mb: 1 }} />
-                <Typography variant="h3" sx={{ fontWeight: 800, mb: 1 }}>
-                  {stats.onTrip}
-                </Typography>
-                <Typography variant="body1" sx={{ opacity: 0.9 }}>
-                  On Trip
-                </Typography>
-              </CardContent>
-            </Card>
-          </Grid>
-          
-          <Grid item xs={12} sm={4}>
-            <Card sx={{
-              ...CARD_STYLES.standard,
-              border: `2px solid ${BRAND_COLORS.slate400}`,
-              background: 'linear-gradient(135deg, #94A3B8 0%, #64748B 100%)',
-              color: BRAND_COLORS.white
-            }}>
-              <CardContent sx={{ textAlign: 'center' }}>
-                <DirectionsBus sx={{ fontSize: 40, mb: 1 }} />
-                <Typography variant="h3" sx={{ fontWeight: 800, mb: 1 }}>
-                  {stats.available}
-                </Typography>
-                <Typography variant="body1" sx={{ opacity: 0.9 }}>
-                  Available
-                </Typography>
-              </CardContent>
-            </Card>
-          </Grid>
-        </Grid>
+        {viewMode === 'live' && (
+          <>
+            {/* Statistics Cards */}
+            <Grid container spacing={3} mb={3}>
+              <Grid item xs={12} sm={4}>
+                <Card sx={{
+                  ...CARD_STYLES.standard,
+                  border: `2px solid ${BRAND_COLORS.primary}`,
+                  background: BRAND_COLORS.primaryGradient,
+                  color: BRAND_COLORS.white
+                }}>
+                  <CardContent sx={{ textAlign: 'center' }}>
+                    <DirectionsBus sx={{ fontSize: 40, mb: 1 }} />
+                    <Typography variant="h3" sx={{ fontWeight: 800, mb: 1 }}>
+                      {stats.total}
+                    </Typography>
+                    <Typography variant="body1" sx={{ opacity: 0.9 }}>
+                      Total Buses
+                    </Typography>
+                  </CardContent>
+                </Card>
+              </Grid>
+              
+              <Grid item xs={12} sm={4}>
+                <Card sx={{
+                  ...CARD_STYLES.standard,
+                  border: `2px solid ${BRAND_COLORS.successGreen}`,
+                  background: 'linear-gradient(135deg, #10B981 0%, #059669 100%)',
+                  color: BRAND_COLORS.white
+                }}>
+                  <CardContent sx={{ textAlign: 'center' }}>
+                    <LocationOn sx={{ fontSize: 40, mb: 1 }} />
+                    <Typography variant="h3" sx={{ fontWeight: 800, mb: 1 }}>
+                      {stats.onTrip}
+                    </Typography>
+                    <Typography variant="body1" sx={{ opacity: 0.9 }}>
+                      On Trip
+                    </Typography>
+                  </CardContent>
+                </Card>
+              </Grid>
+              
+              <Grid item xs={12} sm={4}>
+                <Card sx={{
+                  ...CARD_STYLES.standard,
+                  border: `2px solid ${BRAND_COLORS.slate400}`,
+                  background: 'linear-gradient(135deg, #94A3B8 0%, #64748B 100%)',
+                  color: BRAND_COLORS.white
+                }}>
+                  <CardContent sx={{ textAlign: 'center' }}>
+                    <DirectionsBus sx={{ fontSize: 40, mb: 1 }} />
+                    <Typography variant="h3" sx={{ fontWeight: 800, mb: 1 }}>
+                      {stats.available}
+                    </Typography>
+                    <Typography variant="body1" sx={{ opacity: 0.9 }}>
+                      Available
+                    </Typography>
+                  </CardContent>
+                </Card>
+              </Grid>
+            </Grid>
 
-        {/* Filter Controls */}
-        <Box sx={{ display: 'flex', gap: 2, alignItems: 'center', mb: 3 }}>
-          <FormControl sx={{ minWidth: 150 }}>
-            <InputLabel>Filter Buses</InputLabel>
-            <Select
-              value={filter}
-              label="Filter Buses"
-              onChange={(e) => setFilter(e.target.value)}
-              sx={{ borderRadius: BORDER_RADIUS.md }}
-            >
-              <MenuItem value="all">All Buses</MenuItem>
-              <MenuItem value="on_trip">On Trip</MenuItem>
-              <MenuItem value="available">Available</MenuItem>
-            </Select>
-          </FormControl>
-          
-          <Typography variant="body2" sx={{ color: BRAND_COLORS.slate600 }}>
-            Showing {filteredBuses.length} of {busLocations.length} buses
-          </Typography>
-        </Box>
+            {/* Filter Controls */}
+            <Box sx={{ display: 'flex', gap: 2, alignItems: 'center', mb: 3 }}>
+              <FormControl sx={{ minWidth: 150 }}>
+                <InputLabel>Filter Buses</InputLabel>
+                <Select
+                  value={filter}
+                  label="Filter Buses"
+                  onChange={(e) => setFilter(e.target.value)}
+                  sx={{ borderRadius: BORDER_RADIUS.md }}
+                >
+                  <MenuItem value="all">All Buses</MenuItem>
+                  <MenuItem value="on_trip">On Trip</MenuItem>
+                  <MenuItem value="available">Available</MenuItem>
+                </Select>
+              </FormControl>
+              
+              <Typography variant="body2" sx={{ color: BRAND_COLORS.slate600 }}>
+                Showing {filteredBuses.length} of {busLocations.length} buses
+              </Typography>
+            </Box>
+          </>
+        )}
       </Box>
 
       {error && (
@@ -308,66 +379,92 @@ const AdminLiveTrackingView = () => {
         </Alert>
       )}
 
-      {/* Main Map Section */}
-      <Card sx={{ ...CARD_STYLES.standard, mb: 3 }}>
-        <CardContent sx={{ p: 0 }}>
-          <RealTimeBusMap
-            busLocations={filteredBuses}
-            mode="admin"
-            height={600}
-            showControls={true}
-            onBusSelect={(bus) => console.log('Selected bus:', bus)}
-          />
-        </CardContent>
-      </Card>
-
-      {/* Recent Notifications */}
-      {notifications.length > 0 && (
-        <Card sx={{ ...CARD_STYLES.standard }}>
-          <CardContent>
-            <Box display="flex" justifyContent="space-between" alignItems="center" mb={2}>
-              <Box display="flex" alignItems="center" gap={1}>
-                <Notifications sx={{ color: BRAND_COLORS.warningOrange }} />
-                <Typography variant="h6" sx={{ fontWeight: 700 }}>
-                  Recent Activity
+      {viewMode === 'replay' ? (
+        <TripReplayPanel />
+      ) : (
+        <>
+          {/* Off-route alert */}
+          {offRouteBuses.length > 0 && (
+            <Alert
+              severity="error"
+              icon={<WrongLocation />}
+              sx={{ mb: 3, borderRadius: BORDER_RADIUS.md }}
+            >
+              <Typography variant="body2" sx={{ fontWeight: 700, mb: 0.5 }}>
+                {offRouteBuses.length === 1 ? '1 bus is' : `${offRouteBuses.length} buses are`} off route
+              </Typography>
+              {offRouteBuses.map(bus => (
+                <Typography key={bus.busId || bus._id} variant="body2">
+                  Bus {bus.busNumber} ({bus.route?.routeName || 'unknown route'})
+                  {bus.offRoute.startedAt && ` since ${new Date(bus.offRoute.startedAt).toLocaleTimeString()}`}
+                  {bus.offRoute.maxDistanceM ? ` — up to ${bus.offRoute.maxDistanceM} m away` : ''}
                 </Typography>
-              </Box>
-              <Button size="small" onClick={clearNotifications}>
-                Clear All
-              </Button>
-            </Box>
-            
-            <Box sx={{ maxHeight: 200, overflowY: 'auto' }}>
-              {notifications.map((notification) => (
-                <Box
-                  key={notification.id}
-                  sx={{
-                    p: 2,
-                    mb: 1,
-                    bgcolor: BRAND_COLORS.slate100,
-                    borderRadius: BORDER_RADIUS.md,
-                    borderLeft: `4px solid ${notification.type === 'started' ? BRAND_COLORS.successGreen : BRAND_COLORS.primary}`
-                  }}
-                >
-                  <Box display="flex" justifyContent="space-between" alignItems="flex-start">
-                    <Box>
-                      <Typography variant="body2" sx={{ fontWeight: 600, mb: 0.5 }}>
-                        {notification.message || 
-                         `Trip ${notification.type} for Bus ${notification.busNumber}`}
-                      </Typography>
-                      <Typography variant="caption" sx={{ color: BRAND_COLORS.slate500 }}>
-                        Route: {notification.routeId} | Driver: {notification.driverId}
-                      </Typography>
-                    </Box>
-                    <Typography variant="caption" sx={{ color: BRAND_COLORS.slate400 }}>
-                      {notification.timestamp.toLocaleTimeString()}
+              ))}
+            </Alert>
+          )}
+
+          {/* Main Map Section */}
+          <Card sx={{ ...CARD_STYLES.standard, mb: 3 }}>
+            <CardContent sx={{ p: 0 }}>
+              <RealTimeBusMap
+                busLocations={filteredBuses}
+                mode="admin"
+                height={600}
+                showControls={true}
+                onBusSelect={(bus) => console.log('Selected bus:', bus)}
+              />
+            </CardContent>
+          </Card>
+
+          {/* Recent Notifications */}
+          {notifications.length > 0 && (
+            <Card sx={{ ...CARD_STYLES.standard }}>
+              <CardContent>
+                <Box display="flex" justifyContent="space-between" alignItems="center" mb={2}>
+                  <Box display="flex" alignItems="center" gap={1}>
+                    <Notifications sx={{ color: BRAND_COLORS.warningOrange }} />
+                    <Typography variant="h6" sx={{ fontWeight: 700 }}>
+                      Recent Activity
                     </Typography>
                   </Box>
+                  <Button size="small" onClick={clearNotifications}>
+                    Clear All
+                  </Button>
                 </Box>
-              ))}
-            </Box>
-          </CardContent>
-        </Card>
+                
+                <Box sx={{ maxHeight: 200, overflowY: 'auto' }}>
+                  {notifications.map((notification) => (
+                    <Box
+                      key={notification.id}
+                      sx={{
+                        p: 2,
+                        mb: 1,
+                        bgcolor: BRAND_COLORS.slate100,
+                        borderRadius: BORDER_RADIUS.md,
+                        borderLeft: `4px solid ${notification.type === 'off-route' ? BRAND_COLORS.errorRed : notification.type === 'started' ? BRAND_COLORS.successGreen : BRAND_COLORS.primary}`
+                      }}
+                    >
+                      <Box display="flex" justifyContent="space-between" alignItems="flex-start">
+                        <Box>
+                          <Typography variant="body2" sx={{ fontWeight: 600, mb: 0.5 }}>
+                            {notification.message || 
+                             `Trip ${notification.type} for Bus ${notification.busNumber}`}
+                          </Typography>
+                          <Typography variant="caption" sx={{ color: BRAND_COLORS.slate500 }}>
+                            Route: {notification.routeId} | Driver: {notification.driverId}
+                          </Typography>
+                        </Box>
+                        <Typography variant="caption" sx={{ color: BRAND_COLORS.slate400 }}>
+                          {notification.timestamp.toLocaleTimeString()}
+                        </Typography>
+                      </Box>
+                    </Box>
+                  ))}
+                </Box>
+              </CardContent>
+            </Card>
+          )}
+        </>
       )}
 
       {/* Floating Action Button for Quick Refresh */}
@@ -9,8 +9,11 @@ import {
   Notifications, Add
 } from '@mui/icons-material';
 import { notificationService } from '../../../services';
+import { useAuth } from '../../../context/AuthContext';
+import { hasPermission } from '../../../utils/permissions';
 
 const NotificationsView = () => {
+  const { user } = useAuth();
   const [notifications, setNotifications] = useState([]);
   const [loading, setLoading] = useState(true);
   const [openDialog, setOpenDialog] = useState(false);
@@ -90,9 +93,11 @@ const NotificationsView = () => {
           <CardContent sx={{ p: 3 }}>
             <Box display="flex" justifyContent="space-between" alignItems="center" sx={{ mb: 2 }}>
               <Typography variant="h6">Recent Notifications</Typography>
-              <Button variant="contained" startIcon={<Add />} onClick={openAddDialog}>
-                Send Notification
-              </Button>
+              {hasPermission(user, 'notifications:broadcast') && (
+                <Button variant="contained" startIcon={<Add />} onClick={openAddDialog}>
+                  Send Notification
+                </Button>
+              )}
             </Box>
 
             {notifications.length === 0 ? (
@@ -0,0 +1,159 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Card, CardContent, Typography, Box, Table, TableBody, TableCell, TableContainer,
+  TableHead, TableRow, Chip, Button, TextField, MenuItem, CircularProgress, Tooltip
+} from '@mui/material';
+import { CreditCard, Sync } from '@mui/icons-material';
+import { paymentService } from '../../../services';
+import { BRAND_COLORS, BUTTON_STYLES, TABLE_STYLES } from '../../../styles/brandStyles';
+import { formatAmount, ONLINE_PAYMENT_STATUS_LABELS, ONLINE_PAYMENT_STATUS_COLORS } from '../../../utils/fees';
+
+const formatDateTime = (value) => (value ? new Date(value).toLocaleString('en-US', {
+  month: 'short',
+  day: 'numeric',
+  hour: '2-digit',
+  minute: '2-digit'
+}) : '—');
+
+/**
+ * Online payments of the Fee Management view: the latest checkouts students started
+ * through the payment provider, and reconciling pending ones with the provider on demand.
+ * @param {Function} onPaymentsReconciled - Called after a reconciliation (to refresh balances)
+ * @param {Function} showSnack - Snackbar of the parent view
+ */
+const OnlinePaymentsCard = ({ onPaymentsReconciled, showSnack }) => {
+  const [payments, setPayments] = useState([]);
+  const [provider, setProvider] = useState('');
+  const [statusFilter, setStatusFilter] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [reconciling, setReconciling] = useState(false);
+
+  useEffect(() => {
+    loadPayments();
+  }, [statusFilter]);
+
+  const loadPayments = async () => {
+    try {
+      setLoading(true);
+      const response = await paymentService.getPayments({ status: statusFilter || undefined, limit: 10 });
+      setPayments(response.data.data || []);
+      setProvider(response.data.provider || '');
+    } catch (error) {
+      console.error('Error loading online payments:', error);
+      showSnack('Failed to load online payments', 'error');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleReconcile = async () => {
+    try {
+      setReconciling(true);
+      const response = await paymentService.reconcilePayments();
+      showSnack(response.data.message);
+      loadPayments();
+      if (response.data.data.succeeded > 0) onPaymentsReconciled();
+    } catch (error) {
+      console.error('Error reconciling online payments:', error);
+      showSnack(error.response?.data?.message || 'Failed to reconcile online payments', 'error');
+    } finally {
+      setReconciling(false);
+    }
+  };
+
+  return (
+    <Card sx={{ mb: 3 }}>
+      <CardContent sx={{ p: 3 }}>
+        <Box display="flex" justifyContent="space-between" alignItems="center" sx={{ mb: 2 }}>
+          <Box>
+            <Typography variant="h6" sx={{ fontWeight: 700, color: BRAND_COLORS.slate900 }}>
+              Online Payments
+            </Typography>
+            <Typography variant="body2" color="text.secondary">
+              Payments are recorded when the provider{provider && ` (${provider})`} confirms them; pending ones are reconciled automatically
+            </Typography>
+          </Box>
+          <Box display="flex" alignItems="center" gap={1}>
+            <TextField
+              select
+              size="small"
+              label="Status"
+              value={statusFilter}
+              onChange={(e) => setStatusFilter(e.target.value)}
+              sx={{ minWidth: 140 }}
+            >
+              <MenuItem value="">All</MenuItem>
+              {Object.entries(ONLINE_PAYMENT_STATUS_LABELS).map(([value, label]) => (
+                <MenuItem key={value} value={value}>{label}</MenuItem>
+              ))}
+            </TextField>
+            <Button
+              variant="contained"
+              startIcon={reconciling ? <CircularProgress size={16} color="inherit" /> : <Sync />}
+              onClick={handleReconcile}
+              disabled={reconciling}
+              sx={BUTTON_STYLES.primary}
+            >
+              Reconcile Now
+            </Button>
+          </Box>
+        </Box>
+
+        {loading ? (
+          <Box display="flex" justifyContent="center" py={3}>
+            <CircularProgress size={28} />
+          </Box>
+        ) : payments.length === 0 ? (
+          <Box textAlign="center" py={3}>
+            <CreditCard sx={{ fontSize: 48, color: BRAND_COLORS.slate300 }} />
+            <Typography color="text.secondary">No online payments yet</Typography>
+          </Box>
+        ) : (
+          <TableContainer>
+            <Table size="small">
+              <TableHead>
+                <TableRow>
+                  <TableCell sx={TABLE_STYLES.headerCell}>Student</TableCell>
+                  <TableCell sx={TABLE_STYLES.headerCell}>Invoice</TableCell>
+                  <TableCell sx={TABLE_STYLES.headerCell} align="right">Amount</TableCell>
+                  <TableCell sx={TABLE_STYLES.headerCell}>Status</TableCell>
+                  <TableCell sx={TABLE_STYLES.headerCell}>Provider Reference</TableCell>
+                  <TableCell sx={TABLE_STYLES.headerCell}>Receipt</TableCell>
+                  <TableCell sx={TABLE_STYLES.headerCell}>Started</TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {payments.map(payment => (
+                  <TableRow key={payment._id}>
+                    <TableCell sx={TABLE_STYLES.bodyCell}>
+                      <Typography variant="body2" sx={{ fontWeight: 600 }}>{payment.student?.name || '—'}</Typography>
+                      <Typography variant="caption" color="text.secondary">{payment.student?.studentId}</Typography>
+                    </TableCell>
+                    <TableCell sx={TABLE_STYLES.bodyCell}>{payment.invoice?.invoiceNumber || '—'}</TableCell>
+                    <TableCell sx={TABLE_STYLES.bodyCell} align="right">{formatAmount(payment.amount)}</TableCell>
+                    <TableCell sx={TABLE_STYLES.bodyCell}>
+                      <Tooltip title={payment.failureReason || (payment.confirmedBy ? `Confirmed by ${payment.confirmedBy}` : '')}>
+                        <Chip
+                          size="small"
+                          label={ONLINE_PAYMENT_STATUS_LABELS[payment.status] || payment.status}
+                          color={ONLINE_PAYMENT_STATUS_COLORS[payment.status] || 'default'}
+                        />
+                      </Tooltip>
+                    </TableCell>
+                    <TableCell sx={{ ...TABLE_STYLES.bodyCell, fontFamily: 'monospace', fontSize: '0.75rem' }}>
+                      {payment.providerReference || '—'}
+                    </TableCell>
+                    <TableCell sx={TABLE_STYLES.bodyCell}>{payment.payment?.receiptNumber || '—'}</TableCell>
+                    <TableCell sx={TABLE_STYLES.bodyCell}>{formatDateTime(payment.createdAt)}</TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          </TableContainer>
+        )}
+      </CardContent>
+    </Card>
+  );
+};
+
+export default OnlinePaymentsCard;
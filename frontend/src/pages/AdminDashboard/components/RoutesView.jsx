@@ -70,7 +70,7 @@ const RoutesView = () => {
 
   const openAddDialog = () => {
     setDialogMode('add');
-    setFormData({ isActive: true, distance: 1, estimatedDuration: 15 });
+    setFormData({ isActive: true, distance: 1, estimatedDuration: 15, offRouteDistance: 200, speedLimitKmh: 50 });
     setSelectedRoute(null);
     setStops([]);
     setOpenDialog(true);
@@ -170,7 +170,8 @@ const RoutesView = () => {
       address: '', 
       sequence: stops.length + 1, 
       pickupTime: '', 
-      fee: 0 
+      fee: 0,
+      geofenceRadius: 100
     };
     setStops([...stops, newStop]);
   };
@@ -286,6 +287,22 @@ const RoutesView = () => {
               value={formData.estimatedDuration || ''} 
               onChange={(e) => handleFormChange('estimatedDuration', Number(e.target.value))} 
             />
+            <TextField 
+              label="Off-route Alert Distance (m)" 
+              type="number" 
+              value={formData.offRouteDistance ?? 200} 
+              onChange={(e) => handleFormChange('offRouteDistance', Number(e.target.value))} 
+              inputProps={{ min: 50, max: 2000 }}
+              helperText="Admins are alerted when a bus strays further than this from the route"
+            />
+            <TextField 
+              label="Speed Limit (km/h)" 
+              type="number" 
+              value={formData.speedLimitKmh ?? 50} 
+              onChange={(e) => handleFormChange('speedLimitKmh', Number(e.target.value))} 
+              inputProps={{ min: 10, max: 120 }}
+              helperText="Trips faster than this are flagged in Driver Safety"
+            />
             <FormControl fullWidth>
               <InputLabel>Active</InputLabel>
               <Select 
@@ -305,7 +322,7 @@ const RoutesView = () => {
             {/* Current Stop Form */}
             <Box sx={{ p: 2, bgcolor: 'grey.50', borderRadius: 2, border: '1px solid', borderColor: 'grey.300' }}>
               <Grid container spacing={2}>
-                <Grid item xs={12} sm={4}>
+                <Grid item xs={12} sm={3}>
                   <TextField 
                     label="Stop Name" 
                     size="small"
@@ -332,7 +349,7 @@ const RoutesView = () => {
                     }}
                   />
                 </Grid>
-                <Grid item xs={12} sm={4}>
+                <Grid item xs={12} sm={3}>
                   <TextField 
                     label="Pickup Time" 
                     type="time"
@@ -361,7 +378,7 @@ const RoutesView = () => {
                     }}
                   />
                 </Grid>
-                <Grid item xs={12} sm={4}>
+                <Grid item xs={12} sm={3}>
                   <TextField 
                     label="Fee (PKR)" 
                     type="number"
@@ -389,6 +406,37 @@ const RoutesView = () => {
                     }}
                   />
                 </Grid>
+                <Grid item xs={12} sm={3}>
+                  <TextField 
+                    label="Geofence (m)" 
+                    type="number"
+                    size="small"
+                    fullWidth
+                    helperText="Arrival radius"
+                    inputProps={{ min: 20, max: 1000 }}
+                    value={(stops[stops.length - 1]?.geofenceRadius ?? 100)}
+                    onChange={(e) => {
+                      if (stops.length === 0) {
+                        // If no stops exist, create the first one
+                        const newStop = { 
+                          name: '', 
+                          address: '', 
+                          sequence: 1, 
+                          pickupTime: '', 
+                          fee: 0,
+                          geofenceRadius: Number(e.target.value)
+                        };
+                        setStops([newStop]);
+                      } else {
+                        // Update the last stop
+                        const newStops = [...stops];
+                        const lastIdx = newStops.length - 1;
+                        newStops[lastIdx].geofenceRadius = Number(e.target.value);
+                        setStops(newStops);
+                      }
+                    }}
+                  />
+                </Grid>
                 <Grid item xs={12}>
                   <Button 
                     variant="contained" 
@@ -415,6 +463,7 @@ const RoutesView = () => {
                             <AccessTime fontSize="small" color="action" />
                             <Typography variant="body2" color="text.secondary">{stop.pickupTime || 'No time'}</Typography>
                             <Typography variant="body2" color="primary.main" sx={{ fontWeight: 600 }}>PKR {stop.fee || 0}</Typography>
+                            <Typography variant="caption" color="text.secondary">{stop.geofenceRadius ?? 100} m radius</Typography>
                           </Box>
                           <IconButton 
                             size="small" 
@@ -0,0 +1,291 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Box, Button, Chip, CircularProgress, Dialog, DialogActions, DialogContent, DialogTitle,
+  MenuItem, TextField, Typography
+} from '@mui/material';
+import { Add, Discount } from '@mui/icons-material';
+import { feeService } from '../../../services';
+import { useAuth } from '../../../context/AuthContext';
+import { hasPermission } from '../../../utils/permissions';
+import { toast } from '../../../utils/toast';
+import { BRAND_COLORS, BUTTON_STYLES, BORDER_RADIUS } from '../../../styles/brandStyles';
+import {
+  formatAmount, formatConcessionAmount,
+  CONCESSION_CATEGORY_LABELS, CONCESSION_STATUS_LABELS, CONCESSION_STATUS_COLORS
+} from '../../../utils/fees';
+
+const todayInput = () => new Date().toISOString().slice(0, 10);
+
+const EMPTY_CONCESSION = { category: 'scholarship', type: 'percentage', amount: '', reason: '', validFrom: '', validUntil: '' };
+
+const formatDate = (value) => new Date(value).toLocaleDateString('en-US', {
+  year: 'numeric',
+  month: 'short',
+  day: 'numeric'
+});
+
+const validity = (concession) =>
+  concession.validUntil
+    ? `${formatDate(concession.validFrom)} – ${formatDate(concession.validUntil)}`
+    : `From ${formatDate(concession.validFrom)}`;
+
+const decisionText = (concession) => {
+  if (concession.status === 'revoked') return `Revoked by ${concession.revokedBy?.name || 'an admin'}: ${concession.revokeReason}`;
+  if (concession.status === 'rejected') return `Rejected by ${concession.decidedBy?.name || 'an admin'}: ${concession.decisionNote}`;
+  if (concession.status === 'pending') return `Requested by ${concession.requestedBy?.name || 'an admin'}`;
+  return `Approved by ${concession.decidedBy?.name || 'an admin'}`;
+};
+
+/**
+ * Fee concessions of a student in the user details dialog: scholarships, sibling
+ * discounts… taken off their term invoices. Admins with fees:write grant and revoke
+ * them; ones above the approval threshold wait for an admin with fees:approve.
+ * @param {Object} student - User (student) shown in the dialog
+ */
+const StudentConcessions = ({ student }) => {
+  const { user: currentUser } = useAuth();
+  const [concessions, setConcessions] = useState([]);
+  const [threshold, setThreshold] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [form, setForm] = useState(null);
+  const [revoking, setRevoking] = useState(null);
+  const [revokeReason, setRevokeReason] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  const canWrite = hasPermission(currentUser, 'fees:write');
+  const canApprove = hasPermission(currentUser, 'fees:approve');
+
+  useEffect(() => {
+    loadConcessions();
+  }, [student._id]);
+
+  const loadConcessions = async () => {
+    try {
+      setLoading(true);
+      const response = await feeService.getStudentConcessions(student._id);
+      setConcessions(response.data.data || []);
+      setThreshold(response.data.approvalThreshold || null);
+    } catch (error) {
+      console.error('Error loading concessions:', error);
+      toast.error('Failed to load concessions');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleFormChange = (field) => (e) => setForm(prev => ({ ...prev, [field]: e.target.value }));
+
+  const handleCreate = async () => {
+    try {
+      setSaving(true);
+      const response = await feeService.createConcession(student._id, {
+        ...form,
+        amount: Number(form.amount),
+        validUntil: form.validUntil || null
+      });
+      toast.success(response.data.message);
+      setForm(null);
+      loadConcessions();
+    } catch (error) {
+      console.error('Error saving concession:', error);
+      toast.error(error.response?.data?.message || 'Failed to save concession');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleRevoke = async () => {
+    try {
+      setSaving(true);
+      const response = await feeService.revokeConcession(revoking._id, revokeReason);
+      toast.success(response.data.message);
+      setRevoking(null);
+      loadConcessions();
+    } catch (error) {
+      console.error('Error revoking concession:', error);
+      toast.error(error.response?.data?.message || 'Failed to revoke concession');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const needsApproval = form && threshold && !canApprove && Number(form.amount) > (form.type === 'percentage' ? threshold.percentage : threshold.amount);
+
+  return (
+    <Box sx={{ mt: 1 }}>
+      <Box display="flex" justifyContent="space-between" alignItems="center" sx={{ mb: 1 }}>
+        <Typography variant="caption" sx={{ color: BRAND_COLORS.slate500, fontWeight: 600 }}>
+          Concessions
+        </Typography>
+        {canWrite && (
+          <Button
+            size="small"
+            startIcon={<Add />}
+            onClick={() => setForm({ ...EMPTY_CONCESSION, validFrom: todayInput() })}
+            sx={{ textTransform: 'none', fontWeight: 600 }}
+          >
+            Add Concession
+          </Button>
+        )}
+      </Box>
+
+      {loading ? (
+        <Box display="flex" justifyContent="center" py={2}>
+          <CircularProgress size={22} />
+        </Box>
+      ) : concessions.length === 0 ? (
+        <Typography variant="body2" color="text.secondary">No concessions</Typography>
+      ) : (
+        <Box display="flex" flexDirection="column" gap={1}>
+          {concessions.map(concession => (
+            <Box
+              key={concession._id}
+              sx={{
+                p: 1.5,
+                border: `1px solid ${BRAND_COLORS.slate300}`,
+                borderRadius: BORDER_RADIUS.md,
+                opacity: ['rejected', 'revoked'].includes(concession.status) ? 0.6 : 1
+              }}
+            >
+              <Box display="flex" alignItems="center" gap={1}>
+                <Discount sx={{ fontSize: 18, color: BRAND_COLORS.successGreen }} />
+                <Typography variant="body2" sx={{ fontWeight: 700, color: BRAND_COLORS.slate900, flex: 1 }}>
+                  {CONCESSION_CATEGORY_LABELS[concession.category]} · {formatConcessionAmount(concession)}
+                </Typography>
+                <Chip
+                  size="small"
+                  label={CONCESSION_STATUS_LABELS[concession.status]}
+                  color={CONCESSION_STATUS_COLORS[concession.status]}
+                />
+              </Box>
+              <Typography variant="caption" color="text.secondary" display="block" sx={{ mt: 0.5 }}>
+                {validity(concession)} · {concession.reason}
+              </Typography>
+              <Box display="flex" justifyContent="space-between" alignItems="center">
+                <Typography variant="caption" color="text.secondary">{decisionText(concession)}</Typography>
+                {canWrite && ['pending', 'approved'].includes(concession.status) && (
+                  <Button
+                    size="small"
+                    color="error"
+                    onClick={() => { setRevoking(concession); setRevokeReason(''); }}
+                    sx={{ textTransform: 'none' }}
+                  >
+                    {concession.status === 'pending' ? 'Withdraw' : 'Revoke'}
+                  </Button>
+                )}
+              </Box>
+            </Box>
+          ))}
+        </Box>
+      )}
+
+      {/* Grant a concession */}
+      <Dialog open={Boolean(form)} onClose={() => setForm(null)} maxWidth="xs" fullWidth>
+        <DialogTitle>Add Concession for {student.name}</DialogTitle>
+        <DialogContent dividers>
+          {form && (
+            <Box display="flex" flexDirection="column" gap={2} sx={{ mt: 1 }}>
+              <TextField select label="Category" value={form.category} onChange={handleFormChange('category')} fullWidth>
+                {Object.entries(CONCESSION_CATEGORY_LABELS).map(([value, label]) => (
+                  <MenuItem key={value} value={value}>{label}</MenuItem>
+                ))}
+              </TextField>
+              <Box display="flex" gap={2}>
+                <TextField select label="Type" value={form.type} onChange={handleFormChange('type')} fullWidth>
+                  <MenuItem value="percentage">Percent of stop fee</MenuItem>
+                  <MenuItem value="fixed">Rupees off per month</MenuItem>
+                </TextField>
+                <TextField
+                  label={form.type === 'percentage' ? 'Percent' : 'Amount (Rs.)'}
+                  type="number"
+                  value={form.amount}
+                  onChange={handleFormChange('amount')}
+                  inputProps={{ min: 0, max: form.type === 'percentage' ? 100 : undefined }}
+                  fullWidth
+                  required
+                />
+              </Box>
+              <Box display="flex" gap={2}>
+                <TextField
+                  label="Valid From"
+                  type="date"
+                  value={form.validFrom}
+                  onChange={handleFormChange('validFrom')}
+                  InputLabelProps={{ shrink: true }}
+                  fullWidth
+                  required
+                />
+                <TextField
+                  label="Valid Until"
+                  type="date"
+                  value={form.validUntil}
+                  onChange={handleFormChange('validUntil')}
+                  InputLabelProps={{ shrink: true }}
+                  helperText="Empty: until revoked"
+                  fullWidth
+                />
+              </Box>
+              <TextField
+                label="Reason"
+                value={form.reason}
+                onChange={handleFormChange('reason')}
+                placeholder="e.g. Merit scholarship, Fall 2026"
+                inputProps={{ maxLength: 300 }}
+                multiline
+                minRows={2}
+                fullWidth
+                required
+              />
+              <Typography variant="body2" color="text.secondary">
+                Once it applies, terms already invoiced get a credit for the days it covers.
+              </Typography>
+              {needsApproval && (
+                <Typography variant="body2" sx={{ color: BRAND_COLORS.warningOrange }}>
+                  Concessions above {threshold.percentage}% or {formatAmount(threshold.amount)}/month need approval by
+                  another admin before they apply.
+                </Typography>
+              )}
+            </Box>
+          )}
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setForm(null)} disabled={saving}>Cancel</Button>
+          <Button
+            variant="contained"
+            onClick={handleCreate}
+            disabled={saving || !(Number(form?.amount) > 0) || !form?.reason.trim() || !form?.validFrom}
+            sx={BUTTON_STYLES.primary}
+          >
+            {needsApproval ? 'Request Approval' : 'Grant'}
+          </Button>
+        </DialogActions>
+      </Dialog>
+
+      {/* Revoke or withdraw */}
+      <Dialog open={Boolean(revoking)} onClose={() => setRevoking(null)} maxWidth="xs" fullWidth>
+        <DialogTitle>{revoking?.status === 'pending' ? 'Withdraw Concession Request' : 'Revoke Concession'}</DialogTitle>
+        <DialogContent dividers>
+          <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+            Invoices already issued keep the concession; it is no longer taken off new ones.
+          </Typography>
+          <TextField
+            label="Reason"
+            value={revokeReason}
+            onChange={(e) => setRevokeReason(e.target.value)}
+            fullWidth
+            required
+            autoFocus
+          />
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setRevoking(null)} disabled={saving}>Cancel</Button>
+          <Button variant="contained" color="error" onClick={handleRevoke} disabled={saving || !revokeReason.trim()}>
+            {revoking?.status === 'pending' ? 'Withdraw' : 'Revoke'}
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </Box>
+  );
+};
+
+export default StudentConcessions;
@@ -0,0 +1,435 @@
+/**
+ * Trip Replay Panel
+ *
+ * Plays back a recorded trip on the map so admins can check what a bus
+ * actually did (e.g. "the bus never came to my stop").
+ * Features:
+ * - Pick a bus and a date, then one of that day's trips
+ * - Animated bus marker along the recorded GPS breadcrumbs
+ * - Time scrubber and playback speed control
+ * - Stop markers turn green once the bus has reached them
+ */
+
+import React, { useState, useEffect, useMemo } from 'react';
+import {
+  Grid,
+  Card,
+  CardContent,
+  Typography,
+  Box,
+  Chip,
+  Alert,
+  CircularProgress,
+  FormControl,
+  InputLabel,
+  Select,
+  MenuItem,
+  TextField,
+  IconButton,
+  Slider,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow
+} from '@mui/material';
+import {
+  PlayArrow,
+  Pause,
+  Replay,
+  History
+} from '@mui/icons-material';
+import { trackingService, busService } from '../../../services';
+import RealTimeBusMap from '../../../components/RealTimeBusMap';
+import { findStopArrivals, interpolatePathPosition } from '../../../utils/geoUtils';
+import {
+  BRAND_COLORS,
+  CARD_STYLES,
+  BORDER_RADIUS,
+  TABLE_STYLES
+} from '../../../styles/brandStyles';
+
+// Playback speeds (multiples of real time)
+const PLAYBACK_SPEEDS = [10, 30, 60, 120];
+const TICK_MS = 200;
+
+const toDateInputValue = (date) => {
+  const offset = date.getTimezoneOffset() * 60000;
+  return new Date(date.getTime() - offset).toISOString().slice(0, 10);
+};
+
+const formatTime = (value) => new Date(value).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit', second: '2-digit' });
+
+const TripReplayPanel = () => {
+  const [buses, setBuses] = useState([]);
+  const [selectedBusId, setSelectedBusId] = useState('');
+  const [date, setDate] = useState(toDateInputValue(new Date()));
+  const [trips, setTrips] = useState([]);
+  const [selectedTripId, setSelectedTripId] = useState('');
+  const [trip, setTrip] = useState(null);
+  const [playbackTime, setPlaybackTime] = useState(0);
+  const [isPlaying, setIsPlaying] = useState(false);
+  const [speed, setSpeed] = useState(30);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  // Load bus list once
+  useEffect(() => {
+    const loadBuses = async () => {
+      try {
+        const response = await busService.getBuses({ limit: 100 });
+        setBuses(response.data?.data || []);
+      } catch (err) {
+        console.error('Failed to load buses:', err);
+        setError('Failed to load buses');
+      }
+    };
+    loadBuses();
+  }, []);
+
+  // Load the selected bus's trips for the chosen day
+  useEffect(() => {
+    setTrips([]);
+    setSelectedTripId('');
+    setTrip(null);
+    if (!selectedBusId || !date) return;
+
+    const loadTrips = async () => {
+      try {
+        setLoading(true);
+        setError(null);
+        const response = await trackingService.getTrips({
+          busId: selectedBusId,
+          from: new Date(`${date}T00:00:00`).toISOString(),
+          to: new Date(`${date}T23:59:59.999`).toISOString(),
+          limit: 50
+        });
+        setTrips(response.data?.data || []);
+      } catch (err) {
+        console.error('Failed to load trips:', err);
+        setError('Failed to load trips for this bus');
+      } finally {
+        setLoading(false);
+      }
+    };
+    loadTrips();
+  }, [selectedBusId, date]);
+
+  // Load the full trip (with breadcrumbs) when one is picked
+  useEffect(() => {
+    setIsPlaying(false);
+    setTrip(null);
+    if (!selectedTripId) return;
+
+    const loadTrip = async () => {
+      try {
+        setLoading(true);
+        setError(null);
+        const response = await trackingService.getTrip(selectedTripId);
+        const tripData = response.data?.data;
+        setTrip(tripData);
+        if (tripData?.path?.length > 0) {
+          setPlaybackTime(new Date(tripData.path[0].recordedAt).getTime());
+        }
+      } catch (err) {
+        console.error('Failed to load trip:', err);
+        setError('Failed to load trip details');
+      } finally {
+        setLoading(false);
+      }
+    };
+    loadTrip();
+  }, [selectedTripId]);
+
+  const path = trip?.path || [];
+  const startMs = path.length > 0 ? new Date(path[0].recordedAt).getTime() : 0;
+  const endMs = path.length > 0 ? new Date(path[path.length - 1].recordedAt).getTime() : 0;
+
+  // Advance the playback clock while playing
+  useEffect(() => {
+    if (!isPlaying) return;
+    const timer = setInterval(() => {
+      setPlaybackTime((prev) => Math.min(prev + TICK_MS * speed, endMs));
+    }, TICK_MS);
+    return () => clearInterval(timer);
+  }, [isPlaying, speed, endMs]);
+
+  // Stop at the end of the recording
+  useEffect(() => {
+    if (isPlaying && playbackTime >= endMs) {
+      setIsPlaying(false);
+    }
+  }, [isPlaying, playbackTime, endMs]);
+
+  const stops = useMemo(() => {
+    const routeStops = trip?.route?.stops || [];
+    return [...routeStops].sort((a, b) => (a.sequence || 0) - (b.sequence || 0));
+  }, [trip]);
+
+  const stopArrivals = useMemo(() => {
+    // Prefer arrivals detected live by the server; fall back to the breadcrumbs for older trips
+    const recorded = new Map((trip?.stopEvents || []).map((event) => [event.stop?.toString(), event]));
+    return findStopArrivals(path, stops).map((stop) => {
+      const event = recorded.get(stop._id?.toString());
+      return event ? { ...stop, arrivedAt: new Date(event.arrivedAt) } : stop;
+    });
+  }, [path, stops, trip]);
+
+  const position = interpolatePathPosition(path, playbackTime);
+
+  // Only show stops as reached once playback has passed the arrival time
+  const stopMarkers = stopArrivals.map((stop) => ({
+    ...stop,
+    arrivedAt: stop.arrivedAt && stop.arrivedAt.getTime() <= playbackTime ? stop.arrivedAt : null
+  }));
+
+  const trailPoints = position
+    ? [
+      ...path.slice(0, position.index + 1).map((point) => [point.latitude, point.longitude]),
+      [position.latitude, position.longitude]
+    ]
+    : [];
+
+  const replayBus = trip && position ? [{
+    busId: trip.bus?._id,
+    busNumber: trip.bus?.busNumber,
+    driver: trip.driver,
+    route: trip.route,
+    location: {
+      latitude: position.latitude,
+      longitude: position.longitude,
+      address: `Replay at ${formatTime(playbackTime)}`
+    },
+    isOnTrip: true,
+    lastUpdate: playbackTime
+  }] : [];
+
+  const handlePlayPause = () => {
+    if (!isPlaying && playbackTime >= endMs) {
+      setPlaybackTime(startMs);
+    }
+    setIsPlaying(!isPlaying);
+  };
+
+  return (
+    <Grid container spacing={3}>
+      {/* Replay selection */}
+      <Grid item xs={12}>
+        <Card sx={{ ...CARD_STYLES.standard }}>
+          <CardContent>
+            <Box display="flex" alignItems="center" gap={1} mb={2}>
+              <History sx={{ color: BRAND_COLORS.primary }} />
+              <Typography variant="h6" sx={{ fontWeight: 700 }}>
+                Trip Replay
+              </Typography>
+            </Box>
+
+            <Grid container spacing={2}>
+              <Grid item xs={12} md={4}>
+                <FormControl fullWidth>
+                  <InputLabel>Bus</InputLabel>
+                  <Select
+                    value={selectedBusId}
+                    label="Bus"
+                    onChange={(e) => setSelectedBusId(e.target.value)}
+                    sx={{ borderRadius: BORDER_RADIUS.md }}
+                  >
+                    {buses.map((bus) => (
+                      <MenuItem key={bus._id} value={bus._id}>
+                        {bus.busNumber}{bus.routeId?.routeName ? ` — ${bus.routeId.routeName}` : ''}
+                      </MenuItem>
+                    ))}
+                  </Select>
+                </FormControl>
+              </Grid>
+              <Grid item xs={12} md={3}>
+                <TextField
+                  fullWidth
+                  type="date"
+                  label="Date"
+                  value={date}
+                  onChange={(e) => setDate(e.target.value)}
+                  InputLabelProps={{ shrink: true }}
+                />
+              </Grid>
+              <Grid item xs={12} md={5}>
+                <FormControl fullWidth disabled={trips.length === 0}>
+                  <InputLabel>Trip</InputLabel>
+                  <Select
+                    value={selectedTripId}
+                    label="Trip"
+                    onChange={(e) => setSelectedTripId(e.target.value)}
+                    sx={{ borderRadius: BORDER_RADIUS.md }}
+                  >
+                    {trips.map((t) => (
+                      <MenuItem key={t._id} value={t._id}>
+                        {formatTime(t.startTime)} – {t.endTime ? formatTime(t.endTime) : 'in progress'}
+                        {` (${t.pointCount || 0} points)`}
+                        {t.status === 'abandoned' && ' · abandoned'}
+                      </MenuItem>
+                    ))}
+                  </Select>
+                </FormControl>
+              </Grid>
+            </Grid>
+
+            {selectedBusId && !loading && trips.length === 0 && (
+              <Typography variant="body2" sx={{ color: BRAND_COLORS.slate600, mt: 2 }}>
+                No trips recorded for this bus on the selected date.
+              </Typography>
+            )}
+          </CardContent>
+        </Card>
+      </Grid>
+
+      {error && (
+        <Grid item xs={12}>
+          <Alert severity="error" sx={{ borderRadius: BORDER_RADIUS.md }} onClose={() => setError(null)}>
+            {error}
+          </Alert>
+        </Grid>
+      )}
+
+      {loading && (
+        <Grid item xs={12} sx={{ display: 'flex', justifyContent: 'center' }}>
+          <CircularProgress sx={{ color: BRAND_COLORS.skyBlue }} />
+        </Grid>
+      )}
+
+      {trip && path.length === 0 && (
+        <Grid item xs={12}>
+          <Alert severity="info" sx={{ borderRadius: BORDER_RADIUS.md }}>
+            This trip has no recorded locations to replay.
+          </Alert>
+        </Grid>
+      )}
+
+      {trip && path.length > 0 && (
+        <>
+          {/* Map */}
+          <Grid item xs={12} md={8}>
+            <Card sx={{ ...CARD_STYLES.standard }}>
+              <CardContent sx={{ p: 0 }}>
+                <RealTimeBusMap
+                  key={trip._id}
+                  busLocations={replayBus}
+                  mode="admin"
+                  routePoints={stops
+                    .filter((stop) => typeof stop.latitude === 'number' && typeof stop.longitude === 'number')
+                    .map((stop) => [stop.latitude, stop.longitude])}
+                  trailPoints={trailPoints}
+                  stopMarkers={stopMarkers}
+                  followBus={false}
+                  height={520}
+                  showControls={true}
+                />
+              </CardContent>
+            </Card>
+
+            {/* Playback controls */}
+            <Card sx={{ ...CARD_STYLES.standard, mt: 2 }}>
+              <CardContent>
+                <Box display="flex" alignItems="center" gap={2}>
+                  <IconButton onClick={handlePlayPause} sx={{ color: BRAND_COLORS.primary }}>
+                    {isPlaying ? <Pause /> : <PlayArrow />}
+                  </IconButton>
+                  <IconButton
+                    onClick={() => {
+                      setIsPlaying(false);
+                      setPlaybackTime(startMs);
+                    }}
+                  >
+                    <Replay />
+                  </IconButton>
+                  <Slider
+                    value={playbackTime}
+                    min={startMs}
+                    max={endMs}
+                    step={1000}
+                    onChange={(e, value) => {
+                      setIsPlaying(false);
+                      setPlaybackTime(value);
+                    }}
+                    valueLabelDisplay="auto"
+                    valueLabelFormat={formatTime}
+                    sx={{ flex: 1, color: BRAND_COLORS.primary }}
+                  />
+                  <Typography variant="body2" sx={{ minWidth: 80, fontWeight: 600 }}>
+                    {formatTime(playbackTime)}
+                  </Typography>
+                  <FormControl size="small" sx={{ minWidth: 90 }}>
+                    <InputLabel>Speed</InputLabel>
+                    <Select value={speed} label="Speed" onChange={(e) => setSpeed(e.target.value)}>
+                      {PLAYBACK_SPEEDS.map((value) => (
+                        <MenuItem key={value} value={value}>{value}x</MenuItem>
+                      ))}
+                    </Select>
+                  </FormControl>
+                </Box>
+              </CardContent>
+            </Card>
+          </Grid>
+
+          {/* Stop arrivals */}
+          <Grid item xs={12} md={4}>
+            <Card sx={{ ...CARD_STYLES.standard }}>
+              <CardContent>
+                <Typography variant="h6" sx={{ fontWeight: 700, mb: 1 }}>
+                  Stop Arrivals
+                </Typography>
+                <Typography variant="body2" sx={{ color: BRAND_COLORS.slate600, mb: 2 }}>
+                  Bus {trip.bus?.busNumber} · {trip.driver?.name || 'Unknown driver'} · {(trip.distance || 0).toFixed(1)} km
+                </Typography>
+
+                {stopArrivals.length === 0 ? (
+                  <Typography variant="body2" sx={{ color: BRAND_COLORS.slate500 }}>
+                    This route has no stops with coordinates.
+                  </Typography>
+                ) : (
+                  <TableContainer sx={{ borderRadius: BORDER_RADIUS.md, overflow: 'hidden' }}>
+                    <Table size="small">
+                      <TableHead>
+                        <TableRow sx={{ bgcolor: BRAND_COLORS.slate100 }}>
+                          <TableCell sx={TABLE_STYLES.headerCell}>Stop</TableCell>
+                          <TableCell sx={TABLE_STYLES.headerCell}>Scheduled</TableCell>
+                          <TableCell sx={TABLE_STYLES.headerCell}>Reached</TableCell>
+                        </TableRow>
+                      </TableHead>
+                      <TableBody>
+                        {stopArrivals.map((stop, index) => (
+                          <TableRow
+                            key={`${stop.name}-${index}`}
+                            sx={{ ...TABLE_STYLES.row, cursor: stop.arrivedAt ? 'pointer' : 'default' }}
+                            onClick={() => {
+                              if (stop.arrivedAt) {
+                                setIsPlaying(false);
+                                setPlaybackTime(stop.arrivedAt.getTime());
+                              }
+                            }}
+                          >
+                            <TableCell sx={TABLE_STYLES.bodyCell}>{stop.name}</TableCell>
+                            <TableCell sx={TABLE_STYLES.bodyCell}>{stop.pickupTime || 'N/A'}</TableCell>
+                            <TableCell sx={TABLE_STYLES.bodyCell}>
+                              {stop.arrivedAt ? (
+                                formatTime(stop.arrivedAt)
+                              ) : (
+                                <Chip label="Not reached" size="small" color="error" variant="outlined" />
+                              )}
+                            </TableCell>
+                          </TableRow>
+                        ))}
+                      </TableBody>
+                    </Table>
+                  </TableContainer>
+                )}
+              </CardContent>
+            </Card>
+          </Grid>
+        </>
+      )}
+    </Grid>
+  );
+};
+
+export default TripReplayPanel;
@@ -0,0 +1,264 @@
+import React, { useEffect, useState } from 'react';
+import {
+  Alert,
+  Box,
+  Button,
+  Chip,
+  CircularProgress,
+  Grid,
+  Paper,
+  TextField,
+  Typography
+} from '@mui/material';
+import { Security, ContentCopy, Download } from '@mui/icons-material';
+import { authService } from '../../../services';
+import { useAuth } from '../../../context/AuthContext';
+import { toast } from '../../../utils/toast';
+import { BRAND_COLORS, BORDER_RADIUS } from '../../../styles/brandStyles';
+
+/**
+ * Two-factor authentication (TOTP) settings on the admin Security tab:
+ * QR enrollment, recovery codes, regeneration and turning it off.
+ */
+const TwoFactorSettings = () => {
+  const { updateUser } = useAuth();
+  const [status, setStatus] = useState(null);
+  const [enrollment, setEnrollment] = useState(null); // { qrCode, secret }
+  const [recoveryCodes, setRecoveryCodes] = useState(null); // Shown once after enable/regenerate
+  const [mode, setMode] = useState(null); // 'regenerate' | 'disable'
+  const [code, setCode] = useState('');
+  const [password, setPassword] = useState('');
+  const [busy, setBusy] = useState(false);
+
+  const loadStatus = async () => {
+    try {
+      const response = await authService.getTwoFactorStatus();
+      setStatus(response.data.data);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to load two-factor status');
+    }
+  };
+
+  useEffect(() => {
+    loadStatus();
+  }, []);
+
+  const resetForm = () => {
+    setMode(null);
+    setCode('');
+    setPassword('');
+  };
+
+  const run = async (action) => {
+    setBusy(true);
+    try {
+      await action();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Something went wrong. Please try again.');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleStartSetup = () => run(async () => {
+    const response = await authService.setupTwoFactor();
+    setEnrollment(response.data.data);
+    setCode('');
+  });
+
+  const handleEnable = () => run(async () => {
+    const response = await authService.enableTwoFactor(code);
+    toast.success(response.data.message);
+    setRecoveryCodes(response.data.data.recoveryCodes);
+    setEnrollment(null);
+    setCode('');
+    updateUser({ twoFactorEnabled: true, twoFactorSetupRequired: false });
+    await loadStatus();
+  });
+
+  const handleRegenerate = () => run(async () => {
+    const response = await authService.regenerateRecoveryCodes(code);
+    toast.success(response.data.message);
+    setRecoveryCodes(response.data.data.recoveryCodes);
+    resetForm();
+    await loadStatus();
+  });
+
+  const handleDisable = () => run(async () => {
+    const response = await authService.disableTwoFactor({ password, code });
+    toast.success(response.data.message);
+    setRecoveryCodes(null);
+    resetForm();
+    updateUser({ twoFactorEnabled: false });
+    await loadStatus();
+  });
+
+  const copyCodes = async () => {
+    await navigator.clipboard.writeText(recoveryCodes.join('\n'));
+    toast.success('Recovery codes copied');
+  };
+
+  const downloadCodes = () => {
+    const blob = new Blob([`MyCampusRide recovery codes\n\n${recoveryCodes.join('\n')}\n`], { type: 'text/plain' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = 'mycampusride-recovery-codes.txt';
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  if (!status) {
+    return (
+      <Box sx={{ display: 'flex', justifyContent: 'center', py: 3 }}>
+        <CircularProgress size={28} />
+      </Box>
+    );
+  }
+
+  const codeField = (
+    <TextField
+      size="small"
+      label="6-digit code"
+      value={code}
+      onChange={(e) => setCode(e.target.value)}
+      inputProps={{ inputMode: 'numeric', maxLength: 6, autoComplete: 'one-time-code' }}
+      sx={{ width: 160 }}
+    />
+  );
+
+  return (
+    <Box>
+      <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, mb: 1 }}>
+        <Security sx={{ color: BRAND_COLORS.skyBlue }} />
+        <Typography variant="h6" sx={{ fontWeight: 600 }}>
+          Two-Factor Authentication
+        </Typography>
+        <Chip
+          size="small"
+          label={status.enabled ? 'On' : 'Off'}
+          sx={{
+            bgcolor: status.enabled ? BRAND_COLORS.successGreen : BRAND_COLORS.slate300,
+            color: status.enabled ? 'white' : BRAND_COLORS.slate700,
+            fontWeight: 600
+          }}
+        />
+      </Box>
+      <Typography variant="body2" sx={{ color: BRAND_COLORS.slate600, mb: 2 }}>
+        Sign-in asks for a code from an authenticator app (Google Authenticator, Microsoft Authenticator, Authy…) after your password.
+      </Typography>
+
+      {status.requiredByPolicy && !status.enabled && (
+        <Alert severity="warning" sx={{ mb: 2, borderRadius: BORDER_RADIUS.md }}>
+          Two-factor authentication is required for admin accounts. Set it up to use the admin panel.
+        </Alert>
+      )}
+
+      {recoveryCodes && (
+        <Paper variant="outlined" sx={{ p: 2, mb: 2, borderRadius: BORDER_RADIUS.md, borderColor: BRAND_COLORS.warningOrange }}>
+          <Typography variant="subtitle2" sx={{ fontWeight: 600, mb: 1 }}>
+            Recovery codes — save them now, they won't be shown again
+          </Typography>
+          <Typography variant="body2" sx={{ color: BRAND_COLORS.slate600, mb: 1.5 }}>
+            Each code signs you in once if you lose your phone.
+          </Typography>
+          <Grid container spacing={1} sx={{ mb: 1.5 }}>
+            {recoveryCodes.map(recoveryCode => (
+              <Grid item xs={6} sm={4} key={recoveryCode}>
+                <Typography sx={{ fontFamily: 'monospace', fontSize: '0.95rem' }}>{recoveryCode}</Typography>
+              </Grid>
+            ))}
+          </Grid>
+          <Box sx={{ display: 'flex', gap: 1 }}>
+            <Button size="small" startIcon={<ContentCopy />} onClick={copyCodes}>Copy</Button>
+            <Button size="small" startIcon={<Download />} onClick={downloadCodes}>Download</Button>
+            <Button size="small" onClick={() => setRecoveryCodes(null)} sx={{ ml: 'auto' }}>I saved them</Button>
+          </Box>
+        </Paper>
+      )}
+
+      {!status.enabled && !enrollment && (
+        <Button variant="contained" onClick={handleStartSetup} disabled={busy}>
+          Set Up Two-Factor Authentication
+        </Button>
+      )}
+
+      {!status.enabled && enrollment && (
+        <Box sx={{ display: 'flex', gap: 3, flexWrap: 'wrap', alignItems: 'flex-start' }}>
+          <Box
+            component="img"
+            src={enrollment.qrCode}
+            alt="Authenticator QR code"
+            sx={{ width: 180, height: 180, border: `1px solid ${BRAND_COLORS.slate300}`, borderRadius: BORDER_RADIUS.md }}
+          />
+          <Box sx={{ flex: 1, minWidth: 240 }}>
+            <Typography variant="body2" sx={{ mb: 1 }}>
+              1. Scan the QR code with your authenticator app.
+            </Typography>
+            <Typography variant="body2" sx={{ color: BRAND_COLORS.slate600, mb: 1 }}>
+              Can't scan? Enter this key manually:
+            </Typography>
+            <Typography sx={{ fontFamily: 'monospace', wordBreak: 'break-all', mb: 2 }}>
+              {enrollment.secret.match(/.{1,4}/g).join(' ')}
+            </Typography>
+            <Typography variant="body2" sx={{ mb: 1 }}>
+              2. Enter the 6-digit code the app shows.
+            </Typography>
+            <Box sx={{ display: 'flex', gap: 1, alignItems: 'center' }}>
+              {codeField}
+              <Button variant="contained" onClick={handleEnable} disabled={busy || code.length !== 6}>
+                Enable
+              </Button>
+              <Button onClick={() => setEnrollment(null)} disabled={busy}>Cancel</Button>
+            </Box>
+          </Box>
+        </Box>
+      )}
+
+      {status.enabled && (
+        <Box>
+          <Typography variant="body2" sx={{ color: BRAND_COLORS.slate700, mb: 2 }}>
+            Enabled {status.enabledAt ? `on ${new Date(status.enabledAt).toLocaleDateString()}` : ''} ·
+            {' '}{status.recoveryCodesRemaining} recovery code{status.recoveryCodesRemaining === 1 ? '' : 's'} left
+          </Typography>
+
+          {!mode && (
+            <Box sx={{ display: 'flex', gap: 1 }}>
+              <Button variant="outlined" onClick={() => setMode('regenerate')}>New Recovery Codes</Button>
+              {!status.requiredByPolicy && (
+                <Button variant="outlined" color="error" onClick={() => setMode('disable')}>Turn Off</Button>
+              )}
+            </Box>
+          )}
+
+          {mode && (
+            <Box sx={{ display: 'flex', gap: 1, alignItems: 'center', flexWrap: 'wrap' }}>
+              {mode === 'disable' && (
+                <TextField
+                  size="small"
+                  type="password"
+                  label="Password"
+                  value={password}
+                  onChange={(e) => setPassword(e.target.value)}
+                  autoComplete="current-password"
+                />
+              )}
+              {codeField}
+              <Button
+                variant="contained"
+                color={mode === 'disable' ? 'error' : 'primary'}
+                onClick={mode === 'disable' ? handleDisable : handleRegenerate}
+                disabled={busy || code.length !== 6 || (mode === 'disable' && !password)}
+              >
+                {mode === 'disable' ? 'Turn Off' : 'Generate'}
+              </Button>
+              <Button onClick={resetForm} disabled={busy}>Cancel</Button>
+            </Box>
+          )}
+        </Box>
+      )}
+    </Box>
+  );
+};
+
+export default TwoFactorSettings;
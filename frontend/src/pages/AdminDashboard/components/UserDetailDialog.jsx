@@ -5,9 +5,15 @@ import {
 } from '@mui/material';
 import {
     Close, Person, Email, Phone, Badge, DirectionsBus, Route as RouteIcon,
-    Payment, PictureAsPdf, Download, OpenInNew, CalendarToday
+    Payment, PictureAsPdf, Download, OpenInNew, CalendarToday, Logout
 } from '@mui/icons-material';
 import { userService } from '../../../services';
+import { useAuth } from '../../../context/AuthContext';
+import { hasPermission } from '../../../utils/permissions';
+import { formatAmount, PAYMENT_PLAN_LABELS } from '../../../utils/fees';
+import ConfirmDialog from '../../../components/ConfirmDialog';
+import StudentConcessions from './StudentConcessions';
+import { toast } from '../../../utils/toast';
 
 const InfoRow = ({ icon, label, value, chip, chipColor }) => (
     <Box sx={{ display: 'flex', alignItems: 'center', gap: 2, py: 1.5 }}>
@@ -32,6 +38,9 @@ const InfoRow = ({ icon, label, value, chip, chipColor }) => (
 const UserDetailDialog = ({ open, onClose, user, buses = [] }) => {
     const [licenseLoading, setLicenseLoading] = useState(false);
     const [licenseError, setLicenseError] = useState('');
+    const [confirmSignOut, setConfirmSignOut] = useState(false);
+    const [signingOut, setSigningOut] = useState(false);
+    const { user: currentUser } = useAuth();
 
     if (!user) return null;
 
@@ -65,7 +74,8 @@ const UserDetailDialog = ({ open, onClose, user, buses = [] }) => {
         const statusMap = {
             'paid': { label: 'Paid', color: 'success' },
             'partially_paid': { label: 'Partially Paid', color: 'warning' },
-            'pending': { label: 'Pending', color: 'error' }
+            'pending': { label: 'Pending', color: 'error' },
+            'defaulter': { label: 'Defaulter', color: 'error' }
         };
         return statusMap[user.feeStatus] || { label: user.feeStatus || 'N/A', color: 'default' };
     };
@@ -100,6 +110,20 @@ const UserDetailDialog = ({ open, onClose, user, buses = [] }) => {
         }
     };
 
+    // Revoke every session of the user (lost phone, staff leaving)
+    const handleForceSignOut = async () => {
+        setSigningOut(true);
+        try {
+            const response = await userService.forceSignOut(user._id);
+            toast.success(response.data.message);
+            setConfirmSignOut(false);
+        } catch (error) {
+            toast.error(error.response?.data?.message || 'Failed to sign out user');
+        } finally {
+            setSigningOut(false);
+        }
+    };
+
     const feeInfo = getFeeStatus();
     const roleColor = user.role === 'admin' ? 'error' : user.role === 'driver' ? 'info' : 'success';
     const statusColor = user.status === 'active' ? 'success' : user.status === 'pending' ? 'warning' : 'error';
@@ -166,18 +190,10 @@ const UserDetailDialog = ({ open, onClose, user, buses = [] }) => {
                         </Typography>
                         <InfoRow icon={<Payment sx={{ fontSize: 18, color: '#0EA5E9' }} />} label="Fee Status" value={feeInfo.label} chip chipColor={feeInfo.color} />
                         {user.feePaymentType && (
-                            <InfoRow icon={<Payment sx={{ fontSize: 18, color: '#0EA5E9' }} />} label="Payment Type" value={user.feePaymentType} />
-                        )}
-                        {user.feeNotes && (
-                            <Box sx={{ mt: 1.5, p: 2, bgcolor: '#F8FAFC', borderRadius: '10px', border: '1px solid #E2E8F0' }}>
-                                <Typography variant="caption" sx={{ fontWeight: 600, color: '#64748B', display: 'block', mb: 0.5 }}>
-                                    Fee Notes / History
-                                </Typography>
-                                <Typography variant="body2" sx={{ whiteSpace: 'pre-wrap', color: '#334155', fontSize: '0.8rem' }}>
-                                    {user.feeNotes}
-                                </Typography>
-                            </Box>
+                            <InfoRow icon={<Payment sx={{ fontSize: 18, color: '#0EA5E9' }} />} label="Payment Plan" value={PAYMENT_PLAN_LABELS[user.feePaymentType] || user.feePaymentType} />
                         )}
+                        <InfoRow icon={<Payment sx={{ fontSize: 18, color: '#0EA5E9' }} />} label="Outstanding Balance" value={formatAmount(user.feeBalance)} />
+                        <StudentConcessions student={user} />
                     </>
                 )}
 
@@ -243,10 +259,31 @@ const UserDetailDialog = ({ open, onClose, user, buses = [] }) => {
             </DialogContent>
 
             <DialogActions sx={{ px: 3, pb: 2 }}>
+                {user._id !== currentUser?._id && hasPermission(currentUser, 'users:write') && (
+                    <Button
+                        color="error"
+                        startIcon={<Logout />}
+                        onClick={() => setConfirmSignOut(true)}
+                        sx={{ borderRadius: '8px', textTransform: 'none', fontWeight: 600, mr: 'auto' }}
+                    >
+                        Force Sign-out
+                    </Button>
+                )}
                 <Button onClick={onClose} sx={{ borderRadius: '8px', textTransform: 'none', fontWeight: 600 }}>
                     Close
                 </Button>
             </DialogActions>
+
+            <ConfirmDialog
+                open={confirmSignOut}
+                title="Force Sign-out"
+                message={`Sign ${user.name} out of every device? They will need to log in again.`}
+                confirmText="Sign Out"
+                variant="warning"
+                loading={signingOut}
+                onConfirm={handleForceSignOut}
+                onCancel={() => setConfirmSignOut(false)}
+            />
         </Dialog>
     );
 };
@@ -9,16 +9,23 @@ import {
 import {
   Add, Edit, Delete, CheckCircle, Cancel, AdminPanelSettings,
   School, DirectionsBus, Search, FilterList, Refresh, PictureAsPdf,
-  MoreVert, Close, Person, Email, Clear, People, Visibility, VisibilityOff
+  MoreVert, Close, Person, Email, Clear, People, Visibility, VisibilityOff, Lock, LockOpen
 } from '@mui/icons-material';
-import { userService, busService, routeService } from '../../../services';
+import { userService, busService, routeService, adminRoleService } from '../../../services';
+import { useAuth } from '../../../context/AuthContext';
 import { toast } from '../../../utils/toast';
+import { hasPermission } from '../../../utils/permissions';
 import ConfirmDialog from '../../../components/ConfirmDialog';
 import UserDetailDialog from './UserDetailDialog';
 
 const UsersView = () => {
+  const { user: currentUser } = useAuth();
+  const can = (permission) => hasPermission(currentUser, permission);
   const [users, setUsers] = useState([]);
+  const [adminRoles, setAdminRoles] = useState([]);
   const [pendingDrivers, setPendingDrivers] = useState([]);
+  const [lockedUsers, setLockedUsers] = useState([]);
+  const [unlockingId, setUnlockingId] = useState(null);
   const [buses, setBuses] = useState([]);
   const [routes, setRoutes] = useState([]);
   const [loading, setLoading] = useState(true);
@@ -43,15 +50,20 @@ const UsersView = () => {
   const loadData = async () => {
     try {
       setLoading(true);
-      const [usersResponse, pendingResponse, busesResponse, routesResponse] = await Promise.all([
+      // Sections outside the admin's sub-role are skipped rather than failing the whole page
+      const [usersResponse, pendingResponse, lockedResponse, busesResponse, routesResponse, rolesResponse] = await Promise.all([
         userService.getUsers({ limit: 100 }), // In a real app, we might need pagination/server-side search
-        userService.getPendingDrivers(),
+        can('users:approve') ? userService.getPendingDrivers() : null,
+        can('users:write') ? userService.getLockedUsers() : null,
         busService.getBuses({ limit: 100 }),
-        routeService.getActiveRoutes()
+        routeService.getActiveRoutes(),
+        can('roles:manage') ? adminRoleService.getAdminRoles() : null
       ]);
 
       setUsers((usersResponse.data && usersResponse.data.data) || []);
-      setPendingDrivers((pendingResponse.data && pendingResponse.data.data) || []);
+      setPendingDrivers((pendingResponse?.data && pendingResponse.data.data) || []);
+      setLockedUsers((lockedResponse?.data && lockedResponse.data.data) || []);
+      setAdminRoles((rolesResponse?.data && rolesResponse.data.data.roles) || []);
       setBuses((busesResponse.data && busesResponse.data.data) || []);
       setRoutes((routesResponse.data && routesResponse.data.data) || []);
     } catch (error) {
@@ -73,6 +85,22 @@ const UsersView = () => {
     }
   };
 
+  const handleUnlockUser = async (user) => {
+    setUnlockingId(user._id);
+    try {
+      const response = await userService.unlockUser(user._id);
+      toast.success(response.data.message || 'Account unlocked');
+      setLockedUsers(prev => prev.filter(u => u._id !== user._id));
+      setUsers(prev => prev.map(u => (u._id === user._id ? { ...u, lockUntil: null, failedLoginAttempts: 0 } : u)));
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to unlock account');
+    } finally {
+      setUnlockingId(null);
+    }
+  };
+
+  const isLocked = (user) => user.lockUntil && new Date(user.lockUntil) > new Date();
+
   const openRejectDialog = (driverId) => {
     setConfirmDialog({
       open: true,
@@ -113,9 +141,12 @@ const UsersView = () => {
       status: user.status
     };
 
+    if (user.role === 'admin' && can('roles:manage')) {
+      data.adminRole = user.adminRole?._id || user.adminRole || '';
+    }
+
     if (user.role === 'student') {
       data.studentId = user.studentId || '';
-      data.feeStatus = user.feeStatus || 'pending';
       // Handle populated bus/route objects
       if (user.assignedBus) {
         data.assignedBusId = typeof user.assignedBus === 'object' ? user.assignedBus._id : user.assignedBus;
@@ -305,71 +336,128 @@ const UsersView = () => {
     <Container maxWidth="xl" sx={{ p: 4 }}>
       <Grid container spacing={3}>
         {/* Pending Approvals */}
-        <Grid item xs={12}>
-          <Card sx={{ mb: 3 }}>
-            <CardContent sx={{ p: 3 }}>
-              <Typography variant="h6" sx={{ mb: 2 }}>Pending Driver Approvals</Typography>
-              {pendingDrivers.length === 0 ? (
-                <Box textAlign="center" py={6}>
-                  <People sx={{ fontSize: 64, color: 'grey.400' }} />
-                  <Typography>No pending approvals</Typography>
+        {can('users:approve') && (
+          <Grid item xs={12}>
+            <Card sx={{ mb: 3 }}>
+              <CardContent sx={{ p: 3 }}>
+                <Typography variant="h6" sx={{ mb: 2 }}>Pending Driver Approvals</Typography>
+                {pendingDrivers.length === 0 ? (
+                  <Box textAlign="center" py={6}>
+                    <People sx={{ fontSize: 64, color: 'grey.400' }} />
+                    <Typography>No pending approvals</Typography>
+                  </Box>
+                ) : (
+                  <TableContainer>
+                    <Table>
+                      <TableHead>
+                        <TableRow>
+                          <TableCell>Name</TableCell>
+                          <TableCell>Email</TableCell>
+                          <TableCell>License</TableCell>
+                          <TableCell>Phone</TableCell>
+                          <TableCell>Actions</TableCell>
+                        </TableRow>
+                      </TableHead>
+                      <TableBody>
+                        {pendingDrivers.map(driver => (
+                          <TableRow key={driver._id}>
+                            <TableCell>
+                              <Box display="flex" alignItems="center" gap={2}>
+                                <Avatar
+                                  src={driver.profilePicture ? `${import.meta.env.VITE_API_URL || 'http://localhost:5000'}/${driver.profilePicture}` : undefined}
+                                >{driver.name?.charAt(0)}</Avatar>
+                                <Typography>{driver.name}</Typography>
+                              </Box>
+                            </TableCell>
+                            <TableCell>{driver.email}</TableCell>
+                            <TableCell>{driver.licenseNumber}</TableCell>
+                            <TableCell>{driver.phone}</TableCell>
+                            <TableCell>
+                              {driver.drivingLicenseFile && (
+                                <Button
+                                  startIcon={<PictureAsPdf />}
+                                  size="small"
+                                  sx={{ mr: 1, color: '#EF4444', textTransform: 'none', fontWeight: 600 }}
+                                  onClick={() => {
+                                    setDetailUser(driver);
+                                    setDetailDialogOpen(true);
+                                  }}
+                                >
+                                  View License
+                                </Button>
+                              )}
+                              <Button
+                                startIcon={<CheckCircle />}
+                                color="success"
+                                onClick={() => handleApproveDriver(driver._id)}
+                                size="small"
+                              >
+                                Approve
+                              </Button>
+                              <Button
+                                startIcon={<Cancel />}
+                                color="error"
+                                onClick={() => openRejectDialog(driver._id)}
+                                size="small"
+                                sx={{ ml: 1 }}
+                              >
+                                Reject
+                              </Button>
+                            </TableCell>
+                          </TableRow>
+                        ))}
+                      </TableBody>
+                    </Table>
+                  </TableContainer>
+                )}
+              </CardContent>
+            </Card>
+          </Grid>
+        )}
+
+        {/* Locked Accounts (repeated failed sign-ins) */}
+        {lockedUsers.length > 0 && (
+          <Grid item xs={12}>
+            <Card sx={{ mb: 3, border: '1px solid #FECACA' }}>
+              <CardContent sx={{ p: 3 }}>
+                <Box display="flex" alignItems="center" gap={1} mb={1}>
+                  <Lock sx={{ color: '#EF4444' }} />
+                  <Typography variant="h6">Locked Accounts</Typography>
                 </Box>
-              ) : (
+                <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+                  Sign-in is blocked for these accounts after too many failed attempts. They unlock by themselves when the time runs out, or when the user resets their password.
+                </Typography>
                 <TableContainer>
-                  <Table>
+                  <Table size="small">
                     <TableHead>
                       <TableRow>
                         <TableCell>Name</TableCell>
                         <TableCell>Email</TableCell>
-                        <TableCell>License</TableCell>
-                        <TableCell>Phone</TableCell>
+                        <TableCell>Role</TableCell>
+                        <TableCell>Failed Attempts</TableCell>
+                        <TableCell>Last Attempt</TableCell>
+                        <TableCell>Locked Until</TableCell>
                         <TableCell>Actions</TableCell>
                       </TableRow>
                     </TableHead>
                     <TableBody>
-                      {pendingDrivers.map(driver => (
-                        <TableRow key={driver._id}>
-                          <TableCell>
-                            <Box display="flex" alignItems="center" gap={2}>
-                              <Avatar
-                                src={driver.profilePicture ? `${import.meta.env.VITE_API_URL || 'http://localhost:5000'}/${driver.profilePicture}` : undefined}
-                              >{driver.name?.charAt(0)}</Avatar>
-                              <Typography>{driver.name}</Typography>
-                            </Box>
-                          </TableCell>
-                          <TableCell>{driver.email}</TableCell>
-                          <TableCell>{driver.licenseNumber}</TableCell>
-                          <TableCell>{driver.phone}</TableCell>
+                      {lockedUsers.map(lockedUser => (
+                        <TableRow key={lockedUser._id}>
+                          <TableCell>{lockedUser.name}</TableCell>
+                          <TableCell>{lockedUser.email}</TableCell>
+                          <TableCell sx={{ textTransform: 'capitalize' }}>{lockedUser.role}</TableCell>
+                          <TableCell>{lockedUser.failedLoginAttempts}</TableCell>
+                          <TableCell>{lockedUser.lastFailedLoginAt ? new Date(lockedUser.lastFailedLoginAt).toLocaleString() : '—'}</TableCell>
+                          <TableCell>{new Date(lockedUser.lockUntil).toLocaleTimeString()}</TableCell>
                           <TableCell>
-                            {driver.drivingLicenseFile && (
-                              <Button
-                                startIcon={<PictureAsPdf />}
-                                size="small"
-                                sx={{ mr: 1, color: '#EF4444', textTransform: 'none', fontWeight: 600 }}
-                                onClick={() => {
-                                  setDetailUser(driver);
-                                  setDetailDialogOpen(true);
-                                }}
-                              >
-                                View License
-                              </Button>
-                            )}
                             <Button
-                              startIcon={<CheckCircle />}
-                              color="success"
-                              onClick={() => handleApproveDriver(driver._id)}
+                              startIcon={unlockingId === lockedUser._id ? <CircularProgress size={16} /> : <LockOpen />}
                               size="small"
+                              onClick={() => handleUnlockUser(lockedUser)}
+                              disabled={unlockingId !== null}
+                              sx={{ textTransform: 'none', fontWeight: 600 }}
                             >
-                              Approve
-                            </Button>
-                            <Button
-                              startIcon={<Cancel />}
-                              color="error"
-                              onClick={() => openRejectDialog(driver._id)}
-                              size="small"
-                              sx={{ ml: 1 }}
-                            >
-                              Reject
+                              Unlock
                             </Button>
                           </TableCell>
                         </TableRow>
@@ -377,10 +465,10 @@ const UsersView = () => {
                     </TableBody>
                   </Table>
                 </TableContainer>
-              )}
-            </CardContent>
-          </Card>
-        </Grid>
+              </CardContent>
+            </Card>
+          </Grid>
+        )}
 
         {/* All Users */}
         <Grid item xs={12}>
@@ -389,18 +477,20 @@ const UsersView = () => {
             <CardContent sx={{ p: 3 }}>
               <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 3, flexWrap: 'wrap', gap: 2 }}>
                 <Typography variant="h6">All Users</Typography>
-                <Button
-                  variant="contained"
-                  startIcon={<Add />}
-                  onClick={openAddDialog}
-                  sx={{
-                    background: 'linear-gradient(135deg, #0EA5E9 0%, #14B8A6 100%)',
-                    textTransform: 'none',
-                    fontWeight: 600
-                  }}
-                >
-                  Add New User
-                </Button>
+                {can('users:write') && (
+                  <Button
+                    variant="contained"
+                    startIcon={<Add />}
+                    onClick={openAddDialog}
+                    sx={{
+                      background: 'linear-gradient(135deg, #0EA5E9 0%, #14B8A6 100%)',
+                      textTransform: 'none',
+                      fontWeight: 600
+                    }}
+                  >
+                    Add New User
+                  </Button>
+                )}
               </Box>
 
               {/* Filters Toolbar */}
@@ -542,6 +632,8 @@ const UsersView = () => {
                           } else {
                             relatedInfo = 'No route/bus assigned';
                           }
+                        } else if (user.role === 'admin') {
+                          relatedInfo = user.adminRole?.name || 'Full access';
                         }
 
                         return (
@@ -574,7 +666,12 @@ const UsersView = () => {
                                 {relatedInfo}
                               </Typography>
                             </TableCell>
-                            <TableCell><Chip label={user.status} size="small" color={user.status === 'active' ? 'success' : 'default'} sx={{ height: 22, fontSize: '0.7rem' }} /></TableCell>
+                            <TableCell>
+                              <Chip label={user.status} size="small" color={user.status === 'active' ? 'success' : 'default'} sx={{ height: 22, fontSize: '0.7rem' }} />
+                              {isLocked(user) && (
+                                <Chip icon={<Lock sx={{ fontSize: '0.8rem !important' }} />} label="locked" size="small" color="error" variant="outlined" sx={{ height: 22, fontSize: '0.7rem', ml: 0.5 }} />
+                              )}
+                            </TableCell>
                             <TableCell>
                               <Box sx={{ display: 'flex', gap: 0 }}>
                                 <IconButton size="small" onClick={() => {
@@ -583,12 +680,16 @@ const UsersView = () => {
                                 }} color="primary" title="View Details">
                                   <Visibility fontSize="small" />
                                 </IconButton>
-                                <IconButton size="small" onClick={() => openEditDialog(user)}>
-                                  <Edit fontSize="small" />
-                                </IconButton>
-                                <IconButton size="small" onClick={() => openDeleteDialog(user._id)} color="error">
-                                  <Delete fontSize="small" />
-                                </IconButton>
+                                {can('users:write') && (user.role !== 'admin' || can('roles:manage')) && (
+                                  <IconButton size="small" onClick={() => openEditDialog(user)}>
+                                    <Edit fontSize="small" />
+                                  </IconButton>
+                                )}
+                                {can('users:write') && (
+                                  <IconButton size="small" onClick={() => openDeleteDialog(user._id)} color="error">
+                                    <Delete fontSize="small" />
+                                  </IconButton>
+                                )}
                               </Box>
                             </TableCell>
                           </TableRow>
@@ -636,12 +737,29 @@ const UsersView = () => {
                 onChange={(e) => handleFormChange('role', e.target.value)}
                 disabled={dialogMode === 'edit'}
               >
-                <MenuItem value="admin">admin</MenuItem>
+                <MenuItem value="admin" disabled={!can('roles:manage')}>admin</MenuItem>
                 <MenuItem value="driver">driver</MenuItem>
                 <MenuItem value="student">student</MenuItem>
               </Select>
             </FormControl>
 
+            {formData.role === 'admin' && can('roles:manage') && (
+              <FormControl fullWidth>
+                <InputLabel>Admin Access</InputLabel>
+                <Select
+                  value={formData.adminRole || ''}
+                  label="Admin Access"
+                  onChange={(e) => handleFormChange('adminRole', e.target.value)}
+                  disabled={dialogMode === 'edit' && selectedUser?._id === currentUser?._id}
+                >
+                  <MenuItem value="">Full access</MenuItem>
+                  {adminRoles.map(role => (
+                    <MenuItem key={role._id} value={role._id}>{role.name}</MenuItem>
+                  ))}
+                </Select>
+              </FormControl>
+            )}
+
             {formData.role === 'student' && (
               <TextField
                 label="Student ID"
@@ -9,13 +9,14 @@
 import React, { useState, useEffect } from 'react';
 import {
   Container, Grid, Card, CardContent, Typography, Box, TextField,
-  Button, Avatar, Chip, CircularProgress, Tab, Tabs, IconButton
+  Button, Avatar, Chip, CircularProgress, Tab, Tabs, IconButton, Divider
 } from '@mui/material';
 import {
   Person as PersonIcon, Email, Phone, Badge as BadgeIcon, Lock as LockIcon, PhotoCamera as PhotoCameraIcon
 } from '@mui/icons-material';
 import { authService } from '../../../services';
 import PasswordChangeForm from '../../../components/PasswordChangeForm';
+import ActiveSessions from '../../../components/ActiveSessions';
 import { toast } from 'react-toastify';
 import { useAuth } from '../../../context/AuthContext';
 import {
@@ -322,6 +323,8 @@ const DriverProfileView = () => {
           {activeTab === 1 && (
             <Box py={3}>
               <PasswordChangeForm />
+              <Divider sx={{ my: 4 }} />
+              <ActiveSessions />
             </Box>
           )}
         </CardContent>
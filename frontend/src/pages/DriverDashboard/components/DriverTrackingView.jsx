@@ -5,7 +5,7 @@
  * - BusStatusCard (bus info + tracking status)
  * - LocationCard (lat/lng/address)
  * - RouteInfoCard (route, times)
- * - RouteStopsTimeline (visual stepper)
+ * - RouteStopsTimeline (visual stepper, updated live from stop-arrived/stop-departed events)
  */
 
 import React, { useState, useEffect, useRef } from 'react';
@@ -15,6 +15,7 @@ import {
 } from '@mui/material';
 import { MyLocation, AccessTime, GpsFixed, GpsOff } from '@mui/icons-material';
 import { trackingService, busService, routeService } from '../../../services';
+import socketService from '../../../services/socketService';
 import { reverseGeocode } from '../../../utils/geocoding';
 import BusStatusCard from './tracking/BusStatusCard';
 import LocationCard from './tracking/LocationCard';
@@ -35,6 +36,7 @@ const DriverTrackingView = () => {
   const [busInfo, setBusInfo] = useState(null);
   const [routeStops, setRouteStops] = useState([]);
   const [routeName, setRouteName] = useState('');
+  const [stopEvents, setStopEvents] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [geoStatus, setGeoStatus] = useState('idle'); // 'idle' | 'acquiring' | 'live' | 'denied'
@@ -48,7 +50,40 @@ const DriverTrackingView = () => {
   useEffect(() => {
     loadTrackingData();
     startLiveGeolocation();
+
+    // Live stop arrivals/departures for the running trip
+    socketService.connect('driver-user', 'driver');
+    const handleStopEvent = (data) => {
+      const bus = busInfoRef.current;
+      if (!bus || data.busId?.toString() !== bus._id?.toString()) return;
+
+      setStopEvents(prev => {
+        const others = prev.filter(event => event.stop?.toString() !== data.stopId?.toString());
+        return [...others, {
+          stop: data.stopId,
+          name: data.stopName,
+          sequence: data.sequence,
+          scheduledTime: data.scheduledTime,
+          arrivedAt: data.arrivedAt,
+          departedAt: data.departedAt,
+          delayMinutes: data.delayMinutes
+        }];
+      });
+    };
+    const handleTripNotification = (data) => {
+      const bus = busInfoRef.current;
+      if (bus && data.busId?.toString() === bus._id?.toString() && data.type === 'started') {
+        setStopEvents([]);
+      }
+    };
+    socketService.on('stop-arrived', handleStopEvent);
+    socketService.on('stop-departed', handleStopEvent);
+    socketService.on('trip-notification', handleTripNotification);
+
     return () => {
+      socketService.off('stop-arrived', handleStopEvent);
+      socketService.off('stop-departed', handleStopEvent);
+      socketService.off('trip-notification', handleTripNotification);
       if (watchIdRef.current !== null) {
         navigator.geolocation.clearWatch(watchIdRef.current);
       }
@@ -129,6 +164,18 @@ const DriverTrackingView = () => {
         const driverBus = buses[0];
         setBusInfo(driverBus);
         busInfoRef.current = driverBus;
+        socketService.joinRoom(`bus-${driverBus._id}`);
+
+        // Stops already reached on the running trip
+        if (driverBus.isOnTrip) {
+          try {
+            const tripsResponse = await trackingService.getTrips({ busId: driverBus._id, status: 'in_progress', limit: 1 });
+            const activeTrip = tripsResponse.data?.data?.[0];
+            setStopEvents(activeTrip?.stopEvents || []);
+          } catch (err) {
+            console.error('Could not load trip progress:', err);
+          }
+        }
 
         // Load route details for stops timeline
         if (driverBus.routeId) {
@@ -313,7 +360,7 @@ const DriverTrackingView = () => {
                 boxShadow: SHADOWS.sm,
               }}>
                 <CardContent>
-                  <RouteStopsTimeline stops={routeStops} routeName={routeName} />
+                  <RouteStopsTimeline stops={routeStops} routeName={routeName} stopEvents={stopEvents} />
                 </CardContent>
               </Card>
             </Grid>
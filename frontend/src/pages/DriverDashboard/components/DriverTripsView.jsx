@@ -2,8 +2,7 @@
  * DriverTripsView Component
  *
  * Shows the driver's current route assignment with schedule,
- * a route stops table, and recent trip activity.
- * Replaces the old non-functional trips table with useful route info.
+ * a route stops table, and recent trip history recorded by the backend.
  */
 
 import React, { useState, useEffect } from 'react';
@@ -14,7 +13,7 @@ import {
 } from '@mui/material';
 import {
   DirectionsBus, AccessTime, LocalShipping, Route as RouteIcon,
-  LocationOn, AttachMoney, Schedule, Info
+  LocationOn, AttachMoney, Schedule, Info, History
 } from '@mui/icons-material';
 import { busService, trackingService } from '../../../services';
 import RouteStopsTimeline from './RouteStopsTimeline';
@@ -33,6 +32,7 @@ const DriverTripsView = () => {
   const [busInfo, setBusInfo] = useState(null);
   const [route, setRoute] = useState(null);
   const [tripStatus, setTripStatus] = useState(null);
+  const [trips, setTrips] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
 
@@ -67,6 +67,14 @@ const DriverTripsView = () => {
       } catch (err) {
         console.error('Could not load trip status:', err);
       }
+
+      // Get recent trip history
+      try {
+        const tripsResponse = await trackingService.getTrips({ limit: 10 });
+        setTrips(tripsResponse.data?.data || []);
+      } catch (err) {
+        console.error('Could not load trip history:', err);
+      }
     } catch (err) {
       console.error('Error loading route data:', err);
       setError('Failed to load route information');
@@ -355,6 +363,96 @@ const DriverTripsView = () => {
           </Card>
         </Grid>
 
+        {/* Trip History */}
+        <Grid item xs={12}>
+          <Card sx={{ ...CARD_STYLES.standard, border: `1px solid ${BRAND_COLORS.slate300}` }}>
+            <CardContent>
+              <Box display="flex" alignItems="center" gap={2} mb={2}>
+                <Box sx={gradientIconBox(
+                  `linear-gradient(135deg, ${BRAND_COLORS.teal} 0%, ${BRAND_COLORS.skyBlue} 100%)`,
+                  '0 4px 16px rgba(20, 184, 166, 0.3)'
+                )}>
+                  <History sx={{ color: BRAND_COLORS.white }} />
+                </Box>
+                <Box>
+                  <Typography variant="h6" sx={{ fontWeight: TYPOGRAPHY.weights.bold, color: BRAND_COLORS.slate900 }}>
+                    Trip History
+                  </Typography>
+                  <Typography variant="body2" sx={{ color: BRAND_COLORS.slate600 }}>
+                    Your most recent trips
+                  </Typography>
+                </Box>
+              </Box>
+
+              {trips.length === 0 ? (
+                <Box textAlign="center" py={4}>
+                  <Info sx={{ fontSize: 36, color: BRAND_COLORS.slate400, mb: 1 }} />
+                  <Typography variant="body2" sx={{ color: BRAND_COLORS.slate500 }}>
+                    No trips recorded yet.
+                  </Typography>
+                </Box>
+              ) : (
+                <TableContainer sx={{ borderRadius: BORDER_RADIUS.md, overflow: 'hidden' }}>
+                  <Table size="small">
+                    <TableHead>
+                      <TableRow sx={{ bgcolor: BRAND_COLORS.slate100 }}>
+                        <TableCell sx={TABLE_STYLES.headerCell}>Date</TableCell>
+                        <TableCell sx={TABLE_STYLES.headerCell}>Route</TableCell>
+                        <TableCell sx={TABLE_STYLES.headerCell}>Started</TableCell>
+                        <TableCell sx={TABLE_STYLES.headerCell}>Ended</TableCell>
+                        <TableCell sx={TABLE_STYLES.headerCell}>Duration</TableCell>
+                        <TableCell sx={TABLE_STYLES.headerCell}>Distance</TableCell>
+                        <TableCell sx={TABLE_STYLES.headerCell}>Status</TableCell>
+                      </TableRow>
+                    </TableHead>
+                    <TableBody>
+                      {trips.map((trip) => (
+                        <TableRow key={trip._id} sx={TABLE_STYLES.row}>
+                          <TableCell sx={TABLE_STYLES.bodyCell}>
+                            {new Date(trip.startTime).toLocaleDateString()}
+                          </TableCell>
+                          <TableCell sx={TABLE_STYLES.bodyCell}>
+                            {trip.route?.routeName || 'N/A'}
+                          </TableCell>
+                          <TableCell sx={TABLE_STYLES.bodyCell}>
+                            {new Date(trip.startTime).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}
+                          </TableCell>
+                          <TableCell sx={TABLE_STYLES.bodyCell}>
+                            {trip.endTime
+                              ? new Date(trip.endTime).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })
+                              : '—'}
+                          </TableCell>
+                          <TableCell sx={TABLE_STYLES.bodyCell}>
+                            {trip.status === 'in_progress' ? '—' : `${trip.duration} min`}
+                          </TableCell>
+                          <TableCell sx={TABLE_STYLES.bodyCell}>
+                            {(trip.distance || 0).toFixed(1)} km
+                          </TableCell>
+                          <TableCell sx={TABLE_STYLES.bodyCell}>
+                            <Chip
+                              label={trip.status === 'in_progress' ? 'In Progress' : 'Completed'}
+                              size="small"
+                              sx={{
+                                bgcolor: trip.status === 'in_progress'
+                                  ? `${BRAND_COLORS.successGreen}18`
+                                  : BRAND_COLORS.slate100,
+                                color: trip.status === 'in_progress'
+                                  ? BRAND_COLORS.successGreen
+                                  : BRAND_COLORS.slate700,
+                                fontWeight: TYPOGRAPHY.weights.semibold,
+                              }}
+                            />
+                          </TableCell>
+                        </TableRow>
+                      ))}
+                    </TableBody>
+                  </Table>
+                </TableContainer>
+              )}
+            </CardContent>
+          </Card>
+        </Grid>
+
       </Grid>
     </Container>
   );
@@ -5,6 +5,8 @@
  * Features:
  * - Trip start/stop controls with Socket.IO notifications
  * - Continuous location broadcasting
+ * - Offline buffering: points recorded without a connection are queued in IndexedDB
+ *   and uploaded as a batch when the connection comes back
  * - Browser Geolocation API integration
  * - Accuracy indicators and fallbacks
  * - Real-time map visualization
@@ -47,6 +49,7 @@ import {
 } from '@mui/icons-material';
 import { trackingService, busService } from '../../../services';
 import socketService from '../../../services/socketService';
+import { enqueueLocation, countQueuedLocations, flushLocationQueue } from '../../../services/locationQueue';
 import RealTimeBusMap from '../../../components/RealTimeBusMap';
 import {
   BRAND_COLORS,
@@ -68,12 +71,14 @@ const EnhancedDriverTracking = () => {
   const [showSettings, setShowSettings] = useState(false);
   const [updateInterval, setUpdateInterval] = useState(5000); // 5 seconds
   const [highAccuracy, setHighAccuracy] = useState(true);
+  const [queuedCount, setQueuedCount] = useState(0);
   
   // Refs for tracking
   const locationWatchId = useRef(null);
   const locationUpdateInterval = useRef(null);
   const busInfoRef = useRef(null);
   const currentLocationRef = useRef(null);
+  const flushingRef = useRef(false);
 
   // Update refs when state changes
   useEffect(() => {
@@ -91,14 +96,33 @@ const EnhancedDriverTracking = () => {
     // Setup socket connection
     socketService.connect('driver-user', 'driver');
     
-    // Listen for connection events
-    const handleConnect = () => setConnectionStatus('connected');
+    // Listen for connection events; upload anything queued while offline once back
+    const handleConnect = () => {
+      setConnectionStatus('connected');
+      uploadQueuedLocations();
+    };
     const handleDisconnect = () => setConnectionStatus('disconnected');
-    const handleReconnect = () => setConnectionStatus('connected');
+    const handleReconnect = () => {
+      setConnectionStatus('connected');
+      uploadQueuedLocations();
+    };
     
     socketService.on('connect', handleConnect);
     socketService.on('disconnect', handleDisconnect);
     socketService.on('reconnect', handleReconnect);
+
+    // The server validates every point; stale (409) and noisy (422) fixes are dropped on purpose,
+    // anything else is shown to the driver
+    const handleLocationError = (data) => {
+      if (data.statusCode !== 409 && data.statusCode !== 422) {
+        setError(`Location not recorded: ${data.message}`);
+      }
+    };
+    socketService.on('location-error', handleLocationError);
+
+    // Points left over from an earlier session (e.g. the page was closed while offline)
+    countQueuedLocations().then(setQueuedCount).catch(() => {});
+    uploadQueuedLocations();
     
     // Cleanup on unmount
     return () => {
@@ -106,6 +130,7 @@ const EnhancedDriverTracking = () => {
       socketService.off('connect', handleConnect);
       socketService.off('disconnect', handleDisconnect);
       socketService.off('reconnect', handleReconnect);
+      socketService.off('location-error', handleLocationError);
     };
   }, []);
 
@@ -211,6 +236,20 @@ const EnhancedDriverTracking = () => {
     }
   };
 
+  // Upload points queued while offline
+  const uploadQueuedLocations = async () => {
+    if (flushingRef.current) return;
+    flushingRef.current = true;
+    try {
+      await flushLocationQueue();
+    } catch (err) {
+      console.warn('Queued locations not uploaded yet:', err.message);
+    } finally {
+      flushingRef.current = false;
+      countQueuedLocations().then(setQueuedCount).catch(() => {});
+    }
+  };
+
   // Stop trip
   const stopTrip = async () => {
     try {
@@ -218,6 +257,9 @@ const EnhancedDriverTracking = () => {
       
       // Stop location tracking first
       stopLocationTracking();
+
+      // Get offline points into the trip before it is closed
+      await uploadQueuedLocations();
       
       const response = await trackingService.stopTrip();
       
@@ -359,6 +401,7 @@ const EnhancedDriverTracking = () => {
     const updateData = {
       busId: currentBus._id,
       routeId: currentBus.routeId?._id || currentBus.routeId,
+      timestamp: new Date().toISOString(),
       location: {
         latitude: locationData.latitude,
         longitude: locationData.longitude,
@@ -368,8 +411,15 @@ const EnhancedDriverTracking = () => {
       }
     };
     
-    socketService.sendLocationUpdate(updateData);
-    console.log('📍 Location update sent:', updateData);
+    if (socketService.sendLocationUpdate(updateData)) {
+      console.log('📍 Location update sent:', updateData);
+      return;
+    }
+
+    // Offline: keep the point so the trip history has no gap
+    enqueueLocation({ ...updateData.location, timestamp: updateData.timestamp })
+      .then(() => setQueuedCount(count => count + 1))
+      .catch(err => console.error('Failed to queue location:', err));
   };
 
   // Handle location errors
@@ -545,6 +595,15 @@ const EnhancedDriverTracking = () => {
                       sx={{ ml: 1 }}
                     />
                   </Box>
+                  {queuedCount > 0 && (
+                    <Chip
+                      icon={<SignalCellularOff sx={{ fontSize: 16 }} />}
+                      label={`${queuedCount} location${queuedCount === 1 ? '' : 's'} queued offline`}
+                      color="warning"
+                      size="small"
+                      sx={{ mt: 1 }}
+                    />
+                  )}
                   {locationAccuracy && (
                     <Typography variant="body2" sx={{ color: BRAND_COLORS.slate600 }}>
                       <strong>Accuracy:</strong> {locationAccuracy.toFixed(0)}m
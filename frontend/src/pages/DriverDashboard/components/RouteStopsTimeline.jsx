@@ -3,20 +3,32 @@
  *
  * Visual MUI Stepper showing all route stops in sequence.
  * Each step shows: stop name, pickup time, fee, address.
+ * When stopEvents from the running trip are passed, reached stops show the
+ * actual arrival/departure time and how late or early the bus was.
  */
 
 import React from 'react';
 import {
     Box, Typography, Stepper, Step, StepLabel, StepContent, Chip
 } from '@mui/material';
-import { AccessTime, AttachMoney, LocationOn } from '@mui/icons-material';
+import { AccessTime, AttachMoney, LocationOn, CheckCircle } from '@mui/icons-material';
 import {
     BRAND_COLORS,
     BORDER_RADIUS,
     TYPOGRAPHY,
 } from '../../../styles/brandStyles';
 
-const RouteStopsTimeline = ({ stops = [], routeName = '' }) => {
+const formatTime = (value) =>
+    new Date(value).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+
+const getDelayChip = (delayMinutes) => {
+    if (delayMinutes === null || delayMinutes === undefined) return null;
+    if (Math.abs(delayMinutes) <= 2) return { label: 'On time', color: BRAND_COLORS.successGreen };
+    if (delayMinutes > 0) return { label: `${delayMinutes} min late`, color: BRAND_COLORS.errorRed };
+    return { label: `${Math.abs(delayMinutes)} min early`, color: BRAND_COLORS.skyBlue };
+};
+
+const RouteStopsTimeline = ({ stops = [], routeName = '', stopEvents = [] }) => {
     if (!stops || stops.length === 0) {
         return (
             <Box textAlign="center" py={3}>
@@ -30,6 +42,9 @@ const RouteStopsTimeline = ({ stops = [], routeName = '' }) => {
     // Sort stops by sequence
     const sortedStops = [...stops].sort((a, b) => (a.sequence || 0) - (b.sequence || 0));
 
+    // Arrival/departure per stop for the running trip
+    const eventsByStop = new Map(stopEvents.map(event => [event.stop?.toString(), event]));
+
     return (
         <Box>
             {routeName && (
@@ -62,86 +77,119 @@ const RouteStopsTimeline = ({ stops = [], routeName = '' }) => {
                     },
                 }}
             >
-                {sortedStops.map((stop, index) => (
-                    <Step key={index} active expanded>
-                        <StepLabel
-                            StepIconProps={{
-                                sx: {
-                                    color: index === 0
-                                        ? BRAND_COLORS.successGreen
-                                        : index === sortedStops.length - 1
-                                            ? BRAND_COLORS.errorRed
-                                            : BRAND_COLORS.skyBlue,
-                                    fontSize: 28,
-                                },
-                            }}
-                            sx={{
-                                '& .MuiStepLabel-label': {
-                                    fontWeight: TYPOGRAPHY.weights.bold,
-                                    color: BRAND_COLORS.slate900,
-                                    fontSize: '0.95rem',
-                                },
-                            }}
-                        >
-                            {stop.name}
-                            {index === 0 && (
-                                <Chip label="Start" size="small" sx={{
-                                    ml: 1, height: 20, fontSize: '0.65rem',
-                                    bgcolor: `${BRAND_COLORS.successGreen}18`,
-                                    color: BRAND_COLORS.successGreen,
-                                    fontWeight: TYPOGRAPHY.weights.bold,
-                                }} />
-                            )}
-                            {index === sortedStops.length - 1 && sortedStops.length > 1 && (
-                                <Chip label="End" size="small" sx={{
-                                    ml: 1, height: 20, fontSize: '0.65rem',
-                                    bgcolor: `${BRAND_COLORS.errorRed}18`,
-                                    color: BRAND_COLORS.errorRed,
-                                    fontWeight: TYPOGRAPHY.weights.bold,
-                                }} />
-                            )}
-                        </StepLabel>
-                        <StepContent>
-                            <Box sx={{
-                                display: 'flex',
-                                flexWrap: 'wrap',
-                                gap: 1.5,
-                                pb: 1,
-                            }}>
-                                {stop.pickupTime && (
-                                    <Box display="flex" alignItems="center" gap={0.5}>
-                                        <AccessTime sx={{ fontSize: 14, color: BRAND_COLORS.skyBlue }} />
-                                        <Typography variant="caption" sx={{
-                                            color: BRAND_COLORS.slate700,
-                                            fontWeight: TYPOGRAPHY.weights.semibold,
-                                        }}>
-                                            {stop.pickupTime}
-                                        </Typography>
-                                    </Box>
+                {sortedStops.map((stop, index) => {
+                    const stopEvent = eventsByStop.get(stop._id?.toString());
+                    const delayChip = stopEvent ? getDelayChip(stopEvent.delayMinutes) : null;
+                    return (
+                        <Step key={index} active expanded completed={!!stopEvent}>
+                            <StepLabel
+                                icon={stopEvent ? <CheckCircle sx={{ color: BRAND_COLORS.successGreen, fontSize: 28 }} /> : undefined}
+                                StepIconProps={{
+                                    sx: {
+                                        color: index === 0
+                                            ? BRAND_COLORS.successGreen
+                                            : index === sortedStops.length - 1
+                                                ? BRAND_COLORS.errorRed
+                                                : BRAND_COLORS.skyBlue,
+                                        fontSize: 28,
+                                    },
+                                }}
+                                sx={{
+                                    '& .MuiStepLabel-label': {
+                                        fontWeight: TYPOGRAPHY.weights.bold,
+                                        color: BRAND_COLORS.slate900,
+                                        fontSize: '0.95rem',
+                                    },
+                                }}
+                            >
+                                {stop.name}
+                                {index === 0 && (
+                                    <Chip label="Start" size="small" sx={{
+                                        ml: 1, height: 20, fontSize: '0.65rem',
+                                        bgcolor: `${BRAND_COLORS.successGreen}18`,
+                                        color: BRAND_COLORS.successGreen,
+                                        fontWeight: TYPOGRAPHY.weights.bold,
+                                    }} />
                                 )}
-                                {stop.fee !== undefined && (
-                                    <Box display="flex" alignItems="center" gap={0.5}>
-                                        <AttachMoney sx={{ fontSize: 14, color: BRAND_COLORS.successGreen }} />
-                                        <Typography variant="caption" sx={{
-                                            color: BRAND_COLORS.slate700,
-                                            fontWeight: TYPOGRAPHY.weights.semibold,
-                                        }}>
-                                            Rs. {stop.fee}
-                                        </Typography>
-                                    </Box>
+                                {index === sortedStops.length - 1 && sortedStops.length > 1 && (
+                                    <Chip label="End" size="small" sx={{
+                                        ml: 1, height: 20, fontSize: '0.65rem',
+                                        bgcolor: `${BRAND_COLORS.errorRed}18`,
+                                        color: BRAND_COLORS.errorRed,
+                                        fontWeight: TYPOGRAPHY.weights.bold,
+                                    }} />
                                 )}
-                                {stop.address && (
-                                    <Box display="flex" alignItems="center" gap={0.5}>
-                                        <LocationOn sx={{ fontSize: 14, color: BRAND_COLORS.slate400 }} />
-                                        <Typography variant="caption" sx={{ color: BRAND_COLORS.slate500 }}>
-                                            {stop.address}
-                                        </Typography>
-                                    </Box>
+                                {stopEvent && !stopEvent.departedAt && (
+                                    <Chip label="At stop" size="small" sx={{
+                                        ml: 1, height: 20, fontSize: '0.65rem',
+                                        bgcolor: `${BRAND_COLORS.skyBlue}18`,
+                                        color: BRAND_COLORS.skyBlue,
+                                        fontWeight: TYPOGRAPHY.weights.bold,
+                                    }} />
                                 )}
-                            </Box>
-                        </StepContent>
-                    </Step>
-                ))}
+                            </StepLabel>
+                            <StepContent>
+                                <Box sx={{
+                                    display: 'flex',
+                                    flexWrap: 'wrap',
+                                    gap: 1.5,
+                                    pb: 1,
+                                }}>
+                                    {stop.pickupTime && (
+                                        <Box display="flex" alignItems="center" gap={0.5}>
+                                            <AccessTime sx={{ fontSize: 14, color: BRAND_COLORS.skyBlue }} />
+                                            <Typography variant="caption" sx={{
+                                                color: BRAND_COLORS.slate700,
+                                                fontWeight: TYPOGRAPHY.weights.semibold,
+                                            }}>
+                                                {stop.pickupTime}
+                                            </Typography>
+                                        </Box>
+                                    )}
+                                    {stop.fee !== undefined && (
+                                        <Box display="flex" alignItems="center" gap={0.5}>
+                                            <AttachMoney sx={{ fontSize: 14, color: BRAND_COLORS.successGreen }} />
+                                            <Typography variant="caption" sx={{
+                                                color: BRAND_COLORS.slate700,
+                                                fontWeight: TYPOGRAPHY.weights.semibold,
+                                            }}>
+                                                Rs. {stop.fee}
+                                            </Typography>
+                                        </Box>
+                                    )}
+                                    {stopEvent && (
+                                        <Box display="flex" alignItems="center" gap={0.5}>
+                                            <CheckCircle sx={{ fontSize: 14, color: BRAND_COLORS.successGreen }} />
+                                            <Typography variant="caption" sx={{
+                                                color: BRAND_COLORS.slate700,
+                                                fontWeight: TYPOGRAPHY.weights.semibold,
+                                            }}>
+                                                Arrived {formatTime(stopEvent.arrivedAt)}
+                                                {stopEvent.departedAt && ` • Left ${formatTime(stopEvent.departedAt)}`}
+                                            </Typography>
+                                        </Box>
+                                    )}
+                                    {delayChip && (
+                                        <Chip label={delayChip.label} size="small" sx={{
+                                            height: 20, fontSize: '0.65rem',
+                                            bgcolor: `${delayChip.color}18`,
+                                            color: delayChip.color,
+                                            fontWeight: TYPOGRAPHY.weights.bold,
+                                        }} />
+                                    )}
+                                    {stop.address && (
+                                        <Box display="flex" alignItems="center" gap={0.5}>
+                                            <LocationOn sx={{ fontSize: 14, color: BRAND_COLORS.slate400 }} />
+                                            <Typography variant="caption" sx={{ color: BRAND_COLORS.slate500 }}>
+                                                {stop.address}
+                                            </Typography>
+                                        </Box>
+                                    )}
+                                </Box>
+                            </StepContent>
+                        </Step>
+                    );
+                })}
             </Stepper>
         </Box>
     );
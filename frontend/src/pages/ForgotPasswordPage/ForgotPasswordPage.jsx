@@ -0,0 +1,149 @@
+import React, { useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { Box, Card, CardContent, Typography, TextField, Button, Alert, CircularProgress } from '@mui/material';
+import { LockReset, MarkEmailRead } from '@mui/icons-material';
+import { authService } from '../../services';
+
+const inputSx = {
+  '& .MuiOutlinedInput-root': {
+    borderRadius: '12px',
+    '&:hover fieldset': { borderColor: '#0EA5E9' },
+    '&.Mui-focused fieldset': { borderColor: '#0EA5E9', borderWidth: '2px' },
+  },
+  '& .MuiInputLabel-root.Mui-focused': { color: '#0EA5E9' },
+};
+
+const ForgotPasswordPage = () => {
+  const navigate = useNavigate();
+
+  const [email, setEmail] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [sent, setSent] = useState(false);
+  const [message, setMessage] = useState('');
+  const [error, setError] = useState('');
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!/^\S+@\S+\.\S+$/.test(email)) {
+      setError('Please enter a valid email address');
+      return;
+    }
+
+    setLoading(true);
+    setError('');
+    try {
+      const response = await authService.forgotPassword(email);
+      setMessage(response.data.message);
+      setSent(true);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Could not send the reset link. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <Box
+      sx={{
+        minHeight: '100vh',
+        display: 'flex',
+        alignItems: 'center',
+        justifyContent: 'center',
+        background: 'linear-gradient(180deg, #F0F9FF 0%, #FFFFFF 100%)',
+        py: 4,
+        px: 2,
+      }}
+    >
+      <Card
+        sx={{
+          maxWidth: 500,
+          width: '100%',
+          boxShadow: '0 20px 60px rgba(0, 0, 0, 0.08)',
+          borderRadius: '20px',
+          border: '1px solid rgba(255, 255, 255, 0.8)',
+          backdropFilter: 'blur(10px)',
+        }}
+      >
+        <CardContent sx={{ p: { xs: 3, sm: 5 }, textAlign: 'center' }}>
+          {sent ? (
+            <Box sx={{ py: 2 }}>
+              <MarkEmailRead sx={{ fontSize: 64, color: '#10B981', mb: 2 }} />
+              <Typography variant="h5" sx={{ fontWeight: 700, mb: 2, color: '#0F172A' }}>
+                Check your inbox
+              </Typography>
+              <Typography variant="body1" sx={{ color: '#64748B', mb: 4 }}>
+                {message} The link expires in 1 hour.
+              </Typography>
+              <Button
+                variant="contained"
+                fullWidth
+                onClick={() => navigate('/login')}
+                sx={{
+                  py: 1.5,
+                  borderRadius: '12px',
+                  bgcolor: '#0EA5E9',
+                  '&:hover': { bgcolor: '#0284C7' }
+                }}
+              >
+                Back to Login
+              </Button>
+            </Box>
+          ) : (
+            <Box component="form" onSubmit={handleSubmit} noValidate sx={{ py: 2 }}>
+              <LockReset sx={{ fontSize: 64, color: '#0EA5E9', mb: 2 }} />
+              <Typography variant="h5" sx={{ fontWeight: 700, mb: 1, color: '#0F172A' }}>
+                Forgot your password?
+              </Typography>
+              <Typography variant="body1" sx={{ color: '#64748B', mb: 3 }}>
+                Enter the email you registered with and we'll send you a link to set a new password.
+              </Typography>
+
+              {error && (
+                <Alert severity="error" sx={{ mb: 2, borderRadius: '12px', textAlign: 'left' }}>
+                  {error}
+                </Alert>
+              )}
+
+              <TextField
+                fullWidth
+                label="Email Address"
+                type="email"
+                autoComplete="email"
+                autoFocus
+                value={email}
+                onChange={(e) => { setEmail(e.target.value); setError(''); }}
+                sx={{ ...inputSx, mb: 3 }}
+              />
+
+              <Button
+                type="submit"
+                variant="contained"
+                fullWidth
+                disabled={loading}
+                sx={{
+                  py: 1.5,
+                  borderRadius: '12px',
+                  bgcolor: '#0EA5E9',
+                  textTransform: 'none',
+                  fontWeight: 600,
+                  '&:hover': { bgcolor: '#0284C7' }
+                }}
+              >
+                {loading ? <CircularProgress size={24} sx={{ color: 'white' }} /> : 'Send Reset Link'}
+              </Button>
+              <Button
+                fullWidth
+                onClick={() => navigate('/login')}
+                sx={{ mt: 1.5, color: '#64748B', textTransform: 'none' }}
+              >
+                Back to Login
+              </Button>
+            </Box>
+          )}
+        </CardContent>
+      </Card>
+    </Box>
+  );
+};
+
+export default ForgotPasswordPage;
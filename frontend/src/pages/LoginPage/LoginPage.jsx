@@ -3,7 +3,7 @@ import {
   Box, Container, Card, CardContent, Typography, TextField, Button,
   Link, Alert, CircularProgress, IconButton
 } from '@mui/material';
-import { Login as LoginIcon, ArrowBack } from '@mui/icons-material';
+import { Login as LoginIcon, ArrowBack, Security } from '@mui/icons-material';
 import { useAuth } from '../../context/AuthContext';
 import { useNavigate, useLocation } from 'react-router-dom';
 import { toast } from '../../utils/toast';
@@ -26,7 +26,11 @@ const LoginPage = () => {
     email: false,
     password: false
   });
-  const { login } = useAuth();
+  // Second step for accounts with two-factor authentication
+  const [challengeToken, setChallengeToken] = useState(null);
+  const [twoFactorCode, setTwoFactorCode] = useState('');
+  const [useRecoveryCode, setUseRecoveryCode] = useState(false);
+  const { login, verifyTwoFactor } = useAuth();
   const navigate = useNavigate();
   const location = useLocation();
 
@@ -111,16 +115,10 @@ const LoginPage = () => {
     try {
       const result = await login(formData);
 
-      if (result.success) {
-        if (result.user.role === 'admin') {
-          navigate('/admin', { replace: true });
-        } else if (result.user.role === 'driver') {
-          navigate('/driver', { replace: true });
-        } else if (result.user.role === 'student') {
-          navigate('/student', { replace: true });
-        } else {
-          navigate('/', { replace: true });
-        }
+      if (result.twoFactorRequired) {
+        setChallengeToken(result.challengeToken);
+      } else if (result.success) {
+        goToDashboard(result.user);
       } else {
         const errorMsg = result.error || 'Login failed. Please check your credentials and try again.';
         setError(errorMsg);
@@ -143,6 +141,57 @@ const LoginPage = () => {
     }
   };
 
+  const goToDashboard = (user) => {
+    if (user.role === 'admin') {
+      if (user.twoFactorSetupRequired) {
+        toast.warning('Set up two-factor authentication to continue using the admin panel.', { autoClose: 6000 });
+        navigate('/admin/profile', { replace: true, state: { tab: 'security' } });
+      } else {
+        navigate('/admin', { replace: true });
+      }
+    } else if (user.role === 'driver') {
+      navigate('/driver', { replace: true });
+    } else if (user.role === 'student') {
+      navigate('/student', { replace: true });
+    } else {
+      navigate('/', { replace: true });
+    }
+  };
+
+  const handleTwoFactorSubmit = async (e) => {
+    e.preventDefault();
+    if (!twoFactorCode.trim()) {
+      setError(useRecoveryCode ? 'Enter one of your recovery codes' : 'Enter the 6-digit code from your authenticator app');
+      return;
+    }
+
+    setLoading(true);
+    setError('');
+    const result = await verifyTwoFactor({
+      challengeToken,
+      ...(useRecoveryCode ? { recoveryCode: twoFactorCode.trim() } : { code: twoFactorCode.trim() })
+    });
+    setLoading(false);
+
+    if (result.success) {
+      goToDashboard(result.user);
+    } else if (/expired/i.test(result.error || '')) {
+      // The challenge only lasts a few minutes: start over from the password
+      setChallengeToken(null);
+      setTwoFactorCode('');
+      setError(result.error);
+    } else {
+      setError(result.error);
+    }
+  };
+
+  const cancelTwoFactor = () => {
+    setChallengeToken(null);
+    setTwoFactorCode('');
+    setUseRecoveryCode(false);
+    setError('');
+  };
+
   return (
     <Box
       sx={{
@@ -306,7 +355,68 @@ const LoginPage = () => {
               </Alert>
             )}
 
-            {/* Form with enhanced input styling */}
+            {challengeToken ? (
+              <form onSubmit={handleTwoFactorSubmit}>
+                <Box sx={{ display: 'flex', alignItems: 'center', gap: 1.5, mb: 1 }}>
+                  <Security sx={{ color: '#0EA5E9' }} />
+                  <Typography variant="subtitle1" sx={{ fontWeight: 600, color: '#0F172A' }}>
+                    Two-factor authentication
+                  </Typography>
+                </Box>
+                <Typography variant="body2" sx={{ color: '#64748B' }}>
+                  {useRecoveryCode
+                    ? 'Enter one of the recovery codes you saved when you set up two-factor authentication.'
+                    : 'Open your authenticator app and enter the 6-digit code for MyCampusRide.'}
+                </Typography>
+                <TextField
+                  margin="normal"
+                  fullWidth
+                  autoFocus
+                  label={useRecoveryCode ? 'Recovery Code' : 'Authentication Code'}
+                  value={twoFactorCode}
+                  onChange={(e) => { setTwoFactorCode(e.target.value); setError(''); }}
+                  inputProps={useRecoveryCode
+                    ? { autoComplete: 'off' }
+                    : { inputMode: 'numeric', autoComplete: 'one-time-code', maxLength: 6 }}
+                  sx={{
+                    '& .MuiOutlinedInput-root': {
+                      borderRadius: '12px',
+                      '&.Mui-focused fieldset': { borderColor: '#0EA5E9', borderWidth: '2px' },
+                    },
+                    '& .MuiInputLabel-root.Mui-focused': { color: '#0EA5E9' },
+                  }}
+                />
+                <Button
+                  type="submit"
+                  fullWidth
+                  variant="contained"
+                  disabled={loading}
+                  sx={{
+                    mt: 2,
+                    py: 1.5,
+                    fontWeight: 600,
+                    borderRadius: '12px',
+                    background: 'linear-gradient(135deg, #0EA5E9 0%, #14B8A6 100%)',
+                    textTransform: 'none',
+                  }}
+                >
+                  {loading ? <CircularProgress size={24} sx={{ color: 'white' }} /> : 'Verify'}
+                </Button>
+                <Box sx={{ display: 'flex', justifyContent: 'space-between', mt: 2 }}>
+                  <Button
+                    size="small"
+                    onClick={() => { setUseRecoveryCode(prev => !prev); setTwoFactorCode(''); setError(''); }}
+                    sx={{ textTransform: 'none', color: '#0EA5E9' }}
+                  >
+                    {useRecoveryCode ? 'Use authenticator code' : 'Use a recovery code'}
+                  </Button>
+                  <Button size="small" onClick={cancelTwoFactor} sx={{ textTransform: 'none', color: '#64748B' }}>
+                    Back to sign in
+                  </Button>
+                </Box>
+              </form>
+            ) : (
+            /* Form with enhanced input styling */
             <form onSubmit={handleSubmit}>
               <TextField
                 margin="normal"
@@ -366,6 +476,22 @@ const LoginPage = () => {
                   },
                 }}
               />
+              <Box sx={{ textAlign: 'right', mt: 1 }}>
+                <Link
+                  href="/forgot-password"
+                  variant="body2"
+                  sx={{
+                    color: '#0EA5E9',
+                    fontWeight: 500,
+                    textDecoration: 'none',
+                    '&:hover': {
+                      textDecoration: 'underline',
+                    },
+                  }}
+                >
+                  Forgot password?
+                </Link>
+              </Box>
 
               {/* Gradient button matching landing page */}
               <Button
@@ -422,6 +548,7 @@ const LoginPage = () => {
                 </Typography>
               </Box>
             </form>
+            )}
           </CardContent>
         </Card>
 
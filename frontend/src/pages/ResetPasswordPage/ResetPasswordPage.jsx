@@ -0,0 +1,177 @@
+import React, { useState } from 'react';
+import { useSearchParams, useNavigate } from 'react-router-dom';
+import { Box, Card, CardContent, Typography, TextField, Button, Alert, CircularProgress } from '@mui/material';
+import { CheckCircle, Cancel, Password } from '@mui/icons-material';
+import { authService } from '../../services';
+
+const inputSx = {
+  '& .MuiOutlinedInput-root': {
+    borderRadius: '12px',
+    '&:hover fieldset': { borderColor: '#0EA5E9' },
+    '&.Mui-focused fieldset': { borderColor: '#0EA5E9', borderWidth: '2px' },
+  },
+  '& .MuiInputLabel-root.Mui-focused': { color: '#0EA5E9' },
+};
+
+const buttonSx = {
+  py: 1.5,
+  borderRadius: '12px',
+  bgcolor: '#0EA5E9',
+  textTransform: 'none',
+  fontWeight: 600,
+  '&:hover': { bgcolor: '#0284C7' }
+};
+
+// Same rules the backend enforces on registration and reset
+const validatePassword = (password) => {
+  if (!password) return 'Password is required';
+  if (password.length < 6) return 'Password must be at least 6 characters';
+  if (!/[A-Z]/.test(password)) return 'Password must contain at least one uppercase letter';
+  if (!/[0-9]/.test(password)) return 'Password must contain at least one number';
+  return '';
+};
+
+const ResetPasswordPage = () => {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+  const navigate = useNavigate();
+
+  const [password, setPassword] = useState('');
+  const [confirmPassword, setConfirmPassword] = useState('');
+  const [status, setStatus] = useState(token ? 'form' : 'error'); // 'form', 'success', 'error'
+  const [message, setMessage] = useState(token ? '' : 'No reset token provided.');
+  const [error, setError] = useState('');
+  const [loading, setLoading] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const passwordError = validatePassword(password);
+    if (passwordError) {
+      setError(passwordError);
+      return;
+    }
+    if (password !== confirmPassword) {
+      setError('Passwords do not match');
+      return;
+    }
+
+    setLoading(true);
+    setError('');
+    try {
+      const response = await authService.resetPassword(token, password);
+      setStatus('success');
+      setMessage(response.data.message);
+    } catch (err) {
+      if (err.response?.status === 400 && /invalid or has expired/i.test(err.response.data?.message || '')) {
+        setStatus('error');
+        setMessage(err.response.data.message);
+      } else {
+        setError(err.response?.data?.message || 'Could not reset your password. Please try again.');
+      }
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <Box
+      sx={{
+        minHeight: '100vh',
+        display: 'flex',
+        alignItems: 'center',
+        justifyContent: 'center',
+        background: 'linear-gradient(180deg, #F0F9FF 0%, #FFFFFF 100%)',
+        py: 4,
+        px: 2,
+      }}
+    >
+      <Card
+        sx={{
+          maxWidth: 500,
+          width: '100%',
+          boxShadow: '0 20px 60px rgba(0, 0, 0, 0.08)',
+          borderRadius: '20px',
+          border: '1px solid rgba(255, 255, 255, 0.8)',
+          backdropFilter: 'blur(10px)',
+        }}
+      >
+        <CardContent sx={{ p: { xs: 3, sm: 5 }, textAlign: 'center' }}>
+          {status === 'form' && (
+            <Box component="form" onSubmit={handleSubmit} noValidate sx={{ py: 2 }}>
+              <Password sx={{ fontSize: 64, color: '#0EA5E9', mb: 2 }} />
+              <Typography variant="h5" sx={{ fontWeight: 700, mb: 1, color: '#0F172A' }}>
+                Set a new password
+              </Typography>
+              <Typography variant="body1" sx={{ color: '#64748B', mb: 3 }}>
+                Use at least 6 characters with one uppercase letter and one number.
+                You will be signed out on all devices.
+              </Typography>
+
+              {error && (
+                <Alert severity="error" sx={{ mb: 2, borderRadius: '12px', textAlign: 'left' }}>
+                  {error}
+                </Alert>
+              )}
+
+              <TextField
+                fullWidth
+                label="New Password"
+                type="password"
+                autoComplete="new-password"
+                autoFocus
+                value={password}
+                onChange={(e) => { setPassword(e.target.value); setError(''); }}
+                sx={{ ...inputSx, mb: 2 }}
+              />
+              <TextField
+                fullWidth
+                label="Confirm New Password"
+                type="password"
+                autoComplete="new-password"
+                value={confirmPassword}
+                onChange={(e) => { setConfirmPassword(e.target.value); setError(''); }}
+                sx={{ ...inputSx, mb: 3 }}
+              />
+
+              <Button type="submit" variant="contained" fullWidth disabled={loading} sx={buttonSx}>
+                {loading ? <CircularProgress size={24} sx={{ color: 'white' }} /> : 'Reset Password'}
+              </Button>
+            </Box>
+          )}
+
+          {status === 'success' && (
+            <Box sx={{ py: 4 }}>
+              <CheckCircle sx={{ fontSize: 64, color: '#10B981', mb: 2 }} />
+              <Typography variant="h5" sx={{ fontWeight: 700, mb: 2, color: '#0F172A' }}>
+                Password Reset!
+              </Typography>
+              <Typography variant="body1" sx={{ color: '#64748B', mb: 4 }}>
+                {message}
+              </Typography>
+              <Button variant="contained" fullWidth onClick={() => navigate('/login')} sx={buttonSx}>
+                Go to Login
+              </Button>
+            </Box>
+          )}
+
+          {status === 'error' && (
+            <Box sx={{ py: 4 }}>
+              <Cancel sx={{ fontSize: 64, color: '#EF4444', mb: 2 }} />
+              <Typography variant="h5" sx={{ fontWeight: 700, mb: 2, color: '#0F172A' }}>
+                Link Not Valid
+              </Typography>
+              <Typography variant="body1" sx={{ color: '#64748B', mb: 4 }}>
+                {message} Request a new link to try again.
+              </Typography>
+              <Button variant="contained" fullWidth onClick={() => navigate('/forgot-password')} sx={buttonSx}>
+                Request New Link
+              </Button>
+            </Box>
+          )}
+        </CardContent>
+      </Card>
+    </Box>
+  );
+};
+
+export default ResetPasswordPage;
@@ -6,6 +6,8 @@
  * - Focused map view of assigned bus 
  * - Real-time location updates via Socket.IO
  * - Distance calculation from student's GPS position
+ * - Server-computed arrival estimates for the student's stop and upcoming stops
+ * - "Bus reached <stop>" updates from stop geofence arrivals
  * - Trip status indicators and notifications
  */
 
@@ -16,11 +18,12 @@ import {
 } from '@mui/material';
 import {
   Refresh, DirectionsBus, LocationOn, AccessTime,
-  SignalCellularAlt, SignalCellularOff, Notifications, GpsFixed, Explore
+  SignalCellularAlt, SignalCellularOff, Notifications, GpsFixed, Explore, Schedule
 } from '@mui/icons-material';
 import { authService, trackingService, busService } from '../../../services';
 import socketService from '../../../services/socketService';
 import RealTimeBusMap from '../../../components/RealTimeBusMap';
+import { formatETA } from '../../../utils/geoUtils';
 import {
   BRAND_COLORS, CARD_STYLES, BORDER_RADIUS, SHADOWS, TYPOGRAPHY
 } from '../../../styles/brandStyles';
@@ -49,6 +52,7 @@ const StudentLiveTrackingView = () => {
   const [error, setError] = useState(null);
   const [connectionStatus, setConnectionStatus] = useState('disconnected');
   const [notifications, setNotifications] = useState([]);
+  const [eta, setEta] = useState(null);
 
   // Refs for callbacks
   const assignedBusRef = useRef(null);
@@ -107,10 +111,34 @@ const StudentLiveTrackingView = () => {
       const bus = assignedBusRef.current;
       if (bus && data.busId?.toString() === bus._id?.toString()) {
         if (data.type === 'started') setTripStatus('on_trip');
-        else if (data.type === 'ended') setTripStatus('idle');
+        else if (data.type === 'ended') {
+          setTripStatus('idle');
+          setEta(null);
+        }
       }
     });
 
+    // Arrival estimates are computed on the server after every location update
+    const handleEtaUpdate = (data) => {
+      const bus = assignedBusRef.current;
+      if (bus && data.busId?.toString() === bus._id?.toString()) {
+        setEta(data);
+      }
+    };
+    socketService.on('eta-update', handleEtaUpdate);
+
+    const handleStopArrived = (data) => {
+      const bus = assignedBusRef.current;
+      if (bus && data.busId?.toString() === bus._id?.toString()) {
+        const arrivedAt = new Date(data.arrivedAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+        addNotification({
+          ...data,
+          message: `Bus ${data.busNumber} reached ${data.stopName} at ${arrivedAt}`
+        });
+      }
+    };
+    socketService.on('stop-arrived', handleStopArrived);
+
     // Fallback polling
     const interval = setInterval(() => {
       const bus = assignedBusRef.current;
@@ -123,6 +151,8 @@ const StudentLiveTrackingView = () => {
       socketService.off('reconnect', handleReconnect);
       socketService.off('bus-location-update');
       socketService.off('trip-notification');
+      socketService.off('eta-update', handleEtaUpdate);
+      socketService.off('stop-arrived', handleStopArrived);
       clearInterval(interval);
       if (watchIdRef.current !== null) {
         navigator.geolocation.clearWatch(watchIdRef.current);
@@ -174,6 +204,7 @@ const StudentLiveTrackingView = () => {
 
         checkTripStatus(busData._id);
         loadBusLocation(busData._id, false);
+        loadBusEta(busData._id);
       }
     } catch (err) {
       console.error('Failed to load student data:', err);
@@ -218,6 +249,16 @@ const StudentLiveTrackingView = () => {
     }
   };
 
+  const loadBusEta = async (busId) => {
+    try {
+      const response = await trackingService.getBusEta(busId);
+      setEta(response.data?.data || null);
+    } catch (err) {
+      // 400/404 just mean the bus is not on a trip or has no estimate yet
+      setEta(null);
+    }
+  };
+
   const addNotification = (notificationData) => {
     const newNotification = {
       id: Date.now(),
@@ -231,6 +272,7 @@ const StudentLiveTrackingView = () => {
     if (assignedBus) {
       checkTripStatus(assignedBus._id);
       loadBusLocation(assignedBus._id, false);
+      loadBusEta(assignedBus._id);
     }
   };
 
@@ -266,6 +308,9 @@ const StudentLiveTrackingView = () => {
     );
   }
 
+  const etaStops = eta?.stops || [];
+  const myStopEta = user?.stopName ? etaStops.find(stop => stop.name === user.stopName) : null;
+
   return (
     <Container maxWidth="xl" sx={{ py: 4 }}>
       {/* Header Section */}
@@ -303,7 +348,7 @@ const StudentLiveTrackingView = () => {
 
         {/* Info Grid */}
         <Grid container spacing={3} mb={3}>
-          <Grid item xs={12} md={6}>
+          <Grid item xs={12} md={4}>
             <Card sx={{ ...CARD_STYLES.standard, height: '100%' }}>
               <CardContent>
                 <Box display="flex" alignItems="center" gap={2}>
@@ -335,7 +380,7 @@ const StudentLiveTrackingView = () => {
             </Card>
           </Grid>
 
-          <Grid item xs={12} md={6}>
+          <Grid item xs={12} md={4}>
             <Card sx={{ ...CARD_STYLES.standard, height: '100%', border: tripStatus === 'on_trip' ? `2px solid ${BRAND_COLORS.successGreen}` : `1px solid ${BRAND_COLORS.slate200}` }}>
               <CardContent>
                 <Box display="flex" alignItems="center" gap={2}>
@@ -361,6 +406,37 @@ const StudentLiveTrackingView = () => {
               </CardContent>
             </Card>
           </Grid>
+
+          <Grid item xs={12} md={4}>
+            <Card sx={{ ...CARD_STYLES.standard, height: '100%' }}>
+              <CardContent>
+                <Box display="flex" alignItems="center" gap={2}>
+                  <Box sx={{
+                    width: 56, height: 56, borderRadius: BORDER_RADIUS.xl,
+                    background: eta ? BRAND_COLORS.primaryGradient : BRAND_COLORS.slate300,
+                    display: 'flex', alignItems: 'center', justifyContent: 'center'
+                  }}>
+                    <Schedule sx={{ color: BRAND_COLORS.white, fontSize: 32 }} />
+                  </Box>
+                  <Box>
+                    <Typography variant="body2" sx={{ color: BRAND_COLORS.slate500, fontWeight: 600, textTransform: 'uppercase' }}>
+                      {myStopEta ? 'Arrival at Your Stop' : 'Next Stop'}
+                    </Typography>
+                    <Typography variant="h4" sx={{ fontWeight: 800, color: BRAND_COLORS.slate900 }}>
+                      {myStopEta
+                        ? formatETA(myStopEta.etaMinutes)
+                        : (eta?.nextStop ? formatETA(eta.nextStop.etaMinutes) : '—')}
+                    </Typography>
+                    <Typography variant="body2" sx={{ color: BRAND_COLORS.slate500, mt: 0.5 }}>
+                      {myStopEta
+                        ? `${myStopEta.name} • ${new Date(myStopEta.eta).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}`
+                        : (eta?.nextStop ? eta.nextStop.name : (tripStatus === 'on_trip' ? 'Waiting for bus position...' : 'Bus is not currently on trip'))}
+                    </Typography>
+                  </Box>
+                </Box>
+              </CardContent>
+            </Card>
+          </Grid>
         </Grid>
       </Box>
 
@@ -393,6 +469,53 @@ const StudentLiveTrackingView = () => {
         </CardContent>
       </Card>
 
+      {etaStops.length > 0 && (
+        <Card sx={{ ...CARD_STYLES.standard, mb: 3 }}>
+          <CardContent>
+            <Box display="flex" alignItems="center" gap={1} mb={2}>
+              <Schedule sx={{ color: BRAND_COLORS.primary }} />
+              <Typography variant="h6" sx={{ fontWeight: 700 }}>Upcoming Stops</Typography>
+              <Typography variant="caption" sx={{ color: BRAND_COLORS.slate400, ml: 'auto' }}>
+                Updated {new Date(eta.computedAt).toLocaleTimeString()}
+              </Typography>
+            </Box>
+            {etaStops.map((stop) => {
+              const isMyStop = stop.name === user?.stopName;
+              return (
+                <Box
+                  key={stop.stopId || stop.sequence}
+                  display="flex"
+                  justifyContent="space-between"
+                  alignItems="center"
+                  sx={{
+                    p: 1.5, mb: 1, borderRadius: BORDER_RADIUS.md,
+                    bgcolor: isMyStop ? 'rgba(16, 185, 129, 0.1)' : BRAND_COLORS.slate100,
+                    borderLeft: `4px solid ${isMyStop ? BRAND_COLORS.successGreen : BRAND_COLORS.slate300}`
+                  }}
+                >
+                  <Box>
+                    <Typography variant="body2" sx={{ fontWeight: 600 }}>
+                      {stop.name}{isMyStop ? ' (your stop)' : ''}
+                    </Typography>
+                    <Typography variant="caption" sx={{ color: BRAND_COLORS.slate500 }}>
+                      {stop.distanceKm.toFixed(2)} km away{stop.scheduledTime ? ` • Scheduled ${stop.scheduledTime}` : ''}
+                    </Typography>
+                  </Box>
+                  <Box textAlign="right">
+                    <Typography variant="body2" sx={{ fontWeight: 700, color: BRAND_COLORS.slate900 }}>
+                      {formatETA(stop.etaMinutes)}
+                    </Typography>
+                    <Typography variant="caption" sx={{ color: BRAND_COLORS.slate500 }}>
+                      {new Date(stop.eta).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}
+                    </Typography>
+                  </Box>
+                </Box>
+              );
+            })}
+          </CardContent>
+        </Card>
+      )}
+
       {notifications.length > 0 && (
         <Card sx={{ ...CARD_STYLES.standard, mb: 3 }}>
           <CardContent>
@@ -0,0 +1,212 @@
+/**
+ * StudentFeeHistory Component
+ *
+ * Fees tab of the student profile: balance summary, open invoices that can be paid
+ * online and the full history of charges, payments and notes recorded by the
+ * transport office. After paying, the payment provider sends the student back here
+ * with ?payment=<id>, and the result is shown once the provider has confirmed it.
+ */
+
+import React, { useState, useEffect } from 'react';
+import { useSearchParams } from 'react-router-dom';
+import { Alert, Box, Button, Chip, CircularProgress, Grid, Typography } from '@mui/material';
+import { Payment } from '@mui/icons-material';
+import { feeService, paymentService } from '../../../services';
+import FeeLedgerTable from '../../../components/FeeLedgerTable';
+import { toast } from '../../../utils/toast';
+import { formatAmount, formatFeeStatus, FEE_STATUS_COLORS, PAYMENT_PLAN_LABELS } from '../../../utils/fees';
+import { BRAND_COLORS, BORDER_RADIUS, BUTTON_STYLES } from '../../../styles/brandStyles';
+
+// How long to wait for the provider to confirm a payment after returning from it
+const PAYMENT_POLL_MS = 2000;
+const PAYMENT_POLL_ATTEMPTS = 6;
+
+const formatDate = (value) => new Date(value).toLocaleDateString('en-US', {
+  year: 'numeric',
+  month: 'short',
+  day: 'numeric'
+});
+
+const paymentAlert = (payment) => {
+  const amount = formatAmount(payment.paidAmount || payment.amount);
+  const invoice = payment.invoice?.invoiceNumber;
+  if (payment.status === 'succeeded') {
+    return {
+      severity: 'success',
+      text: `Payment of ${amount} for ${invoice} received.${payment.payment ? ` Receipt ${payment.payment.receiptNumber} has been emailed to you.` : ''}`
+    };
+  }
+  if (payment.status === 'pending') {
+    return {
+      severity: 'info',
+      text: `Your payment for ${invoice} is still being confirmed by the payment provider. Your balance updates as soon as it is.`
+    };
+  }
+  return {
+    severity: 'error',
+    text: `Payment for ${invoice} ${payment.status === 'expired' ? 'was not completed' : 'failed'}${payment.failureReason ? `: ${payment.failureReason}` : ''}. You have not been charged.`
+  };
+};
+
+const StudentFeeHistory = () => {
+  const [searchParams, setSearchParams] = useSearchParams();
+  const [ledger, setLedger] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [payingInvoiceId, setPayingInvoiceId] = useState(null);
+  const [returnedPayment, setReturnedPayment] = useState(null);
+
+  const loadLedger = async () => {
+    try {
+      const response = await feeService.getMyLedger();
+      setLedger(response.data.data);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to load fee history');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    loadLedger();
+  }, []);
+
+  // Back from the payment provider: wait for the payment to be confirmed, then refresh
+  useEffect(() => {
+    const paymentId = searchParams.get('payment');
+    if (!paymentId) return undefined;
+
+    let cancelled = false;
+    const checkPayment = async (attempt) => {
+      try {
+        const response = await paymentService.getPayment(paymentId);
+        if (cancelled) return;
+        const payment = response.data.data;
+        setReturnedPayment(payment);
+        if (payment.status === 'pending' && attempt < PAYMENT_POLL_ATTEMPTS) {
+          setTimeout(() => !cancelled && checkPayment(attempt + 1), PAYMENT_POLL_MS);
+          return;
+        }
+        loadLedger();
+      } catch (error) {
+        toast.error(error.response?.data?.message || 'Failed to load the payment');
+      }
+      setSearchParams({ tab: 'fees' }, { replace: true });
+    };
+    checkPayment(1);
+
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  const handlePay = async (invoice) => {
+    setPayingInvoiceId(invoice._id);
+    try {
+      const response = await paymentService.createCheckout(invoice._id);
+      window.location.assign(response.data.data.checkoutUrl);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to start the payment');
+      setPayingInvoiceId(null);
+    }
+  };
+
+  if (loading) {
+    return (
+      <Box display="flex" justifyContent="center" py={6}>
+        <CircularProgress sx={{ color: BRAND_COLORS.skyBlue }} />
+      </Box>
+    );
+  }
+
+  if (!ledger) return null;
+
+  const { summary } = ledger;
+  const payableInvoices = ledger.entries.filter(entry => entry.kind === 'invoice' && entry.outstanding > 0);
+  const alert = returnedPayment && paymentAlert(returnedPayment);
+  const cards = [
+    { label: 'Total Charged', value: formatAmount(summary.invoiced), color: BRAND_COLORS.slate900 },
+    { label: 'Total Paid', value: formatAmount(summary.paid), color: BRAND_COLORS.successGreen },
+    { label: 'Outstanding', value: formatAmount(summary.balance), color: summary.balance > 0 ? BRAND_COLORS.errorRed : BRAND_COLORS.slate900 }
+  ];
+
+  return (
+    <Box py={3}>
+      {alert && (
+        <Alert severity={alert.severity} onClose={() => setReturnedPayment(null)} sx={{ mb: 2, borderRadius: BORDER_RADIUS.md }}>
+          {alert.text}
+        </Alert>
+      )}
+
+      <Grid container spacing={2} sx={{ mb: 3 }}>
+        {cards.map(card => (
+          <Grid item xs={12} sm={3} key={card.label}>
+            <Box sx={{ p: 2, borderRadius: BORDER_RADIUS.md, border: `1px solid ${BRAND_COLORS.slate300}`, bgcolor: BRAND_COLORS.slate100 }}>
+              <Typography variant="body2" sx={{ color: BRAND_COLORS.slate600 }}>{card.label}</Typography>
+              <Typography variant="h6" sx={{ fontWeight: 700, color: card.color }}>{card.value}</Typography>
+            </Box>
+          </Grid>
+        ))}
+        <Grid item xs={12} sm={3}>
+          <Box sx={{ p: 2, borderRadius: BORDER_RADIUS.md, border: `1px solid ${BRAND_COLORS.slate300}`, bgcolor: BRAND_COLORS.slate100 }}>
+            <Typography variant="body2" sx={{ color: BRAND_COLORS.slate600, mb: 0.5 }}>Fee Status</Typography>
+            <Chip
+              label={formatFeeStatus(ledger.feeStatus)}
+              color={FEE_STATUS_COLORS[ledger.feeStatus] || 'default'}
+              size="small"
+              sx={{ fontWeight: 600 }}
+            />
+          </Box>
+        </Grid>
+      </Grid>
+
+      {ledger.feePaymentType && (
+        <Typography variant="body2" sx={{ color: BRAND_COLORS.slate600, mb: 2 }}>
+          Payment plan: <strong>{PAYMENT_PLAN_LABELS[ledger.feePaymentType]}</strong>
+          {ledger.feePaymentType === 'custom' && ledger.customInstallment && ` (${formatAmount(ledger.customInstallment)} per installment)`}
+        </Typography>
+      )}
+
+      {payableInvoices.length > 0 && (
+        <Box sx={{ mb: 3 }}>
+          <Typography variant="h6" sx={{ fontWeight: 700, color: BRAND_COLORS.slate900, mb: 1 }}>
+            Open Invoices
+          </Typography>
+          {payableInvoices.map(invoice => (
+            <Box
+              key={invoice._id}
+              display="flex"
+              alignItems="center"
+              justifyContent="space-between"
+              gap={2}
+              sx={{ p: 2, mb: 1, borderRadius: BORDER_RADIUS.md, border: `1px solid ${BRAND_COLORS.slate300}` }}
+            >
+              <Box>
+                <Typography variant="body2" sx={{ fontWeight: 600 }}>{invoice.number} · {invoice.description}</Typography>
+                <Typography variant="caption" color="text.secondary">
+                  {invoice.outstanding < invoice.amount ? `${formatAmount(invoice.outstanding)} left of ${formatAmount(invoice.amount)}` : formatAmount(invoice.amount)}
+                  {invoice.dueDate && ` · due ${formatDate(invoice.dueDate)}`}
+                </Typography>
+              </Box>
+              <Button
+                variant="contained"
+                startIcon={payingInvoiceId === invoice._id ? <CircularProgress size={16} color="inherit" /> : <Payment />}
+                onClick={() => handlePay(invoice)}
+                disabled={Boolean(payingInvoiceId)}
+                sx={{ ...BUTTON_STYLES.primary, whiteSpace: 'nowrap' }}
+              >
+                Pay {formatAmount(invoice.outstanding)}
+              </Button>
+            </Box>
+          ))}
+        </Box>
+      )}
+
+      <Typography variant="h6" sx={{ fontWeight: 700, color: BRAND_COLORS.slate900, mb: 1 }}>
+        Payment History
+      </Typography>
+      <FeeLedgerTable entries={ledger.entries} />
+    </Box>
+  );
+};
+
+export default StudentFeeHistory;
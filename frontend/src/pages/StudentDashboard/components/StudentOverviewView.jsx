@@ -12,12 +12,13 @@
  */
 
 import React, { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
 import {
   Container, Grid, Card, CardContent, Typography, Box, Avatar, Chip,
   CircularProgress, Alert, Tab, Tabs, FormControl, InputLabel, Select, MenuItem, Button
 } from '@mui/material';
 import {
-  DirectionsBus, Route, AccessTime, Receipt, Timeline, CheckCircle
+  DirectionsBus, Route, AccessTime, Receipt, Timeline, CheckCircle, Payment
 } from '@mui/icons-material';
 import { authService, busService, routeService } from '../../../services';
 import VirtualTransportCard from './VirtualTransportCard';
@@ -25,11 +26,13 @@ import {
   BRAND_COLORS,
   CARD_STYLES,
   BORDER_RADIUS,
+  BUTTON_STYLES,
   SHADOWS,
   TYPOGRAPHY,
 } from '../../../styles/brandStyles';
 
 const StudentOverviewView = () => {
+  const navigate = useNavigate();
   const [user, setUser] = useState(null);
   const [assignedBus, setAssignedBus] = useState(null);
   const [assignedRoute, setAssignedRoute] = useState(null);
@@ -512,6 +515,18 @@ const StudentOverviewView = () => {
                 <Typography variant="body2" sx={{ color: BRAND_COLORS.slate600 }}>
                   Next Due Date: {feeInfo.nextDueDate}
                 </Typography>
+
+                {user?.feeBalance > 0 && (
+                  <Button
+                    variant="contained"
+                    startIcon={<Payment />}
+                    onClick={() => navigate('/student/profile?tab=fees')}
+                    sx={{ ...BUTTON_STYLES.primary, mt: 2 }}
+                    fullWidth
+                  >
+                    Pay Fees Online
+                  </Button>
+                )}
               </CardContent>
             </Card>
           </Grid>
@@ -4,6 +4,7 @@
  * Student profile management interface with:
  * - Personal Information tab with editable fields (email, phone)
  * - Transport Card tab showing virtual card
+ * - Fees tab with balance, payment history and online payment (?tab=fees opens it)
  * - Security tab for password change
  * - Read-only fields for name and student ID
  *
@@ -11,18 +12,22 @@
  */
 
 import React, { useState, useEffect } from 'react';
+import { useSearchParams } from 'react-router-dom';
 import {
   Container, Card, CardContent, Typography, Box, Avatar, Grid,
-  TextField, Button, Tab, Tabs, CircularProgress, IconButton
+  TextField, Button, Tab, Tabs, CircularProgress, IconButton, Divider
 } from '@mui/material';
 import {
   Person as PersonIcon, Email, Phone, Badge as BadgeIcon, CreditCard, Lock as LockIcon, PhotoCamera as PhotoCameraIcon
 } from '@mui/icons-material';
 import { authService } from '../../../services';
 import VirtualTransportCard from './VirtualTransportCard';
+import StudentFeeHistory from './StudentFeeHistory';
 import PasswordChangeForm from '../../../components/PasswordChangeForm';
+import ActiveSessions from '../../../components/ActiveSessions';
 import { toast } from 'react-toastify';
 import { useAuth } from '../../../context/AuthContext';
+import { formatFeeStatus } from '../../../utils/fees';
 import {
   BRAND_COLORS,
   CARD_STYLES,
@@ -33,13 +38,14 @@ import {
 
 const StudentProfileView = () => {
   const { updateUser } = useAuth();
+  const [searchParams] = useSearchParams();
   const [user, setUser] = useState(null);
   const [assignedBus, setAssignedBus] = useState(null);
   const [assignedRoute, setAssignedRoute] = useState(null);
   const [loading, setLoading] = useState(true);
   const [saving, setSaving] = useState(false);
   const [formData, setFormData] = useState({});
-  const [activeTab, setActiveTab] = useState(0);
+  const [activeTab, setActiveTab] = useState(searchParams.get('tab') === 'fees' ? 2 : 0);
   const [profilePicture, setProfilePicture] = useState(null);
   const [previewUrl, setPreviewUrl] = useState(null);
 
@@ -200,6 +206,7 @@ const StudentProfileView = () => {
           >
             <Tab label="Personal Information" />
             <Tab label="Transport Card" />
+            <Tab label="Fees" />
             <Tab label="Security" />
           </Tabs>
 
@@ -272,9 +279,7 @@ const StudentProfileView = () => {
                   <Box display="flex" alignItems="center" gap={1}>
                     <CreditCard sx={{ color: BRAND_COLORS.teal }} />
                     <Typography variant="body1" sx={{ fontWeight: 700, color: BRAND_COLORS.slate900 }}>
-                      {user?.feeStatus === 'paid' ? 'Paid' :
-                        user?.feeStatus === 'partially_paid' ? 'Partially Paid' :
-                          'Pending'}
+                      {formatFeeStatus(user?.feeStatus)}
                     </Typography>
                   </Box>
                 </Box>
@@ -288,9 +293,13 @@ const StudentProfileView = () => {
             </Box>
           )}
 
-          {activeTab === 2 && (
+          {activeTab === 2 && <StudentFeeHistory />}
+
+          {activeTab === 3 && (
             <Box py={3}>
               <PasswordChangeForm />
+              <Divider sx={{ my: 4 }} />
+              <ActiveSessions />
             </Box>
           )}
 
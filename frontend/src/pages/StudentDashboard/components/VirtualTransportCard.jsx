@@ -4,13 +4,13 @@
  * Digital transport card displaying:
  * - Student identification with photo placeholder
  * - Assigned bus and route information
- * - Fee status and payment details
+ * - Fee status and payment details, with the concessions that apply today
  * - Card validity period
  *
  * Horizontal layout with optimized (smaller) font sizes.
  */
 
-import React, { useRef, useState } from 'react';
+import React, { useEffect, useRef, useState } from 'react';
 import {
   Card, CardContent, Typography, Box, Avatar, Chip, Divider, Button, CircularProgress, Grid
 } from '@mui/material';
@@ -24,6 +24,8 @@ import {
   SHADOWS,
   BUTTON_STYLES,
 } from '../../../styles/brandStyles';
+import { feeService } from '../../../services';
+import { CONCESSION_CATEGORY_LABELS } from '../../../utils/fees';
 import jsPDF from 'jspdf';
 import html2canvas from 'html2canvas';
 
@@ -39,7 +41,23 @@ const VirtualTransportCard = ({ user, assignedBus, assignedRoute }) => {
     return 0;
   };
 
-  const monthlyFee = getMonthlyFee();
+  const [concessions, setConcessions] = useState([]);
+
+  useEffect(() => {
+    if (user?.role !== 'student') return;
+    feeService.getMyConcessions()
+      .then(response => setConcessions(response.data.data || []))
+      .catch(error => console.error('Error loading concessions:', error));
+  }, [user?._id]);
+
+  // Concessions valid today, applied like term invoicing does: percentages, then fixed amounts
+  const stopFee = getMonthlyFee();
+  const activeConcessions = concessions.filter(c => new Date(c.validFrom) <= new Date());
+  const concessionPercent = Math.min(100, activeConcessions.filter(c => c.type === 'percentage').reduce((sum, c) => sum + c.amount, 0));
+  const concessionFixed = activeConcessions.filter(c => c.type === 'fixed').reduce((sum, c) => sum + c.amount, 0);
+  const monthlyFee = Math.max(0, Math.round(stopFee * (1 - concessionPercent / 100) - concessionFixed));
+  const concessionAmount = stopFee - monthlyFee;
+
   const feeStatus = user?.feeStatus || 'pending';
   let paidAmount = 0;
   let dueAmount = monthlyFee;
@@ -276,6 +294,20 @@ const VirtualTransportCard = ({ user, assignedBus, assignedRoute }) => {
                   />
                 </Box>
                 <Box sx={{ bgcolor: BRAND_COLORS.slate50, p: 1.5, borderRadius: BORDER_RADIUS.md }}>
+                  {concessionAmount > 0 && (
+                    <>
+                      <Box display="flex" justifyContent="space-between" mb={0.5}>
+                        <Typography variant="caption" sx={{ color: BRAND_COLORS.slate600 }}>Stop Fee</Typography>
+                        <Typography variant="caption" sx={{ fontWeight: 700 }}>PKR {stopFee}</Typography>
+                      </Box>
+                      <Box display="flex" justifyContent="space-between" mb={0.5}>
+                        <Typography variant="caption" sx={{ color: BRAND_COLORS.slate600 }}>
+                          {activeConcessions.map(c => `${CONCESSION_CATEGORY_LABELS[c.category]}${c.type === 'percentage' ? ` ${c.amount}%` : ''}`).join(', ')}
+                        </Typography>
+                        <Typography variant="caption" sx={{ fontWeight: 700, color: BRAND_COLORS.successGreen }}>− PKR {concessionAmount}</Typography>
+                      </Box>
+                    </>
+                  )}
                   <Box display="flex" justifyContent="space-between" mb={0.5}>
                     <Typography variant="caption" sx={{ color: BRAND_COLORS.slate600 }}>Monthly Fee</Typography>
                     <Typography variant="caption" sx={{ fontWeight: 700 }}>PKR {feeInfo.monthlyFee}</Typography>
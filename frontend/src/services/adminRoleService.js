@@ -0,0 +1,9 @@
+import api from './api';
+import { makeApiRequest } from '../utils/apiUtils';
+
+export const adminRoleService = {
+  getAdminRoles: () => makeApiRequest(() => api.get('/api/admin-roles')),
+  createAdminRole: (data) => makeApiRequest(() => api.post('/api/admin-roles', data)),
+  updateAdminRole: (id, data) => makeApiRequest(() => api.put(`/api/admin-roles/${id}`, data)),
+  deleteAdminRole: (id) => makeApiRequest(() => api.delete(`/api/admin-roles/${id}`)),
+};
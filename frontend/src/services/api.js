@@ -10,4 +10,45 @@ const api = axios.create({
   withCredentials: true,  // Enable sending cookies with requests
 });
 
-export default api;
\ No newline at end of file
+// Auth endpoints that must not trigger a token refresh themselves
+const NO_REFRESH_URLS = ['/api/auth/login', '/api/auth/logout', '/api/auth/refresh'];  // also covers /api/auth/login/2fa
+
+// One refresh at a time; requests that fail meanwhile wait for it
+let refreshPromise = null;
+
+export const refreshSession = () => {
+  if (!refreshPromise) {
+    refreshPromise = api.post('/api/auth/refresh').finally(() => {
+      refreshPromise = null;
+    });
+  }
+  return refreshPromise;
+};
+
+// The access token cookie is short-lived: on a 401, refresh the session once and retry
+api.interceptors.response.use(
+  (response) => response,
+  async (error) => {
+    const { config, response } = error;
+
+    if (
+      response?.status !== 401 ||
+      !config ||
+      config._retried ||
+      NO_REFRESH_URLS.some(url => config.url?.startsWith(url))
+    ) {
+      return Promise.reject(error);
+    }
+
+    try {
+      await refreshSession();
+    } catch {
+      return Promise.reject(error);
+    }
+
+    config._retried = true;
+    return api(config);
+  }
+);
+
+export default api;
@@ -0,0 +1,7 @@
+import api from './api';
+import { makeApiRequest } from '../utils/apiUtils';
+
+export const auditLogService = {
+  getAuditLogs: (params) => makeApiRequest(() => api.get('/api/audit-logs', { params })),
+  exportAuditLogs: (params) => makeApiRequest(() => api.get('/api/audit-logs/export', { params, responseType: 'blob', timeout: 60000 })),
+};
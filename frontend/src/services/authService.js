@@ -9,7 +9,17 @@ export const authService = {
     { skipAuthHandler: true }
   ),
   login: (credentials) => makeApiRequest(() => api.post('/api/auth/login', credentials), { skipAuthHandler: true }),
+  verifyTwoFactorLogin: (data) => makeApiRequest(() => api.post('/api/auth/login/2fa', data), { skipAuthHandler: true }),
   logout: () => makeApiRequest(() => api.post('/api/auth/logout')),
+  refresh: () => makeApiRequest(() => api.post('/api/auth/refresh'), { skipAuthHandler: true }),
+  getSessions: () => makeApiRequest(() => api.get('/api/auth/sessions')),
+  revokeSession: (id) => makeApiRequest(() => api.delete(`/api/auth/sessions/${id}`)),
+  revokeOtherSessions: () => makeApiRequest(() => api.delete('/api/auth/sessions')),
+  getTwoFactorStatus: () => makeApiRequest(() => api.get('/api/auth/2fa')),
+  setupTwoFactor: () => makeApiRequest(() => api.post('/api/auth/2fa/setup')),
+  enableTwoFactor: (code) => makeApiRequest(() => api.post('/api/auth/2fa/enable', { code })),
+  disableTwoFactor: (data) => makeApiRequest(() => api.post('/api/auth/2fa/disable', data)),
+  regenerateRecoveryCodes: (code) => makeApiRequest(() => api.post('/api/auth/2fa/recovery-codes', { code })),
   getMe: () => makeApiRequest(() => api.get('/api/auth/me')),
   updateProfile: (data) => makeApiRequest(() => api.put('/api/auth/profile', data, data instanceof FormData ? {
     headers: { 'Content-Type': 'multipart/form-data' }
@@ -18,4 +28,6 @@ export const authService = {
   selectRoute: (routeId, stopName) => makeApiRequest(() => api.put('/api/auth/select-route', { routeId, stopName })),
   verifyEmail: (token) => makeApiRequest(() => api.get(`/api/auth/verify-email/${token}`), { skipAuthHandler: true }),
   resendVerification: (email) => makeApiRequest(() => api.post('/api/auth/resend-verification', { email }), { skipAuthHandler: true }),
+  forgotPassword: (email) => makeApiRequest(() => api.post('/api/auth/forgot-password', { email }), { skipAuthHandler: true }),
+  resetPassword: (token, password) => makeApiRequest(() => api.post(`/api/auth/reset-password/${token}`, { password }), { skipAuthHandler: true }),
 };
\ No newline at end of file
@@ -0,0 +1,39 @@
+import api from './api';
+import { makeApiRequest } from '../utils/apiUtils';
+
+export const feeService = {
+  getStudentLedger: (studentId) => makeApiRequest(() => api.get(`/api/fees/students/${studentId}`)),
+  getMyLedger: () => makeApiRequest(() => api.get('/api/fees/me')),
+  createInvoice: (studentId, invoiceData) => makeApiRequest(() => api.post(`/api/fees/students/${studentId}/invoices`, invoiceData)),
+  recordPayment: (studentId, paymentData) => makeApiRequest(() => api.post(`/api/fees/students/${studentId}/payments`, paymentData)),
+  addNote: (studentId, text) => makeApiRequest(() => api.post(`/api/fees/students/${studentId}/notes`, { text })),
+  voidInvoice: (invoiceId, reason) => makeApiRequest(() => api.put(`/api/fees/invoices/${invoiceId}/void`, { reason })),
+  voidPayment: (paymentId, reason) => makeApiRequest(() => api.put(`/api/fees/payments/${paymentId}/void`, { reason })),
+  getFeeDocument: (id) => makeApiRequest(() => api.get(`/api/fees/receipts/${id}.pdf`, { responseType: 'blob' })),
+  updatePaymentPlan: (studentId, planData) => makeApiRequest(() => api.put(`/api/fees/students/${studentId}/plan`, planData)),
+  getBillingTerms: () => makeApiRequest(() => api.get('/api/fees/terms')),
+  createBillingTerm: (termData) => makeApiRequest(() => api.post('/api/fees/terms', termData)),
+  updateBillingTerm: (termId, termData) => makeApiRequest(() => api.put(`/api/fees/terms/${termId}`, termData)),
+  deleteBillingTerm: (termId) => makeApiRequest(() => api.delete(`/api/fees/terms/${termId}`)),
+  previewTermInvoices: (termId) => makeApiRequest(() => api.get(`/api/fees/terms/${termId}/preview`)),
+  generateTermInvoices: (termId) => makeApiRequest(() => api.post(`/api/fees/terms/${termId}/invoices`, {}, { timeout: 120000 })),
+  getConcessions: (params = {}) => makeApiRequest(() => api.get('/api/fees/concessions', { params })),
+  getStudentConcessions: (studentId) => makeApiRequest(() => api.get(`/api/fees/students/${studentId}/concessions`)),
+  getMyConcessions: () => makeApiRequest(() => api.get('/api/fees/me/concessions')),
+  createConcession: (studentId, concessionData) => makeApiRequest(() => api.post(`/api/fees/students/${studentId}/concessions`, concessionData)),
+  approveConcession: (concessionId, note) => makeApiRequest(() => api.put(`/api/fees/concessions/${concessionId}/approve`, { note })),
+  rejectConcession: (concessionId, note) => makeApiRequest(() => api.put(`/api/fees/concessions/${concessionId}/reject`, { note })),
+  revokeConcession: (concessionId, reason) => makeApiRequest(() => api.put(`/api/fees/concessions/${concessionId}/revoke`, { reason })),
+  getFeePolicy: () => makeApiRequest(() => api.get('/api/fees/policy')),
+  updateFeePolicy: (policyData) => makeApiRequest(() => api.put('/api/fees/policy', policyData)),
+  previewFeePolicy: () => makeApiRequest(() => api.get('/api/fees/policy/preview')),
+  runFeePolicy: () => makeApiRequest(() => api.post('/api/fees/policy/run', {}, { timeout: 120000 })),
+  previewBankImport: (formData) => makeApiRequest(() => api.post('/api/fees/imports/preview', formData, {
+    headers: { 'Content-Type': 'multipart/form-data' },
+    timeout: 120000
+  })),
+  importBankStatement: (formData) => makeApiRequest(() => api.post('/api/fees/imports', formData, {
+    headers: { 'Content-Type': 'multipart/form-data' },
+    timeout: 120000
+  })),
+};
@@ -4,4 +4,8 @@ export { busService } from './busService';
 export { routeService } from './routeService';
 export { trackingService } from './trackingService';
 export { notificationService } from './notificationService';
+export { adminRoleService } from './adminRoleService';
+export { auditLogService } from './auditLogService';
+export { feeService } from './feeService';
+export { paymentService } from './paymentService';
 export { default as socketService } from './socketService';
\ No newline at end of file
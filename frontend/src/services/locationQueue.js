@@ -0,0 +1,106 @@
+/**
+ * Location Queue
+ *
+ * Durable IndexedDB queue for driver location points recorded while the
+ * real-time connection is down. Points survive page reloads and are uploaded
+ * in batches to POST /api/tracking/locations/batch once the driver is back online.
+ */
+
+import { trackingService } from './trackingService';
+
+const DB_NAME = 'mycampusride';
+const DB_VERSION = 1;
+const STORE_NAME = 'locationQueue';
+const BATCH_SIZE = 200; // Server accepts up to 500 per request
+
+let dbPromise = null;
+
+/**
+ * Open (and create on first use) the IndexedDB database
+ * @returns {Promise<IDBDatabase>}
+ */
+const openDb = () => {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(STORE_NAME)) {
+          db.createObjectStore(STORE_NAME, { keyPath: 'id', autoIncrement: true });
+        }
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        dbPromise = null;
+        reject(request.error);
+      };
+    });
+  }
+  return dbPromise;
+};
+
+/**
+ * Run a function against the queue store inside a transaction
+ * @param {string} mode - 'readonly' or 'readwrite'
+ * @param {Function} fn - Receives the object store, returns an IDBRequest (or nothing)
+ * @returns {Promise<*>} Result of the returned request
+ */
+const withStore = async (mode, fn) => {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(STORE_NAME, mode);
+    const request = fn(transaction.objectStore(STORE_NAME));
+    transaction.oncomplete = () => resolve(request?.result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+};
+
+/**
+ * Store a location point for later upload
+ * @param {Object} point - { latitude, longitude, timestamp, accuracy?, speed?, heading? }
+ */
+export const enqueueLocation = (point) =>
+  withStore('readwrite', (store) => store.add(point));
+
+/**
+ * Number of points waiting to be uploaded
+ * @returns {Promise<number>}
+ */
+export const countQueuedLocations = () =>
+  withStore('readonly', (store) => store.count());
+
+const removeQueuedLocations = (ids) =>
+  withStore('readwrite', (store) => {
+    ids.forEach((id) => store.delete(id));
+  });
+
+/**
+ * Upload queued points in batches, removing each batch once the server has handled it.
+ * Network and server errors stop the flush and keep the remaining points for the next
+ * attempt; a batch the server refuses outright (4xx) is dropped so it can't block the queue.
+ * @returns {Promise<number>} Number of points uploaded
+ */
+export const flushLocationQueue = async () => {
+  let uploaded = 0;
+
+  while (true) {
+    const batch = await withStore('readonly', (store) => store.getAll(undefined, BATCH_SIZE));
+    if (!batch || batch.length === 0) break;
+
+    try {
+      await trackingService.uploadLocationBatch(batch.map(({ id, ...point }) => point));
+      uploaded += batch.length;
+    } catch (error) {
+      const status = error.response?.status;
+      if (!status || status >= 500 || status === 401) throw error;
+      console.warn(`Dropping ${batch.length} queued locations: ${error.response?.data?.message || status}`);
+    }
+
+    await removeQueuedLocations(batch.map(({ id }) => id));
+
+    if (batch.length < BATCH_SIZE) break;
+  }
+
+  return uploaded;
+};
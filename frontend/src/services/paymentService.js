@@ -0,0 +1,10 @@
+import api from './api';
+import { makeApiRequest } from '../utils/apiUtils';
+
+export const paymentService = {
+  createCheckout: (invoiceId) => makeApiRequest(() => api.post('/api/payments/checkout', { invoiceId })),
+  getMyPayments: () => makeApiRequest(() => api.get('/api/payments/me')),
+  getPayment: (paymentId) => makeApiRequest(() => api.get(`/api/payments/${paymentId}`)),
+  getPayments: (params) => makeApiRequest(() => api.get('/api/payments', { params })),
+  reconcilePayments: () => makeApiRequest(() => api.post('/api/payments/reconcile', {}, { timeout: 120000 })),
+};
@@ -8,6 +8,7 @@
 
 import { io } from 'socket.io-client';
 import { toast } from 'react-toastify';
+import { refreshSession } from './api';
 
 class SocketService {
   constructor() {
@@ -19,6 +20,8 @@ class SocketService {
     this.eventListeners = new Map();
     this.userId = null;
     this.userRole = null;
+    this.rooms = new Set(); // Rooms to (re)join once connected
+    this.refreshedForSocket = false; // Only refresh the session once per failed handshake
   }
 
   /**
@@ -68,11 +71,12 @@ class SocketService {
     this.socket.on('connect', () => {
       this.isConnected = true;
       this.reconnectAttempts = 0;
+      this.refreshedForSocket = false;
       console.log(`✅ Socket.IO connected: ${this.socket.id}`);
       toast.success('Real-time tracking connected');
       
-      // Auto-join appropriate room based on user role
-      this.joinAppropriateRoom();
+      // The server joins user/role rooms from the auth cookie; rejoin any extra rooms
+      this.rejoinRooms();
       
       this._triggerListeners('connect');
     });
@@ -107,7 +111,7 @@ class SocketService {
       toast.success('Tracking connection restored');
       
       // Rejoin rooms after reconnection
-      this.joinAppropriateRoom();
+      this.rejoinRooms();
       this._triggerListeners('reconnect', attempt);
     });
 
@@ -119,9 +123,31 @@ class SocketService {
       this._triggerListeners('reconnect_failed');
     });
 
-    // Connection error
+    // Room join refused by the server (not our route/bus)
+    this.socket.on('join-room-error', ({ roomId, message }) => {
+      this.rooms.delete(roomId);
+      console.warn(`Cannot join room ${roomId}: ${message}`);
+    });
+
+    // Location rejected by the server (bus not assigned to this driver, bad coordinates)
+    this.socket.on('location-error', (data) => {
+      console.warn(`Location update rejected for bus ${data.busId}: ${data.message}`);
+      this._triggerListeners('location-error', data);
+    });
+
+    // Connection error (including a missing or expired auth cookie)
     this.socket.on('connect_error', (error) => {
       console.error('Socket.IO connection error:', error.message);
+
+      // The access token cookie expires every few minutes: refresh it and retry the handshake
+      if (/token expired/i.test(error.message) && !this.refreshedForSocket) {
+        this.refreshedForSocket = true;
+        refreshSession()
+          .then(() => this.socket?.connect())
+          .catch(() => console.warn('Session refresh failed, socket stays disconnected'));
+        return;
+      }
+
       toast.error('Tracking connection error');
       this._triggerListeners('connect_error', error);
     });
@@ -144,31 +170,16 @@ class SocketService {
   }
 
   /**
-   * Join appropriate room based on user role
+   * Rejoin rooms requested before connecting or before a reconnect
    */
-  joinAppropriateRoom() {
-    if (!this.userId || !this.userRole || !this.socket?.connected) {
+  rejoinRooms() {
+    if (!this.socket?.connected) {
       return;
     }
 
-    let roomId;
-    
-    switch (this.userRole) {
-      case 'admin':
-        roomId = 'admin-room';
-        break;
-      case 'driver':
-        roomId = `driver-${this.userId}`;
-        break;
-      case 'student':
-        roomId = null; // Backend will still join user-specific and role-specific rooms
-        break;
-      default:
-        console.warn(`Unknown user role: ${this.userRole}`);
-        return;
-    }
-
-    this.joinRoom(roomId);
+    this.rooms.forEach(roomId => {
+      this.socket.emit('join-room', { roomId });
+    });
   }
 
   /**
@@ -176,16 +187,14 @@ class SocketService {
    * @param {string} roomId - Room identifier
    */
   joinRoom(roomId) {
+    this.rooms.add(roomId);
+
     if (!this.socket?.connected) {
-      console.warn('Cannot join room - not connected');
+      // Joined automatically once the connection is up
       return;
     }
 
-    this.socket.emit('join-room', {
-      userId: this.userId,
-      role: this.userRole,
-      roomId: roomId
-    });
+    this.socket.emit('join-room', { roomId });
 
     console.log(`👥 Joined room: ${roomId}`);
   }
@@ -236,14 +245,16 @@ class SocketService {
    * Emit an event to the server
    * @param {string} event - Event name
    * @param {Object} data - Event data
+   * @returns {boolean} False when not connected and the event was not sent
    */
   emit(event, data) {
     if (!this.socket?.connected) {
       console.warn(`Cannot emit ${event} - not connected`);
-      return;
+      return false;
     }
     
     this.socket.emit(event, data);
+    return true;
   }
 
   /**
@@ -255,11 +266,13 @@ class SocketService {
    * @param {number} locationData.location.latitude - Latitude
    * @param {number} locationData.location.longitude - Longitude
    * @param {string} locationData.location.address - Address
+   * @param {string} [locationData.timestamp] - When the fix was taken (defaults to now)
+   * @returns {boolean} False when not connected; the caller should queue the point
    */
   sendLocationUpdate(locationData) {
-    this.emit('location-update', {
+    return this.emit('location-update', {
       ...locationData,
-      timestamp: new Date().toISOString()
+      timestamp: locationData.timestamp || new Date().toISOString()
     });
   }
 
@@ -296,6 +309,7 @@ class SocketService {
       this.socket = null;
       this.isConnected = false;
       this.eventListeners.clear();
+      this.rooms.clear();
       console.log('🔌 Socket.IO disconnected manually');
     }
   }
@@ -5,8 +5,14 @@ export const trackingService = {
   startTrip: () => makeApiRequest(() => api.post('/api/tracking/start-trip')),
   stopTrip: () => makeApiRequest(() => api.post('/api/tracking/stop-trip')),
   updateLocation: (data) => makeApiRequest(() => api.put('/api/tracking/update-location', data)),
+  uploadLocationBatch: (points) => makeApiRequest(() => api.post('/api/tracking/locations/batch', { points })),
   getBusLocation: (busId) => makeApiRequest(() => api.get(`/api/tracking/bus/${busId}`)),
+  getBusEta: (busId) => makeApiRequest(() => api.get(`/api/tracking/bus/${busId}/eta`)),
   getActiveBusLocations: () => makeApiRequest(() => api.get('/api/tracking/active-buses')),
   getSimulatedLocations: (params) => makeApiRequest(() => api.get('/api/tracking/simulate', { params })),
   getMyTripStatus: () => makeApiRequest(() => api.get('/api/tracking/my-trip')),
+  getTrips: (params) => makeApiRequest(() => api.get('/api/tracking/trips', { params })),
+  getTrip: (id) => makeApiRequest(() => api.get(`/api/tracking/trips/${id}`)),
+  getSafetyOverview: (params) => makeApiRequest(() => api.get('/api/tracking/safety', { params })),
+  getDriverSafetyReport: (driverId, params) => makeApiRequest(() => api.get(`/api/tracking/safety/${driverId}`, { params })),
 };
\ No newline at end of file
@@ -11,11 +11,13 @@ export const userService = {
   approveDriver: (id) => makeApiRequest(() => api.put(`/api/users/${id}/approve`)),
   rejectDriver: (id, reason) => makeApiRequest(() => api.put(`/api/users/${id}/reject`, { reason })),
   getPendingDrivers: () => makeApiRequest(() => api.get('/api/users/pending-drivers')),
+  getLockedUsers: () => makeApiRequest(() => api.get('/api/users/locked')),
+  unlockUser: (id) => makeApiRequest(() => api.put(`/api/users/${id}/unlock`)),
   getUserStats: () => makeApiRequest(() => api.get('/api/users/stats')),
   createUser: (data) => makeApiRequest(() => api.post('/api/users', data, data instanceof FormData ? {
     headers: { 'Content-Type': 'multipart/form-data' }
   } : {})),
   getDriverLicense: (id) => makeApiRequest(() => api.get(`/api/users/${id}/license`, { responseType: 'blob' })),
   getDriverLicenseUrl: (id) => `${API_BASE}/api/users/${id}/license`,
-  markFeeDefaulters: () => makeApiRequest(() => api.put('/api/users/action/mark-defaulters')),
+  forceSignOut: (id) => makeApiRequest(() => api.post(`/api/users/${id}/force-logout`)),
 };
\ No newline at end of file
@@ -0,0 +1,92 @@
+/**
+ * Fee display helpers shared by the admin fee screens and the student profile.
+ * Amounts come from the fee ledger (see backend services/feeLedgerService).
+ */
+
+export const FEE_STATUS_LABELS = {
+  paid: 'Paid',
+  partially_paid: 'Partially Paid',
+  pending: 'Pending',
+  defaulter: 'Defaulter'
+};
+
+export const FEE_STATUS_COLORS = {
+  paid: 'success',
+  partially_paid: 'warning',
+  pending: 'default',
+  defaulter: 'error'
+};
+
+export const PAYMENT_METHOD_LABELS = {
+  cash: 'Cash',
+  bank_transfer: 'Bank Transfer',
+  card: 'Card',
+  online: 'Online',
+  cheque: 'Cheque',
+  other: 'Other'
+};
+
+export const ONLINE_PAYMENT_STATUS_LABELS = {
+  pending: 'Pending',
+  succeeded: 'Succeeded',
+  failed: 'Failed',
+  expired: 'Expired'
+};
+
+export const ONLINE_PAYMENT_STATUS_COLORS = {
+  pending: 'warning',
+  succeeded: 'success',
+  failed: 'error',
+  expired: 'default'
+};
+
+export const CONCESSION_CATEGORY_LABELS = {
+  scholarship: 'Scholarship',
+  sibling: 'Sibling discount',
+  staff: 'Staff concession',
+  financial_aid: 'Financial aid',
+  other: 'Other'
+};
+
+export const CONCESSION_STATUS_LABELS = {
+  pending: 'Awaiting approval',
+  approved: 'Approved',
+  rejected: 'Rejected',
+  revoked: 'Revoked'
+};
+
+export const CONCESSION_STATUS_COLORS = {
+  pending: 'warning',
+  approved: 'success',
+  rejected: 'error',
+  revoked: 'default'
+};
+
+export const PAYMENT_PLAN_LABELS = {
+  full: 'Full payment',
+  half: 'Two halves',
+  custom: 'Custom installments'
+};
+
+/**
+ * Format an amount of money, e.g. "Rs. 1,500" or "Rs. 1,250.50"
+ * @param {number} amount
+ * @returns {string}
+ */
+export const formatAmount = (amount) =>
+  `Rs. ${Number(amount || 0).toLocaleString('en-US', { minimumFractionDigits: 0, maximumFractionDigits: 2 })}`;
+
+/**
+ * What a concession takes off, e.g. "50%" or "Rs. 500/month"
+ * @param {Object} concession - { type, amount }
+ * @returns {string}
+ */
+export const formatConcessionAmount = (concession) =>
+  concession.type === 'percentage' ? `${concession.amount}%` : `${formatAmount(concession.amount)}/month`;
+
+/**
+ * Label of a fee status
+ * @param {string} status
+ * @returns {string}
+ */
+export const formatFeeStatus = (status) => FEE_STATUS_LABELS[status] || status || 'Pending';
@@ -38,3 +38,58 @@ export const getDistanceStatus = (km) => {
   if (km < 5) return { text: 'Moderate', color: 'warning' };
   return { text: 'Far', color: 'default' };
 };
+
+/**
+ * Find when a recorded trip path first reached each stop.
+ * A stop counts as reached the first time a breadcrumb falls within its geofenceRadius
+ * (metres), or within radiusKm for stops without one.
+ * @param {Array} path - Trip breadcrumbs ({ latitude, longitude, recordedAt }) in time order
+ * @param {Array} stops - Route stops ({ name, latitude, longitude, sequence })
+ * @param {number} radiusKm - Arrival radius in kilometres
+ * @returns {Array} Stops with an `arrivedAt` date (null when never reached)
+ */
+export const findStopArrivals = (path, stops, radiusKm = 0.1) => {
+  return stops
+    .filter((stop) => typeof stop.latitude === 'number' && typeof stop.longitude === 'number')
+    .map((stop) => {
+      const stopRadiusKm = stop.geofenceRadius ? stop.geofenceRadius / 1000 : radiusKm;
+      const hit = path.find((point) =>
+        haversineDistance(point.latitude, point.longitude, stop.latitude, stop.longitude) <= stopRadiusKm
+      );
+      return { ...stop, arrivedAt: hit ? new Date(hit.recordedAt) : null };
+    });
+};
+
+/**
+ * Interpolate the position along a recorded path at a given moment.
+ * @param {Array} path - Trip breadcrumbs ({ latitude, longitude, recordedAt }) in time order
+ * @param {number} time - Timestamp in milliseconds
+ * @returns {Object|null} { latitude, longitude, index } where index is the last breadcrumb passed
+ */
+export const interpolatePathPosition = (path, time) => {
+  if (!path || path.length === 0) return null;
+
+  const first = path[0];
+  if (time <= new Date(first.recordedAt).getTime()) {
+    return { latitude: first.latitude, longitude: first.longitude, index: 0 };
+  }
+
+  for (let i = 1; i < path.length; i++) {
+    const prev = path[i - 1];
+    const next = path[i];
+    const prevTime = new Date(prev.recordedAt).getTime();
+    const nextTime = new Date(next.recordedAt).getTime();
+
+    if (time <= nextTime) {
+      const ratio = nextTime === prevTime ? 1 : (time - prevTime) / (nextTime - prevTime);
+      return {
+        latitude: prev.latitude + (next.latitude - prev.latitude) * ratio,
+        longitude: prev.longitude + (next.longitude - prev.longitude) * ratio,
+        index: i - 1
+      };
+    }
+  }
+
+  const last = path[path.length - 1];
+  return { latitude: last.latitude, longitude: last.longitude, index: path.length - 1 };
+};
@@ -0,0 +1,14 @@
+/**
+ * Admin permission helpers.
+ * The backend sends the signed-in admin's permissions with the user (login and /api/auth/me);
+ * admins without a sub-role have all of them. The server enforces the same checks.
+ */
+
+/**
+ * Whether the user is an admin with the given permission
+ * @param {Object} user - User from AuthContext
+ * @param {string} [permission] - e.g. 'fees:write'; omit to only check for an admin
+ * @returns {boolean}
+ */
+export const hasPermission = (user, permission) =>
+  user?.role === 'admin' && (!permission || (user.permissions || []).includes(permission));